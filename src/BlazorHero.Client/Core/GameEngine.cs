@@ -44,8 +44,18 @@ public class GameEngine : IAsyncDisposable
     private bool _isRunning;
     private double _songEndTime;  // Calculated from last note + buffer
 
+    // Practice loop: the next pass's notes are queued as soon as spawning reaches the loop end, shifted
+    // onto the current pass's timeline, so the notes just after the loop start travel in from the horizon
+    private readonly List<Note> _nextPassNotes = new();
+    private bool _loopPassQueued;
+    private double _loopShiftMs;  // Song time the wrap jumps back (loop length plus count-in)
+
+    // Song loading - cancelled when the player backs out or picks another song
+    private CancellationTokenSource? _songLoad;
+
     // Timing constants
     private const double COUNTDOWN_DURATION = 3000;  // 3 second countdown
+    private const double GUITAR_MUTE_FADE = 40;      // Guitar stem fade on a combo break/recovery (ms)
 
     // Note travel time varies by difficulty (ms from spawn to hit line)
     // Difficulty comes primarily from note density, not speed
@@ -82,6 +92,11 @@ public class GameEngine : IAsyncDisposable
     public GameStateType CurrentState => _state.Current;
     public SongMeta? CurrentSongMeta => _currentChart?.Meta;
     public PlayerStats? LastStats { get; private set; }
+    public bool IsLoadingSong => _songLoad != null;
+    public string? SongLoadStage { get; private set; }  // "download" or "decode" while loading
+    public double SongLoadProgress { get; private set; }  // 0-1, -1 while the size is unknown
+    public bool StreamSongAudio { get; set; }  // Single-file songs may start before they finish decoding
+    public SongLoadResult? LoadError { get; private set; }  // Why the last StartSongAsync couldn't load the audio
     public PerspectiveCamera Camera => _camera;
 
     public GameEngine(
@@ -103,7 +118,10 @@ public class GameEngine : IAsyncDisposable
         _input.LanePressed += OnLanePressed;
         _input.LaneReleased += OnLaneReleased;
         _input.SpecialKeyPressed += OnSpecialKey;
+        _audio.LoopWrapped += OnLoopWrapped;
+        _audio.LoadProgress += OnSongLoadProgress;
         _scoring.ComboChanged += OnComboChanged;
+        _scoring.StarPowerChanged += OnStarPowerChanged;
         _scoring.ComboBreak += OnComboBreak;
     }
 
@@ -354,13 +372,28 @@ public class GameEngine : IAsyncDisposable
 
     private void SpawnUpcomingNotes()
     {
-        while (_nextNoteIndex < _chartNotes.Count)
+        var loop = _audio.LoopRegion;
+
+        while (true)
         {
+            if (_nextNoteIndex >= _chartNotes.Count || (loop != null && _chartNotes[_nextNoteIndex].Time >= loop.EndMs))
+            {
+                // Every note of this pass is out - start on the next one before the wrap is heard
+                if (loop == null || _loopPassQueued) break;
+                QueueLoopPass(loop);
+                continue;
+            }
+
             var note = _chartNotes[_nextNoteIndex];
-            double spawnTime = note.Time - NoteTravelTime;
+            double spawnTime = note.Time + _loopShiftMs - NoteTravelTime;
 
             if (_songPosition >= spawnTime)
             {
+                if (_loopPassQueued)
+                {
+                    note.Time += _loopShiftMs;
+                    _nextPassNotes.Add(note);
+                }
                 _activeNotes.Add(note);
                 _nextNoteIndex++;
             }
@@ -439,7 +472,7 @@ public class GameEngine : IAsyncDisposable
         // Find the closest unhit note in this lane
         var targetNote = _activeNotes
             .Where(n => n.Lane == lane && n.IsActive)
-            .OrderBy(n => Math.Abs(n.Time - _songPosition))
+            .OrderBy(n => Math.Abs(n.Time - timestamp))
             .FirstOrDefault();
 
         if (targetNote == null)
@@ -449,7 +482,7 @@ public class GameEngine : IAsyncDisposable
             return;
         }
 
-        double timingOffset = Math.Abs(_songPosition - targetNote.Time);
+        double timingOffset = Math.Abs(timestamp - targetNote.Time);
 
         // For hold notes, also check if we're within the hold duration
         // This allows pressing anytime from just before the head until the tail passes
@@ -458,8 +491,8 @@ public class GameEngine : IAsyncDisposable
         {
             double holdEndTime = targetNote.Time + targetNote.Duration;
             // Accept press from slightly before head to slightly after tail
-            isWithinHoldWindow = _songPosition >= (targetNote.Time - ScoringService.WINDOW_MISS) 
-                              && _songPosition <= (holdEndTime + ScoringService.WINDOW_GOOD);
+            isWithinHoldWindow = timestamp >= (targetNote.Time - ScoringService.WINDOW_MISS) 
+                              && timestamp <= (holdEndTime + ScoringService.WINDOW_GOOD);
         }
 
         if (timingOffset <= ScoringService.WINDOW_MISS || isWithinHoldWindow)
@@ -470,7 +503,7 @@ public class GameEngine : IAsyncDisposable
                 targetNote.IsHoldActive = true;
                 
                 // Calculate how much of the hold we've already missed
-                double missedTime = Math.Max(0, _songPosition - targetNote.Time);
+                double missedTime = Math.Max(0, timestamp - targetNote.Time);
                 targetNote.HoldProgress = Math.Clamp(missedTime / targetNote.Duration, 0, 1);
                 
                 // Play hit sound for starting the hold (judge based on head timing)
@@ -488,7 +521,7 @@ public class GameEngine : IAsyncDisposable
             {
                 // Regular tap note
                 targetNote.IsHit = true;
-                var result = _scoring.ProcessHit(targetNote, _songPosition);
+                var result = _scoring.ProcessHit(targetNote, timestamp);
                 _effectRenderer?.TriggerHitEffect(lane, result.Judgment);
                 _ = PlayHitSound(lane, result.Judgment);
             }
@@ -516,8 +549,8 @@ public class GameEngine : IAsyncDisposable
 
         if (holdNote == null) return;
 
-        // Get current song position (may be more up-to-date than _songPosition)
-        double currentTime = _audio.GetCurrentTime();
+        // Release timestamp is in song time (mapped onto the audio clock in JS)
+        double currentTime = timestamp;
         
         // Calculate how much of the hold was completed
         double holdEndTime = holdNote.Time + holdNote.Duration;
@@ -592,9 +625,17 @@ public class GameEngine : IAsyncDisposable
 
     private void OnComboChanged(int combo)
     {
+        // Like a real band, the guitar drops out while the combo is broken (no-op without stems)
+        _ = _audio.SetStemMutedAsync("guitar", combo == 0, GUITAR_MUTE_FADE);
         StateChanged?.Invoke();
     }
 
+    private void OnStarPowerChanged(bool active)
+    {
+        // The remaining drain time lets the audio treatment end on its own if no update arrives
+        _ = _audio.SetStarPowerActiveAsync(active, _scoring.StarPowerRemainingMs);
+    }
+
     private void OnComboBreak()
     {
         _effectRenderer?.ClearFlames();
@@ -702,8 +743,13 @@ public class GameEngine : IAsyncDisposable
     }
 
     // Public methods for UI interaction
-    public async Task StartSongAsync(string chartFile, Difficulty difficulty)
+    /// <summary>
+    /// Load a song and start its countdown. If the audio can't be loaded the song doesn't start and
+    /// LoadError says why; withoutAudio is the player's explicit choice to play it silently instead.
+    /// </summary>
+    public async Task StartSongAsync(string chartFile, Difficulty difficulty, bool withoutAudio = false)
     {
+        LoadError = null;
         _state.SelectedChartFile = chartFile;
         _state.SelectedDifficulty = difficulty;
 
@@ -713,11 +759,35 @@ public class GameEngine : IAsyncDisposable
         _currentChart = await _charts.LoadChartAsync(chartFile);
         if (_currentChart == null) return;
 
-        // Load audio
-        await _audio.LoadSongAsync(_currentChart.Meta.AudioFile);
-
-        // Load song-specific note sounds (falls back to defaults if not defined)
-        await _audio.LoadSongSoundsAsync(_currentChart.NoteSounds);
+        // Backing out (or picking another song) cancels the audio load
+        _songLoad?.Cancel();
+        var songLoad = _songLoad = new CancellationTokenSource();
+        SongLoadStage = null;
+        SongLoadProgress = -1;
+        StateChanged?.Invoke();
+        try
+        {
+            var result = await LoadSongAudioAsync(_currentChart, withoutAudio, songLoad.Token);
+            if (!result.Ok)
+            {
+                LoadError = result;
+                return;
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            return;
+        }
+        finally
+        {
+            if (_songLoad == songLoad)
+            {
+                _songLoad = null;
+                SongLoadStage = null;
+            }
+            songLoad.Dispose();
+            StateChanged?.Invoke();
+        }
 
         // Ensure audio context is resumed (browser autoplay policy)
         await _audio.EnsureAudioResumedAsync();
@@ -725,6 +795,9 @@ public class GameEngine : IAsyncDisposable
         // Get notes for selected difficulty
         _chartNotes = _charts.GetNotesForDifficulty(_currentChart, difficulty);
         _activeNotes.Clear();
+        _nextPassNotes.Clear();
+        _loopPassQueued = false;
+        _loopShiftMs = 0;
         _nextNoteIndex = 0;
         _songPosition = 0;
         _songEnded = false;
@@ -740,6 +813,12 @@ public class GameEngine : IAsyncDisposable
             _songEndTime = 5000; // 5 seconds if no notes
         }
 
+        // The player chose to play without the song's audio - the clock runs silently to the last note
+        if (withoutAudio)
+        {
+            await _audio.PlayWithoutAudioAsync(_songEndTime);
+        }
+
         // Reset scoring
         _scoring.Reset();
         _effectRenderer?.Clear();
@@ -752,6 +831,73 @@ public class GameEngine : IAsyncDisposable
         // Note: GameScreen will call StartGameLoopAsync after canvas initialization
     }
 
+    // Load audio - separate stems when the chart has them, otherwise the single mix (none at all when
+    // playing without audio)
+    private async Task<SongLoadResult> LoadSongAudioAsync(Chart chart, bool withoutAudio,
+        CancellationToken cancellationToken)
+    {
+        SongLoadResult result;
+        if (withoutAudio)
+        {
+            result = new SongLoadResult { Ok = true };
+        }
+        else if (chart.Meta.Stems?.Count > 0)
+        {
+            result = await _audio.LoadStemsAsync(chart.Meta.Stems, cancellationToken);
+        }
+        else
+        {
+            result = await _audio.LoadSongAsync(chart.Meta.AudioFile, StreamSongAudio, cancellationToken);
+        }
+        cancellationToken.ThrowIfCancellationRequested();
+        if (!result.Ok) return result;
+
+        // Load song-specific note sounds (falls back to defaults if not defined)
+        try
+        {
+            await _audio.LoadSongSoundsAsync(chart.NoteSounds);
+        }
+        catch (InvalidOperationException ex)
+        {
+            // A bad noteSounds block shouldn't stop the song - the default sounds are already in place
+            Console.WriteLine($"[LoadSongAudioAsync] WARNING: {ex.Message} - using the default note sounds");
+        }
+        await _audio.SetTempoMapAsync(chart.GetSyncTrack());
+        cancellationToken.ThrowIfCancellationRequested();
+        return result;
+    }
+
+    /// <summary>
+    /// Try the song that failed to load again - or, with withoutAudio, play it silently.
+    /// </summary>
+    public async Task RetrySongLoadAsync(bool withoutAudio = false)
+    {
+        if (_state.SelectedChartFile == null) return;
+        await StartSongAsync(_state.SelectedChartFile, _state.SelectedDifficulty, withoutAudio);
+    }
+
+    public void DismissLoadError()
+    {
+        LoadError = null;
+        StateChanged?.Invoke();
+    }
+
+    /// <summary>
+    /// Abandon a StartSongAsync that is still loading audio - it returns without starting the song.
+    /// </summary>
+    public void CancelSongLoad()
+    {
+        _songLoad?.Cancel();
+    }
+
+    private void OnSongLoadProgress(string stage, double fraction, double loaded, double total)
+    {
+        if (_songLoad == null) return;  // A streamed song decoding in the background
+        SongLoadStage = stage;
+        SongLoadProgress = fraction;
+        StateChanged?.Invoke();
+    }
+
     public async Task PauseGame()
     {
         if (_state.Current != GameStateType.Playing) return;
@@ -782,11 +928,109 @@ public class GameEngine : IAsyncDisposable
         await StartSongAsync(_state.SelectedChartFile, _state.SelectedDifficulty);
     }
 
+    /// <summary>
+    /// Loop an A/B section of the current song for practice. The count-in plays at the tempo map's
+    /// BPM at the loop start.
+    /// </summary>
+    public async Task<bool> SetPracticeLoopAsync(double startMs, double endMs, int countInBeats = 0)
+    {
+        DropQueuedLoopPass();
+        if (!await _audio.SetLoopRegionAsync(startMs, endMs, countInBeats)) return false;
+
+        // From outside the region playback restarts at the loop start (after its count-in) without a wrap
+        var loop = _audio.LoopRegion!;
+        bool inside = loop.CountInMs > 0
+            ? _songPosition > loop.StartMs && _songPosition < loop.EndMs
+            : _songPosition < loop.EndMs;
+        if (!inside)
+        {
+            _activeNotes.Clear();
+            RewindNotesTo(loop);
+        }
+        return true;
+    }
+
+    public Task ClearPracticeLoopAsync()
+    {
+        DropQueuedLoopPass();
+        return _audio.ClearLoopRegionAsync();
+    }
+
+    // Rewind spawning to the loop start with fresh copies of the section's notes. They spawn shifted by
+    // the wrap's jump until OnLoopWrapped puts them back on the song timeline.
+    private void QueueLoopPass(LoopRegion loop)
+    {
+        _loopPassQueued = true;
+        _loopShiftMs = loop.EndMs - loop.StartMs + loop.CountInMs;
+        RewindNotesTo(loop);
+    }
+
+    private void RewindNotesTo(LoopRegion loop)
+    {
+        _nextNoteIndex = _chartNotes.FindIndex(n => n.Time >= loop.StartMs);
+        if (_nextNoteIndex < 0) _nextNoteIndex = _chartNotes.Count;
+
+        for (int i = _nextNoteIndex; i < _chartNotes.Count && _chartNotes[i].Time < loop.EndMs; i++)
+        {
+            _chartNotes[i] = _chartNotes[i].Clone();
+        }
+    }
+
+    // The loop region is changing - take back notes queued for a pass that won't play
+    private void DropQueuedLoopPass()
+    {
+        if (!_loopPassQueued) return;
+
+        foreach (var note in _nextPassNotes)
+        {
+            note.Time -= _loopShiftMs;
+            _activeNotes.Remove(note);
+        }
+        _nextPassNotes.Clear();
+
+        var loop = _audio.LoopRegion;
+        _nextNoteIndex = loop == null ? _chartNotes.Count : _chartNotes.FindIndex(n => n.Time >= loop.EndMs);
+        if (_nextNoteIndex < 0) _nextNoteIndex = _chartNotes.Count;
+
+        _loopPassQueued = false;
+        _loopShiftMs = 0;
+    }
+
+    // Playback jumped back to the loop start - the queued pass becomes the current one
+    private void OnLoopWrapped(int iteration, double loopStartMs)
+    {
+        _ = _audio.StopAllHoldSustainsAsync();
+        _effectRenderer?.ClearAllHolds();
+
+        // A wrap before spawning reached the loop end (e.g. the loop was set just before it)
+        var loop = _audio.LoopRegion;
+        if (!_loopPassQueued && loop != null)
+        {
+            QueueLoopPass(loop);
+        }
+
+        _activeNotes.Clear();
+        foreach (var note in _nextPassNotes)
+        {
+            note.Time -= _loopShiftMs;
+        }
+        _activeNotes.AddRange(_nextPassNotes);
+        _nextPassNotes.Clear();
+
+        _loopPassQueued = false;
+        _loopShiftMs = 0;
+
+        StateChanged?.Invoke();
+    }
+
     public async Task QuitToMenu()
     {
+        await _audio.CancelLoadAsync();
+        await _audio.ClearLoopRegionAsync();
         await _audio.StopAllHoldSustainsAsync();
         _effectRenderer?.ClearAllHolds();
         await _audio.StopSongAsync();
+        await _audio.SetStarPowerActiveAsync(false);
         await _audio.ClearSongSoundsAsync();
         _activeNotes.Clear();
         _chartNotes.Clear();
@@ -809,6 +1053,7 @@ public class GameEngine : IAsyncDisposable
         await _audio.StopAllHoldSustainsAsync();
         _effectRenderer?.ClearAllHolds();
         await _audio.StopSongAsync();
+        await _audio.SetStarPowerActiveAsync(false);
         LastStats = _scoring.GetFinalStats(_chartNotes.Count);
         
         Console.WriteLine($"[GameEngine] Final stats: Score={LastStats.Score}, Accuracy={LastStats.Accuracy}");
@@ -821,16 +1066,28 @@ public class GameEngine : IAsyncDisposable
 
     public void GoToMainMenu()
     {
+        CancelSongLoad();
+        LoadError = null;
         _state.TransitionTo(GameStateType.MainMenu);
         StateChanged?.Invoke();
     }
 
     public void GoToSongSelect()
     {
+        CancelSongLoad();
+        LoadError = null;
         _state.TransitionTo(GameStateType.SongSelect);
         StateChanged?.Invoke();
     }
 
+    public void GoToCalibration()
+    {
+        CancelSongLoad();
+        LoadError = null;
+        _state.TransitionTo(GameStateType.Calibration);
+        StateChanged?.Invoke();
+    }
+
     public async ValueTask DisposeAsync()
     {
         await StopGameLoopAsync();
@@ -838,7 +1095,10 @@ public class GameEngine : IAsyncDisposable
         _input.LanePressed -= OnLanePressed;
         _input.LaneReleased -= OnLaneReleased;
         _input.SpecialKeyPressed -= OnSpecialKey;
+        _audio.LoopWrapped -= OnLoopWrapped;
+        _audio.LoadProgress -= OnSongLoadProgress;
         _scoring.ComboChanged -= OnComboChanged;
+        _scoring.StarPowerChanged -= OnStarPowerChanged;
         _scoring.ComboBreak -= OnComboBreak;
 
         _selfReference?.Dispose();
@@ -9,7 +9,8 @@ public enum GameStateType
     Countdown,
     Playing,
     Paused,
-    Results
+    Results,
+    Calibration
 }
 
 public class GameState
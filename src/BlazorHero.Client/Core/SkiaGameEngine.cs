@@ -28,6 +28,8 @@ public class SkiaGameEngine : IAsyncDisposable
     // Rendering
     private PerspectiveProjection _projection = new();
     private HighwayRendererSkia _highwayRenderer = new();
+    private readonly double[] _laneSpectrum = new double[5];  // One band per lane, refilled each frame
+    private BeatInfo[] _beatGrid = Array.Empty<BeatInfo>();  // Whole-song beats for the highway lines
     private NoteRendererSkia _noteRenderer = new();
     private EffectRendererSkia _effectRenderer = new();
 
@@ -46,7 +48,17 @@ public class SkiaGameEngine : IAsyncDisposable
     private double _songEndTime;
     private bool _songEnded;
 
+    // Practice loop: the next pass's notes are queued as soon as spawning reaches the loop end, shifted
+    // onto the current pass's timeline, so the notes just after the loop start travel in from the horizon
+    private readonly List<Note> _nextPassNotes = new();
+    private bool _loopPassQueued;
+    private double _loopShiftMs;  // Song time the wrap jumps back (loop length plus count-in)
+
+    // Song loading - cancelled when the player backs out or picks another song
+    private CancellationTokenSource? _songLoad;
+
     private const double COUNTDOWN_DURATION = 3000;
+    private const double GUITAR_MUTE_FADE = 40;
 
     // Note travel time varies by difficulty
     private double NoteTravelTime => _state.SelectedDifficulty switch
@@ -82,6 +94,11 @@ public class SkiaGameEngine : IAsyncDisposable
     public GameStateType CurrentState => _state.Current;
     public SongMeta? CurrentSongMeta => _currentChart?.Meta;
     public PlayerStats? LastStats { get; private set; }
+    public bool IsLoadingSong => _songLoad != null;
+    public string? SongLoadStage { get; private set; }  // "download" or "decode" while loading
+    public double SongLoadProgress { get; private set; }  // 0-1, -1 while the size is unknown
+    public bool StreamSongAudio { get; set; }  // Single-file songs may start before they finish decoding
+    public SongLoadResult? LoadError { get; private set; }  // Why the last StartSongAsync couldn't load the audio
     public List<Note> ActiveNotes => _activeNotes;
     public double CurrentNoteTravelTime => NoteTravelTime;
     public double CountdownTime => _countdownTime;
@@ -105,7 +122,12 @@ public class SkiaGameEngine : IAsyncDisposable
         _input.LanePressed += OnLanePressed;
         _input.LaneReleased += OnLaneReleased;
         _input.SpecialKeyPressed += OnSpecialKey;
+        _audio.LoopWrapped += OnLoopWrapped;
+        _audio.Beat += OnBeat;
+        _audio.Measure += OnMeasure;
+        _audio.LoadProgress += OnSongLoadProgress;
         _scoring.ComboChanged += OnComboChanged;
+        _scoring.StarPowerChanged += OnStarPowerChanged;
         _scoring.ComboBreak += OnComboBreak;
     }
 
@@ -228,13 +250,28 @@ public class SkiaGameEngine : IAsyncDisposable
 
     private void SpawnUpcomingNotes()
     {
-        while (_nextNoteIndex < _chartNotes.Count)
+        var loop = _audio.LoopRegion;
+
+        while (true)
         {
+            if (_nextNoteIndex >= _chartNotes.Count || (loop != null && _chartNotes[_nextNoteIndex].Time >= loop.EndMs))
+            {
+                // Every note of this pass is out - start on the next one before the wrap is heard
+                if (loop == null || _loopPassQueued) break;
+                QueueLoopPass(loop);
+                continue;
+            }
+
             var note = _chartNotes[_nextNoteIndex];
-            double spawnTime = note.Time - NoteTravelTime;
+            double spawnTime = note.Time + _loopShiftMs - NoteTravelTime;
 
             if (_songPosition >= spawnTime)
             {
+                if (_loopPassQueued)
+                {
+                    note.Time += _loopShiftMs;
+                    _nextPassNotes.Add(note);
+                }
                 _activeNotes.Add(note);
                 _nextNoteIndex++;
             }
@@ -305,6 +342,14 @@ public class SkiaGameEngine : IAsyncDisposable
             _state.Current == GameStateType.Paused)
         {
             bool[] laneStates = _input.GetAllLaneStates();
+
+            // Let the highway react to the music
+            _audio.GetSpectrum(_laneSpectrum);
+            _highwayRenderer.LaneLevels = _laneSpectrum;
+            _highwayRenderer.BeatPulse = _audio.GetBeatPulse();
+            _highwayRenderer.BeatLines = _beatGrid;
+            _highwayRenderer.SongPosition = _songPosition;
+            _highwayRenderer.NoteTravelTime = NoteTravelTime;
             _highwayRenderer.Render(ctx, laneStates, LaneCount);
 
             _noteRenderer.NoteTravelTime = NoteTravelTime;
@@ -320,7 +365,7 @@ public class SkiaGameEngine : IAsyncDisposable
 
         var targetNote = _activeNotes
             .Where(n => n.Lane == lane && n.IsActive)
-            .OrderBy(n => Math.Abs(n.Time - _songPosition))
+            .OrderBy(n => Math.Abs(n.Time - timestamp))
             .FirstOrDefault();
 
         if (targetNote == null)
@@ -329,14 +374,14 @@ public class SkiaGameEngine : IAsyncDisposable
             return;
         }
 
-        double timingOffset = Math.Abs(_songPosition - targetNote.Time);
+        double timingOffset = Math.Abs(timestamp - targetNote.Time);
 
         bool isWithinHoldWindow = false;
         if (targetNote.IsHoldNote)
         {
             double holdEndTime = targetNote.Time + targetNote.Duration;
-            isWithinHoldWindow = _songPosition >= (targetNote.Time - ScoringService.WINDOW_MISS)
-                              && _songPosition <= (holdEndTime + ScoringService.WINDOW_GOOD);
+            isWithinHoldWindow = timestamp >= (targetNote.Time - ScoringService.WINDOW_MISS)
+                              && timestamp <= (holdEndTime + ScoringService.WINDOW_GOOD);
         }
 
         if (timingOffset <= ScoringService.WINDOW_MISS || isWithinHoldWindow)
@@ -344,7 +389,7 @@ public class SkiaGameEngine : IAsyncDisposable
             if (targetNote.IsHoldNote)
             {
                 targetNote.IsHoldActive = true;
-                double missedTime = Math.Max(0, _songPosition - targetNote.Time);
+                double missedTime = Math.Max(0, timestamp - targetNote.Time);
                 targetNote.HoldProgress = Math.Clamp(missedTime / targetNote.Duration, 0, 1);
                 var judgment = ScoringService.GetJudgment(Math.Min(timingOffset, ScoringService.WINDOW_GOOD));
                 _ = PlayHitSound(lane, judgment);
@@ -355,7 +400,7 @@ public class SkiaGameEngine : IAsyncDisposable
             else
             {
                 targetNote.IsHit = true;
-                var result = _scoring.ProcessHit(targetNote, _songPosition);
+                var result = _scoring.ProcessHit(targetNote, timestamp);
                 _effectRenderer.TriggerHitEffect(lane, result.Judgment);
                 _ = PlayHitSound(lane, result.Judgment);
             }
@@ -378,7 +423,8 @@ public class SkiaGameEngine : IAsyncDisposable
         var holdNote = _activeNotes.FirstOrDefault(n => n.Lane == lane && n.IsHoldActive);
         if (holdNote == null) return;
 
-        double currentTime = _audio.GetCurrentTime();
+        // Release timestamp is in song time (mapped onto the audio clock in JS)
+        double currentTime = timestamp;
         double actualHoldDuration = currentTime - holdNote.Time;
         holdNote.HoldProgress = Math.Clamp(actualHoldDuration / holdNote.Duration, 0, 1);
         holdNote.IsHoldActive = false;
@@ -432,12 +478,28 @@ public class SkiaGameEngine : IAsyncDisposable
         }
     }
 
-    private void OnComboChanged(int combo) => StateChanged?.Invoke();
+    private void OnComboChanged(int combo)
+    {
+        // Guitar stem drops out while the combo is broken (no-op without stems)
+        _ = _audio.SetStemMutedAsync("guitar", combo == 0, GUITAR_MUTE_FADE);
+        StateChanged?.Invoke();
+    }
+
+    private void OnStarPowerChanged(bool active)
+    {
+        // Remaining drain time lets the audio treatment end on its own
+        _ = _audio.SetStarPowerActiveAsync(active, _scoring.StarPowerRemainingMs);
+    }
 
     private void OnComboBreak() => _effectRenderer.ClearFlames();
 
-    public async Task StartSongAsync(string chartFile, Difficulty difficulty)
+    /// <summary>
+    /// Load a song and start its countdown. If the audio can't be loaded the song doesn't start and
+    /// LoadError says why; withoutAudio is the player's explicit choice to play it silently instead.
+    /// </summary>
+    public async Task StartSongAsync(string chartFile, Difficulty difficulty, bool withoutAudio = false)
     {
+        LoadError = null;
         _state.SelectedChartFile = chartFile;
         _state.SelectedDifficulty = difficulty;
         _projection.LaneCount = LaneCount;
@@ -445,12 +507,43 @@ public class SkiaGameEngine : IAsyncDisposable
         _currentChart = await _charts.LoadChartAsync(chartFile);
         if (_currentChart == null) return;
 
-        await _audio.LoadSongAsync(_currentChart.Meta.AudioFile);
-        await _audio.LoadSongSoundsAsync(_currentChart.NoteSounds);
+        // Backing out (or picking another song) cancels the audio load
+        _songLoad?.Cancel();
+        var songLoad = _songLoad = new CancellationTokenSource();
+        SongLoadStage = null;
+        SongLoadProgress = -1;
+        StateChanged?.Invoke();
+        try
+        {
+            var result = await LoadSongAudioAsync(_currentChart, withoutAudio, songLoad.Token);
+            if (!result.Ok)
+            {
+                LoadError = result;
+                return;
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            return;
+        }
+        finally
+        {
+            if (_songLoad == songLoad)
+            {
+                _songLoad = null;
+                SongLoadStage = null;
+            }
+            songLoad.Dispose();
+            StateChanged?.Invoke();
+        }
+
         await _audio.EnsureAudioResumedAsync();
 
         _chartNotes = _charts.GetNotesForDifficulty(_currentChart, difficulty);
         _activeNotes.Clear();
+        _nextPassNotes.Clear();
+        _loopPassQueued = false;
+        _loopShiftMs = 0;
         _nextNoteIndex = 0;
         _songPosition = 0;
         _songEnded = false;
@@ -465,6 +558,15 @@ public class SkiaGameEngine : IAsyncDisposable
             _songEndTime = 5000;
         }
 
+        if (withoutAudio)
+        {
+            await _audio.PlayWithoutAudioAsync(_songEndTime);
+        }
+
+        _beatGrid = await _audio.GetBeatGridAsync(0, Math.Max(_audio.SongDuration, _songEndTime));
+        _highwayRenderer.LastBeatTime = double.NegativeInfinity;
+        _highwayRenderer.LastMeasureTime = double.NegativeInfinity;
+
         _scoring.Reset();
         _effectRenderer.Clear();
 
@@ -473,6 +575,73 @@ public class SkiaGameEngine : IAsyncDisposable
         StateChanged?.Invoke();
     }
 
+    // Load audio - separate stems when the chart has them, otherwise the single mix (none at all when
+    // playing without audio)
+    private async Task<SongLoadResult> LoadSongAudioAsync(Chart chart, bool withoutAudio,
+        CancellationToken cancellationToken)
+    {
+        SongLoadResult result;
+        if (withoutAudio)
+        {
+            result = new SongLoadResult { Ok = true };
+        }
+        else if (chart.Meta.Stems?.Count > 0)
+        {
+            result = await _audio.LoadStemsAsync(chart.Meta.Stems, cancellationToken);
+        }
+        else
+        {
+            result = await _audio.LoadSongAsync(chart.Meta.AudioFile, StreamSongAudio, cancellationToken);
+        }
+        cancellationToken.ThrowIfCancellationRequested();
+        if (!result.Ok) return result;
+
+        // Load song-specific note sounds (falls back to defaults if not defined)
+        try
+        {
+            await _audio.LoadSongSoundsAsync(chart.NoteSounds);
+        }
+        catch (InvalidOperationException ex)
+        {
+            // A bad noteSounds block shouldn't stop the song - the default sounds are already in place
+            Console.WriteLine($"[LoadSongAudioAsync] WARNING: {ex.Message} - using the default note sounds");
+        }
+        await _audio.SetTempoMapAsync(chart.GetSyncTrack());
+        cancellationToken.ThrowIfCancellationRequested();
+        return result;
+    }
+
+    /// <summary>
+    /// Try the song that failed to load again - or, with withoutAudio, play it silently.
+    /// </summary>
+    public async Task RetrySongLoadAsync(bool withoutAudio = false)
+    {
+        if (_state.SelectedChartFile == null) return;
+        await StartSongAsync(_state.SelectedChartFile, _state.SelectedDifficulty, withoutAudio);
+    }
+
+    public void DismissLoadError()
+    {
+        LoadError = null;
+        StateChanged?.Invoke();
+    }
+
+    /// <summary>
+    /// Abandon a StartSongAsync that is still loading audio - it returns without starting the song.
+    /// </summary>
+    public void CancelSongLoad()
+    {
+        _songLoad?.Cancel();
+    }
+
+    private void OnSongLoadProgress(string stage, double fraction, double loaded, double total)
+    {
+        if (_songLoad == null) return;  // A streamed song decoding in the background
+        SongLoadStage = stage;
+        SongLoadProgress = fraction;
+        StateChanged?.Invoke();
+    }
+
     public async Task PauseGame()
     {
         if (_state.Current != GameStateType.Playing) return;
@@ -503,11 +672,119 @@ public class SkiaGameEngine : IAsyncDisposable
         await StartSongAsync(_state.SelectedChartFile, _state.SelectedDifficulty);
     }
 
+    /// <summary>
+    /// Loop an A/B section of the current song for practice. The count-in plays at the tempo map's
+    /// BPM at the loop start.
+    /// </summary>
+    public async Task<bool> SetPracticeLoopAsync(double startMs, double endMs, int countInBeats = 0)
+    {
+        DropQueuedLoopPass();
+        if (!await _audio.SetLoopRegionAsync(startMs, endMs, countInBeats)) return false;
+
+        // From outside the region playback restarts at the loop start (after its count-in) without a wrap
+        var loop = _audio.LoopRegion!;
+        bool inside = loop.CountInMs > 0
+            ? _songPosition > loop.StartMs && _songPosition < loop.EndMs
+            : _songPosition < loop.EndMs;
+        if (!inside)
+        {
+            _activeNotes.Clear();
+            RewindNotesTo(loop);
+        }
+        return true;
+    }
+
+    public Task ClearPracticeLoopAsync()
+    {
+        DropQueuedLoopPass();
+        return _audio.ClearLoopRegionAsync();
+    }
+
+    // Rewind spawning to the loop start with fresh copies of the section's notes. They spawn shifted by
+    // the wrap's jump until OnLoopWrapped puts them back on the song timeline.
+    private void QueueLoopPass(LoopRegion loop)
+    {
+        _loopPassQueued = true;
+        _loopShiftMs = loop.EndMs - loop.StartMs + loop.CountInMs;
+        RewindNotesTo(loop);
+    }
+
+    private void RewindNotesTo(LoopRegion loop)
+    {
+        _nextNoteIndex = _chartNotes.FindIndex(n => n.Time >= loop.StartMs);
+        if (_nextNoteIndex < 0) _nextNoteIndex = _chartNotes.Count;
+
+        for (int i = _nextNoteIndex; i < _chartNotes.Count && _chartNotes[i].Time < loop.EndMs; i++)
+        {
+            _chartNotes[i] = _chartNotes[i].Clone();
+        }
+    }
+
+    // The loop region is changing - take back notes queued for a pass that won't play
+    private void DropQueuedLoopPass()
+    {
+        if (!_loopPassQueued) return;
+
+        foreach (var note in _nextPassNotes)
+        {
+            note.Time -= _loopShiftMs;
+            _activeNotes.Remove(note);
+        }
+        _nextPassNotes.Clear();
+
+        var loop = _audio.LoopRegion;
+        _nextNoteIndex = loop == null ? _chartNotes.Count : _chartNotes.FindIndex(n => n.Time >= loop.EndMs);
+        if (_nextNoteIndex < 0) _nextNoteIndex = _chartNotes.Count;
+
+        _loopPassQueued = false;
+        _loopShiftMs = 0;
+    }
+
+    private void OnBeat(int beat, int measure, int beatInMeasure, double timeMs)
+    {
+        _highwayRenderer.LastBeatTime = timeMs;
+    }
+
+    private void OnMeasure(int measure, double timeMs)
+    {
+        _highwayRenderer.LastMeasureTime = timeMs;
+    }
+
+    // Playback jumped back to the loop start - the queued pass becomes the current one
+    private void OnLoopWrapped(int iteration, double loopStartMs)
+    {
+        _ = _audio.StopAllHoldSustainsAsync();
+        _effectRenderer.ClearAllHolds();
+
+        // A wrap before spawning reached the loop end (e.g. the loop was set just before it)
+        var loop = _audio.LoopRegion;
+        if (!_loopPassQueued && loop != null)
+        {
+            QueueLoopPass(loop);
+        }
+
+        _activeNotes.Clear();
+        foreach (var note in _nextPassNotes)
+        {
+            note.Time -= _loopShiftMs;
+        }
+        _activeNotes.AddRange(_nextPassNotes);
+        _nextPassNotes.Clear();
+
+        _loopPassQueued = false;
+        _loopShiftMs = 0;
+
+        StateChanged?.Invoke();
+    }
+
     public async Task QuitToMenu()
     {
+        await _audio.CancelLoadAsync();
+        await _audio.ClearLoopRegionAsync();
         await _audio.StopAllHoldSustainsAsync();
         _effectRenderer.ClearAllHolds();
         await _audio.StopSongAsync();
+        await _audio.SetStarPowerActiveAsync(false);
         await _audio.ClearSongSoundsAsync();
         _activeNotes.Clear();
         _chartNotes.Clear();
@@ -525,6 +802,7 @@ public class SkiaGameEngine : IAsyncDisposable
         await _audio.StopAllHoldSustainsAsync();
         _effectRenderer.ClearAllHolds();
         await _audio.StopSongAsync();
+        await _audio.SetStarPowerActiveAsync(false);
         LastStats = _scoring.GetFinalStats(_chartNotes.Count);
 
         _state.TransitionTo(GameStateType.Results);
@@ -533,16 +811,28 @@ public class SkiaGameEngine : IAsyncDisposable
 
     public void GoToMainMenu()
     {
+        CancelSongLoad();
+        LoadError = null;
         _state.TransitionTo(GameStateType.MainMenu);
         StateChanged?.Invoke();
     }
 
     public void GoToSongSelect()
     {
+        CancelSongLoad();
+        LoadError = null;
         _state.TransitionTo(GameStateType.SongSelect);
         StateChanged?.Invoke();
     }
 
+    public void GoToCalibration()
+    {
+        CancelSongLoad();
+        LoadError = null;
+        _state.TransitionTo(GameStateType.Calibration);
+        StateChanged?.Invoke();
+    }
+
     public async ValueTask DisposeAsync()
     {
         await StopGameLoopAsync();
@@ -550,7 +840,12 @@ public class SkiaGameEngine : IAsyncDisposable
         _input.LanePressed -= OnLanePressed;
         _input.LaneReleased -= OnLaneReleased;
         _input.SpecialKeyPressed -= OnSpecialKey;
+        _audio.LoopWrapped -= OnLoopWrapped;
+        _audio.Beat -= OnBeat;
+        _audio.Measure -= OnMeasure;
+        _audio.LoadProgress -= OnSongLoadProgress;
         _scoring.ComboChanged -= OnComboChanged;
+        _scoring.StarPowerChanged -= OnStarPowerChanged;
         _scoring.ComboBreak -= OnComboBreak;
 
         _selfReference?.Dispose();
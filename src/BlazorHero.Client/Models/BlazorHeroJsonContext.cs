@@ -10,6 +10,9 @@ namespace BlazorHero.Client.Models;
 [JsonSerializable(typeof(Note))]
 [JsonSerializable(typeof(NoteSounds))]
 [JsonSerializable(typeof(LaneSound))]
+[JsonSerializable(typeof(SoundEnvelope))]
+[JsonSerializable(typeof(LaneSamples))]
+[JsonSerializable(typeof(SampleZone))]
 [JsonSerializable(typeof(SongIndex))]
 [JsonSerializable(typeof(SongIndexEntry))]
 [JsonSourceGenerationOptions(PropertyNamingPolicy = JsonKnownNamingPolicy.CamelCase)]
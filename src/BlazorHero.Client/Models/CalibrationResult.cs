@@ -0,0 +1,35 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// Recommended latency offsets measured by the calibration wizard (calibration.js).
+/// </summary>
+public record CalibrationResult
+{
+    public double AudioOffsetMs { get; init; }
+    public double InputOffsetMs { get; init; }
+    public double ReportedOutputLatencyMs { get; init; }
+    public int VisualTapCount { get; init; }
+    public int AudioTapCount { get; init; }
+    public double JitterMs { get; init; }  // Tap spread - high values mean the result is unreliable
+}
+
+/// <summary>
+/// Latency offsets currently applied by the audio engine.
+/// </summary>
+public record LatencyInfo
+{
+    public double AudioOffsetMs { get; init; }
+    public double InputOffsetMs { get; init; }
+    public double ReportedOutputLatencyMs { get; init; }
+}
+
+/// <summary>
+/// Divergence between the performance clock (input events) and the audio clock (song position).
+/// </summary>
+public record ClockDrift
+{
+    public double DriftMs { get; init; }     // Positive = audio clock behind the performance clock
+    public double MaxDriftMs { get; init; }
+    public double DriftPpm { get; init; }
+    public double ElapsedMs { get; init; }
+}
@@ -23,6 +23,15 @@ public class Chart
         return Difficulties.TryGetValue(key, out var track) ? track : null;
     }
 
+    /// <summary>
+    /// The tempo map, falling back to the meta BPM and offset for charts without a syncTrack.
+    /// </summary>
+    public List<SyncEvent> GetSyncTrack()
+    {
+        if (SyncTrack.Count > 0 || Meta.Bpm <= 0) return SyncTrack;
+        return new List<SyncEvent> { new() { Time = Meta.Offset, Bpm = Meta.Bpm, TimeSignature = new[] { 4, 4 } } };
+    }
+
     public List<Difficulty> GetAvailableDifficulties()
     {
         var available = new List<Difficulty>();
@@ -54,6 +63,10 @@ public class SongMeta
     [JsonPropertyName("audioFile")]
     public string AudioFile { get; set; } = "";
 
+    // Optional separate stems (backing, guitar, bass, drums -> audio file), played in sync instead of AudioFile
+    [JsonPropertyName("stems")]
+    public Dictionary<string, string>? Stems { get; set; }
+
     [JsonPropertyName("coverImage")]
     public string? CoverImage { get; set; }
 
@@ -116,6 +129,18 @@ public class NoteSounds
 
     [JsonPropertyName("sustain")]
     public double Sustain { get; set; } = 0.6;
+
+    /// <summary>Song-wide envelope; unset stages use the instrument's defaults.</summary>
+    [JsonPropertyName("adsr")]
+    public SoundEnvelope? Adsr { get; set; }
+
+    /// <summary>Relative partial amplitudes, index 0 = fundamental.</summary>
+    [JsonPropertyName("harmonics")]
+    public List<double>? Harmonics { get; set; }
+
+    /// <summary>Multisample set; lanes without their own samples use the nearest-pitched zone.</summary>
+    [JsonPropertyName("samples")]
+    public List<SampleZone>? Samples { get; set; }
 }
 
 public class LaneSound
@@ -125,4 +150,68 @@ public class LaneSound
 
     [JsonPropertyName("name")]
     public string Name { get; set; } = "";
+
+    // Per-lane overrides of the song-wide sound settings
+
+    [JsonPropertyName("style")]
+    public string? Style { get; set; }
+
+    [JsonPropertyName("brightness")]
+    public double? Brightness { get; set; }
+
+    [JsonPropertyName("adsr")]
+    public SoundEnvelope? Adsr { get; set; }
+
+    [JsonPropertyName("harmonics")]
+    public List<double>? Harmonics { get; set; }
+
+    /// <summary>Recorded hits for this lane, used instead of synthesis.</summary>
+    [JsonPropertyName("samples")]
+    public LaneSamples? Samples { get; set; }
+}
+
+/// <summary>
+/// Audio files for a lane's hits. A missing Good falls back to Perfect.
+/// </summary>
+public class LaneSamples
+{
+    [JsonPropertyName("perfect")]
+    public string? Perfect { get; set; }
+
+    [JsonPropertyName("good")]
+    public string? Good { get; set; }
+}
+
+/// <summary>
+/// One sample of a multisample set, recorded at Freq (Hz) and repitched to each lane that uses it.
+/// </summary>
+public class SampleZone
+{
+    [JsonPropertyName("url")]
+    public string Url { get; set; } = "";
+
+    [JsonPropertyName("freq")]
+    public double Freq { get; set; }
+
+    /// <summary>"perfect" or "good"; null means the zone serves both.</summary>
+    [JsonPropertyName("judgement")]
+    public string? Judgement { get; set; }
+}
+
+/// <summary>
+/// ADSR envelope for note sounds. Times are in seconds, sustain is a level (0-1).
+/// </summary>
+public class SoundEnvelope
+{
+    [JsonPropertyName("attack")]
+    public double? Attack { get; set; }
+
+    [JsonPropertyName("decay")]
+    public double? Decay { get; set; }
+
+    [JsonPropertyName("sustain")]
+    public double? Sustain { get; set; }
+
+    [JsonPropertyName("release")]
+    public double? Release { get; set; }
 }
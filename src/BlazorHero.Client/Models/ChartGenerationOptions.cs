@@ -0,0 +1,24 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// Settings for generating a chart from the loaded song (chartGenerator.js).
+/// Meta fields are copied into the chart; the rest tune the analysis.
+/// </summary>
+public record ChartGenerationOptions
+{
+    public string? Title { get; init; }
+    public string? Artist { get; init; }
+    public string? Album { get; init; }
+    public string? Charter { get; init; }
+    public string? AudioFile { get; init; }
+    public string? CoverImage { get; init; }
+
+    /// <summary>Known tempo; skips tempo estimation when set.</summary>
+    public double? Bpm { get; init; }
+    public double? MinBpm { get; init; }
+    public double? MaxBpm { get; init; }
+    public int? BeatsPerMeasure { get; init; }
+
+    /// <summary>Onset threshold (0-1, default 0.1). Lower finds quieter notes.</summary>
+    public double? Sensitivity { get; init; }
+}
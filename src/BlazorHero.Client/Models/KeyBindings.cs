@@ -0,0 +1,34 @@
+using System.Text.Json.Serialization;
+
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// Keyboard bindings as stored by inputHandler.js.
+/// Key names are KeyboardEvent.code values (e.g. "KeyD", "Space").
+/// </summary>
+public class KeyBindings
+{
+    // Lane index -> key code
+    [JsonPropertyName("lanes")]
+    public string[] Lanes { get; set; } = ["KeyD", "KeyF", "KeyJ", "KeyK", "KeyL"];
+
+    // Key code -> special action (e.g. "Space" -> "starpower"). Actions left out keep their default key.
+    [JsonPropertyName("special")]
+    public Dictionary<string, string> Special { get; set; } = new()
+    {
+        ["Escape"] = "escape",
+        ["Enter"] = "confirm",
+        ["Space"] = "starpower",
+        ["ArrowUp"] = "up",
+        ["ArrowDown"] = "down",
+        ["ArrowLeft"] = "left",
+        ["ArrowRight"] = "right",
+        ["KeyR"] = "restart",
+        ["Backspace"] = "back",
+        ["ShiftLeft"] = "whammy"
+    };
+
+    // Strum bar keys, only used in strum input mode
+    [JsonPropertyName("strum")]
+    public string[] Strum { get; set; } = ["Enter", "ShiftRight", "ArrowUp", "ArrowDown"];
+}
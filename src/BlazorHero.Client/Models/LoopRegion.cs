@@ -0,0 +1,15 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// A/B practice loop as applied by the audio engine - the end may be clamped to the song length.
+/// </summary>
+public record LoopRegion
+{
+    public double StartMs { get; init; }
+    public double EndMs { get; init; }
+    public int CountInBeats { get; init; }
+    public double Bpm { get; init; }
+
+    // Song time the count-in clicks take before each pass; playback wraps from EndMs back to StartMs - CountInMs
+    public double CountInMs => CountInBeats > 0 && Bpm > 0 ? CountInBeats * 60000 / Bpm : 0;
+}
@@ -0,0 +1,12 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// Metronome settings (metronome.js), saved in the browser.
+/// </summary>
+public record MetronomeSettings
+{
+    public bool Enabled { get; init; }  // Click along with the song's tempo map while it plays
+    public double Volume { get; init; } = 0.8;
+    public int CountInBeats { get; init; }  // Clicks before the song starts (and on resume)
+    public bool Running { get; init; }  // Read-only: the scheduler is clicking right now
+}
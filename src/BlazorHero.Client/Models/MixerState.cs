@@ -0,0 +1,61 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// Snapshot of the audio engine's mixer (mixer.js) for the settings UI.
+/// </summary>
+public record MixerState
+{
+    /// <summary>Buses by name: master, music, sfx, holds.</summary>
+    public Dictionary<string, MixerBusState> Buses { get; init; } = new();
+    public bool AnySolo { get; init; }
+    public string[] Presets { get; init; } = Array.Empty<string>();
+}
+
+public record MixerBusState
+{
+    public double Gain { get; init; } = 1;
+    public bool Muted { get; init; }
+    public bool Solo { get; init; }
+    public bool Audible { get; init; }  // False when muted or silenced by another bus's solo
+    public MixerInserts Inserts { get; init; } = new();
+}
+
+public record MixerInserts
+{
+    public EqInsert Eq { get; init; } = new();
+    public CompressorInsert Compressor { get; init; } = new();
+    public ReverbInsert Reverb { get; init; } = new();
+    public LimiterInsert Limiter { get; init; } = new();
+}
+
+/// <summary>Three-band EQ, gains in dB.</summary>
+public record EqInsert
+{
+    public bool Enabled { get; init; }
+    public double Low { get; init; }
+    public double Mid { get; init; }
+    public double High { get; init; }
+}
+
+public record CompressorInsert
+{
+    public bool Enabled { get; init; }
+    public double Threshold { get; init; } = -24;  // dB
+    public double Knee { get; init; } = 30;
+    public double Ratio { get; init; } = 4;
+    public double Attack { get; init; } = 0.003;  // Seconds
+    public double Release { get; init; } = 0.25;
+}
+
+public record ReverbInsert
+{
+    public bool Enabled { get; init; }
+    public double Mix { get; init; } = 0.2;  // Wet level 0-1
+    public double Decay { get; init; } = 1.8;  // Seconds
+}
+
+public record LimiterInsert
+{
+    public bool Enabled { get; init; }
+    public double Ceiling { get; init; } = -1;  // dB
+}
@@ -0,0 +1,23 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// A song time as a measure and beat, from the chart's tempo map (tempoMap.js).
+/// </summary>
+public record MusicalPosition
+{
+    public int Measure { get; init; }
+    public double Beat { get; init; }  // Beat within the measure, fractional
+    public int BeatsPerMeasure { get; init; }
+}
+
+/// <summary>
+/// One whole beat on the tempo map - used for highway beat lines.
+/// </summary>
+public record BeatInfo
+{
+    public double Time { get; init; }
+    public int Beat { get; init; }  // Beats since the first sync event
+    public int Measure { get; init; }
+    public int BeatInMeasure { get; init; }
+    public bool IsDownbeat { get; init; }
+}
@@ -0,0 +1,25 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// A song downloaded for offline play (offlineStore.js).
+/// </summary>
+public record OfflineSong
+{
+    public string ChartFile { get; init; } = "";
+    public long Bytes { get; init; }
+    public double DownloadedAt { get; init; }  // Unix time (ms)
+    public double LastPlayedAt { get; init; }  // Unix time (ms) - the least recent is evicted first
+}
+
+/// <summary>
+/// Browser storage use. Usage and Quota cover the whole app (shell cache included) and are 0 when the
+/// browser doesn't report them; SongBytes is just the downloaded songs.
+/// </summary>
+public record StorageInfo
+{
+    public long Usage { get; init; }
+    public long Quota { get; init; }
+    public long SongBytes { get; init; }
+    public int SongCount { get; init; }
+    public bool Persisted { get; init; }  // False means the browser may clear downloads under storage pressure
+}
@@ -0,0 +1,24 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// Outcome of importing a song from local files (songImporter.js). When not Ok, Errors says why -
+/// one line per problem for a malformed chart.
+/// </summary>
+public record SongImportResult
+{
+    public bool Ok { get; init; }
+    public string? ChartFile { get; init; }  // "import:<id>" once imported
+    public string? Title { get; init; }
+    public bool ChartGenerated { get; init; }  // No chart came with the audio, so one was generated
+    public string[] Errors { get; init; } = Array.Empty<string>();
+    public string[] Warnings { get; init; } = Array.Empty<string>();  // Imported anyway, e.g. files the chart doesn't use
+}
+
+/// <summary>
+/// An imported song's chart, its files pointing at the copies stored in the browser.
+/// </summary>
+public record ImportedSong
+{
+    public string ChartFile { get; init; } = "";
+    public Chart Chart { get; init; } = new();
+}
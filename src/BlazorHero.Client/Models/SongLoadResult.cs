@@ -0,0 +1,25 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// Outcome of loading a song's audio (AudioService.LoadSongAsync / LoadStemsAsync).
+/// </summary>
+public record SongLoadResult
+{
+    public bool Ok { get; init; }
+    public double DurationMs { get; init; }
+    public string Url { get; init; } = "";  // The file that loaded (maybe a codec fallback), or the one that failed
+    public string? Error { get; init; }  // A SongLoadError kind when not Ok
+    public string? Message { get; init; }
+    public string[] Missing { get; init; } = Array.Empty<string>();  // Stems that failed while others loaded
+}
+
+/// <summary>
+/// Why a song's audio failed to load (SongLoadResult.Error).
+/// </summary>
+public static class SongLoadError
+{
+    public const string NotFound = "not-found";
+    public const string UnsupportedCodec = "unsupported-codec";
+    public const string DecodeFailed = "decode-failed";
+    public const string NetworkAborted = "network-aborted";
+}
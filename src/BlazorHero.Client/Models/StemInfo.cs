@@ -0,0 +1,12 @@
+namespace BlazorHero.Client.Models;
+
+/// <summary>
+/// A song stem loaded by the audio engine (backing, guitar, bass or drums).
+/// </summary>
+public record StemInfo
+{
+    public string Name { get; init; } = "";
+    public double Volume { get; init; }
+    public bool Muted { get; init; }
+    public double DurationMs { get; init; }
+}
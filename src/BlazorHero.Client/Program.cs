@@ -20,5 +20,8 @@ builder.Services.AddSingleton<ChartService>();  // Must be Singleton since GameE
 builder.Services.AddSingleton<GameEngine>();
 builder.Services.AddSingleton<SkiaGameEngine>(); // Skia-based rendering engine
 builder.Services.AddSingleton<DeviceService>(); // Device detection for mobile support
+builder.Services.AddSingleton<CalibrationService>(); // Audio/input latency calibration
+builder.Services.AddSingleton<OfflineService>(); // Song downloads for offline play
+builder.Services.AddSingleton<SongImportService>(); // Songs imported from local files
 
 await builder.Build().RunAsync();
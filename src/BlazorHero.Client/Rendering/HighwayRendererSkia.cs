@@ -1,3 +1,5 @@
+using BlazorHero.Client.Models;
+
 namespace BlazorHero.Client.Rendering;
 
 /// <summary>
@@ -24,10 +26,30 @@ public class HighwayRendererSkia
         "#C2410C"
     };
 
+    /// <summary>Beat pulse from the song (0-1) - brightens the highway edge and hit line.</summary>
+    public double BeatPulse { get; set; }
+
+    /// <summary>Music level per lane (0-1, low to high frequency) - tints the lane backgrounds.</summary>
+    public double[]? LaneLevels { get; set; }
+
+    /// <summary>Beats from the tempo map, in time order - drawn as lines scrolling with the notes.</summary>
+    public IReadOnlyList<BeatInfo>? BeatLines { get; set; }
+
+    public double SongPosition { get; set; }
+    public double NoteTravelTime { get; set; } = 2200;
+
+    /// <summary>Song times of the last beat and bar line heard (AudioService.Beat/Measure) - the hit line flashes on them.</summary>
+    public double LastBeatTime { get; set; } = double.NegativeInfinity;
+    public double LastMeasureTime { get; set; } = double.NegativeInfinity;
+
+    private const double BeatFlashMs = 150;
+    private const double BeatFlashLevel = 0.4;  // Beats between bar lines flash this much of a bar line's flash
+
     public void Render(IGameRenderContext ctx, bool[] laneStates, int laneCount)
     {
         RenderHighwayBackground(ctx);
         RenderLaneDividers(ctx);
+        RenderBeatLines(ctx);
         RenderHitLine(ctx);
         RenderLaneButtons(ctx, laneStates, laneCount);
     }
@@ -54,8 +76,8 @@ public class HighwayRendererSkia
         ctx.FillStyle = "rgba(15, 15, 25, 0.95)";
         ctx.Fill();
 
-        // Subtle edge glow
-        ctx.StrokeStyle = "rgba(100, 100, 180, 0.3)";
+        // Subtle edge glow, pulsing with the beat
+        ctx.StrokeStyle = $"rgba(100, 100, 180, {0.3 + 0.5 * BeatPulse})";
         ctx.LineWidth = 2;
         ctx.Stroke();
 
@@ -87,9 +109,10 @@ public class HighwayRendererSkia
         ctx.LineTo((float)leftBottom, (float)bottomY);
         ctx.ClosePath();
 
-        // Very subtle lane color tint
+        // Very subtle lane color tint, lifted by the music in this lane's band
         string color = LaneColors[laneIndex];
-        ctx.FillStyle = $"{color}08";
+        double level = LaneLevels != null && laneIndex < LaneLevels.Length ? LaneLevels[laneIndex] : 0;
+        ctx.FillStyle = $"{color}{(int)(8 + level * 40):X2}";
         ctx.Fill();
     }
 
@@ -135,6 +158,33 @@ public class HighwayRendererSkia
         ctx.Stroke();
     }
 
+    private void RenderBeatLines(IGameRenderContext ctx)
+    {
+        if (BeatLines == null) return;
+
+        var perspective = ctx.Perspective;
+
+        foreach (var beat in BeatLines)
+        {
+            double timeUntilHit = beat.Time - SongPosition;
+            if (timeUntilHit < 0) continue;
+            if (timeUntilHit > NoteTravelTime) break;
+
+            double z = perspective.TimeToNormalizedZ(timeUntilHit, NoteTravelTime);
+            var (left, y, _) = perspective.Project(-1, z);
+            var (right, _, _) = perspective.Project(1, z);
+
+            // Bar lines stand out from the beats between them
+            ctx.StrokeStyle = beat.IsDownbeat ? "rgba(255, 255, 255, 0.35)" : "rgba(255, 255, 255, 0.12)";
+            ctx.LineWidth = beat.IsDownbeat ? 3 : 1;
+
+            ctx.BeginPath();
+            ctx.MoveTo((float)left, (float)y);
+            ctx.LineTo((float)right, (float)y);
+            ctx.Stroke();
+        }
+    }
+
     private void RenderHitLine(IGameRenderContext ctx)
     {
         var perspective = ctx.Perspective;
@@ -142,11 +192,12 @@ public class HighwayRendererSkia
         var (left, y, _) = perspective.Project(-1, 0);
         var (right, _, _) = perspective.Project(1, 0);
 
-        // Glowing hit line
-        ctx.SetShadow("rgba(255, 255, 255, 0.9)", 20);
+        // Glowing hit line, flaring as each beat and bar line crosses it
+        double flash = Math.Max(BeatFlashLevel * FlashLevel(LastBeatTime), FlashLevel(LastMeasureTime));
+        ctx.SetShadow("rgba(255, 255, 255, 0.9)", (float)(20 + 25 * BeatPulse + 20 * flash));
 
         ctx.StrokeStyle = "rgba(255, 255, 255, 1.0)";
-        ctx.LineWidth = 4;
+        ctx.LineWidth = (float)(4 + 2 * flash);
 
         ctx.BeginPath();
         ctx.MoveTo((float)left, (float)y);
@@ -157,6 +208,13 @@ public class HighwayRendererSkia
         ctx.ClearShadow();
     }
 
+    // 1 as the beat is heard, fading to 0; a loop wrap jumping back before it also ends the flash
+    private double FlashLevel(double beatTime)
+    {
+        double since = SongPosition - beatTime;
+        return since >= 0 && since < BeatFlashMs ? 1 - since / BeatFlashMs : 0;
+    }
+
     private void RenderLaneButtons(IGameRenderContext ctx, bool[] laneStates, int laneCount)
     {
         for (int i = 0; i < laneCount; i++)
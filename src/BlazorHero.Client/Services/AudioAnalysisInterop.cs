@@ -0,0 +1,24 @@
+using System.Runtime.InteropServices.JavaScript;
+using System.Runtime.Versioning;
+
+namespace BlazorHero.Client.Services;
+
+/// <summary>
+/// Direct [JSImport] bindings to audioEngine.js for per-frame analysis reads.
+/// Unlike IJSRuntime calls, spans are marshalled in place, so polling every frame allocates nothing.
+/// </summary>
+[SupportedOSPlatform("browser")]
+internal static partial class AudioAnalysisInterop
+{
+    public const string ModuleName = "audioEngine";
+    public const string ModuleUrl = "../js/audioEngine.js";  // Relative to _framework/
+
+    [JSImport("getSpectrumInto", ModuleName)]
+    public static partial int GetSpectrumInto([JSMarshalAs<JSType.MemoryView>] Span<double> bands);
+
+    [JSImport("getRms", ModuleName)]
+    public static partial double GetRms();
+
+    [JSImport("getBeatPulse", ModuleName)]
+    public static partial double GetBeatPulse();
+}
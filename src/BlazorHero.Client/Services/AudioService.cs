@@ -1,4 +1,6 @@
+using System.Runtime.InteropServices.JavaScript;
 using Microsoft.JSInterop;
+using BlazorHero.Client.Models;
 
 namespace BlazorHero.Client.Services;
 
@@ -7,10 +9,25 @@ public class AudioService : IAsyncDisposable
     private readonly IJSRuntime _js;
     private IJSObjectReference? _audioModule;
     private IJSInProcessObjectReference? _audioModuleSync;  // For sync interop in game loop
+    private DotNetObjectReference<AudioService>? _selfReference;
     private bool _isInitialized;
+    private bool _analysisReady;  // [JSImport] bindings for per-frame analysis (AudioAnalysisInterop)
+    private readonly Dictionary<string, bool> _stemMuted = new();
+
+    // Events
+    public event Action<int, double>? LoopWrapped;  // iteration, loop start (ms)
+    public event Action<double>? ChartProgress;  // GenerateChartAsync progress (0-1)
+    public event Action<int, int, int, double>? Beat;  // beat, measure, beat in measure, song time (ms)
+    public event Action<int, double>? Measure;  // measure, song time (ms)
+    public event Action<string, double, double, double>? LoadProgress;  // stage, fraction (-1 = unknown), bytes loaded, bytes total
+    public event Action<double>? SongDecoded;  // Streamed song fully decoded - its duration (ms)
 
     public bool IsInitialized => _isInitialized;
     public double SongDuration { get; private set; }
+    public double PlaybackRate { get; private set; } = 1.0;
+    public LoopRegion? LoopRegion { get; private set; }
+    public bool IsLooping => LoopRegion != null;
+    public IReadOnlyCollection<string> LoadedStems => _stemMuted.Keys;
 
     public AudioService(IJSRuntime js)
     {
@@ -28,6 +45,17 @@ public class AudioService : IAsyncDisposable
         _audioModuleSync = _audioModule as IJSInProcessObjectReference;
 
         await _audioModule.InvokeVoidAsync("initAudio");
+
+        _selfReference ??= DotNetObjectReference.Create(this);
+        await _audioModule.InvokeVoidAsync("setAudioCallbacks", _selfReference);
+
+        // Same module instance, bound for allocation-free analysis reads
+        if (OperatingSystem.IsBrowser() && !_analysisReady)
+        {
+            await JSHost.ImportAsync(AudioAnalysisInterop.ModuleName, AudioAnalysisInterop.ModuleUrl);
+            _analysisReady = true;
+        }
+
         _isInitialized = true;
     }
 
@@ -51,15 +79,141 @@ public class AudioService : IAsyncDisposable
         }
     }
 
-    public async Task<double> LoadSongAsync(string audioFile)
+    /// <summary>
+    /// Load a single-file song. Network failures are retried, and an unusable file falls back to the same
+    /// song in another format (.mp3/.ogg/.m4a). A failed load returns a result with the SongLoadError
+    /// kind - nothing plays until a song loads or PlayWithoutAudioAsync opts in to silence.
+    /// LoadProgress reports the download ("download") and decode ("decode") stages. With streamPlayback
+    /// the song can play before it has fully decoded; SongDecoded fires once it has.
+    /// Cancelling the token abandons the load and throws OperationCanceledException.
+    /// </summary>
+    public async Task<SongLoadResult> LoadSongAsync(string audioFile, bool streamPlayback = false,
+        CancellationToken cancellationToken = default)
+    {
+        var result = await LoadAsync("loadSong", cancellationToken, audioFile, new { streamPlayback });
+        _stemMuted.Clear();
+        return result;
+    }
+
+    /// <summary>
+    /// Abandon the song load in flight (and stop a streamed song that is still decoding).
+    /// </summary>
+    public async Task CancelLoadAsync()
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("cancelLoad");
+    }
+
+    [JSInvokable]
+    public void OnLoadProgress(string stage, double fraction, double loaded, double total)
+    {
+        LoadProgress?.Invoke(stage, fraction, loaded, total);
+    }
+
+    [JSInvokable]
+    public void OnSongDecoded(double durationMs)
+    {
+        SongDuration = durationMs;
+        SongDecoded?.Invoke(durationMs);
+    }
+
+    /// <summary>
+    /// Load separate stems (backing, guitar, bass, drums) that play sample-aligned as one song. Stems
+    /// that fail are skipped (listed in Missing); the result only fails when none load.
+    /// </summary>
+    public async Task<SongLoadResult> LoadStemsAsync(IReadOnlyDictionary<string, string> stems,
+        CancellationToken cancellationToken = default)
+    {
+        var result = await LoadAsync("loadStems", cancellationToken, stems);
+
+        _stemMuted.Clear();
+        var loaded = await _audioModule!.InvokeAsync<StemInfo[]>("getStems");
+        foreach (var stem in loaded)
+        {
+            _stemMuted[stem.Name] = false;
+        }
+        return result;
+    }
+
+    private async Task<SongLoadResult> LoadAsync(string function, CancellationToken cancellationToken, params object?[] args)
+    {
+        if (!_isInitialized)
+        {
+            await InitializeAsync();
+        }
+        cancellationToken.ThrowIfCancellationRequested();
+
+        SongLoadResult result;
+        using (cancellationToken.Register(() => _ = CancelLoadAsync()))
+        {
+            try
+            {
+                result = await _audioModule!.InvokeAsync<SongLoadResult>(function, args);
+            }
+            catch (JSException) when (cancellationToken.IsCancellationRequested)
+            {
+                throw new OperationCanceledException(cancellationToken);
+            }
+        }
+
+        SongDuration = result.DurationMs;
+        LoopRegion = null;  // Loading a song drops the previous loop region
+        return result;
+    }
+
+    /// <summary>
+    /// Opt in to playing with no song audio: the song clock runs silently for durationMs. Used when the
+    /// player chooses to carry on after a failed load - playback never falls back to this by itself.
+    /// </summary>
+    public async Task PlayWithoutAudioAsync(double durationMs)
+    {
+        if (!_isInitialized)
+        {
+            await InitializeAsync();
+        }
+
+        SongDuration = await _audioModule!.InvokeAsync<double>("playWithoutAudio", durationMs);
+        LoopRegion = null;
+        _stemMuted.Clear();
+    }
+
+    /// <summary>
+    /// Mute or unmute a stem, fading over fadeMs. Ignored for stems the song doesn't have,
+    /// and skipped when the stem is already in the requested state.
+    /// </summary>
+    public async Task SetStemMutedAsync(string stem, bool muted, double fadeMs = 0)
+    {
+        if (_audioModule == null) return;
+        if (!_stemMuted.TryGetValue(stem, out var current) || current == muted) return;
+
+        _stemMuted[stem] = muted;
+        await _audioModule.InvokeVoidAsync("setStemMuted", stem, muted, fadeMs);
+    }
+
+    public async Task SetStemVolumeAsync(string stem, double volume, double fadeMs = 0)
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("setStemVolume", stem, volume, fadeMs);
+    }
+
+    /// <summary>
+    /// Play a song's preview window on the preview channel, crossfading from the previous one.
+    /// Doesn't touch the gameplay song buffer. Recent previews are cached.
+    /// </summary>
+    public async Task<bool> PlayPreviewAsync(string audioFile, double startMs, double endMs)
     {
         if (!_isInitialized)
         {
             await InitializeAsync();
         }
 
-        SongDuration = await _audioModule!.InvokeAsync<double>("loadSong", audioFile);
-        return SongDuration;
+        return await _audioModule!.InvokeAsync<bool>("playPreview", audioFile, startMs, endMs);
+    }
+
+    public async Task StopPreviewAsync()
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("stopPreview");
     }
 
     public async Task<bool> LoadSfxAsync(string name, string url)
@@ -93,6 +247,149 @@ public class AudioService : IAsyncDisposable
         await _audioModule.InvokeVoidAsync("stopSong");
     }
 
+    /// <summary>
+    /// Set the practice speed (0.25x to 2x). With preservePitch the song is run through an
+    /// AudioWorklet pitch shifter so slowing down doesn't lower the pitch.
+    /// Song time (GetCurrentTime) keeps matching chart time at any rate.
+    /// </summary>
+    public async Task<double> SetPlaybackRateAsync(double rate, bool preservePitch = false)
+    {
+        if (_audioModule == null) return PlaybackRate;
+        PlaybackRate = await _audioModule.InvokeAsync<double>("setPlaybackRate", rate, preservePitch);
+        return PlaybackRate;
+    }
+
+    /// <summary>
+    /// Loop playback between two song positions for practice. With countInBeats > 0 every pass
+    /// starts with that many metronome clicks at the given BPM (0 = the tempo map's at startMs).
+    /// LoopWrapped fires each time playback returns to the loop start.
+    /// </summary>
+    public async Task<bool> SetLoopRegionAsync(double startMs, double endMs, int countInBeats = 0, double bpm = 0)
+    {
+        if (_audioModule == null) return false;
+        bool applied = await _audioModule.InvokeAsync<bool>("setLoopRegion", startMs, endMs, countInBeats, bpm);
+        if (applied)
+        {
+            // Read it back: the engine clamps the end and fills in the count-in BPM
+            LoopRegion = await _audioModule.InvokeAsync<LoopRegion>("getLoopRegion");
+        }
+        return applied;
+    }
+
+    public async Task ClearLoopRegionAsync()
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("clearLoopRegion");
+        LoopRegion = null;
+    }
+
+    [JSInvokable]
+    public void OnLoopWrapped(int iteration, double loopStartMs)
+    {
+        LoopWrapped?.Invoke(iteration, loopStartMs);
+    }
+
+    /// <summary>
+    /// Set the tempo map from a chart's syncTrack (tempo and time signature changes). Drives the
+    /// beat conversions, the Beat/Measure events and the practice count-in tempo.
+    /// </summary>
+    public async Task SetTempoMapAsync(IEnumerable<SyncEvent>? syncTrack)
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("setTempoMap", syncTrack);
+    }
+
+    /// <summary>
+    /// Beats since the first sync event at a song time (sync, fractional).
+    /// </summary>
+    public double MsToBeats(double ms)
+    {
+        if (_audioModuleSync == null) return 0;
+        return _audioModuleSync.Invoke<double>("msToBeats", ms);
+    }
+
+    public double BeatsToMs(double beats)
+    {
+        if (_audioModuleSync == null) return 0;
+        return _audioModuleSync.Invoke<double>("beatsToMs", beats);
+    }
+
+    public MusicalPosition MsToMeasure(double ms)
+    {
+        if (_audioModuleSync == null) return new MusicalPosition();
+        return _audioModuleSync.Invoke<MusicalPosition>("msToMeasure", ms);
+    }
+
+    public double MeasureToMs(int measure, double beat = 0)
+    {
+        if (_audioModuleSync == null) return 0;
+        return _audioModuleSync.Invoke<double>("measureToMs", measure, beat);
+    }
+
+    /// <summary>
+    /// Every whole beat from fromMs up to toMs, with measure positions - for drawing beat lines.
+    /// </summary>
+    public async Task<BeatInfo[]> GetBeatGridAsync(double fromMs, double toMs)
+    {
+        if (_audioModule == null) return Array.Empty<BeatInfo>();
+        return await _audioModule.InvokeAsync<BeatInfo[]>("getBeatGrid", fromMs, toMs);
+    }
+
+    [JSInvokable]
+    public void OnBeat(int beat, int measure, int beatInMeasure, double timeMs)
+    {
+        Beat?.Invoke(beat, measure, beatInMeasure, timeMs);
+    }
+
+    [JSInvokable]
+    public void OnMeasure(int measure, double timeMs)
+    {
+        Measure?.Invoke(measure, timeMs);
+    }
+
+    /// <summary>
+    /// Change the metronome settings. Enabling or disabling takes effect immediately during play;
+    /// the count-in applies from the next PlaySongAsync/ResumeSongAsync.
+    /// </summary>
+    public async Task<MetronomeSettings?> SetMetronomeAsync(MetronomeSettings settings)
+    {
+        if (_audioModule == null) return null;
+        return await _audioModule.InvokeAsync<MetronomeSettings>("setMetronome",
+            new { settings.Enabled, settings.Volume, settings.CountInBeats });
+    }
+
+    /// <summary>
+    /// Turn the metronome on or off (e.g. from the pause menu) and return the new state.
+    /// </summary>
+    public async Task<bool> ToggleMetronomeAsync()
+    {
+        if (_audioModule == null) return false;
+        var current = await _audioModule.InvokeAsync<MetronomeSettings>("getMetronome");
+        var updated = await _audioModule.InvokeAsync<MetronomeSettings>("setMetronome", new { enabled = !current.Enabled });
+        return updated.Enabled;
+    }
+
+    public async Task<MetronomeSettings?> GetMetronomeAsync()
+    {
+        if (_audioModule == null) return null;
+        return await _audioModule.InvokeAsync<MetronomeSettings>("getMetronome");
+    }
+
+    /// <summary>
+    /// Click a steady tempo without a song, for calibration and practice. Stops when a song plays.
+    /// </summary>
+    public async Task<bool> StartMetronomeAsync(double bpm, int beatsPerMeasure = 4)
+    {
+        if (_audioModule == null) return false;
+        return await _audioModule.InvokeAsync<bool>("startMetronome", bpm, beatsPerMeasure);
+    }
+
+    public async Task StopMetronomeAsync()
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("stopMetronome");
+    }
+
     /// <summary>
     /// Gets the current song position in milliseconds (async version).
     /// </summary>
@@ -113,6 +410,38 @@ public class AudioService : IAsyncDisposable
         return _audioModuleSync.Invoke<double>("getCurrentTime");
     }
 
+    /// <summary>
+    /// Fill bands with the song spectrum (log-spaced, 40 Hz - 16 kHz, each 0-1) and return the count filled.
+    /// Sync and allocation-free - meant for the render loop.
+    /// </summary>
+    public int GetSpectrum(Span<double> bands)
+    {
+        if (!_analysisReady || !OperatingSystem.IsBrowser())
+        {
+            bands.Clear();
+            return 0;
+        }
+        return AudioAnalysisInterop.GetSpectrumInto(bands);
+    }
+
+    /// <summary>
+    /// Song loudness (RMS, 0-1). Sync - for the render loop.
+    /// </summary>
+    public double GetRms()
+    {
+        if (!_analysisReady || !OperatingSystem.IsBrowser()) return 0;
+        return AudioAnalysisInterop.GetRms();
+    }
+
+    /// <summary>
+    /// 1 on a detected beat, decaying towards 0 over ~150ms. Sync - for the render loop.
+    /// </summary>
+    public double GetBeatPulse()
+    {
+        if (!_analysisReady || !OperatingSystem.IsBrowser()) return 0;
+        return AudioAnalysisInterop.GetBeatPulse();
+    }
+
     public async ValueTask<bool> IsPlayingAsync()
     {
         if (_audioModule == null) return false;
@@ -137,6 +466,76 @@ public class AudioService : IAsyncDisposable
         await _audioModule.InvokeVoidAsync("setSfxVolume", volume);
     }
 
+    /// <summary>
+    /// Start or stop the star power audio treatment (filter sweep, stereo widening, brighter hits).
+    /// With durationMs it also ends by itself; calling again while active resets the remaining time.
+    /// </summary>
+    public async Task SetStarPowerActiveAsync(bool active, double durationMs = 0)
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("setStarPowerActive", active, durationMs);
+    }
+
+    // Mixer buses: "master", "music", "sfx", "holds". These sit after the volume settings above.
+
+    public async Task<bool> SetBusGainAsync(string bus, double gain, double fadeMs = 0)
+    {
+        if (_audioModule == null) return false;
+        return await _audioModule.InvokeAsync<bool>("setBusGain", bus, gain, fadeMs);
+    }
+
+    public async Task<bool> SetBusMutedAsync(string bus, bool muted)
+    {
+        if (_audioModule == null) return false;
+        return await _audioModule.InvokeAsync<bool>("setBusMuted", bus, muted);
+    }
+
+    /// <summary>
+    /// Solo a channel bus (music, sfx or holds); while any bus is soloed the others are silent.
+    /// </summary>
+    public async Task<bool> SetBusSoloAsync(string bus, bool solo)
+    {
+        if (_audioModule == null) return false;
+        return await _audioModule.InvokeAsync<bool>("setBusSolo", bus, solo);
+    }
+
+    /// <summary>
+    /// Update an insert ("eq", "compressor", "reverb" or "limiter") on a bus. Only the given
+    /// settings change, e.g. new { enabled = true, mix = 0.3 }.
+    /// </summary>
+    public async Task<bool> SetBusInsertAsync(string bus, string insert, object settings)
+    {
+        if (_audioModule == null) return false;
+        return await _audioModule.InvokeAsync<bool>("setBusInsert", bus, insert, settings);
+    }
+
+    public async Task<MixerState?> GetMixerStateAsync()
+    {
+        if (_audioModule == null) return null;
+        return await _audioModule.InvokeAsync<MixerState>("getMixerState");
+    }
+
+    public async Task<bool> SaveMixerPresetAsync(string name)
+    {
+        if (_audioModule == null) return false;
+        return await _audioModule.InvokeAsync<bool>("saveMixerPreset", name);
+    }
+
+    /// <summary>
+    /// Apply a saved or built-in preset ("flat", "night", "arena"). It becomes the current mix.
+    /// </summary>
+    public async Task<bool> LoadMixerPresetAsync(string name)
+    {
+        if (_audioModule == null) return false;
+        return await _audioModule.InvokeAsync<bool>("loadMixerPreset", name);
+    }
+
+    public async Task<bool> DeleteMixerPresetAsync(string name)
+    {
+        if (_audioModule == null) return false;
+        return await _audioModule.InvokeAsync<bool>("deleteMixerPreset", name);
+    }
+
     public async Task StartHoldSustainAsync(int lane, double volume = 0.4)
     {
         if (_audioModule == null) return;
@@ -155,10 +554,75 @@ public class AudioService : IAsyncDisposable
         await _audioModule.InvokeVoidAsync("stopAllHoldSustains");
     }
 
+    /// <summary>
+    /// Bend the sustain on a lane: -1 (dive) to 1 (bend up), 0 at rest.
+    /// Vibrato and a filter sweep deepen with the bend.
+    /// </summary>
+    public async Task SetHoldBendAsync(int lane, double amount)
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("setHoldBend", lane, amount);
+    }
+
+    /// <summary>
+    /// Set the whammy position (0-1), diving every active sustain. Input handlers already do
+    /// this in JS; use it for bends that originate in .NET.
+    /// </summary>
+    public async Task SetWhammyAsync(double amount)
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("setWhammy", amount);
+    }
+
+    /// <summary>
+    /// Generate the song's note sounds from its chart noteSounds config, loading any chart samples
+    /// (samples that fail to load keep their synthesized sound). Throws InvalidOperationException when the config is invalid (e.g. an unknown style);
+    /// the previous song's sounds are already cleared by then, so the defaults play.
+    /// </summary>
     public async Task LoadSongSoundsAsync(object? noteSoundsConfig)
     {
         if (_audioModule == null) return;
-        await _audioModule.InvokeVoidAsync("loadSongSounds", noteSoundsConfig);
+        try
+        {
+            await _audioModule.InvokeVoidAsync("loadSongSounds", noteSoundsConfig);
+        }
+        catch (JSException ex)
+        {
+            throw new InvalidOperationException($"Could not load note sounds: {ex.Message}", ex);
+        }
+    }
+
+    /// <summary>
+    /// Check a noteSounds config without loading it. Returns the problems found (empty when valid).
+    /// </summary>
+    public async Task<string[]> ValidateNoteSoundsAsync(object? noteSoundsConfig)
+    {
+        if (_audioModule == null) return Array.Empty<string>();
+        return await _audioModule.InvokeAsync<string[]>("validateNoteSounds", noteSoundsConfig);
+    }
+
+    /// <summary>
+    /// Generate a chart from the loaded song: onset detection, tempo estimation and a note grid for
+    /// every difficulty, run in a worker. ChartProgress reports progress. Throws
+    /// InvalidOperationException when no song is loaded or too few onsets are found.
+    /// </summary>
+    public async Task<Chart?> GenerateChartAsync(ChartGenerationOptions? options = null)
+    {
+        if (_audioModule == null) return null;
+        try
+        {
+            return await _audioModule.InvokeAsync<Chart>("generateChart", options ?? new ChartGenerationOptions());
+        }
+        catch (JSException ex)
+        {
+            throw new InvalidOperationException($"Could not generate chart: {ex.Message}", ex);
+        }
+    }
+
+    [JSInvokable]
+    public void OnChartProgress(double progress)
+    {
+        ChartProgress?.Invoke(progress);
     }
 
     public async Task ClearSongSoundsAsync()
@@ -167,6 +631,37 @@ public class AudioService : IAsyncDisposable
         await _audioModule.InvokeVoidAsync("clearSongSounds");
     }
 
+    /// <summary>
+    /// Save and apply latency offsets. The audio offset shifts GetCurrentTime();
+    /// the input offset is subtracted from input timestamps.
+    /// </summary>
+    public async Task SetLatencyOffsetsAsync(double audioOffsetMs, double inputOffsetMs)
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("setLatencyOffsets", audioOffsetMs, inputOffsetMs);
+    }
+
+    public async Task<LatencyInfo?> GetLatencyInfoAsync()
+    {
+        if (_audioModule == null) return null;
+        return await _audioModule.InvokeAsync<LatencyInfo>("getLatencyInfo");
+    }
+
+    /// <summary>
+    /// How far the input (performance) clock and the audio clock have diverged this session.
+    /// </summary>
+    public async Task<ClockDrift?> GetClockDriftAsync()
+    {
+        if (_audioModule == null) return null;
+        return await _audioModule.InvokeAsync<ClockDrift>("getClockDrift");
+    }
+
+    public async Task ResetClockDriftAsync()
+    {
+        if (_audioModule == null) return;
+        await _audioModule.InvokeVoidAsync("resetClockDrift");
+    }
+
     public async ValueTask DisposeAsync()
     {
         if (_audioModule != null)
@@ -174,6 +669,7 @@ public class AudioService : IAsyncDisposable
             try
             {
                 await _audioModule.InvokeVoidAsync("stopSong");
+                await _audioModule.InvokeVoidAsync("stopPreview");
                 await _audioModule.DisposeAsync();
             }
             catch
@@ -181,5 +677,7 @@ public class AudioService : IAsyncDisposable
                 // Ignore disposal errors
             }
         }
+
+        _selfReference?.Dispose();
     }
 }
@@ -0,0 +1,108 @@
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+using BlazorHero.Client.Models;
+
+namespace BlazorHero.Client.Services;
+
+/// <summary>
+/// Runs the audio/visual latency calibration wizard. The player taps along to silent
+/// flashes and then to metronome clicks; the difference gives the audio and input offsets.
+/// </summary>
+public class CalibrationService : IAsyncDisposable
+{
+    private readonly IJSRuntime _js;
+    private readonly AudioService _audio;
+    private IJSObjectReference? _module;
+    private DotNetObjectReference<CalibrationService>? _selfReference;
+
+    // Events
+    public event Action<string, int>? PhaseStarted;       // phase ("visual" or "audio"), beat count
+    public event Action<string, int>? Beat;               // phase, beat index
+    public event Action<CalibrationResult>? Completed;
+
+    public bool IsRunning { get; private set; }
+    public CalibrationResult? LastResult { get; private set; }
+
+    public CalibrationService(IJSRuntime js, AudioService audio)
+    {
+        _js = js;
+        _audio = audio;
+    }
+
+    public async Task<bool> StartAsync(double bpm = 100, int beats = 16)
+    {
+        await _audio.EnsureInitializedAsync();
+
+        _module ??= await _js.InvokeAsync<IJSObjectReference>(
+            "import", "./js/calibration.js");
+
+        _selfReference ??= DotNetObjectReference.Create(this);
+
+        IsRunning = await _module.InvokeAsync<bool>("startCalibration", _selfReference, new { bpm, beats });
+        return IsRunning;
+    }
+
+    public async Task CancelAsync()
+    {
+        if (_module == null) return;
+        await _module.InvokeVoidAsync("cancelCalibration");
+        IsRunning = false;
+    }
+
+    /// <summary>
+    /// Let taps on an element (the calibration screen's pad) count alongside lane presses.
+    /// </summary>
+    public async Task RegisterTapPadAsync(ElementReference element)
+    {
+        _module ??= await _js.InvokeAsync<IJSObjectReference>(
+            "import", "./js/calibration.js");
+
+        await _module.InvokeVoidAsync("registerTapPad", element);
+    }
+
+    /// <summary>
+    /// Save and apply the offsets from a calibration run.
+    /// </summary>
+    public async Task ApplyAsync(CalibrationResult result)
+    {
+        await _audio.SetLatencyOffsetsAsync(result.AudioOffsetMs, result.InputOffsetMs);
+    }
+
+    [JSInvokable]
+    public void OnCalibrationPhase(string phase, int beats)
+    {
+        PhaseStarted?.Invoke(phase, beats);
+    }
+
+    [JSInvokable]
+    public void OnCalibrationBeat(string phase, int beatIndex)
+    {
+        Beat?.Invoke(phase, beatIndex);
+    }
+
+    [JSInvokable]
+    public void OnCalibrationComplete(CalibrationResult result)
+    {
+        IsRunning = false;
+        LastResult = result;
+        Console.WriteLine($"[CalibrationService] Complete: audio={result.AudioOffsetMs}ms, input={result.InputOffsetMs}ms, jitter={result.JitterMs}ms");
+        Completed?.Invoke(result);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_module != null)
+        {
+            try
+            {
+                await _module.InvokeVoidAsync("cancelCalibration");
+                await _module.DisposeAsync();
+            }
+            catch
+            {
+                // Ignore disposal errors
+            }
+        }
+        _selfReference?.Dispose();
+    }
+}
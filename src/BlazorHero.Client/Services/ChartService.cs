@@ -7,28 +7,52 @@ namespace BlazorHero.Client.Services;
 public class ChartService
 {
     private readonly HttpClient _http;
+    private readonly SongImportService _imports;
     private readonly Dictionary<string, Chart> _chartCache = new();
     private List<SongInfo>? _songList;
 
-    public ChartService(HttpClient http)
+    public ChartService(HttpClient http, SongImportService imports)
     {
         _http = http;
+        _imports = imports;
     }
 
+    /// <summary>
+    /// The bundled songs (charts/index.json) followed by any imported ones.
+    /// </summary>
     public async Task<List<SongInfo>> GetSongListAsync()
     {
         if (_songList != null) return _songList;
 
+        var songs = new List<SongInfo>();
+        await AddBundledSongsAsync(songs);
+        await AddImportedSongsAsync(songs);
+
+        _songList = songs;
+        return _songList;
+    }
+
+    /// <summary>
+    /// Re-read the imported songs into the song list, after one is imported or deleted.
+    /// </summary>
+    public async Task ReloadImportedSongsAsync()
+    {
+        foreach (var chartFile in _chartCache.Keys.Where(SongImportService.IsImported).ToList())
+        {
+            _chartCache.Remove(chartFile);
+        }
+
+        if (_songList == null) return;
+        _songList.RemoveAll(song => SongImportService.IsImported(song.ChartFile));
+        await AddImportedSongsAsync(_songList);
+    }
+
+    private async Task AddBundledSongsAsync(List<SongInfo> songs)
+    {
         try
         {
             var index = await _http.GetFromJsonAsync("charts/index.json", BlazorHeroJsonContext.Default.SongIndex);
-            if (index == null)
-            {
-                _songList = new List<SongInfo>();
-                return _songList;
-            }
-
-            _songList = new List<SongInfo>();
+            if (index == null) return;
 
             foreach (var entry in index.Songs)
             {
@@ -37,21 +61,7 @@ public class ChartService
                     var chart = await LoadChartAsync(entry.ChartFile);
                     if (chart != null)
                     {
-                        var difficulties = chart.GetAvailableDifficulties();
-                        var noteCounts = new Dictionary<Difficulty, int>();
-                        foreach (var diff in difficulties)
-                        {
-                            var track = chart.GetTrack(diff);
-                            noteCounts[diff] = track?.Notes.Count ?? 0;
-                        }
-
-                        _songList.Add(new SongInfo
-                        {
-                            ChartFile = entry.ChartFile,
-                            Meta = chart.Meta,
-                            AvailableDifficulties = difficulties,
-                            NoteCounts = noteCounts
-                        });
+                        songs.Add(CreateSongInfo(entry.ChartFile, chart));
                     }
                 }
                 catch (Exception ex)
@@ -59,17 +69,49 @@ public class ChartService
                     Console.WriteLine($"Failed to load chart {entry.ChartFile}: {ex.Message}");
                 }
             }
-
-            return _songList;
         }
         catch (Exception ex)
         {
             Console.WriteLine($"Failed to load song index: {ex.Message}");
-            _songList = new List<SongInfo>();
-            return _songList;
         }
     }
 
+    private async Task AddImportedSongsAsync(List<SongInfo> songs)
+    {
+        try
+        {
+            foreach (var imported in await _imports.GetImportedSongsAsync())
+            {
+                SortNotes(imported.Chart);
+                _chartCache[imported.ChartFile] = imported.Chart;
+                songs.Add(CreateSongInfo(imported.ChartFile, imported.Chart));
+            }
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Failed to load imported songs: {ex.Message}");
+        }
+    }
+
+    private static SongInfo CreateSongInfo(string chartFile, Chart chart)
+    {
+        var difficulties = chart.GetAvailableDifficulties();
+        var noteCounts = new Dictionary<Difficulty, int>();
+        foreach (var diff in difficulties)
+        {
+            var track = chart.GetTrack(diff);
+            noteCounts[diff] = track?.Notes.Count ?? 0;
+        }
+
+        return new SongInfo
+        {
+            ChartFile = chartFile,
+            Meta = chart.Meta,
+            AvailableDifficulties = difficulties,
+            NoteCounts = noteCounts
+        };
+    }
+
     public async Task<Chart?> LoadChartAsync(string chartFile)
     {
         if (_chartCache.TryGetValue(chartFile, out var cached))
@@ -79,15 +121,12 @@ public class ChartService
 
         try
         {
-            var chart = await _http.GetFromJsonAsync($"charts/{chartFile}", BlazorHeroJsonContext.Default.Chart);
+            var chart = SongImportService.IsImported(chartFile)
+                ? await _imports.GetChartAsync(chartFile)
+                : await _http.GetFromJsonAsync($"charts/{chartFile}", BlazorHeroJsonContext.Default.Chart);
             if (chart == null) return null;
 
-            // Sort notes by time for each difficulty
-            foreach (var track in chart.Difficulties.Values)
-            {
-                track.Notes.Sort((a, b) => a.Time.CompareTo(b.Time));
-            }
-
+            SortNotes(chart);
             _chartCache[chartFile] = chart;
             return chart;
         }
@@ -98,6 +137,15 @@ public class ChartService
         }
     }
 
+    // Sort notes by time for each difficulty
+    private static void SortNotes(Chart chart)
+    {
+        foreach (var track in chart.Difficulties.Values)
+        {
+            track.Notes.Sort((a, b) => a.Time.CompareTo(b.Time));
+        }
+    }
+
     public List<Note> GetNotesForDifficulty(Chart chart, Difficulty difficulty)
     {
         var track = chart.GetTrack(difficulty);
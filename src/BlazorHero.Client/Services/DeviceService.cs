@@ -19,10 +19,13 @@ public class DeviceService : IAsyncDisposable
     private int _viewportWidth;
     private int _viewportHeight;
     private string _orientation = "landscape";
+    private string _displayMode = "browser";
+    private bool _canInstall;
 
     // Events
     public event Action? ViewportChanged;
     public event Action<string>? OrientationChanged;
+    public event Action? InstallStateChanged;  // CanInstall or DisplayMode changed
 
     // Public properties
     public bool IsMobile => _isMobile;
@@ -33,6 +36,9 @@ public class DeviceService : IAsyncDisposable
     public bool IsPortrait => _orientation == "portrait";
     public bool IsLandscape => _orientation == "landscape";
     public bool IsInitialized => _isInitialized;
+    public string DisplayMode => _displayMode;  // "fullscreen", "standalone", "minimal-ui" or "browser"
+    public bool IsStandalone => _displayMode != "browser";  // Launched as an installed app
+    public bool CanInstall => _canInstall;
 
     public DeviceService(IJSRuntime js)
     {
@@ -57,13 +63,15 @@ public class DeviceService : IAsyncDisposable
         _viewportHeight = viewport.Height;
 
         _orientation = await _module.InvokeAsync<string>("getOrientation");
+        _displayMode = await _module.InvokeAsync<string>("getDisplayMode");
+        _canInstall = await _module.InvokeAsync<bool>("canInstall");
 
         // Set up event listeners
         await _module.InvokeVoidAsync("initEventListeners", _selfReference);
 
         _isInitialized = true;
 
-        Console.WriteLine($"[DeviceService] Initialized: mobile={_isMobile}, touch={_hasTouch}, viewport={_viewportWidth}x{_viewportHeight}, orientation={_orientation}");
+        Console.WriteLine($"[DeviceService] Initialized: mobile={_isMobile}, touch={_hasTouch}, viewport={_viewportWidth}x{_viewportHeight}, orientation={_orientation}, display={_displayMode}");
     }
 
     [JSInvokable]
@@ -82,6 +90,32 @@ public class DeviceService : IAsyncDisposable
         ViewportChanged?.Invoke(); // Viewport also changes with orientation
     }
 
+    [JSInvokable]
+    public void OnInstallStateChange(bool canInstall, string displayMode)
+    {
+        _canInstall = canInstall;
+        _displayMode = displayMode;
+        InstallStateChanged?.Invoke();
+    }
+
+    /// <summary>
+    /// Show the browser's install prompt (call from a click). Returns "accepted", "dismissed",
+    /// or "unavailable" when the browser hasn't offered one.
+    /// </summary>
+    public async Task<string> PromptInstallAsync()
+    {
+        if (_module == null) return "unavailable";
+
+        try
+        {
+            return await _module.InvokeAsync<string>("promptInstall");
+        }
+        catch
+        {
+            return "unavailable";
+        }
+    }
+
     /// <summary>
     /// Get the recommended canvas size based on viewport and device type.
     /// Reserves space for touch controls on mobile.
@@ -123,15 +157,16 @@ public class DeviceService : IAsyncDisposable
     }
 
     /// <summary>
-    /// Attempt to lock screen orientation (may not work on all browsers).
+    /// Attempt to lock screen orientation (may not work on all browsers). Installed apps lock directly;
+    /// in a browser tab it goes fullscreen first unless allowFullscreen is false.
     /// </summary>
-    public async Task<bool> TryLockOrientationAsync(string orientation)
+    public async Task<bool> TryLockOrientationAsync(string orientation, bool allowFullscreen = true)
     {
         if (_module == null) return false;
 
         try
         {
-            return await _module.InvokeAsync<bool>("tryLockOrientation", orientation);
+            return await _module.InvokeAsync<bool>("tryLockOrientation", orientation, allowFullscreen);
         }
         catch
         {
@@ -140,7 +175,8 @@ public class DeviceService : IAsyncDisposable
     }
 
     /// <summary>
-    /// Request fullscreen mode for better mobile experience.
+    /// Request fullscreen mode for better mobile experience. True straight away for an app installed
+    /// with fullscreen display.
     /// </summary>
     public async Task<bool> TryRequestFullscreenAsync()
     {
@@ -1,4 +1,5 @@
 using Microsoft.JSInterop;
+using BlazorHero.Client.Core;
 using BlazorHero.Client.Models;
 
 namespace BlazorHero.Client.Services;
@@ -6,11 +7,16 @@ namespace BlazorHero.Client.Services;
 public class InputService : IAsyncDisposable
 {
     private readonly IJSRuntime _js;
+    private readonly GameState _gameState;
     private IJSObjectReference? _inputModule;
     private IJSObjectReference? _touchModule;
+    private IJSObjectReference? _gamepadModule;
+    private IJSObjectReference? _midiModule;
     private DotNetObjectReference<InputService>? _selfReference;
     private bool _isInitialized;
     private bool _isTouchInitialized;
+    private bool _isGamepadInitialized;
+    private bool _isMidiInitialized;
 
     // Current key states (5 lanes for Expert mode)
     private readonly bool[] _lanePressed = new bool[5];
@@ -19,17 +25,42 @@ public class InputService : IAsyncDisposable
     // Touch lane states (separate tracking for debugging)
     private readonly bool[] _touchLanePressed = new bool[5];
 
-    // Events - keyboard and touch fire the same events
+    // Events - keyboard and touch fire the same events.
+    // Timestamps are song positions in ms, mapped onto the audio clock by inputTiming.js, so hits
+    // are judged against the moment of the press rather than the last frame's position.
     public event Action<Lane, double>? LanePressed;
     public event Action<Lane, double>? LaneReleased;
     public event Action<string>? SpecialKeyPressed;
 
+    // Strum mode chord: fret mask (bit N = lane N), timestamp, kind ("strum", "hammer" or "pull")
+    public event Action<int, double, string>? ChordStrummed;
+
+    // Key capture result: target (lane index or action), captured key code (null if cancelled), conflict (null if applied)
+    public event Action<string, string?, string?>? KeyCaptured;
+
+    // Gamepad hot-plug: index, controller id, profile name
+    public event Action<int, string, string>? GamepadConnected;
+    public event Action<int, string>? GamepadDisconnected;
+
+    // MIDI learn result: lane, note number
+    public event Action<int, int>? MidiLearned;
+    public event Action<string[]>? MidiDevicesChanged;
+
+    // Whammy position, 0 (released) to 1 (fully pressed) - from the gamepad bar, the whammy key
+    // or a swipe on a held touch lane. The JS handlers bend the hold sustains themselves.
+    public event Action<double>? WhammyChanged;
+
     public bool IsInitialized => _isInitialized;
     public bool IsTouchInitialized => _isTouchInitialized;
+    public bool IsGamepadInitialized => _isGamepadInitialized;
+    public bool IsMidiInitialized => _isMidiInitialized;
+    public double Whammy { get; private set; }
 
-    public InputService(IJSRuntime js)
+    public InputService(IJSRuntime js, GameState gameState)
     {
         _js = js;
+        _gameState = gameState;
+        _gameState.StateChanged += OnGameStateChanged;
     }
 
     public async Task InitializeAsync()
@@ -41,7 +72,10 @@ public class InputService : IAsyncDisposable
 
         _selfReference = DotNetObjectReference.Create(this);
         await _inputModule.InvokeVoidAsync("initInput", _selfReference);
+        await _inputModule.InvokeVoidAsync("setLaneInputActive", _gameState.Current == GameStateType.Playing);
         _isInitialized = true;
+
+        await InitializeGamepadAsync();
     }
 
     /// <summary>
@@ -66,6 +100,98 @@ public class InputService : IAsyncDisposable
         Console.WriteLine("[InputService] Touch initialized");
     }
 
+    /// <summary>
+    /// Initialize gamepad and guitar controller input. Polling starts once a controller connects.
+    /// </summary>
+    public async Task InitializeGamepadAsync()
+    {
+        if (_isGamepadInitialized) return;
+
+        _gamepadModule = await _js.InvokeAsync<IJSObjectReference>(
+            "import", "./js/gamepadHandler.js");
+
+        // Gamepad events call the same OnLaneKeyDown/Up and OnSpecialKey handlers as the keyboard
+        if (_selfReference == null)
+        {
+            _selfReference = DotNetObjectReference.Create(this);
+        }
+
+        await _gamepadModule.InvokeVoidAsync("initGamepad", _selfReference);
+        await _gamepadModule.InvokeVoidAsync("setLaneInputActive", _gameState.Current == GameStateType.Playing);
+        _isGamepadInitialized = true;
+
+        Console.WriteLine("[InputService] Gamepad initialized");
+    }
+
+    /// <summary>
+    /// Get the names of the available gamepad mapping profiles.
+    /// </summary>
+    public async Task<string[]> GetGamepadProfilesAsync()
+    {
+        if (_gamepadModule == null) return [];
+        return await _gamepadModule.InvokeAsync<string[]>("getGamepadProfiles");
+    }
+
+    /// <summary>
+    /// Assign a mapping profile to a connected controller (remembered by controller id).
+    /// </summary>
+    public async Task<bool> SetGamepadProfileAsync(int gamepadIndex, string profileName)
+    {
+        if (_gamepadModule == null) return false;
+        return await _gamepadModule.InvokeAsync<bool>("setGamepadProfile", gamepadIndex, profileName);
+    }
+
+    /// <summary>
+    /// Initialize MIDI input from drum pads and keyboards. Needs a user gesture on some browsers,
+    /// so it is not started automatically. Returns false if Web MIDI is unavailable or denied.
+    /// </summary>
+    public async Task<bool> InitializeMidiAsync()
+    {
+        if (_isMidiInitialized) return true;
+
+        _midiModule ??= await _js.InvokeAsync<IJSObjectReference>(
+            "import", "./js/midiHandler.js");
+
+        if (_selfReference == null)
+        {
+            _selfReference = DotNetObjectReference.Create(this);
+        }
+
+        _isMidiInitialized = await _midiModule.InvokeAsync<bool>("initMidi", _selfReference);
+        Console.WriteLine($"[InputService] MIDI initialized: {_isMidiInitialized}");
+        return _isMidiInitialized;
+    }
+
+    /// <summary>
+    /// Assign the next MIDI note played to a lane. The result arrives through <see cref="MidiLearned"/>.
+    /// </summary>
+    public async Task<bool> StartMidiLearnAsync(int laneIndex)
+    {
+        if (_midiModule == null) return false;
+        return await _midiModule.InvokeAsync<bool>("startMidiLearn", laneIndex);
+    }
+
+    public async Task CancelMidiLearnAsync()
+    {
+        if (_midiModule == null) return;
+        await _midiModule.InvokeVoidAsync("cancelMidiLearn");
+    }
+
+    /// <summary>
+    /// Set the minimum note-on velocity (1-127) that counts as a hit.
+    /// </summary>
+    public async Task SetMidiVelocityThresholdAsync(int threshold)
+    {
+        if (_midiModule == null) return;
+        await _midiModule.InvokeVoidAsync("setVelocityThreshold", threshold);
+    }
+
+    public async Task ResetMidiMappingAsync()
+    {
+        if (_midiModule == null) return;
+        await _midiModule.InvokeVoidAsync("resetMidiMapping");
+    }
+
     /// <summary>
     /// Register touch controls container after it's rendered.
     /// </summary>
@@ -153,6 +279,89 @@ public class InputService : IAsyncDisposable
         }
     }
 
+    /// <summary>
+    /// Get the active keyboard bindings.
+    /// </summary>
+    public async Task<KeyBindings?> GetKeyBindingsAsync()
+    {
+        if (_inputModule == null) return null;
+        return await _inputModule.InvokeAsync<KeyBindings>("getKeyBindings");
+    }
+
+    /// <summary>
+    /// Replace the keyboard bindings. Returns conflict descriptions; empty when applied.
+    /// </summary>
+    public async Task<string[]> SetKeyBindingsAsync(KeyBindings bindings)
+    {
+        if (_inputModule == null) return ["Input not initialized"];
+        return await _inputModule.InvokeAsync<string[]>("setKeyBindings", bindings);
+    }
+
+    /// <summary>
+    /// Restore the default keyboard bindings.
+    /// </summary>
+    public async Task ResetKeyBindingsAsync()
+    {
+        if (_inputModule == null) return;
+        await _inputModule.InvokeVoidAsync("resetKeyBindings");
+    }
+
+    /// <summary>
+    /// Bind the next key press to a lane. The result arrives through <see cref="KeyCaptured"/>.
+    /// </summary>
+    public async Task<bool> StartLaneKeyCaptureAsync(int laneIndex)
+    {
+        if (_inputModule == null) return false;
+        return await _inputModule.InvokeAsync<bool>("startKeyCapture", laneIndex);
+    }
+
+    /// <summary>
+    /// Bind the next key press to a special action (e.g. "starpower").
+    /// </summary>
+    public async Task<bool> StartSpecialKeyCaptureAsync(string action)
+    {
+        if (_inputModule == null) return false;
+        return await _inputModule.InvokeAsync<bool>("startKeyCapture", action);
+    }
+
+    public async Task CancelKeyCaptureAsync()
+    {
+        if (_inputModule == null) return;
+        await _inputModule.InvokeVoidAsync("cancelKeyCapture");
+    }
+
+    /// <summary>
+    /// Switch keyboard input between "tap" (lane keys hit immediately) and "strum" (frets held plus strum key).
+    /// </summary>
+    public async Task<bool> SetInputModeAsync(string mode)
+    {
+        if (_inputModule == null) return false;
+        return await _inputModule.InvokeAsync<bool>("setInputMode", mode);
+    }
+
+    public async Task<string> GetInputModeAsync()
+    {
+        if (_inputModule == null) return "tap";
+        return await _inputModule.InvokeAsync<string>("getInputMode");
+    }
+
+    /// <summary>
+    /// Set the hammer-on/pull-off window in milliseconds (0 disables HOPOs).
+    /// </summary>
+    public async Task SetHopoWindowAsync(double windowMs)
+    {
+        if (_inputModule == null) return;
+        await _inputModule.InvokeVoidAsync("setHopoWindow", windowMs);
+    }
+
+    // Strum keys and guitar buttons share menu navigation, so they only strum while a song is played
+    private void OnGameStateChanged(GameStateType previous, GameStateType current)
+    {
+        if ((previous == GameStateType.Playing) == (current == GameStateType.Playing)) return;
+        (_inputModule as IJSInProcessObjectReference)?.InvokeVoid("setLaneInputActive", current == GameStateType.Playing);
+        (_gamepadModule as IJSInProcessObjectReference)?.InvokeVoid("setLaneInputActive", current == GameStateType.Playing);
+    }
+
     // Keyboard event handlers (existing)
     [JSInvokable]
     public void OnLaneKeyDown(int laneIndex, double timestamp)
@@ -182,6 +391,75 @@ public class InputService : IAsyncDisposable
         SpecialKeyPressed?.Invoke(keyName);
     }
 
+    /// <summary>
+    /// Strum mode chord. A strum hits every held fret; a hammer-on or pull-off only hits the
+    /// highest held fret, since that is the one that sounds on a real guitar.
+    /// </summary>
+    [JSInvokable]
+    public void OnChord(int fretMask, double timestamp, string kind)
+    {
+        ChordStrummed?.Invoke(fretMask, timestamp, kind);
+        if (fretMask == 0) return;
+
+        if (kind == "strum")
+        {
+            for (int lane = 0; lane < 5; lane++)
+            {
+                if ((fretMask & (1 << lane)) != 0)
+                {
+                    OnLaneKeyDown(lane, timestamp);
+                }
+            }
+        }
+        else
+        {
+            OnLaneKeyDown(31 - System.Numerics.BitOperations.LeadingZeroCount((uint)fretMask), timestamp);
+        }
+    }
+
+    [JSInvokable]
+    public void OnKeyCaptured(string target, string? keyCode, string? conflict)
+    {
+        Console.WriteLine($"[InputService] Key captured for {target}: {keyCode ?? "cancelled"}{(conflict != null ? $" ({conflict})" : "")}");
+        KeyCaptured?.Invoke(target, keyCode, conflict);
+    }
+
+    // Gamepad event handlers - lanes and special buttons arrive through the keyboard handlers above
+    [JSInvokable]
+    public void OnGamepadConnected(int index, string id, string profile)
+    {
+        Console.WriteLine($"[InputService] Gamepad {index} connected: {id} ({profile})");
+        GamepadConnected?.Invoke(index, id, profile);
+    }
+
+    [JSInvokable]
+    public void OnGamepadDisconnected(int index, string id)
+    {
+        Console.WriteLine($"[InputService] Gamepad {index} disconnected: {id}");
+        GamepadDisconnected?.Invoke(index, id);
+    }
+
+    // MIDI event handlers - notes arrive through OnLaneKeyDown/Up like the keyboard
+    [JSInvokable]
+    public void OnMidiLearned(int laneIndex, int note)
+    {
+        Console.WriteLine($"[InputService] MIDI note {note} assigned to lane {laneIndex}");
+        MidiLearned?.Invoke(laneIndex, note);
+    }
+
+    [JSInvokable]
+    public void OnMidiDevicesChanged(string[] inputs)
+    {
+        MidiDevicesChanged?.Invoke(inputs);
+    }
+
+    [JSInvokable]
+    public void OnWhammy(double value)
+    {
+        Whammy = value;
+        WhammyChanged?.Invoke(value);
+    }
+
     // Touch event handlers (new) - fire the same events as keyboard
     [JSInvokable]
     public void OnTouchLaneDown(int laneIndex, double timestamp)
@@ -237,6 +515,8 @@ public class InputService : IAsyncDisposable
 
     public async ValueTask DisposeAsync()
     {
+        _gameState.StateChanged -= OnGameStateChanged;
+
         if (_inputModule != null)
         {
             try
@@ -263,6 +543,32 @@ public class InputService : IAsyncDisposable
             }
         }
 
+        if (_gamepadModule != null)
+        {
+            try
+            {
+                await _gamepadModule.InvokeVoidAsync("disposeGamepad");
+                await _gamepadModule.DisposeAsync();
+            }
+            catch
+            {
+                // Ignore disposal errors
+            }
+        }
+
+        if (_midiModule != null)
+        {
+            try
+            {
+                await _midiModule.InvokeVoidAsync("disposeMidi");
+                await _midiModule.DisposeAsync();
+            }
+            catch
+            {
+                // Ignore disposal errors
+            }
+        }
+
         _selfReference?.Dispose();
     }
 }
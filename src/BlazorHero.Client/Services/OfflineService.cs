@@ -0,0 +1,96 @@
+using Microsoft.JSInterop;
+using BlazorHero.Client.Models;
+
+namespace BlazorHero.Client.Services;
+
+/// <summary>
+/// Downloads songs (chart and audio) for offline play. The audio engine plays a downloaded copy
+/// before trying the network; when storage runs short the least recently played songs are evicted.
+/// </summary>
+public class OfflineService : IAsyncDisposable
+{
+    private readonly IJSRuntime _js;
+    private IJSObjectReference? _module;
+    private DotNetObjectReference<OfflineService>? _selfReference;
+
+    // Events
+    public event Action<string, double>? DownloadProgress;  // chart file, progress (0-1)
+
+    public OfflineService(IJSRuntime js)
+    {
+        _js = js;
+    }
+
+    private async Task<IJSObjectReference> GetModuleAsync()
+    {
+        return _module ??= await _js.InvokeAsync<IJSObjectReference>("import", "./js/offlineStore.js");
+    }
+
+    /// <summary>
+    /// Download a song for offline play, replacing any earlier download of it. Throws
+    /// InvalidOperationException when the song can't be fetched or doesn't fit in storage.
+    /// </summary>
+    public async Task<OfflineSong> DownloadSongAsync(string chartFile)
+    {
+        var module = await GetModuleAsync();
+        _selfReference ??= DotNetObjectReference.Create(this);
+
+        try
+        {
+            return await module.InvokeAsync<OfflineSong>("downloadSongFor", _selfReference, chartFile);
+        }
+        catch (JSException ex)
+        {
+            throw new InvalidOperationException($"Could not download {chartFile}: {ex.Message}", ex);
+        }
+    }
+
+    public async Task<bool> RemoveSongAsync(string chartFile)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("removeSong", chartFile);
+    }
+
+    public async Task<bool> IsSongOfflineAsync(string chartFile)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("isSongOffline", chartFile);
+    }
+
+    /// <summary>
+    /// Downloaded songs, most recently played first.
+    /// </summary>
+    public async Task<OfflineSong[]> GetOfflineSongsAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<OfflineSong[]>("getOfflineSongs");
+    }
+
+    public async Task<StorageInfo> GetStorageInfoAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<StorageInfo>("getStorageInfo");
+    }
+
+    [JSInvokable]
+    public void OnDownloadProgress(string chartFile, double progress)
+    {
+        DownloadProgress?.Invoke(chartFile, progress);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_module != null)
+        {
+            try
+            {
+                await _module.DisposeAsync();
+            }
+            catch
+            {
+                // Ignore disposal errors
+            }
+        }
+        _selfReference?.Dispose();
+    }
+}
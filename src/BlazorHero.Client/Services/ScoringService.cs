@@ -48,10 +48,14 @@ public class ScoringService
     public double StarPowerMeter => _starPowerMeter;
     public bool IsStarPowerActive => _starPowerActive;
     public bool CanActivateStarPower => _starPowerMeter >= 0.5 && !_starPowerActive;
+    public double StarPowerRemainingMs => _starPowerActive ? _starPowerMeter * STAR_POWER_DURATION : 0;
 
     // Events
     public event Action<int>? ComboChanged;
     public event Action<int>? MultiplierChanged;
+    /// <summary>
+    /// Raised with true on activation (and again when an active star power is extended), false when it ends.
+    /// </summary>
     public event Action<bool>? StarPowerChanged;
     public event Action? ComboBreak;
 
@@ -67,7 +71,12 @@ public class ScoringService
         _goodCount = 0;
         _missCount = 0;
         _starPowerMeter = 0;
-        _starPowerActive = false;
+
+        if (_starPowerActive)
+        {
+            _starPowerActive = false;
+            StarPowerChanged?.Invoke(false);
+        }
     }
 
     public HitResult ProcessHit(Note note, double songTime)
@@ -134,6 +143,10 @@ public class ScoringService
             if (note.IsStarPower)
             {
                 _starPowerMeter = Math.Min(1.0, _starPowerMeter + STAR_POWER_GAIN);
+                if (_starPowerActive)
+                {
+                    StarPowerChanged?.Invoke(true);
+                }
             }
         }
         else
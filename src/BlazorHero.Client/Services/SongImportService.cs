@@ -0,0 +1,124 @@
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+using BlazorHero.Client.Models;
+
+namespace BlazorHero.Client.Services;
+
+/// <summary>
+/// Imports songs from local files - an audio file plus an optional chart, or a zipped song folder -
+/// dropped on or picked in the song list. Imported songs are stored in the browser (IndexedDB) and
+/// listed with the bundled ones under chart files starting "import:".
+/// </summary>
+public class SongImportService : IAsyncDisposable
+{
+    public const string ChartFilePrefix = "import:";
+
+    private readonly IJSRuntime _js;
+    private readonly AudioService _audio;
+    private IJSObjectReference? _module;
+    private DotNetObjectReference<SongImportService>? _selfReference;
+
+    // Events
+    public event Action? ImportStarted;
+    public event Action<string>? ImportProgress;  // stage: reading, decoding, generating, saving
+    public event Action<SongImportResult>? ImportCompleted;
+
+    public bool IsImporting { get; private set; }
+    public string? ImportStage { get; private set; }
+
+    public SongImportService(IJSRuntime js, AudioService audio)
+    {
+        _js = js;
+        _audio = audio;
+    }
+
+    public static bool IsImported(string chartFile)
+    {
+        return chartFile.StartsWith(ChartFilePrefix, StringComparison.Ordinal);
+    }
+
+    private async Task<IJSObjectReference> GetModuleAsync()
+    {
+        return _module ??= await _js.InvokeAsync<IJSObjectReference>("import", "./js/songImporter.js");
+    }
+
+    /// <summary>
+    /// Import files dropped on dropTarget or picked in fileInput (an input of type file). Only one
+    /// target is attached at a time; attaching another replaces it.
+    /// </summary>
+    public async Task AttachAsync(ElementReference dropTarget, ElementReference fileInput)
+    {
+        // Imports are decoded by the audio engine, so it has to exist before the first drop
+        await _audio.InitializeAsync();
+
+        var module = await GetModuleAsync();
+        _selfReference ??= DotNetObjectReference.Create(this);
+        await module.InvokeVoidAsync("attachImportTarget", _selfReference, dropTarget, fileInput);
+    }
+
+    public async Task DetachAsync()
+    {
+        if (_module == null) return;
+        await _module.InvokeVoidAsync("detachImportTarget");
+    }
+
+    /// <summary>
+    /// Imported songs, oldest first.
+    /// </summary>
+    public async Task<ImportedSong[]> GetImportedSongsAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<ImportedSong[]>("getImportedSongs");
+    }
+
+    public async Task<Chart?> GetChartAsync(string chartFile)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<Chart?>("getImportedChart", chartFile);
+    }
+
+    public async Task<bool> DeleteSongAsync(string chartFile)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<bool>("deleteImportedSong", chartFile);
+    }
+
+    [JSInvokable]
+    public void OnImportStarted()
+    {
+        IsImporting = true;
+        ImportStage = null;
+        ImportStarted?.Invoke();
+    }
+
+    [JSInvokable]
+    public void OnImportProgress(string stage)
+    {
+        ImportStage = stage;
+        ImportProgress?.Invoke(stage);
+    }
+
+    [JSInvokable]
+    public void OnImportCompleted(SongImportResult result)
+    {
+        IsImporting = false;
+        ImportStage = null;
+        ImportCompleted?.Invoke(result);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_module != null)
+        {
+            try
+            {
+                await _module.DisposeAsync();
+            }
+            catch
+            {
+                // Ignore disposal errors
+            }
+        }
+        _selfReference?.Dispose();
+    }
+}
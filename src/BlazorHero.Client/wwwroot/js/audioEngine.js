@@ -1,42 +1,320 @@
 // Audio Engine - Web Audio API wrapper for precise audio timing
 
+import { getInstrument, resolveLaneSample, resolveLaneVoice, validateNoteSounds as validateNoteSoundsConfig } from './instruments.js';
+import { hashSoundJob, renderSound } from './soundSynth.js';
+import { generateChart as generateChartFromSamples } from './chartGenerator.js';
+import { Mixer } from './mixer.js';
+import { TempoMap } from './tempoMap.js';
+import { Metronome, fixedTempo } from './metronome.js';
+import { matchOfflineAudio } from './offlineStore.js';
+
+const LATENCY_STORAGE_KEY = 'blazorHero.latencyOffsets';
+
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 2.0;
+const PITCH_SHIFTER_WINDOW = 2048;  // Samples - also the worst-case delay the shifter adds
+
+const MIN_LOOP_LENGTH_MS = 100;
+const LOOP_TIMER_INTERVAL_MS = 25;
+const LOOP_LOOKAHEAD_SEC = 0.2;  // How far ahead scheduled loop passes are queued
+
+// Beat and measure callbacks to .NET
+const BEAT_TIMER_INTERVAL_MS = 25;
+const BEAT_MAX_LATE_MS = 250;  // Beats missed by more than this (e.g. a throttled background tab) are skipped
+
+// Hold-note bends (whammy). Amount -1..1 maps to +/- HOLD_BEND_CENTS; vibrato and filter follow |amount|.
+const HOLD_BEND_CENTS = 200;
+const HOLD_VIBRATO_HZ = 5.5;
+const HOLD_VIBRATO_CENTS = 35;  // Vibrato depth at full bend
+const HOLD_FILTER_OPEN_HZ = 12000;  // Lowpass at rest - effectively transparent
+const HOLD_FILTER_CLOSED_HZ = 700;  // Lowpass at full bend
+const HOLD_BEND_SMOOTHING = 0.02;  // setTargetAtTime time constant (s)
+
+// Star power treatment - a swept peaking filter and stereo widening on the music, brighter hits
+const STAR_POWER_FADE_IN_SEC = 0.4;
+const STAR_POWER_FADE_OUT_SEC = 1.2;
+const STAR_POWER_FILTER_HZ = 1800;  // Centre of the filter sweep
+const STAR_POWER_FILTER_START_HZ = 400;  // Activation sweeps up from here to the centre
+const STAR_POWER_SWEEP_HZ = 1200;  // Sweep depth either side of the centre
+const STAR_POWER_SWEEP_RATE = 0.25;  // Sweeps per second
+const STAR_POWER_FILTER_DB = 5;
+const STAR_POWER_WIDTH = 1.6;  // Stereo width while active (1 = unchanged)
+const STAR_POWER_HIT_CENTS = 200;  // Hit SFX pitch-up while active
+const STAR_POWER_SPARKLE_VOLUME = 0.35;
+
+// Song analysis for reactive visuals
+const ANALYSER_FFT_SIZE = 2048;
+const ANALYSER_SMOOTHING = 0.6;
+const SPECTRUM_MIN_HZ = 40;
+const SPECTRUM_MAX_HZ = 16000;
+const BEAT_LOW_HZ = 150;  // Beats are detected on energy below this
+const BEAT_THRESHOLD = 1.35;  // Low-band energy over its running average that counts as a beat
+const BEAT_AVERAGE_SEC = 1.0;  // Running average time constant
+const BEAT_MIN_INTERVAL_SEC = 0.25;
+const BEAT_PULSE_DECAY_SEC = 0.15;
+
+// Stems a chart can supply instead of (or alongside) a single mixed audio file
+const STEM_NAMES = ['backing', 'guitar', 'bass', 'drums'];
+
+const SAMPLE_CACHE_SIZE = 48;  // Decoded SFX / note samples kept across songs
+
+// Procedural sounds render in a worker; results are cached by a hash of their config
+const SYNTH_WORKER_URL = 'js/workers/soundSynth.worker.js';
+const SYNTH_CACHE_SIZE = 96;
+
+const CHART_WORKER_URL = 'js/workers/chartGenerator.worker.js';
+
+// Song loading
+const LOAD_PROGRESS_INTERVAL_MS = 100;  // Progress reports to .NET are throttled to this
+const DECODE_BYTES_PER_MS = 2000;  // Initial decode speed guess - refined by every decode
+const DECODE_ESTIMATE_CAP = 0.95;  // Estimated decode progress never claims more than this
+const STREAM_HANDOVER_SEC = 0.08;  // Crossfade from the streamed element to the decoded buffer
+const STREAM_RESYNC_MS = 20;  // How far song time may stray from a streaming element before it follows it
+// How long a media element gets to be ready to play before the song is decoded whole instead. iOS
+// won't fetch media for an element not started by a tap, so it may never get there.
+const STREAM_OPEN_TIMEOUT_MS = 3000;
+const LOAD_RETRIES = 2;  // Extra attempts after a network failure
+const LOAD_RETRY_DELAY_MS = 500;  // Doubles with every retry
+const CODEC_FALLBACKS = ['mp3', 'ogg', 'm4a'];  // The same song in another format, tried when one can't be used
+const AUDIO_MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/ogg; codecs=opus',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    wav: 'audio/wav',
+    flac: 'audio/flac',
+    webm: 'audio/webm'
+};
+
+// Why an audio file failed to load - returned to .NET as the load result's error
+const LOAD_ERROR = {
+    NOT_FOUND: 'not-found',
+    UNSUPPORTED_CODEC: 'unsupported-codec',
+    DECODE_FAILED: 'decode-failed',
+    NETWORK_ABORTED: 'network-aborted'
+};
+
+class AudioLoadError extends Error {
+    constructor(kind, url, message) {
+        super(message);
+        this.name = 'AudioLoadError';
+        this.kind = kind;
+        this.url = url;
+    }
+}
+
+// Load results returned to .NET (SongLoadResult)
+function loadSuccess(url, durationMs) {
+    return { ok: true, durationMs, url, error: null, message: null };
+}
+
+function loadFailure(error, url) {
+    return {
+        ok: false,
+        durationMs: 0,
+        url: error?.url || url,
+        error: error?.kind ?? LOAD_ERROR.DECODE_FAILED,
+        message: error?.message ?? String(error)
+    };
+}
+
+// url first, then the same file in the other fallback formats - ones this browser can play go first
+function codecCandidates(url) {
+    const match = /\.([a-z0-9]+)(?=[?#]|$)/i.exec(url);
+    const extension = match?.[1].toLowerCase();
+    if (!CODEC_FALLBACKS.includes(extension)) return [url];
+
+    const base = url.slice(0, match.index);
+    const suffix = url.slice(match.index + match[0].length);
+    const candidates = [url, ...CODEC_FALLBACKS
+        .filter(other => other !== extension)
+        .map(other => `${base}.${other}${suffix}`)];
+
+    // Stable: playable ones keep their order ahead of the rest
+    return [...candidates.filter(candidate => canPlayAudio(candidate)),
+        ...candidates.filter(candidate => !canPlayAudio(candidate))];
+}
+
+let audioProbe = null;
+
+// Whether the browser claims it can play this file's format (true when the format is unknown)
+function canPlayAudio(url, contentType = '') {
+    const extension = /\.([a-z0-9]+)(?=[?#]|$)/i.exec(url)?.[1].toLowerCase();
+    const type = contentType.startsWith('audio/') ? contentType : AUDIO_MIME_TYPES[extension];
+    if (!type || typeof Audio === 'undefined') return true;
+
+    audioProbe ??= new Audio();
+    return audioProbe.canPlayType(type) !== '';
+}
+
+// Resolves after ms, or straight away when signal aborts
+function delay(ms, signal) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal.addEventListener('abort', done);
+    });
+}
+
+// Sum every buffer and channel into one (they share the context's sample rate), as long as the longest
+function mixToMono(buffers) {
+    const mono = new Float32Array(Math.max(...buffers.map(buffer => buffer.length)));
+    for (const buffer of buffers) {
+        const scale = 1 / buffer.numberOfChannels;
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] * scale;
+            }
+        }
+    }
+    return mono;
+}
+
+const PREVIEW_CACHE_SIZE = 4;
+const PREVIEW_FADE_IN_SEC = 0.8;
+const PREVIEW_FADE_OUT_SEC = 1.5;
+const PREVIEW_CROSSFADE_SEC = 0.6;
+const PREVIEW_GAP_SEC = 0.5;  // Silence before the preview window repeats
+const PREVIEW_DEFAULT_LENGTH_MS = 30000;  // Used when a chart has no previewEnd
+
 class AudioEngine {
     constructor() {
         this.audioContext = null;
-        this.songBuffer = null;
-        this.songSource = null;
+        this.songBuffer = null;  // Longest stem - defines the song duration
+        this.songSources = [];  // One source per stem for the current playback
         this.gainNode = null;
         this.startTime = 0;
         this.pauseTime = 0;
+        this.isPaused = false;  // pauseTime can be 0 (paused in the opening count-in), so it can't say this
         this.isPlaying = false;
         this.songOffset = 0;
 
+        // Practice speed - song ms advance playbackRate times per real ms
+        this.playbackRate = 1.0;
+        this.preservePitch = false;
+        this.pitchShifter = null;  // AudioWorkletNode, created on first use
+        this._pitchShifterReady = null;  // Promise for the worklet module load
+
+        // Song stems - every source plays through its stem's gain. A single-file song is one 'backing' stem.
+        this.stems = new Map();  // name -> { buffer, gain, volume, muted }
+
+        // Mixer buses (master, music, sfx, holds) - volume stages below feed into them
+        this.mixer = new Mixer();
+
+        // Song bus - every stem (or the pitch shifter) feeds this; the analyser taps it before the volume
+        this.songBus = null;
+        this.analyser = null;
+        this._analysis = null;  // Reused buffers and beat state, see _readAnalysis()
+
+        // Star power treatment - stage between the song volume and the music bus
+        this.starPower = null;  // { input, output, filter, sweepDepth, direct, cross }, built in initialize()
+        this.starPowerActive = false;
+        this._starPowerEndTimer = null;
+        this._starPowerEndAt = 0;  // performance.now() when the current activation runs out
+        this._starPowerRemainingMs = 0;  // Time left, held while the song is paused
+
         // Sound effect buffers
         this.sfxBuffers = new Map();
         this.sfxGain = null;
+        this.holdsGain = null;  // Hold sustains - follows the SFX volume
 
         // Song-specific sound buffers (takes priority over default sfxBuffers)
         this.songSfxBuffers = new Map();
+        this.songSfxRates = new Map();  // name -> playbackRate for repitched note samples
         this.currentSongSounds = null;  // Current noteSounds config
+        this._songSoundsVersion = 0;  // Bumped on clear so late sample loads are dropped
+
+        // Decoded audio files by url (LRU) - shared by loadSfx and note samples
+        this.sampleCache = new Map();  // url -> Promise<AudioBuffer|null>
+
+        // Procedural sound rendering (LRU by config hash) - a song restart reuses its buffers
+        this.synthCache = new Map();  // hash -> Promise<AudioBuffer>
+        this._synthWorker = null;  // Created on first render; false once it has failed
+        this._synthRequests = new Map();  // request id -> { resolve, reject }
+        this._nextSynthRequest = 1;
 
         // Hold note sustain sounds (one per lane)
         this.holdSustains = new Map();  // lane -> { oscillators, gainNode }
-        this.songHoldFreqs = null;  // Song-specific frequencies for holds
+        this.songLaneVoices = null;  // Per-lane { style, freq, params } resolved from noteSounds
+        this.whammy = 0;  // Current whammy position (0-1), applied to every sustain
+
+        // Calibrated latency corrections (ms), on top of what the browser reports
+        this.audioOffsetMs = 0;  // Extra delay between scheduling audio and hearing it
+        this.inputOffsetMs = 0;  // Delay between a physical press and its event timestamp
+        this._loadLatencyOffsets();
+
+        // Clock drift monitoring - paired performance/audio clock readings
+        this._driftAnchor = null;  // { performanceTime, contextTime, source } at the start of the session
+        this._maxDriftMs = 0;
+
+        // A/B practice loop
+        this.loopRegion = null;  // { startMs, endMs, countInBeats, bpm }
+        this.loopIteration = 0;
+        this._loopPasses = [];  // Count-in passes: { contextStart, startTime, iteration }
+        this._loopSources = [];  // Song sources and clicks scheduled for count-in passes
+        this._nextLoopStart = 0;  // Context time of the next count-in pass
+        this._loopTimer = null;
+
+        // Tempo map from the chart's syncTrack - 120 BPM 4/4 until one is set
+        this.tempoMap = new TempoMap([]);
+        this._beatTimer = null;
+        this._lastBeatTickMs = 0;  // Song time of the last beat check
+
+        // Metronome - clicks the tempo map while the song plays, and counts playSong in
+        this.metronome = new Metronome(this);
+        this._countInEnd = 0;  // Context time the current count-in hands over to the song
+
+        // Song loading - the load in flight, and the media element a streamed song plays through
+        // until its buffer has decoded
+        this._load = null;  // { url, controller, signal, lastReport }
+        this._stream = null;  // { audio, source, gain, startTimer, closed }
+        this._decodeBytesPerMs = DECODE_BYTES_PER_MS;
+        this._silentDurationMs = 0;  // Set by playWithoutAudio() - the only way to play with no song loaded
+
+        // Song select previews - a separate channel that never touches songBuffer
+        this.previewGain = null;
+        this._previewCache = new Map();  // url|start|end -> Promise<AudioBuffer>, oldest first
+        this._preview = null;  // { key, source, gain, timer }
+        this._previewRequest = 0;  // Bumped on every play/stop so stale loads are dropped
+
+        this.dotNetReference = null;
     }
 
     async initialize() {
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-        // Main gain node for song
+        this.mixer.attach(this.audioContext, this.audioContext.destination);
+
+        // Main gain node for song, through the star power stage
         this.gainNode = this.audioContext.createGain();
-        this.gainNode.connect(this.audioContext.destination);
+        this.songBus = this.audioContext.createGain();
+        this.songBus.connect(this.gainNode);
+        this._createAnalyser();
+        this.starPower = this._createStarPowerStage();
+        this.gainNode.connect(this.starPower.input);
+        this.starPower.output.connect(this.mixer.input('music'));
 
         // SFX gain node
         this.sfxGain = this.audioContext.createGain();
-        this.sfxGain.connect(this.audioContext.destination);
+        this.sfxGain.connect(this.mixer.input('sfx'));
+
+        // Hold sustain gain node
+        this.holdsGain = this.audioContext.createGain();
+        this.holdsGain.connect(this.mixer.input('holds'));
 
-        // Generate synthesized guitar sounds
-        this._generateGuitarSounds();
+        // Preview gain node (song select)
+        this.previewGain = this.audioContext.createGain();
+        this.previewGain.connect(this.mixer.input('music'));
+
+        // Generate synthesized guitar sounds (rendered off the main thread)
+        await this._generateGuitarSounds();
 
         // NOTE: Don't await resume here - it will block until user gesture
         // The context will be resumed when playSong() is called after user interaction
@@ -44,7 +322,7 @@ class AudioEngine {
     }
 
     // Generate guitar-like sounds using Web Audio API synthesis
-    _generateGuitarSounds() {
+    async _generateGuitarSounds() {
         // Guitar string frequencies (like open strings, low to high)
         // Lane 0 (Green) = Low E string feel
         // Lane 1 (Red) = A string feel  
@@ -59,45 +337,59 @@ class AudioEngine {
             { baseFreq: 493.88, name: 'B4' },  // Lane 4 - Orange (high)
         ];
 
+        const sounds = new Map();
+
         // Generate hit sounds for each lane
         for (let lane = 0; lane < 5; lane++) {
             const note = laneNotes[lane];
-            
+
             // Perfect hit - bright, crisp with more harmonics
-            this.sfxBuffers.set(`hit_${lane}_perfect`, this._createGuitarStrum({
+            sounds.set(`hit_${lane}_perfect`, { kind: 'strum', params: {
                 baseFreq: note.baseFreq,
                 harmonics: [1, 0.5, 0.35, 0.25, 0.15, 0.1],
                 duration: 0.3,
                 attack: 0.003,
                 decay: 0.06,
                 brightness: 1.3
-            }));
+            } });
 
             // Good hit - slightly muted, fewer harmonics
-            this.sfxBuffers.set(`hit_${lane}_good`, this._createGuitarStrum({
+            sounds.set(`hit_${lane}_good`, { kind: 'strum', params: {
                 baseFreq: note.baseFreq,
                 harmonics: [1, 0.35, 0.2, 0.1],
                 duration: 0.25,
                 attack: 0.005,
                 decay: 0.08,
                 brightness: 1.0
-            }));
+            } });
         }
 
         // Miss - dissonant buzz/muted string sound
-        this.sfxBuffers.set('miss', this._createMissSound());
+        sounds.set('miss', { kind: 'miss' });
 
         // Thump - muted string hit when pressing with no note
-        this.sfxBuffers.set('thump', this._createThumpSound());
+        sounds.set('thump', { kind: 'thump' });
 
         // Star power activation - rising power chord
-        this.sfxBuffers.set('starpower', this._createStarPowerSound());
+        sounds.set('starpower', { kind: 'starpower' });
+
+        // Sparkle layered on hits while star power is active
+        sounds.set('sparkle', { kind: 'sparkle' });
+
+        // Metronome clicks (calibration and count-ins)
+        sounds.set('click', { kind: 'click', freq: 1000, level: 0.5 });
+        sounds.set('click_accent', { kind: 'click', freq: 1500, level: 0.8 });
+
+        await Promise.all([...sounds].map(async ([name, job]) => {
+            this.sfxBuffers.set(name, await this._renderSound(job));
+        }));
 
         console.log('[AudioEngine] Generated synthesized guitar sounds for 4 lanes (default fallback)');
     }
 
-    // Load song-specific sounds based on chart noteSounds config
-    loadSongSounds(noteSoundsConfig) {
+    // Load song-specific sounds based on chart noteSounds config.
+    // Hits are synthesized first; chart samples then replace them as they load.
+    async loadSongSounds(noteSoundsConfig) {
         // Clear any previous song-specific sounds
         this.clearSongSounds();
 
@@ -106,409 +398,815 @@ class AudioEngine {
             return;
         }
 
+        const errors = validateNoteSoundsConfig(noteSoundsConfig);
+        if (errors.length > 0) {
+            throw new Error(`[AudioEngine] Invalid noteSounds: ${errors.join('; ')}`);
+        }
+
         this.currentSongSounds = noteSoundsConfig;
-        const style = noteSoundsConfig.style || 'guitar';
-        const brightness = noteSoundsConfig.brightness || 1.0;
-        const attack = noteSoundsConfig.attack || 0.01;
-        const sustain = noteSoundsConfig.sustain || 0.6;
+        const version = this._songSoundsVersion;
+
+        // Resolve each lane's instrument once - holds reuse the same voice
+        this.songLaneVoices = noteSoundsConfig.lanes.map((_, lane) => resolveLaneVoice(noteSoundsConfig, lane));
+
+        // Generate sounds for each lane with its instrument
+        const hits = this.songLaneVoices.flatMap(({ style, freq, params }, lane) =>
+            ['perfect', 'good'].map(quality => ({ name: `hit_${lane}_${quality}`, job: { kind: 'hit', style, freq, params, quality } })));
+        const buffers = await Promise.all(hits.map(hit => this._renderSound(hit.job)));
 
-        // Store frequencies and style for hold notes
-        this.songHoldFreqs = noteSoundsConfig.lanes.map(l => l.freq);
-        this.songHoldStyle = style;
+        // Another song's sounds were loaded (or cleared) while these rendered
+        if (version !== this._songSoundsVersion) return;
+
+        hits.forEach((hit, i) => this.songSfxBuffers.set(hit.name, buffers[i]));
+
+        const styles = [...new Set(this.songLaneVoices.map(v => v.style))].join(', ');
+        console.log(`[AudioEngine] Generated song-specific ${styles} sounds for ${noteSoundsConfig.lanes.length} lanes`);
+
+        await this._loadSongSamples(noteSoundsConfig);
+    }
 
-        console.log(`[AudioEngine] Generating ${style} sounds for song`);
+    // Swap synthesized hits for the chart's samples. A sample that fails to load keeps its synthesized sound.
+    async _loadSongSamples(noteSoundsConfig) {
+        const version = this._songSoundsVersion;
+        const loads = [];
 
-        // Generate sounds for each lane based on style
         for (let lane = 0; lane < noteSoundsConfig.lanes.length; lane++) {
-            const laneConfig = noteSoundsConfig.lanes[lane];
-            const freq = laneConfig.freq;
-
-            let perfectBuffer, goodBuffer;
-
-            switch (style) {
-                case 'soft_synth':
-                    perfectBuffer = this._createSoftSynthSound(freq, { brightness: brightness * 1.2, attack, sustain, duration: 0.35 });
-                    goodBuffer = this._createSoftSynthSound(freq, { brightness: brightness * 0.9, attack: attack * 1.5, sustain: sustain * 0.8, duration: 0.3 });
-                    break;
-
-                case 'synthwave':
-                    perfectBuffer = this._createSynthwaveSound(freq, { brightness: brightness * 1.2, attack, sustain, duration: 0.3 });
-                    goodBuffer = this._createSynthwaveSound(freq, { brightness: brightness * 0.9, attack: attack * 1.5, sustain: sustain * 0.8, duration: 0.25 });
-                    break;
-
-                case 'power_chord':
-                    perfectBuffer = this._createPowerChordSound(freq, { brightness: brightness * 1.2, attack, sustain, duration: 0.35 });
-                    goodBuffer = this._createPowerChordSound(freq, { brightness, attack: attack * 1.5, sustain: sustain * 0.8, duration: 0.3 });
-                    break;
-
-                default:
-                    // Use default guitar style
-                    perfectBuffer = this._createGuitarStrum({
-                        baseFreq: freq,
-                        harmonics: [1, 0.5, 0.35, 0.25, 0.15, 0.1],
-                        duration: 0.3,
-                        attack: attack,
-                        decay: 0.06,
-                        brightness: brightness * 1.3
-                    });
-                    goodBuffer = this._createGuitarStrum({
-                        baseFreq: freq,
-                        harmonics: [1, 0.35, 0.2, 0.1],
-                        duration: 0.25,
-                        attack: attack * 1.5,
-                        decay: 0.08,
-                        brightness: brightness
-                    });
+            for (const judgement of ['perfect', 'good']) {
+                const sample = resolveLaneSample(noteSoundsConfig, lane, judgement);
+                if (!sample) continue;
+
+                const name = `hit_${lane}_${judgement}`;
+                loads.push(this._loadSample(sample.url).then(buffer => {
+                    // Dropped if the song's sounds were cleared while loading
+                    if (!buffer || version !== this._songSoundsVersion) return false;
+                    this.songSfxBuffers.set(name, buffer);
+                    this.songSfxRates.set(name, sample.rate);
+                    return true;
+                }));
             }
-
-            this.songSfxBuffers.set(`hit_${lane}_perfect`, perfectBuffer);
-            this.songSfxBuffers.set(`hit_${lane}_good`, goodBuffer);
         }
 
-        console.log(`[AudioEngine] Generated song-specific ${style} sounds for ${noteSoundsConfig.lanes.length} lanes`);
+        if (loads.length === 0) return;
+
+        const loaded = (await Promise.all(loads)).filter(Boolean).length;
+        console.log(`[AudioEngine] Loaded ${loaded}/${loads.length} note samples` +
+            (loaded < loads.length ? ' (the rest use synthesized sounds)' : ''));
     }
 
     // Clear song-specific sounds
     clearSongSounds() {
         this.songSfxBuffers.clear();
+        this.songSfxRates.clear();
+        this._songSoundsVersion++;
         this.currentSongSounds = null;
-        this.songHoldFreqs = null;
-        this.songHoldStyle = null;
+        this.songLaneVoices = null;
     }
 
-    // Soft synth sound - warm, gentle tones for tutorial
-    _createSoftSynthSound(freq, params) {
-        const { brightness, attack, sustain, duration } = params;
+    // Render a procedural sound (see soundSynth.js) into an AudioBuffer, reusing any cached render
+    _renderSound(job) {
         const sampleRate = this.audioContext.sampleRate;
-        const numSamples = Math.floor(sampleRate * duration);
-        const buffer = this.audioContext.createBuffer(1, numSamples, sampleRate);
-        const data = buffer.getChannelData(0);
-
-        for (let i = 0; i < numSamples; i++) {
-            const t = i / sampleRate;
-            let sample = 0;
-
-            // Pure sine with gentle harmonics
-            sample += Math.sin(2 * Math.PI * freq * t) * 1.0;
-            sample += Math.sin(2 * Math.PI * freq * 2 * t) * 0.3 * brightness;
-            sample += Math.sin(2 * Math.PI * freq * 3 * t) * 0.1 * brightness;
-
-            // Soft triangle wave blend for warmth
-            const tri = (2 * Math.abs(2 * ((freq * t) % 1) - 1) - 1);
-            sample += tri * 0.2;
-
-            // Smooth ADSR envelope
-            let envelope;
-            if (t < attack) {
-                envelope = t / attack;
-            } else if (t < attack + 0.1) {
-                envelope = 1 - ((t - attack) / 0.1) * (1 - sustain);
-            } else if (t < duration - 0.15) {
-                envelope = sustain;
-            } else {
-                envelope = sustain * (1 - (t - (duration - 0.15)) / 0.15);
+        const key = hashSoundJob(job, sampleRate);
+
+        let pending = this.synthCache.get(key);
+        if (pending) {
+            // Move to the back of the LRU order
+            this.synthCache.delete(key);
+            this.synthCache.set(key, pending);
+            return pending;
+        }
+
+        pending = this._renderInWorker(job, sampleRate)
+            .catch(e => {
+                // Custom instruments only exist on this thread, and the worker may be unavailable
+                if (this._synthWorker) {
+                    console.warn('[AudioEngine] Worker synthesis failed, rendering on main thread:', e.message);
+                }
+                return renderSound(job, sampleRate);
+            })
+            .then(data => {
+                const buffer = this.audioContext.createBuffer(1, data.length, sampleRate);
+                buffer.copyToChannel(data, 0);
+                return buffer;
+            });
+        pending.catch(() => {
+            if (this.synthCache.get(key) === pending) {
+                this.synthCache.delete(key);
             }
+        });
 
-            data[i] = sample * envelope * 0.35;
+        this.synthCache.set(key, pending);
+        while (this.synthCache.size > SYNTH_CACHE_SIZE) {
+            this.synthCache.delete(this.synthCache.keys().next().value);
         }
+        return pending;
+    }
 
-        return buffer;
+    _renderInWorker(job, sampleRate) {
+        const worker = this._getSynthWorker();
+        if (!worker) {
+            return Promise.reject(new Error('Synthesis worker unavailable'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this._nextSynthRequest++;
+            this._synthRequests.set(id, { resolve, reject });
+            worker.postMessage({ id, job, sampleRate });
+        });
     }
 
-    // Synthwave sound - bright, punchy with detune
-    _createSynthwaveSound(freq, params) {
-        const { brightness, attack, sustain, duration } = params;
-        const sampleRate = this.audioContext.sampleRate;
-        const numSamples = Math.floor(sampleRate * duration);
-        const buffer = this.audioContext.createBuffer(1, numSamples, sampleRate);
-        const data = buffer.getChannelData(0);
-
-        for (let i = 0; i < numSamples; i++) {
-            const t = i / sampleRate;
-            let sample = 0;
-
-            // Square-ish wave with detune for that synthwave character
-            const sq1 = Math.sign(Math.sin(2 * Math.PI * freq * t));
-            const sq2 = Math.sign(Math.sin(2 * Math.PI * freq * 1.005 * t));
-            sample += sq1 * 0.4;
-            sample += sq2 * 0.25;
-
-            // Add bright harmonics
-            sample += Math.sin(2 * Math.PI * freq * 2 * t) * 0.2 * brightness;
-            sample += Math.sin(2 * Math.PI * freq * 4 * t) * 0.1 * brightness;
-
-            // Punchy envelope
-            let envelope;
-            if (t < attack) {
-                envelope = t / attack;
-            } else if (t < attack + 0.05) {
-                envelope = 1 - ((t - attack) / 0.05) * 0.3;
-            } else {
-                const releaseTime = t - attack - 0.05;
-                envelope = 0.7 * Math.exp(-releaseTime * 6);
+    _getSynthWorker() {
+        if (this._synthWorker !== null) return this._synthWorker;
+
+        try {
+            const worker = new Worker(SYNTH_WORKER_URL, { type: 'module' });
+            worker.onmessage = (event) => {
+                const { id, data, error } = event.data;
+                const request = this._synthRequests.get(id);
+                if (!request) return;
+                this._synthRequests.delete(id);
+                if (error) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve(data);
+                }
+            };
+            // A worker that can't load fails every outstanding request; later renders stay on the main thread
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                console.warn('[AudioEngine] Synthesis worker failed, rendering on main thread:', event.message);
+                this._failSynthWorker(new Error(event.message || 'Synthesis worker failed to load'));
+            };
+            this._synthWorker = worker;
+        } catch (e) {
+            console.warn('[AudioEngine] Synthesis worker unavailable, rendering on main thread:', e.message);
+            this._synthWorker = false;
+        }
+        return this._synthWorker;
+    }
+
+    _failSynthWorker(error) {
+        if (this._synthWorker) {
+            this._synthWorker.terminate();
+        }
+        this._synthWorker = false;
+        for (const request of this._synthRequests.values()) {
+            request.reject(error);
+        }
+        this._synthRequests.clear();
+    }
+
+    async ensureResumed() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+    }
+
+    // Load a single-file song. Download and decode progress go to .NET through OnLoadProgress; a newer
+    // load or cancelLoad() abandons this one, which then rejects. With options.streamPlayback the song
+    // can play through a media element as soon as the browser can stream it, and the decoded buffer
+    // takes over (OnSongDecoded) when it is ready.
+    // Resolves to a load result: { ok, durationMs, url, error, message } - see loadSuccess/loadFailure.
+    async loadSong(url, options = {}) {
+        this.resetClockDrift();
+        this.loopRegion = null;
+
+        if (!this.audioContext) {
+            console.error('[AudioEngine] loadSong called but audioContext is null');
+            return loadFailure(new AudioLoadError(LOAD_ERROR.DECODE_FAILED, url, 'Audio is not initialized'), url);
+        }
+
+        const load = this._beginLoad(url);
+
+        if (options.streamPlayback) {
+            const streamMs = await this._openStream(url, load);
+            this._throwIfCancelled(load);
+            if (streamMs > 0) {
+                this._setStems({});
+                this._loadAudioFile(url, load)
+                    .then(({ buffer }) => this._adoptDecodedSong(buffer, load))
+                    .catch(e => {
+                        if (!load.signal.aborted) console.warn(`Failed to decode streamed audio: ${url}`, e);
+                    });
+                return loadSuccess(url, streamMs);
             }
+        }
 
-            data[i] = sample * envelope * 0.3;
+        try {
+            const loaded = await this._loadAudioFile(url, load);
+            this._endLoad(load);
+            this._setStems({ backing: loaded.buffer });
+            return loadSuccess(loaded.url, this.songBuffer.duration * 1000);
+        } catch (e) {
+            this._throwIfCancelled(load);
+            this._endLoad(load);
+            console.warn(`Failed to load audio: ${url}`, e);
+            this._setStems({});
+            return loadFailure(e, url);
         }
+    }
 
-        return buffer;
+    // Explicitly play with no song audio: time still runs for durationMs. Nothing else falls back to this.
+    playWithoutAudio(durationMs) {
+        this.cancelLoad();
+        this.resetClockDrift();
+        this.loopRegion = null;
+        this._setStems({});
+        this._silentDurationMs = Math.max(0, durationMs || 0);
+        console.log(`[AudioEngine] Playing without audio for ${(this._silentDurationMs / 1000).toFixed(1)}s`);
+        return this._silentDurationMs;
     }
 
-    // Power chord sound - aggressive with fifth and distortion
-    _createPowerChordSound(freq, params) {
-        const { brightness, attack, sustain, duration } = params;
-        const sampleRate = this.audioContext.sampleRate;
-        const numSamples = Math.floor(sampleRate * duration);
-        const buffer = this.audioContext.createBuffer(1, numSamples, sampleRate);
-        const data = buffer.getChannelData(0);
+    // Abandon the song load in flight, and stop any streamed playback of it
+    cancelLoad() {
+        if (this._load) {
+            this._load.controller.abort();
+            this._load = null;
+        }
+        this._closeStream();
+    }
 
-        const fifth = freq * 1.5;  // Perfect fifth
-        const octave = freq * 2;
+    _beginLoad(url, reportProgress = true) {
+        this.cancelLoad();
+        this._silentDurationMs = 0;
+        const controller = new AbortController();
+        this._load = { url, controller, signal: controller.signal, reportProgress, lastReport: 0 };
+        return this._load;
+    }
 
-        for (let i = 0; i < numSamples; i++) {
-            const t = i / sampleRate;
-            let sample = 0;
+    _endLoad(load) {
+        if (this._load === load) {
+            this._load = null;
+        }
+    }
 
-            // Root, fifth, and octave
-            sample += Math.sin(2 * Math.PI * freq * t) * 0.5;
-            sample += Math.sin(2 * Math.PI * fifth * t) * 0.4;
-            sample += Math.sin(2 * Math.PI * octave * t) * 0.25;
+    _throwIfCancelled(load) {
+        if (load.signal.aborted) {
+            throw new Error('[AudioEngine] Song load cancelled');
+        }
+    }
 
-            // Add harmonics for grit
-            for (let h = 2; h <= 5; h++) {
-                sample += Math.sin(2 * Math.PI * freq * h * t) * (0.15 / h) * brightness;
+    // Fetch and decode one audio file. Network failures are retried with backoff; a file that can't be
+    // used at all falls back to the same name in another format (song.ogg for song.mp3).
+    // Resolves to { buffer, url } or throws the most telling AudioLoadError.
+    async _loadAudioFile(url, load) {
+        let failure = null;
+        for (const candidate of codecCandidates(url)) {
+            try {
+                const buffer = await this._loadWithRetry(candidate, load);
+                if (candidate !== url) {
+                    console.log(`[AudioEngine] Loaded ${candidate} in place of ${url}`);
+                }
+                return { buffer, url: candidate };
+            } catch (e) {
+                this._throwIfCancelled(load);
+                if (!(e instanceof AudioLoadError)) throw e;
+
+                // A missing fallback says less than why the original failed
+                if (!failure || (failure.kind === LOAD_ERROR.NOT_FOUND && e.kind !== LOAD_ERROR.NOT_FOUND)) {
+                    failure = e;
+                }
+                // Other formats won't download any better
+                if (e.kind === LOAD_ERROR.NETWORK_ABORTED) break;
             }
+        }
+        throw failure;
+    }
 
-            // Soft clipping for mild distortion
-            sample = Math.tanh(sample * 1.5);
+    async _loadWithRetry(url, load) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._fetchAndDecode(url, load);
+            } catch (e) {
+                this._throwIfCancelled(load);
+                if (e.kind !== LOAD_ERROR.NETWORK_ABORTED || attempt >= LOAD_RETRIES) throw e;
 
-            // Aggressive envelope
-            let envelope;
-            if (t < attack) {
-                envelope = t / attack;
-            } else if (t < attack + 0.03) {
-                envelope = 1;
-            } else {
-                const releaseTime = t - attack - 0.03;
-                envelope = Math.exp(-releaseTime * 5) * sustain + (1 - sustain) * Math.exp(-releaseTime * 15);
+                const delayMs = LOAD_RETRY_DELAY_MS * 2 ** attempt;
+                console.warn(`[AudioEngine] ${e.message} - retrying in ${delayMs}ms`);
+                await delay(delayMs, load.signal);
+                this._throwIfCancelled(load);
             }
+        }
+    }
 
-            // Pick attack noise
-            if (t < 0.008) {
-                sample += (Math.random() - 0.5) * 0.4 * (1 - t / 0.008);
-            }
+    async _fetchAndDecode(url, load) {
+        const { data, contentType } = await this._fetchWithProgress(url, load);
+        this._throwIfCancelled(load);
 
-            data[i] = sample * envelope * 0.4;
+        // A host that answers unknown paths with its index page has not found the file either
+        if (contentType.startsWith('text/html')) {
+            throw new AudioLoadError(LOAD_ERROR.NOT_FOUND, url, `${url} is not an audio file (${contentType})`);
         }
 
+        let buffer;
+        try {
+            buffer = await this._decodeWithProgress(data, load);
+        } catch (e) {
+            this._throwIfCancelled(load);
+            const kind = canPlayAudio(url, contentType) ? LOAD_ERROR.DECODE_FAILED : LOAD_ERROR.UNSUPPORTED_CODEC;
+            throw new AudioLoadError(kind, url, `Could not decode ${url}: ${e?.message || e}`);
+        }
+        this._throwIfCancelled(load);
         return buffer;
     }
 
-    // Create a guitar strum sound with Karplus-Strong-like synthesis
-    _createGuitarStrum(params) {
-        const { baseFreq, harmonics, duration, attack, decay, brightness } = params;
-        const sampleRate = this.audioContext.sampleRate;
-        const numSamples = Math.floor(sampleRate * duration);
-        const buffer = this.audioContext.createBuffer(1, numSamples, sampleRate);
-        const data = buffer.getChannelData(0);
-
-        // Generate the sound with harmonics for a richer guitar tone
-        for (let i = 0; i < numSamples; i++) {
-            const t = i / sampleRate;
-            let sample = 0;
-
-            // Add harmonics to create guitar-like timbre
-            for (let h = 0; h < harmonics.length; h++) {
-                const freq = baseFreq * (h + 1);
-                const amplitude = harmonics[h] * brightness;
-                // Add slight detuning for more realistic sound
-                const detune = 1 + (Math.random() - 0.5) * 0.002;
-                sample += amplitude * Math.sin(2 * Math.PI * freq * detune * t);
+    // Fetch the whole file - a copy downloaded for offline play first - reporting bytes as they arrive
+    // (fraction -1 when the size is unknown). Resolves to { data, contentType }.
+    async _fetchWithProgress(url, load) {
+        let response = await matchOfflineAudio(url);
+        try {
+            response ??= await fetch(url, { signal: load.signal });
+        } catch (e) {
+            this._throwIfCancelled(load);
+            throw new AudioLoadError(LOAD_ERROR.NETWORK_ABORTED, url, `Network error fetching ${url}: ${e.message}`);
+        }
+
+        if (!response.ok) {
+            // Server trouble may pass; anything else means the file isn't there for us
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw new AudioLoadError(retryable ? LOAD_ERROR.NETWORK_ABORTED : LOAD_ERROR.NOT_FOUND, url,
+                `HTTP ${response.status} fetching ${url}`);
+        }
+        const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+
+        try {
+            if (!response.body) {
+                const data = await response.arrayBuffer();
+                this._reportLoadProgress(load, 'download', data.byteLength, data.byteLength, true);
+                return { data, contentType };
             }
 
-            // Apply ADSR envelope (fast attack, quick decay, sustain, release)
-            let envelope;
-            if (t < attack) {
-                // Attack phase
-                envelope = t / attack;
-            } else if (t < attack + decay) {
-                // Decay phase
-                const decayProgress = (t - attack) / decay;
-                envelope = 1 - decayProgress * 0.4; // Decay to 60%
-            } else {
-                // Release phase - exponential decay like a plucked string
-                const releaseTime = t - attack - decay;
-                envelope = 0.6 * Math.exp(-releaseTime * 8);
+            // Content-Length is the encoded size - a compressed response can deliver more than it says
+            const total = Number(response.headers.get('Content-Length')) || 0;
+            const reader = response.body.getReader();
+            const chunks = [];
+            let loaded = 0;
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                loaded += value.byteLength;
+                this._reportLoadProgress(load, 'download', loaded, total);
             }
 
-            // Add slight noise burst at attack for pick sound
-            if (t < 0.01) {
-                sample += (Math.random() - 0.5) * 0.3 * (1 - t / 0.01);
+            const data = new Uint8Array(loaded);
+            let position = 0;
+            for (const chunk of chunks) {
+                data.set(chunk, position);
+                position += chunk.byteLength;
             }
+            this._reportLoadProgress(load, 'download', loaded, loaded, true);
+            return { data: data.buffer, contentType };
+        } catch (e) {
+            this._throwIfCancelled(load);
+            throw new AudioLoadError(LOAD_ERROR.NETWORK_ABORTED, url, `Download of ${url} was interrupted: ${e.message}`);
+        }
+    }
+
+    // decodeAudioData has no progress of its own, so estimate it from the size and past decode speed
+    async _decodeWithProgress(data, load) {
+        const bytes = data.byteLength;
+        const expectedMs = bytes / this._decodeBytesPerMs;
+        const started = performance.now();
 
-            data[i] = sample * envelope * 0.4; // Scale down to prevent clipping
+        this._reportLoadProgress(load, 'decode', 0, bytes, true);
+        const timer = setInterval(() => {
+            const estimate = Math.min(DECODE_ESTIMATE_CAP, (performance.now() - started) / expectedMs);
+            this._reportLoadProgress(load, 'decode', estimate * bytes, bytes);
+        }, LOAD_PROGRESS_INTERVAL_MS);
+
+        try {
+            const buffer = await this.audioContext.decodeAudioData(data);
+            this._decodeBytesPerMs = bytes / Math.max(1, performance.now() - started);
+            this._reportLoadProgress(load, 'decode', bytes, bytes, true);
+            return buffer;
+        } finally {
+            clearInterval(timer);
         }
+    }
 
-        return buffer;
+    _reportLoadProgress(load, stage, loaded, total, force = false) {
+        if (load !== this._load || !load.reportProgress) return;
+
+        const now = performance.now();
+        if (!force && now - load.lastReport < LOAD_PROGRESS_INTERVAL_MS) return;
+        load.lastReport = now;
+
+        const fraction = total > 0 ? Math.min(1, loaded / total) : -1;
+        this.dotNetReference?.invokeMethod('OnLoadProgress', stage, fraction, loaded, total);
     }
 
-    // Create a miss/buzz sound (muted string or fret buzz)
-    _createMissSound() {
-        const sampleRate = this.audioContext.sampleRate;
-        const duration = 0.25;
-        const numSamples = Math.floor(sampleRate * duration);
-        const buffer = this.audioContext.createBuffer(1, numSamples, sampleRate);
-        const data = buffer.getChannelData(0);
-
-        // Use mid-range frequencies for better audibility on all speakers
-        const buzzFreq = 150;
-        const buzzFreq2 = 165; // Slightly detuned for dissonance
-        const buzzFreq3 = 220; // Higher harmonic for presence
-
-        for (let i = 0; i < numSamples; i++) {
-            const t = i / sampleRate;
-
-            // Dissonant frequencies with higher harmonics for audibility
-            let sample = Math.sin(2 * Math.PI * buzzFreq * t) * 0.35;
-            sample += Math.sin(2 * Math.PI * buzzFreq2 * t) * 0.3;
-            sample += Math.sin(2 * Math.PI * buzzFreq3 * t) * 0.2;
-
-            // Add filtered noise for buzz/scratch character
-            const noise = (Math.random() - 0.5) * 0.5;
-            sample += noise;
-
-            // Quick decay envelope with initial punch
-            let envelope;
-            if (t < 0.01) {
-                envelope = t / 0.01; // Quick attack
-            } else {
-                envelope = Math.exp(-(t - 0.01) * 12);
-            }
+    // Start streaming url through a media element. Resolves to its duration (ms) once it can play,
+    // or 0 if it can't be streamed, isn't ready within STREAM_OPEN_TIMEOUT_MS, or the load is cancelled.
+    _openStream(url, load) {
+        const audio = new Audio();
+        audio.crossOrigin = 'anonymous';  // Otherwise a cross-origin file plays silent through Web Audio
+        audio.preload = 'auto';
+        audio.preservesPitch = false;  // Rate changes bend the pitch, like the buffer sources
+
+        const source = this.audioContext.createMediaElementSource(audio);
+        const gain = this.audioContext.createGain();
+        source.connect(gain);
+        gain.connect(this._songOutput());
+        const stream = { audio, source, gain, startTimer: null, closed: false };
+
+        return new Promise(resolve => {
+            let settled = false;
+            const finish = (durationMs) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeout);
+                load.signal.removeEventListener('abort', onAbort);
+                audio.oncanplay = null;
+                audio.onerror = null;
+
+                if (durationMs > 0 && !load.signal.aborted) {
+                    this._stream = stream;
+                } else {
+                    this._closeStream(stream);
+                }
+                resolve(durationMs);
+            };
+            const onAbort = () => finish(0);
+
+            audio.oncanplay = () => finish(Number.isFinite(audio.duration) ? audio.duration * 1000 : 0);
+            audio.onerror = () => {
+                console.warn(`[AudioEngine] Can't stream ${url} - waiting for the full decode`);
+                finish(0);
+            };
+            const timeout = setTimeout(() => {
+                console.warn(`[AudioEngine] ${url} wasn't ready to stream in time - waiting for the full decode`);
+                finish(0);
+            }, STREAM_OPEN_TIMEOUT_MS);
+            load.signal.addEventListener('abort', onAbort);
+            audio.src = url;
+        });
+    }
 
-            data[i] = sample * envelope * 0.6;
+    // Play the streamed song from offsetSec at context time when (after a count-in, say)
+    _playStream(when, offsetSec) {
+        const stream = this._stream;
+        clearTimeout(stream.startTimer);
+        stream.audio.playbackRate = this.playbackRate;
+        stream.audio.currentTime = offsetSec;
+        stream.audio.onended = () => {
+            if (this._stream === stream) this.isPlaying = false;
+        };
+        stream.audio.onplaying = stream.audio.ontimeupdate = () => this._syncToStream(stream);
+
+        const start = () => stream.audio.play()
+            .catch(e => console.warn('[AudioEngine] Streamed playback failed:', e));
+        const delayMs = (when - this.audioContext.currentTime) * 1000;
+        if (delayMs > 0) {
+            stream.startTimer = setTimeout(start, delayMs);
+        } else {
+            start();
         }
+    }
 
-        return buffer;
+    // The element starts from a timer and can stall or run at its own pace, so song time follows
+    // where it really is rather than the context clock it was started against
+    _syncToStream(stream, toleranceMs = STREAM_RESYNC_MS) {
+        if (this._stream !== stream || !this.isPlaying || stream.audio.paused) return;
+        const now = this.audioContext.currentTime;
+        if (now < this._countInEnd) return;
+
+        const driftMs = stream.audio.currentTime * 1000 - this._contextTimeToPosition(now);
+        if (Math.abs(driftMs) > toleranceMs) {
+            this.startTime -= driftMs / 1000 / this.playbackRate;
+        }
     }
 
-    // Create a muted thump sound for pressing keys with no note
-    _createThumpSound() {
-        const sampleRate = this.audioContext.sampleRate;
-        const duration = 0.08;
-        const numSamples = Math.floor(sampleRate * duration);
-        const buffer = this.audioContext.createBuffer(1, numSamples, sampleRate);
-        const data = buffer.getChannelData(0);
-
-        // Low thud frequency
-        const thumpFreq = 60;
-
-        for (let i = 0; i < numSamples; i++) {
-            const t = i / sampleRate;
-
-            // Low frequency thump
-            let sample = Math.sin(2 * Math.PI * thumpFreq * t) * 0.5;
-            
-            // Add a bit of click at the start
-            if (t < 0.005) {
-                sample += (Math.random() - 0.5) * 0.3;
+    _clearStreamHandlers(stream) {
+        stream.audio.onended = null;
+        stream.audio.onplaying = null;
+        stream.audio.ontimeupdate = null;
+    }
+
+    _pauseStream() {
+        if (!this._stream) return;
+        clearTimeout(this._stream.startTimer);
+        this._clearStreamHandlers(this._stream);
+        this._stream.audio.pause();
+    }
+
+    _closeStream(stream = this._stream) {
+        if (!stream || stream.closed) return;
+        stream.closed = true;
+        clearTimeout(stream.startTimer);
+        this._clearStreamHandlers(stream);
+        stream.audio.pause();
+        stream.audio.removeAttribute('src');
+        stream.audio.load();
+        stream.source.disconnect();
+        stream.gain.disconnect();
+        if (this._stream === stream) {
+            this._stream = null;
+        }
+    }
+
+    // A streamed song has finished decoding - the buffer replaces the media element, mid-song if playing
+    _adoptDecodedSong(buffer, load) {
+        if (load.signal.aborted) return;
+        this._endLoad(load);
+
+        // Hand over at the element's real position, not where the context clock thinks it is
+        const stream = this._stream;
+        if (stream) this._syncToStream(stream, 0);
+        this._stream = null;
+        this._setStems({ backing: buffer });
+
+        if (this.isPlaying && this.loopRegion) {
+            // Loop passes were scheduled without a buffer - restart them with it
+            this._closeStream(stream);
+            this.playSong(this._getPlaybackPosition(), false);
+        } else if (this.isPlaying) {
+            // Start the buffer just ahead (or when the count-in ends) and crossfade the element out
+            const when = Math.max(this.audioContext.currentTime + STREAM_HANDOVER_SEC, this._countInEnd);
+            const offsetSec = this._contextTimeToPosition(when) / 1000;
+            if (offsetSec < buffer.duration) {
+                this._startSongPlayback(when, offsetSec);
+            }
+            if (stream) {
+                stream.gain.gain.setValueAtTime(1, when);
+                stream.gain.gain.linearRampToValueAtTime(0, when + STREAM_HANDOVER_SEC);
+                const closeMs = (when - this.audioContext.currentTime + STREAM_HANDOVER_SEC) * 1000 + 50;
+                setTimeout(() => this._closeStream(stream), closeMs);
             }
+        } else {
+            this._closeStream(stream);
+        }
+
+        console.log(`[AudioEngine] Streamed song decoded (${buffer.duration.toFixed(1)}s)`);
+        this.dotNetReference?.invokeMethod('OnSongDecoded', buffer.duration * 1000);
+    }
 
-            // Very fast decay - just a quick thud
-            const envelope = Math.exp(-t * 50);
+    // Load separate stems ({ backing, guitar, bass, drums } -> url) that play in sync as one song.
+    // Stems that fail are skipped; the result is a failure only when none load. Resolves to a load
+    // result like loadSong()'s, with the urls of the stems that failed in missing.
+    async loadStems(stemUrls) {
+        this.resetClockDrift();
+        this.loopRegion = null;
 
-            data[i] = sample * envelope * 0.7;
+        if (!this.audioContext) {
+            console.error('[AudioEngine] loadStems called but audioContext is null');
+            return loadFailure(new AudioLoadError(LOAD_ERROR.DECODE_FAILED, '', 'Audio is not initialized'), '');
         }
 
-        return buffer;
+        const entries = Object.entries(stemUrls || {}).filter(([name, url]) => {
+            if (!STEM_NAMES.includes(name)) {
+                console.warn(`[AudioEngine] Ignoring unknown stem: ${name}`);
+                return false;
+            }
+            return !!url;
+        });
+
+        // Fetch and decode in parallel - progress is only reported for single-file songs
+        const load = this._beginLoad(entries.map(([, url]) => url).join(', '), false);
+        const loaded = await Promise.all(entries.map(async ([name, url]) => {
+            try {
+                return { name, url, buffer: (await this._loadAudioFile(url, load)).buffer };
+            } catch (e) {
+                if (!load.signal.aborted) console.warn(`Failed to load stem: ${url}`, e);
+                return { name, url, error: e };
+            }
+        }));
+        this._throwIfCancelled(load);
+        this._endLoad(load);
+
+        this._setStems(Object.fromEntries(loaded.filter(stem => stem.buffer).map(stem => [stem.name, stem.buffer])));
+        console.log('[AudioEngine] Loaded stems:', [...this.stems.keys()].join(', ') || 'none');
+
+        const failed = loaded.filter(stem => stem.error);
+        if (!this.songBuffer) {
+            const error = failed[0]?.error ?? new AudioLoadError(LOAD_ERROR.NOT_FOUND, '', 'The song has no stems');
+            return { ...loadFailure(error, failed[0]?.url ?? ''), missing: failed.map(stem => stem.url) };
+        }
+        const longest = loaded.find(stem => stem.buffer === this.songBuffer);
+        return { ...loadSuccess(longest.url, this.getSongDuration()), missing: failed.map(stem => stem.url) };
     }
 
-    // Create star power activation sound - epic rising power chord
-    _createStarPowerSound() {
-        const sampleRate = this.audioContext.sampleRate;
-        const duration = 0.6;
-        const numSamples = Math.floor(sampleRate * duration);
-        const buffer = this.audioContext.createBuffer(1, numSamples, sampleRate);
-        const data = buffer.getChannelData(0);
-
-        // Power chord frequencies (E5 power chord with octave)
-        const baseFreq = 329.63;  // E4
-        const fifth = 493.88;     // B4
-        const octave = 659.25;    // E5
-
-        for (let i = 0; i < numSamples; i++) {
-            const t = i / sampleRate;
-
-            // Rising pitch effect
-            const pitchRise = 1 + t * 0.15;
-
-            // Power chord with harmonics
-            let sample = Math.sin(2 * Math.PI * baseFreq * pitchRise * t) * 0.4;
-            sample += Math.sin(2 * Math.PI * fifth * pitchRise * t) * 0.3;
-            sample += Math.sin(2 * Math.PI * octave * pitchRise * t) * 0.25;
-            
-            // Add some shimmer/brightness
-            sample += Math.sin(2 * Math.PI * baseFreq * 2 * pitchRise * t) * 0.15;
-            sample += Math.sin(2 * Math.PI * octave * 2 * pitchRise * t) * 0.1;
-
-            // Envelope: quick attack, sustain, then fade
-            let envelope;
-            if (t < 0.02) {
-                envelope = t / 0.02;  // Quick attack
-            } else if (t < 0.3) {
-                envelope = 1.0;  // Sustain
-            } else {
-                envelope = 1.0 - ((t - 0.3) / 0.3);  // Fade out
+    _setStems(buffers) {
+        for (const stem of this.stems.values()) {
+            stem.gain.disconnect();
+        }
+        this.stems.clear();
+        this.songBuffer = null;
+
+        for (const [name, buffer] of Object.entries(buffers)) {
+            const gain = this.audioContext.createGain();
+            gain.connect(this._songOutput());
+            this.stems.set(name, { buffer, gain, volume: 1, muted: false });
+
+            if (!this.songBuffer || buffer.duration > this.songBuffer.duration) {
+                this.songBuffer = buffer;
             }
+        }
+    }
+
+    // Mute or unmute a stem (e.g. the guitar on a miss), optionally fading over fadeMs
+    setStemMuted(name, muted, fadeMs = 0) {
+        const stem = this.stems.get(name);
+        if (!stem) return false;
+
+        stem.muted = !!muted;
+        this._rampStemGain(stem, fadeMs);
+        return true;
+    }
+
+    setStemVolume(name, volume, fadeMs = 0) {
+        const stem = this.stems.get(name);
+        if (!stem) return false;
+
+        stem.volume = Math.max(0, Math.min(1, volume));
+        this._rampStemGain(stem, fadeMs);
+        return true;
+    }
 
-            data[i] = sample * envelope * 0.5;
+    // Generate a chart from the loaded song (every stem mixed to mono) in a worker. Options are
+    // the chart meta fields plus tuning (see chartGenerator.js); progress goes to OnChartProgress.
+    // Pass buffers to chart other audio (an imported file, say) instead of the loaded song.
+    async generateChart(options = {}, buffers = null) {
+        buffers ??= [...this.stems.values()].map(stem => stem.buffer);
+        if (buffers.length === 0) {
+            throw new Error('[AudioEngine] No song loaded to generate a chart from');
         }
 
-        return buffer;
+        const sampleRate = buffers[0].sampleRate;
+        const onProgress = (progress) => this.dotNetReference?.invokeMethod('OnChartProgress', progress);
+
+        const chart = await this._generateChartInWorker(mixToMono(buffers), sampleRate, options, onProgress);
+        if (chart) return chart;
+
+        // The worker's copy of the samples was transferred away, so mix them again
+        return generateChartFromSamples(mixToMono(buffers), sampleRate, options, onProgress);
     }
 
-    async ensureResumed() {
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
+    // Resolves null when the worker can't be created or fails to load - the caller then generates on
+    // the main thread. Errors from the generation itself still reject.
+    async _generateChartInWorker(samples, sampleRate, options, onProgress) {
+        let worker;
+        try {
+            worker = new Worker(CHART_WORKER_URL, { type: 'module' });
+        } catch (e) {
+            console.warn('[AudioEngine] Chart worker unavailable, generating on main thread:', e.message);
+            return null;
+        }
+
+        try {
+            return await new Promise((resolve, reject) => {
+                worker.onmessage = (event) => {
+                    const { progress, chart, error } = event.data;
+                    if (progress !== undefined) {
+                        onProgress(progress);
+                    } else if (error) {
+                        reject(new Error(error));
+                    } else {
+                        resolve(chart);
+                    }
+                };
+                worker.onerror = (event) => {
+                    event.preventDefault?.();
+                    console.warn('[AudioEngine] Chart worker failed, generating on main thread:', event.message);
+                    resolve(null);
+                };
+                worker.postMessage({ id: 0, samples, sampleRate, options }, [samples.buffer]);
+            });
+        } finally {
+            worker.terminate();
         }
     }
 
-    async loadSong(url) {
+    // Decode a whole audio file already in memory (a local import, say). Throws an AudioLoadError
+    // saying whether the format is unsupported or the file is damaged; name is only for messages.
+    async decodeAudioFile(data, name = '') {
         if (!this.audioContext) {
-            console.error('[AudioEngine] loadSong called but audioContext is null');
-            return 60000;
+            throw new AudioLoadError(LOAD_ERROR.DECODE_FAILED, name, 'Audio is not initialized');
         }
 
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                console.warn(`Audio file not found: ${url}`);
-                this.songBuffer = null;
-                return 60000; // Return 60 seconds as default duration
-            }
-            const arrayBuffer = await response.arrayBuffer();
-            this.songBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            return this.songBuffer.duration * 1000; // Return duration in ms
+            return await this.audioContext.decodeAudioData(data);
         } catch (e) {
-            console.warn(`Failed to load audio: ${url}`, e);
-            this.songBuffer = null;
-            return 60000; // Return 60 seconds as default duration
+            const kind = canPlayAudio(name) ? LOAD_ERROR.DECODE_FAILED : LOAD_ERROR.UNSUPPORTED_CODEC;
+            throw new AudioLoadError(kind, name, `Could not decode ${name}: ${e?.message || e}`);
+        }
+    }
+
+    getStems() {
+        return [...this.stems].map(([name, stem]) => ({
+            name,
+            volume: stem.volume,
+            muted: stem.muted,
+            durationMs: stem.buffer.duration * 1000
+        }));
+    }
+
+    _rampStemGain(stem, fadeMs) {
+        const now = this.audioContext.currentTime;
+        const target = stem.muted ? 0 : stem.volume;
+        const gain = stem.gain.gain;
+
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        if (fadeMs > 0) {
+            gain.linearRampToValueAtTime(target, now + fadeMs / 1000);
+        } else {
+            gain.setValueAtTime(target, now);
+        }
+    }
+
+    // Start one source per stem. They share the start time and offset, so the stems stay sample-aligned.
+    _startSongSources(when, offsetSec, durationSec, loop = null) {
+        const sources = [];
+
+        for (const stem of this.stems.values()) {
+            const source = this.audioContext.createBufferSource();
+            source.buffer = stem.buffer;
+            source.playbackRate.value = this.playbackRate;
+            if (loop) {
+                source.loop = true;
+                source.loopStart = loop.startMs / 1000;
+                source.loopEnd = loop.endMs / 1000;
+            }
+            source.connect(stem.gain);
+
+            if (durationSec === undefined) {
+                source.start(when, offsetSec);
+            } else {
+                source.start(when, offsetSec, durationSec);
+            }
+            sources.push(source);
         }
+
+        return sources;
+    }
+
+    // Play every stem from offsetSec at context time when. The longest stem decides when the song is over.
+    _startSongPlayback(when, offsetSec) {
+        this.songSources = this._startSongSources(when, offsetSec);
+        const longest = this.songSources.find(source => source.buffer === this.songBuffer);
+        longest.onended = () => {
+            this.isPlaying = false;
+        };
+    }
+
+    _stopSongSources() {
+        this._pauseStream();
+        for (const source of this.songSources) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {
+                // Ignore if already stopped
+            }
+        }
+        this.songSources = [];
     }
 
     async loadSfx(name, url) {
-        try {
-            const response = await fetch(url);
-            const arrayBuffer = await response.arrayBuffer();
-            const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            this.sfxBuffers.set(name, buffer);
-            return true;
-        } catch (e) {
-            console.warn(`Failed to load SFX: ${name}`, e);
+        const buffer = await this._loadSample(url);
+        if (!buffer) {
+            console.warn(`Failed to load SFX: ${name}`);
             return false;
         }
+        this.sfxBuffers.set(name, buffer);
+        return true;
+    }
+
+    // Fetch and decode an audio file through the sample cache. Resolves to null if it can't be loaded.
+    _loadSample(url) {
+        let pending = this.sampleCache.get(url);
+        if (pending) {
+            // Move to the back of the LRU order
+            this.sampleCache.delete(url);
+            this.sampleCache.set(url, pending);
+            return pending;
+        }
+
+        pending = fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then(data => this.audioContext.decodeAudioData(data))
+            .catch(e => {
+                console.warn(`[AudioEngine] Failed to load sample: ${url}`, e);
+                // Don't cache failures - a later song may retry
+                if (this.sampleCache.get(url) === pending) {
+                    this.sampleCache.delete(url);
+                }
+                return null;
+            });
+
+        this.sampleCache.set(url, pending);
+        while (this.sampleCache.size > SAMPLE_CACHE_SIZE) {
+            this.sampleCache.delete(this.sampleCache.keys().next().value);
+        }
+        return pending;
     }
 
-    async playSong(offsetMs = 0) {
+    // Play from offsetMs. With countIn the metronome's count-in clicks first (not when looping -
+    // loops have their own); internal restarts at a new position or rate pass false.
+    async playSong(offsetMs = 0, countIn = true) {
         if (!this.audioContext) {
             console.error('[AudioEngine] playSong called but audioContext is null');
             return;
@@ -520,80 +1218,829 @@ class AudioEngine {
             await this.audioContext.resume();
         }
 
+        if (!this.songBuffer && !this._stream && !this._silentDurationMs) {
+            console.error('[AudioEngine] playSong called with no song loaded - call playWithoutAudio() to play silently');
+            return;
+        }
+
         this.stopSong();
+        this.stopPreview();
 
         // Convert offset from ms to seconds
         const offsetSec = offsetMs / 1000;
         this.songOffset = offsetMs;
 
-        // Record start time for precise position tracking (works even without audio)
-        this.startTime = this.audioContext.currentTime - offsetSec;
+        // Count-in clicks end where the song starts; song time runs up to offsetMs meanwhile
+        const countInSec = countIn && !this.loopRegion ? this._scheduleCountIn(offsetMs) : 0;
+        const songStart = this.audioContext.currentTime + countInSec;
+        this._countInEnd = songStart;
+
+        // Record start time for precise position tracking (works even without audio).
+        // startTime is the context time at which song position 0 would have played at the current rate.
+        this.startTime = songStart - offsetSec / this.playbackRate;
         this.isPlaying = true;
 
-        if (!this.songBuffer) {
-            // No audio loaded, but we still track time
-            console.log('Playing without audio (no audio file loaded)');
-            return;
+        if (!this._driftAnchor) {
+            this._driftAnchor = this._readClockPair();
         }
 
-        this.songSource = this.audioContext.createBufferSource();
-        this.songSource.buffer = this.songBuffer;
-        this.songSource.connect(this.gainNode);
+        // Star power paused with the song picks up where it left off
+        if (this.starPowerActive && this._starPowerRemainingMs > 0) {
+            this._scheduleStarPowerEnd(this._starPowerRemainingMs);
+            this._starPowerRemainingMs = 0;
+        }
 
-        this.songSource.start(0, offsetSec);
+        this._startBeatEvents();
+        if (this.metronome.settings.enabled) {
+            this.metronome.start((from, to) => this._songClicks(from, to));
+        }
 
-        this.songSource.onended = () => {
-            this.isPlaying = false;
-        };
+        if (this.loopRegion) {
+            this._startLoopPlayback(offsetMs);
+            return;
+        }
+
+        if (!this.songBuffer) {
+            if (this._stream) {
+                // Still decoding - play the stream until the buffer takes over
+                this._playStream(songStart, offsetSec);
+                return;
+            }
+            // playWithoutAudio() - no audio, but we still track time
+            console.log('Playing without audio');
+            return;
+        }
+
+        this._startSongPlayback(countInSec > 0 ? songStart : 0, offsetSec);
     }
 
     pauseSong() {
         if (this.isPlaying) {
-            this.pauseTime = this.getCurrentTime();
-            if (this.songSource) {
-                this.songSource.stop();
-                this.songSource = null;
-            }
+            // Paused during a count-in: resuming counts in to the same spot again
+            const countingIn = this.audioContext.currentTime < this._countInEnd;
+            this.pauseTime = countingIn ? this.songOffset : this._getPlaybackPosition();
+            this.isPaused = true;
+            this._stopSongSources();
+            this._stopLoopPlayback();
+            this._stopBeatEvents();
+            this.metronome.stop();
             this.isPlaying = false;
+            this._holdStarPower();
         }
     }
 
     async resumeSong() {
-        if (!this.isPlaying && this.pauseTime > 0) {
+        if (!this.isPlaying && this.isPaused) {
             await this.playSong(this.pauseTime);
         }
     }
 
     stopSong() {
-        if (this.songSource) {
-            try {
-                this.songSource.stop();
-            } catch (e) {
-                // Ignore if already stopped
-            }
-            this.songSource = null;
-        }
+        this._stopSongSources();
+        this._stopLoopPlayback();
+        this._stopBeatEvents();
+        this.metronome.stop();
+        this._countInEnd = 0;
         this.isPlaying = false;
         this.startTime = 0;
         this.pauseTime = 0;
+        this.isPaused = false;
     }
 
     // Returns current position in milliseconds - THIS IS THE AUTHORITATIVE TIME SOURCE
     getCurrentTime() {
-        if (!this.isPlaying) return this.pauseTime;
-        return (this.audioContext.currentTime - this.startTime) * 1000;
+        // Latency is real time; at a practice rate it covers proportionally more (or less) song time
+        const latency = this.getTotalOutputLatency() * this.playbackRate;
+        if (!this.isPlaying) {
+            return this.isPaused ? this.pauseTime - latency : 0;
+        }
+        return this._getPlaybackPosition() - latency;
     }
 
-    // Get song duration in milliseconds
-    getSongDuration() {
-        return this.songBuffer ? this.songBuffer.duration * 1000 : 60000;
+    // Position in the song buffer that is being scheduled right now, before latency correction
+    _getPlaybackPosition() {
+        return this._contextTimeToPosition(this.audioContext.currentTime);
+    }
+
+    // Song position (ms) scheduled at a given context time (s) for the current playback
+    _contextTimeToPosition(contextTime) {
+        const loop = this.loopRegion;
+        if (loop && this.isPlaying) {
+            if (this._loopPasses.length > 0) {
+                // Scheduled loop: each pass has its own anchor, starting countIn ms (maybe 0) before A
+                const pass = this._loopPassAt(contextTime);
+                if (pass) {
+                    return (contextTime - pass.startTime) * this.playbackRate * 1000;
+                }
+            } else {
+                // Native loop: the source wraps from B back to A by itself
+                const position = (contextTime - this.startTime) * this.playbackRate * 1000;
+                if (position >= loop.endMs) {
+                    return loop.startMs + (position - loop.startMs) % (loop.endMs - loop.startMs);
+                }
+                return position;
+            }
+        }
+        return (contextTime - this.startTime) * this.playbackRate * 1000;
+    }
+
+    // ============================================
+    // Practice speed
+    // ============================================
+
+    // Change the song speed (e.g. 0.5 for half speed). Takes effect immediately while playing;
+    // getCurrentTime() stays continuous across the change.
+    async setPlaybackRate(rate, preservePitch = this.preservePitch) {
+        const newRate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate || 1));
+
+        if (preservePitch && this.audioContext) {
+            await this._ensurePitchShifter();
+        }
+
+        if (this.isPlaying && this.loopRegion) {
+            // Loop passes and count-in clicks are scheduled at the old rate - restart from here
+            const position = this._getPlaybackPosition();
+            this.playbackRate = newRate;
+            this.preservePitch = preservePitch && !!this.pitchShifter;
+            this._connectSongOutput();
+            this._updatePitchShifter();
+            await this.playSong(position, false);
+            return newRate;
+        }
+
+        if (this.isPlaying) {
+            // Re-anchor so the current position maps to now at the new rate
+            const now = this.audioContext.currentTime;
+            const position = this._contextTimeToPosition(now);
+            this.startTime = now - position / 1000 / newRate;
+        }
+
+        this.playbackRate = newRate;
+        this.preservePitch = preservePitch && !!this.pitchShifter;
+
+        for (const source of this.songSources) {
+            source.playbackRate.setValueAtTime(newRate, this.audioContext.currentTime);
+        }
+        if (this._stream) {
+            this._stream.audio.playbackRate = newRate;
+        }
+        this._connectSongOutput();
+        this._updatePitchShifter();
+
+        console.log(`[AudioEngine] Playback rate ${newRate}x${this.preservePitch ? ' (pitch preserved)' : ''}`);
+        return newRate;
+    }
+
+    getPlaybackRate() {
+        return this.playbackRate;
+    }
+
+    // Route the song through the pitch shifter only when it is actually needed
+    _songOutput() {
+        return this._isPitchShifterActive() ? this.pitchShifter : this.songBus;
+    }
+
+    _connectSongOutput() {
+        const output = this._songOutput();
+        for (const stem of this.stems.values()) {
+            stem.gain.disconnect();
+            stem.gain.connect(output);
+        }
+        if (this._stream) {
+            this._stream.gain.disconnect();
+            this._stream.gain.connect(output);
+        }
+    }
+
+    _isPitchShifterActive() {
+        return this.preservePitch && this.pitchShifter && this.playbackRate !== 1;
+    }
+
+    _updatePitchShifter() {
+        if (!this.pitchShifter) return;
+        const ratio = this.pitchShifter.parameters.get('pitchRatio');
+        ratio.setValueAtTime(1 / this.playbackRate, this.audioContext.currentTime);
+    }
+
+    // Load the AudioWorklet stretcher once. Browsers without AudioWorklet fall back to plain rate changes.
+    _ensurePitchShifter() {
+        if (this.pitchShifter) return Promise.resolve(true);
+        if (!this.audioContext.audioWorklet) {
+            console.warn('[AudioEngine] AudioWorklet not supported, pitch will follow playback rate');
+            return Promise.resolve(false);
+        }
+
+        if (!this._pitchShifterReady) {
+            this._pitchShifterReady = this.audioContext.audioWorklet
+                .addModule('js/worklets/pitchShifter.worklet.js')
+                .then(() => {
+                    this.pitchShifter = new AudioWorkletNode(this.audioContext, 'pitch-shifter', {
+                        outputChannelCount: [2],
+                        processorOptions: { windowSize: PITCH_SHIFTER_WINDOW }
+                    });
+                    this.pitchShifter.connect(this.songBus);
+                    return true;
+                })
+                .catch(e => {
+                    console.warn('[AudioEngine] Failed to load pitch shifter:', e);
+                    this._pitchShifterReady = null;
+                    return false;
+                });
+        }
+        return this._pitchShifterReady;
+    }
+
+    // ============================================
+    // A/B practice loop
+    // ============================================
+
+    // Loop the song between startMs and endMs. With countInBeats > 0 every pass starts with that
+    // many metronome clicks at the given BPM (the tempo map's at startMs when 0); otherwise the sources
+    // loop natively via loopStart/loopEnd, unless a stem ends before B (see _canLoopNatively).
+    // Each wrap is reported to .NET through OnLoopWrapped once it is heard.
+    setLoopRegion(startMs, endMs, countInBeats = 0, bpm = 0) {
+        const duration = this.songBuffer ? this.songBuffer.duration * 1000 : Infinity;
+        const start = Math.max(0, startMs);
+        const end = Math.min(duration, endMs);
+        if (!bpm) {
+            bpm = this.tempoMap.getTempoAt(start).bpm;
+        }
+
+        if (!(end - start >= MIN_LOOP_LENGTH_MS)) {
+            console.error(`[AudioEngine] Invalid loop region ${startMs}-${endMs}ms`);
+            return false;
+        }
+        if (countInBeats > 0 && !(bpm > 0)) {
+            console.error('[AudioEngine] Count-in needs a positive BPM, got', bpm);
+            return false;
+        }
+
+        const position = this.isPlaying ? this._getPlaybackPosition() : null;
+
+        this.loopRegion = {
+            startMs: start,
+            endMs: end,
+            countInBeats: Math.max(0, Math.floor(countInBeats || 0)),
+            bpm
+        };
+
+        if (position !== null) {
+            this.playSong(position, false);
+        }
+
+        console.log(`[AudioEngine] Loop ${start}-${end}ms, count-in ${this.loopRegion.countInBeats} beats`);
+        return true;
+    }
+
+    // Stop looping; playback carries on from the current position
+    clearLoopRegion() {
+        if (!this.loopRegion) return;
+
+        const position = this.isPlaying ? this._getPlaybackPosition() : null;
+        this.loopRegion = null;
+
+        if (position !== null) {
+            this.playSong(position, false);
+        }
+    }
+
+    getLoopRegion() {
+        return this.loopRegion ? { ...this.loopRegion, iteration: this.loopIteration } : null;
+    }
+
+    _loopCountInMs() {
+        const { countInBeats, bpm } = this.loopRegion;
+        return countInBeats > 0 ? countInBeats * 60000 / bpm : 0;
+    }
+
+    // A native loop wraps each source at loopEnd or its own buffer's end, whichever comes first, so it
+    // only keeps the stems together when they all reach B. Otherwise every pass is scheduled instead.
+    _canLoopNatively() {
+        const endSec = this.loopRegion.endMs / 1000;
+        return this._loopCountInMs() === 0
+            && [...this.stems.values()].every(stem => stem.buffer.duration >= endSec);
+    }
+
+    _startLoopPlayback(offsetMs) {
+        const { startMs, endMs } = this.loopRegion;
+        const now = this.audioContext.currentTime;
+        this.loopIteration = 0;
+
+        if (this._canLoopNatively()) {
+            // Past the end of the region - jump back to A
+            if (offsetMs >= endMs) {
+                offsetMs = startMs;
+                this.startTime = now - startMs / 1000 / this.playbackRate;
+            }
+
+            this.songSources = this._startSongSources(0, offsetMs / 1000, undefined, this.loopRegion);
+        } else if (offsetMs > startMs && offsetMs < endMs) {
+            // Resuming inside the region: finish this pass, then (count in and) start the next
+            this._loopPasses = [{ contextStart: now, startTime: this.startTime, iteration: 0 }];
+            this._playLoopSegment(now, offsetMs, endMs);
+            this._nextLoopStart = now + (endMs - offsetMs) / 1000 / this.playbackRate;
+        } else {
+            this._loopPasses = [];
+            this._nextLoopStart = now;
+            this._scheduleLoopPass();
+        }
+
+        this._loopTimer = setInterval(() => this._loopTick(), LOOP_TIMER_INTERVAL_MS);
+    }
+
+    // Schedule one pass (any count-in clicks, then A to B) starting at _nextLoopStart
+    _scheduleLoopPass() {
+        const { startMs, endMs, countInBeats, bpm } = this.loopRegion;
+        const rate = this.playbackRate;
+        const countInMs = this._loopCountInMs();
+        const passStart = this._nextLoopStart;
+        const last = this._loopPasses[this._loopPasses.length - 1];
+
+        this._loopPasses.push({
+            contextStart: passStart,
+            startTime: passStart - (startMs - countInMs) / 1000 / rate,
+            iteration: last ? last.iteration + 1 : 0
+        });
+
+        // Only the pass being heard and the ones queued after it are needed for position lookups
+        while (this._loopPasses.length > 3) {
+            this._loopPasses.shift();
+        }
+
+        // Clicks follow the practice rate so the count-in matches the tempo of the pass
+        const beatSec = 60 / bpm / rate;
+        for (let i = 0; i < countInBeats; i++) {
+            const click = this.scheduleClick(passStart + i * beatSec, i === 0);
+            if (click) this._trackLoopSource(click);
+        }
+
+        this._playLoopSegment(passStart + countInMs / 1000 / rate, startMs, endMs);
+        this._nextLoopStart = passStart + (countInMs + endMs - startMs) / 1000 / rate;
+    }
+
+    _playLoopSegment(when, fromMs, toMs) {
+        for (const source of this._startSongSources(when, fromMs / 1000, (toMs - fromMs) / 1000)) {
+            this._trackLoopSource(source);
+        }
+    }
+
+    _trackLoopSource(source) {
+        this._loopSources.push(source);
+        source.onended = () => {
+            const index = this._loopSources.indexOf(source);
+            if (index >= 0) this._loopSources.splice(index, 1);
+        };
+    }
+
+    _loopPassAt(contextTime) {
+        let pass = this._loopPasses[0];
+        for (const candidate of this._loopPasses) {
+            if (candidate.contextStart <= contextTime) pass = candidate;
+        }
+        return pass;
+    }
+
+    _loopTick() {
+        if (!this.isPlaying || !this.loopRegion) return;
+
+        const now = this.audioContext.currentTime;
+        const scheduled = this._loopPasses.length > 0;
+
+        if (scheduled) {
+            while (this._nextLoopStart - now < LOOP_LOOKAHEAD_SEC) {
+                this._scheduleLoopPass();
+            }
+        }
+
+        // Report wraps when they are heard, not when they are scheduled
+        const heard = now - this.getTotalOutputLatency() / 1000;
+        let iteration;
+        if (scheduled) {
+            iteration = this._loopPassAt(heard).iteration;
+        } else {
+            const { startMs, endMs } = this.loopRegion;
+            const position = (heard - this.startTime) * this.playbackRate * 1000;
+            iteration = position < endMs ? 0 : 1 + Math.floor((position - endMs) / (endMs - startMs));
+        }
+
+        if (iteration > this.loopIteration) {
+            this.loopIteration = iteration;
+            this.dotNetReference?.invokeMethod('OnLoopWrapped', iteration, this.loopRegion.startMs);
+        }
+    }
+
+    // ============================================
+    // Tempo map
+    // ============================================
+
+    setTempoMap(syncTrack) {
+        this.tempoMap = new TempoMap(syncTrack);
+        this._lastBeatTickMs = this.getCurrentTime();
+    }
+
+    _startBeatEvents() {
+        this._stopBeatEvents();
+        this._lastBeatTickMs = this.getCurrentTime();
+        this._beatTimer = setInterval(() => this._beatTick(), BEAT_TIMER_INTERVAL_MS);
+    }
+
+    _stopBeatEvents() {
+        if (this._beatTimer !== null) {
+            clearInterval(this._beatTimer);
+            this._beatTimer = null;
+        }
+    }
+
+    // Report every beat heard since the last tick (getCurrentTime is already latency-corrected)
+    _beatTick() {
+        if (!this.isPlaying) return;
+
+        const now = this.getCurrentTime();
+        const last = this._lastBeatTickMs;
+        this._lastBeatTickMs = now;
+
+        // Loop wraps jump backwards - carry on from the new position without replaying beats
+        if (now <= last || !this.dotNetReference) return;
+
+        for (const beat of this.tempoMap.getBeats(Math.max(last, now - BEAT_MAX_LATE_MS), now)) {
+            if (beat.time <= last) continue;  // Reported by the previous tick
+
+            this.dotNetReference.invokeMethod('OnBeat', beat.beat, beat.measure, beat.beatInMeasure, beat.time);
+            if (beat.isDownbeat) {
+                this.dotNetReference.invokeMethod('OnMeasure', beat.measure, beat.time);
+            }
+        }
+    }
+
+    // ============================================
+    // Metronome
+    // ============================================
+
+    // Change metronome settings ({ enabled, volume, countInBeats }); toggling takes effect mid-song
+    setMetronome(settings) {
+        const wasEnabled = this.metronome.settings.enabled;
+        const result = this.metronome.update(settings);
+
+        if (this.isPlaying && result.enabled !== wasEnabled) {
+            if (result.enabled) {
+                this.metronome.start((from, to) => this._songClicks(from, to));
+            } else {
+                this.metronome.stop();
+            }
+            return this.metronome.getSettings();
+        }
+        return result;
+    }
+
+    // Free-running click without a song - for calibration and practice. The first beat is accented
+    // and lands startDelayMs from now. Stopped by stopMetronome() or playSong().
+    startMetronome(bpm, beatsPerMeasure = 4, startDelayMs = 100) {
+        if (!this.audioContext || !(bpm > 0)) return false;
+        const startTime = this.audioContext.currentTime + startDelayMs / 1000;
+        this.metronome.start(fixedTempo(startTime, bpm, beatsPerMeasure));
+        return true;
+    }
+
+    stopMetronome() {
+        this.metronome.stop();
+    }
+
+    // Count-in clicks at the tempo at offsetMs, ending now + the returned duration (s)
+    _scheduleCountIn(offsetMs) {
+        const beats = this.metronome.settings.countInBeats;
+        if (beats <= 0) return 0;
+
+        const { bpm, beatsPerMeasure } = this.tempoMap.getTempoAt(offsetMs);
+        const beatSec = 60 / bpm / this.playbackRate;
+        const countInSec = beats * beatSec;
+        this.metronome.countIn(this.audioContext.currentTime + countInSec, beats, beatSec, beatsPerMeasure);
+        return countInSec;
+    }
+
+    // Metronome beat source for the playing song: tempo map beats scheduled between two context times
+    _songClicks(fromTime, toTime) {
+        const rate = this.playbackRate;
+        const from = this._contextTimeToPosition(fromTime);
+        const to = this._contextTimeToPosition(toTime);
+        const spanMs = (toTime - fromTime) * rate * 1000;
+        const loop = this.loopRegion;
+        const clicks = [];
+
+        const add = (anchorTime, anchorMs, fromMs, toMs) => {
+            for (const beat of this.tempoMap.getBeats(fromMs, toMs)) {
+                const when = anchorTime + (beat.time - anchorMs) / 1000 / rate;
+                if (when <= fromTime || when > toTime || when < this._countInEnd) continue;
+                if (loop && (beat.time >= loop.endMs || beat.time < loop.startMs)) continue;
+                clicks.push({ when, accent: beat.isDownbeat });
+            }
+        };
+
+        if (Math.abs(to - from - spanMs) < 1) {
+            add(fromTime, from, from, to);
+        } else {
+            // The loop wrapped inside this window: beats before the jump count from its start, after from its end
+            add(fromTime, from, from, from + spanMs);
+            add(toTime, to, to - spanMs, to);
+        }
+        return clicks;
+    }
+
+    _stopLoopPlayback() {
+        if (this._loopTimer !== null) {
+            clearInterval(this._loopTimer);
+            this._loopTimer = null;
+        }
+
+        for (const source of this._loopSources) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {
+                // Ignore if already stopped
+            }
+        }
+        this._loopSources = [];
+        this._loopPasses = [];
+    }
+
+    // Latency the browser reports for the output path, in milliseconds
+    getReportedOutputLatency() {
+        if (!this.audioContext) return 0;
+        const base = this.audioContext.baseLatency || 0;
+        const output = this.audioContext.outputLatency || 0;
+        return (base + output) * 1000;
+    }
+
+    // Everything between scheduling a sample and hearing it: reported latency plus the calibrated offset
+    // (plus the pitch shifter's average grain delay while it is in the signal path)
+    getTotalOutputLatency() {
+        const shifterDelay = this._isPitchShifterActive()
+            ? (PITCH_SHIFTER_WINDOW / 2 / this.audioContext.sampleRate) * 1000
+            : 0;
+        return this.getReportedOutputLatency() + this.audioOffsetMs + shifterDelay;
+    }
+
+    // Convert a performance.now() time (ms) to the song position heard at that moment (ms).
+    // Used to put input event timestamps on the song clock.
+    performanceTimeToSongTime(performanceTime) {
+        if (!this.isPlaying) return this.getCurrentTime();
+
+        const stamp = this._getOutputTimestamp();
+        if (stamp) {
+            // The output timestamp pairs the frame reaching the speakers with the performance clock,
+            // so the real output latency is already accounted for - only the calibrated offset remains
+            const heardContextTime = stamp.contextTime + (performanceTime - stamp.performanceTime) / 1000;
+            const remainingLatency = this.getTotalOutputLatency() - this.getReportedOutputLatency();
+            return this._contextTimeToPosition(heardContextTime) - remainingLatency * this.playbackRate;
+        }
+
+        return this.getCurrentTime() - (performance.now() - performanceTime) * this.playbackRate;
+    }
+
+    _getOutputTimestamp() {
+        if (!this.audioContext || !this.audioContext.getOutputTimestamp) return null;
+        const stamp = this.audioContext.getOutputTimestamp();
+        // Both fields read 0 until the output device has started
+        return stamp && stamp.performanceTime > 0 ? stamp : null;
+    }
+
+    // Simultaneous reading of both clocks, in ms. source says which pairing was used: the output
+    // timestamp lags currentTime by the output latency, so readings from different sources don't compare.
+    _readClockPair() {
+        const stamp = this._getOutputTimestamp();
+        if (stamp) {
+            return { performanceTime: stamp.performanceTime, contextTime: stamp.contextTime * 1000, source: 'output' };
+        }
+        return { performanceTime: performance.now(), contextTime: this.audioContext.currentTime * 1000, source: 'context' };
+    }
+
+    // How far the performance clock and the audio clock have diverged since the session started.
+    // Positive driftMs means the audio clock is running behind the performance clock.
+    getClockDrift() {
+        if (!this.audioContext || !this._driftAnchor) {
+            return { driftMs: 0, maxDriftMs: 0, driftPpm: 0, elapsedMs: 0 };
+        }
+
+        const now = this._readClockPair();
+        if (now.source !== this._driftAnchor.source) {
+            // The output timestamp became available (or went away) - measure from here on the new source
+            // rather than reporting the latency between the two as drift
+            this._driftAnchor = now;
+        }
+        const elapsedMs = now.performanceTime - this._driftAnchor.performanceTime;
+        const driftMs = elapsedMs - (now.contextTime - this._driftAnchor.contextTime);
+
+        if (Math.abs(driftMs) > Math.abs(this._maxDriftMs)) {
+            this._maxDriftMs = driftMs;
+        }
+
+        return {
+            driftMs,
+            maxDriftMs: this._maxDriftMs,
+            driftPpm: elapsedMs > 0 ? (driftMs / elapsedMs) * 1e6 : 0,
+            elapsedMs
+        };
+    }
+
+    resetClockDrift() {
+        this._driftAnchor = null;
+        this._maxDriftMs = 0;
+    }
+
+    // Convert an AudioContext time (seconds) to the performance.now() clock (ms).
+    // This is when the sample is rendered, not when it is heard - add getTotalOutputLatency() for that.
+    contextTimeToPerformanceTime(contextTime) {
+        return performance.now() + (contextTime - this.audioContext.currentTime) * 1000;
+    }
+
+    setLatencyOffsets(audioOffsetMs, inputOffsetMs) {
+        this.audioOffsetMs = audioOffsetMs || 0;
+        this.inputOffsetMs = inputOffsetMs || 0;
+
+        try {
+            localStorage.setItem(LATENCY_STORAGE_KEY, JSON.stringify({
+                audioOffsetMs: this.audioOffsetMs,
+                inputOffsetMs: this.inputOffsetMs
+            }));
+        } catch (e) {
+            console.warn('[AudioEngine] Failed to save latency offsets:', e);
+        }
+
+        console.log(`[AudioEngine] Latency offsets: audio=${this.audioOffsetMs.toFixed(1)}ms, input=${this.inputOffsetMs.toFixed(1)}ms`);
+    }
+
+    getLatencyInfo() {
+        return {
+            audioOffsetMs: this.audioOffsetMs,
+            inputOffsetMs: this.inputOffsetMs,
+            reportedOutputLatencyMs: this.getReportedOutputLatency()
+        };
+    }
+
+    _loadLatencyOffsets() {
+        try {
+            const stored = localStorage.getItem(LATENCY_STORAGE_KEY);
+            if (!stored) return;
+
+            const parsed = JSON.parse(stored);
+            this.audioOffsetMs = parsed.audioOffsetMs || 0;
+            this.inputOffsetMs = parsed.inputOffsetMs || 0;
+        } catch (e) {
+            console.warn('[AudioEngine] Failed to load latency offsets:', e);
+        }
+    }
+
+    // ============================================
+    // Song select preview
+    // ============================================
+
+    // Play the preview window of a song, crossfading from whatever preview is playing.
+    // The window repeats with a fade in/out until stopPreview() or another playPreview().
+    async playPreview(url, startMs = 0, endMs = 0) {
+        if (!this.audioContext) return false;
+
+        const request = ++this._previewRequest;
+        await this.ensureResumed();
+
+        let buffer;
+        try {
+            buffer = await this._getPreviewBuffer(url, startMs, endMs);
+        } catch (e) {
+            console.warn(`[AudioEngine] Failed to load preview: ${url}`, e);
+            buffer = null;
+        }
+
+        // The selection moved on while this one was loading
+        if (request !== this._previewRequest) return false;
+
+        this._fadeOutPreview(PREVIEW_CROSSFADE_SEC);
+        if (!buffer) return false;
+
+        const gain = this.audioContext.createGain();
+        gain.connect(this.previewGain);
+
+        this._preview = { source: null, gain, timer: null };
+        this._startPreviewPass(this._preview, buffer, PREVIEW_CROSSFADE_SEC);
+        return true;
+    }
+
+    stopPreview() {
+        this._previewRequest++;
+        this._fadeOutPreview(PREVIEW_CROSSFADE_SEC);
+    }
+
+    _startPreviewPass(voice, buffer, fadeInSec) {
+        const now = this.audioContext.currentTime;
+        const fadeOut = Math.min(PREVIEW_FADE_OUT_SEC, buffer.duration / 2);
+        const end = now + buffer.duration;
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(voice.gain);
+
+        const gain = voice.gain.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(0, now);
+        gain.linearRampToValueAtTime(1, now + Math.min(fadeInSec, buffer.duration / 2));
+        gain.setValueAtTime(1, end - fadeOut);
+        gain.linearRampToValueAtTime(0, end);
+
+        source.start(now);
+        voice.source = source;
+
+        source.onended = () => {
+            if (this._preview !== voice || voice.source !== source) return;
+            voice.timer = setTimeout(() => {
+                if (this._preview === voice) {
+                    this._startPreviewPass(voice, buffer, PREVIEW_FADE_IN_SEC);
+                }
+            }, PREVIEW_GAP_SEC * 1000);
+        };
+    }
+
+    _fadeOutPreview(fadeSec) {
+        const voice = this._preview;
+        if (!voice) return;
+        this._preview = null;
+
+        clearTimeout(voice.timer);
+        if (!voice.source) return;
+
+        const now = this.audioContext.currentTime;
+        const gain = voice.gain.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + fadeSec);
+
+        try {
+            voice.source.stop(now + fadeSec);
+        } catch (e) {
+            // Ignore if already stopped
+        }
+        setTimeout(() => voice.gain.disconnect(), fadeSec * 1000 + 100);
+    }
+
+    // Decode the song once and keep only the preview window, so cached previews stay small
+    _getPreviewBuffer(url, startMs, endMs) {
+        const key = `${url}|${startMs}|${endMs}`;
+        let pending = this._previewCache.get(key);
+
+        if (pending) {
+            // Most recently used goes to the back
+            this._previewCache.delete(key);
+        } else {
+            pending = this._decodePreview(url, startMs, endMs);
+            pending.catch(() => this._previewCache.delete(key));
+        }
+        this._previewCache.set(key, pending);
+
+        while (this._previewCache.size > PREVIEW_CACHE_SIZE) {
+            this._previewCache.delete(this._previewCache.keys().next().value);
+        }
+
+        return pending;
+    }
+
+    async _decodePreview(url, startMs, endMs) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const decoded = await this.audioContext.decodeAudioData(await response.arrayBuffer());
+        const rate = decoded.sampleRate;
+
+        const durationMs = decoded.duration * 1000;
+        const start = Math.max(0, Math.min(startMs, durationMs));
+        const end = endMs > start ? Math.min(endMs, durationMs) : Math.min(start + PREVIEW_DEFAULT_LENGTH_MS, durationMs);
+        const first = Math.floor(start / 1000 * rate);
+        const length = Math.max(1, Math.floor(end / 1000 * rate) - first);
+
+        const slice = this.audioContext.createBuffer(decoded.numberOfChannels, length, rate);
+        for (let channel = 0; channel < decoded.numberOfChannels; channel++) {
+            slice.copyToChannel(decoded.getChannelData(channel).subarray(first, first + length), channel);
+        }
+        return slice;
+    }
+
+    clearPreviewCache() {
+        this._previewCache.clear();
+    }
+
+    // Get song duration in milliseconds - 0 when nothing is loaded
+    getSongDuration() {
+        if (this.songBuffer) return this.songBuffer.duration * 1000;
+        if (this._stream) return this._stream.audio.duration * 1000;
+        return this._silentDurationMs;
     }
 
     playSfx(name, volume = 1.0) {
         // Check song-specific sounds first, then fall back to defaults
         let buffer = this.songSfxBuffers.get(name);
+        let rate = this.songSfxRates.get(name) || 1;
         if (!buffer) {
             buffer = this.sfxBuffers.get(name);
+            rate = 1;
         }
         if (!buffer) return;
 
@@ -601,8 +2048,32 @@ class AudioEngine {
         const gain = this.audioContext.createGain();
 
         source.buffer = buffer;
+        source.playbackRate.value = rate;  // Multisampled notes are repitched to their lane
         gain.gain.value = volume;
 
+        // Star power: hits ring higher with a sparkle on top
+        if (this.starPowerActive && name.startsWith('hit_')) {
+            source.detune.value = STAR_POWER_HIT_CENTS;
+            this._playSparkle(volume);
+        }
+
+        source.connect(gain);
+        gain.connect(this.sfxGain);
+
+        source.start(0);
+    }
+
+    _playSparkle(volume) {
+        const buffer = this.sfxBuffers.get('sparkle');
+        if (!buffer) return;
+
+        const source = this.audioContext.createBufferSource();
+        const gain = this.audioContext.createGain();
+
+        source.buffer = buffer;
+        source.detune.value = (Math.random() - 0.5) * 200;  // Vary it so fast runs don't sound mechanical
+        gain.gain.value = volume * STAR_POWER_SPARKLE_VOLUME;
+
         source.connect(gain);
         gain.connect(this.sfxGain);
 
@@ -618,9 +2089,276 @@ class AudioEngine {
     setSfxVolume(value) {
         if (this.sfxGain) {
             this.sfxGain.gain.value = Math.max(0, Math.min(1, value));
+            this.holdsGain.gain.value = this.sfxGain.gain.value;
+        }
+    }
+
+    // ============================================
+    // Analysis (reactive visuals)
+    // ============================================
+
+    _createAnalyser() {
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = ANALYSER_FFT_SIZE;
+        this.analyser.smoothingTimeConstant = ANALYSER_SMOOTHING;
+        this.songBus.connect(this.analyser);
+
+        const binHz = this.audioContext.sampleRate / ANALYSER_FFT_SIZE;
+        this._analysis = {
+            frequency: new Uint8Array(this.analyser.frequencyBinCount),
+            time: new Float32Array(ANALYSER_FFT_SIZE),
+            binHz,
+            beatBins: Math.max(1, Math.round(BEAT_LOW_HZ / binHz)),
+            readAt: -1,  // Context time of the last read
+            rms: 0,
+            lowEnergy: 0,
+            lowAverage: 0,
+            lastBeat: -Infinity,
+            bands: new Map()  // band count -> { edges: Uint16Array, values: Float64Array }
+        };
+    }
+
+    // Read the analyser at most once per audio render quantum, however many getters a frame calls
+    _readAnalysis() {
+        const a = this._analysis;
+        if (!a) return null;
+
+        const now = this.audioContext.currentTime;
+        if (now === a.readAt) return a;
+        const first = a.readAt < 0;
+        const elapsed = first ? 0 : now - a.readAt;
+        a.readAt = now;
+
+        this.analyser.getByteFrequencyData(a.frequency);
+        this.analyser.getFloatTimeDomainData(a.time);
+
+        let sum = 0;
+        for (let i = 0; i < a.time.length; i++) {
+            sum += a.time[i] * a.time[i];
+        }
+        a.rms = Math.sqrt(sum / a.time.length);
+
+        // Beat: low-band energy jumping above its running average
+        let low = 0;
+        for (let i = 1; i <= a.beatBins; i++) {
+            low += a.frequency[i];
+        }
+        a.lowEnergy = low / (a.beatBins * 255);
+        if (first) a.lowAverage = a.lowEnergy;
+
+        if (a.lowEnergy > a.lowAverage * BEAT_THRESHOLD && a.lowEnergy > 0.1
+            && now - a.lastBeat >= BEAT_MIN_INTERVAL_SEC) {
+            a.lastBeat = now;
+        }
+        a.lowAverage += (a.lowEnergy - a.lowAverage) * Math.min(1, elapsed / BEAT_AVERAGE_SEC);
+
+        return a;
+    }
+
+    // Log-spaced band edges (FFT bin indices) for a band count - built once per count
+    _getBands(count) {
+        const a = this._analysis;
+        let bands = a.bands.get(count);
+        if (bands) return bands;
+
+        const edges = new Uint16Array(count + 1);
+        const maxBin = a.frequency.length - 1;
+        for (let i = 0; i <= count; i++) {
+            const hz = SPECTRUM_MIN_HZ * Math.pow(SPECTRUM_MAX_HZ / SPECTRUM_MIN_HZ, i / count);
+            edges[i] = Math.min(maxBin, Math.max(1, Math.round(hz / a.binHz)));
+        }
+        bands = { edges, values: new Float64Array(count) };
+        a.bands.set(count, bands);
+        return bands;
+    }
+
+    /**
+     * Song spectrum in `count` log-spaced bands, each 0-1. Returns the same array every call
+     * (per band count) - copy it if it must outlive the frame.
+     */
+    getSpectrum(count) {
+        count = Math.max(1, Math.floor(count) || 1);
+        const a = this._readAnalysis();
+        if (!a) return new Float64Array(count);
+
+        const { edges, values } = this._getBands(count);
+        for (let band = 0; band < count; band++) {
+            const from = edges[band];
+            const to = Math.max(from + 1, edges[band + 1]);
+            let peak = 0;
+            for (let bin = from; bin < to; bin++) {
+                if (a.frequency[bin] > peak) peak = a.frequency[bin];
+            }
+            values[band] = peak / 255;
+        }
+        return values;
+    }
+
+    // Song loudness (RMS of the current analysis window, 0-1)
+    getRms() {
+        return this._readAnalysis()?.rms ?? 0;
+    }
+
+    // 1 on a detected beat, decaying towards 0 - for pulsing visuals
+    getBeatPulse() {
+        const a = this._readAnalysis();
+        if (!a) return 0;
+        return Math.exp(-(this.audioContext.currentTime - a.lastBeat) / BEAT_PULSE_DECAY_SEC);
+    }
+
+    // ============================================
+    // Star power
+    // ============================================
+
+    // Turn the star power treatment on or off. durationMs (optional) ends it automatically;
+    // calling again while active just resets the remaining time.
+    setStarPowerActive(active, durationMs = 0) {
+        if (!this.audioContext) return;
+
+        if (active) {
+            const wasActive = this.starPowerActive;
+            this.starPowerActive = true;
+            this._starPowerRemainingMs = 0;
+            this._scheduleStarPowerEnd(durationMs);
+
+            if (!wasActive) {
+                // Sweep the filter up into place as the effect fades in
+                const frequency = this.starPower.filter.frequency;
+                const now = this.audioContext.currentTime;
+                frequency.cancelScheduledValues(now);
+                frequency.setValueAtTime(STAR_POWER_FILTER_START_HZ, now);
+                frequency.exponentialRampToValueAtTime(STAR_POWER_FILTER_HZ, now + STAR_POWER_FADE_IN_SEC * 2);
+                this._rampStarPower(1, STAR_POWER_FADE_IN_SEC);
+            }
+        } else if (this.starPowerActive) {
+            this.starPowerActive = false;
+            clearTimeout(this._starPowerEndTimer);
+            this._starPowerEndTimer = null;
+            this._starPowerRemainingMs = 0;
+            this._rampStarPower(0, STAR_POWER_FADE_OUT_SEC);
         }
     }
 
+    _scheduleStarPowerEnd(durationMs) {
+        clearTimeout(this._starPowerEndTimer);
+        this._starPowerEndTimer = null;
+        if (!(durationMs > 0)) return;
+
+        this._starPowerEndAt = performance.now() + durationMs;
+        this._starPowerEndTimer = setTimeout(() => this.setStarPowerActive(false), durationMs);
+    }
+
+    // Stop the end timer while paused, remembering how long was left
+    _holdStarPower() {
+        if (!this._starPowerEndTimer) return;
+
+        clearTimeout(this._starPowerEndTimer);
+        this._starPowerEndTimer = null;
+        this._starPowerRemainingMs = Math.max(1, this._starPowerEndAt - performance.now());
+    }
+
+    // Move every star power parameter towards `level` (0 off - 1 full) over roughly fadeSec
+    _rampStarPower(level, fadeSec) {
+        const sp = this.starPower;
+        const now = this.audioContext.currentTime;
+        const timeConstant = fadeSec / 3;  // ~95% of the way after fadeSec
+        const width = 1 + (STAR_POWER_WIDTH - 1) * level;
+
+        sp.filter.gain.setTargetAtTime(STAR_POWER_FILTER_DB * level, now, timeConstant);
+        sp.sweepDepth.gain.setTargetAtTime(STAR_POWER_SWEEP_HZ * level, now, timeConstant);
+        for (let channel = 0; channel < 2; channel++) {
+            sp.direct[channel].gain.setTargetAtTime((1 + width) / 2, now, timeConstant);
+            sp.cross[channel].gain.setTargetAtTime((1 - width) / 2, now, timeConstant);
+        }
+    }
+
+    // Peaking filter swept by a slow LFO, then a mid/side width matrix. Transparent at rest.
+    _createStarPowerStage() {
+        const ctx = this.audioContext;
+
+        // Up-mix to stereo so mono songs widen symmetrically
+        const input = ctx.createGain();
+        input.channelCount = 2;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'peaking';
+        filter.frequency.value = STAR_POWER_FILTER_HZ;
+        filter.Q.value = 1.2;
+        filter.gain.value = 0;
+        input.connect(filter);
+
+        const sweep = ctx.createOscillator();
+        const sweepDepth = ctx.createGain();
+        sweep.type = 'sine';
+        sweep.frequency.value = STAR_POWER_SWEEP_RATE;
+        sweepDepth.gain.value = 0;
+        sweep.connect(sweepDepth);
+        sweepDepth.connect(filter.frequency);
+        sweep.start();
+
+        // Each side keeps (1 + width) / 2 of itself and takes (1 - width) / 2 of the other
+        const splitter = ctx.createChannelSplitter(2);
+        const merger = ctx.createChannelMerger(2);
+        const direct = [ctx.createGain(), ctx.createGain()];
+        const cross = [ctx.createGain(), ctx.createGain()];
+        filter.connect(splitter);
+
+        for (let channel = 0; channel < 2; channel++) {
+            direct[channel].gain.value = 1;
+            cross[channel].gain.value = 0;
+            splitter.connect(direct[channel], channel);
+            splitter.connect(cross[channel], channel);
+            direct[channel].connect(merger, 0, channel);
+            cross[channel].connect(merger, 0, 1 - channel);
+        }
+
+        return { input, output: merger, filter, sweepDepth, direct, cross };
+    }
+
+    // ============================================
+    // Mixer (see mixer.js)
+    // ============================================
+
+    setBusGain(bus, gain, fadeMs = 0) {
+        return this.mixer.setBusGain(bus, gain, fadeMs);
+    }
+
+    setBusMuted(bus, muted) {
+        return this.mixer.setBusMuted(bus, muted);
+    }
+
+    setBusSolo(bus, solo) {
+        return this.mixer.setBusSolo(bus, solo);
+    }
+
+    setBusInsert(bus, insert, settings) {
+        return this.mixer.setInsert(bus, insert, settings);
+    }
+
+    getMixerState() {
+        return this.mixer.getState();
+    }
+
+    // Schedule a metronome click at an exact AudioContext time (seconds). Returns the source so it can be cancelled.
+    scheduleClick(when, accent = false, volume = 1.0) {
+        const buffer = this.sfxBuffers.get(accent ? 'click_accent' : 'click');
+        if (!buffer) return null;
+
+        const source = this.audioContext.createBufferSource();
+        const gain = this.audioContext.createGain();
+
+        source.buffer = buffer;
+        gain.gain.value = volume;
+
+        source.connect(gain);
+        gain.connect(this.sfxGain);
+
+        source.start(Math.max(when, this.audioContext.currentTime));
+        return source;
+    }
+
     isContextRunning() {
         return this.audioContext && this.audioContext.state === 'running';
     }
@@ -637,248 +2375,85 @@ class AudioEngine {
             293.66,  // Lane 2 - D4
             392.00   // Lane 3 - G4
         ];
-        const baseFreq = (this.songHoldFreqs && this.songHoldFreqs[lane])
-            ? this.songHoldFreqs[lane]
-            : (defaultFreqs[lane] || 220);
-
-        const style = this.songHoldStyle || 'guitar';
-        const oscillators = [];
+        const voice = this.songLaneVoices?.[lane];
+        const baseFreq = voice?.freq || defaultFreqs[lane] || 220;
+        const instrument = getInstrument(voice?.style || 'guitar');
+        const attack = voice?.params.holdAttack ?? 0.05;
         const gainNode = this.audioContext.createGain();
-        gainNode.connect(this.sfxGain);
-
-        switch (style) {
-            case 'soft_synth':
-                this._createSoftSynthHold(baseFreq, oscillators, gainNode);
-                break;
-            case 'synthwave':
-                this._createSynthwaveHold(baseFreq, oscillators, gainNode);
-                break;
-            case 'power_chord':
-                this._createPowerChordHold(baseFreq, oscillators, gainNode);
-                break;
-            default:
-                this._createGuitarHold(baseFreq, oscillators, gainNode);
+
+        // Bend filter between the voice and the holds bus - open at rest, swept down while bending
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = HOLD_FILTER_OPEN_HZ;
+        filter.Q.value = 0.7;
+        gainNode.connect(filter);
+        filter.connect(this.holdsGain);
+
+        const { tones, modulators } = instrument.buildHold(this.audioContext, baseFreq, gainNode, voice?.params || instrument.defaults);
+
+        // Bend and vibrato drive the detune of the tone oscillators (the instrument's own LFOs are left alone)
+        const bend = this.audioContext.createConstantSource();
+        bend.offset.value = 0;
+
+        const vibrato = this.audioContext.createOscillator();
+        const vibratoDepth = this.audioContext.createGain();
+        vibrato.type = 'sine';
+        vibrato.frequency.value = HOLD_VIBRATO_HZ;
+        vibratoDepth.gain.value = 0;
+        vibrato.connect(vibratoDepth);
+
+        for (const tone of tones) {
+            bend.connect(tone.detune);
+            vibratoDepth.connect(tone.detune);
         }
+        const oscillators = [...tones, ...modulators, bend, vibrato];
 
         // Fade in
         gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + 0.05);
+        gainNode.gain.linearRampToValueAtTime(volume, this.audioContext.currentTime + Math.max(attack, 0.005));
 
         // Start all oscillators
         oscillators.forEach(osc => osc.start());
 
         // Store reference for stopping later
-        this.holdSustains.set(lane, { oscillators, gainNode });
-    }
-
-    // Soft synth hold - warm, gentle pad-like sustain
-    _createSoftSynthHold(baseFreq, oscillators, gainNode) {
-        // Pure sine waves for warmth
-        const osc1 = this.audioContext.createOscillator();
-        osc1.type = 'sine';
-        osc1.frequency.value = baseFreq;
-
-        const osc2 = this.audioContext.createOscillator();
-        osc2.type = 'sine';
-        osc2.frequency.value = baseFreq * 2;  // Octave
-
-        const osc3 = this.audioContext.createOscillator();
-        osc3.type = 'triangle';
-        osc3.frequency.value = baseFreq * 1.001;  // Slight detune for warmth
-
-        const gain1 = this.audioContext.createGain();
-        const gain2 = this.audioContext.createGain();
-        const gain3 = this.audioContext.createGain();
-        gain1.gain.value = 0.5;
-        gain2.gain.value = 0.15;
-        gain3.gain.value = 0.25;
-
-        osc1.connect(gain1);
-        osc2.connect(gain2);
-        osc3.connect(gain3);
-        gain1.connect(gainNode);
-        gain2.connect(gainNode);
-        gain3.connect(gainNode);
-
-        // Gentle vibrato
-        const lfo = this.audioContext.createOscillator();
-        const lfoGain = this.audioContext.createGain();
-        lfo.type = 'sine';
-        lfo.frequency.value = 4;  // Slow vibrato
-        lfoGain.gain.value = 2;   // Very subtle
-        lfo.connect(lfoGain);
-        lfoGain.connect(osc1.frequency);
-
-        oscillators.push(osc1, osc2, osc3, lfo);
-    }
-
-    // Synthwave hold - bright, pulsing synth sustain
-    _createSynthwaveHold(baseFreq, oscillators, gainNode) {
-        // Square waves for that classic synth sound
-        const osc1 = this.audioContext.createOscillator();
-        osc1.type = 'square';
-        osc1.frequency.value = baseFreq;
-
-        const osc2 = this.audioContext.createOscillator();
-        osc2.type = 'square';
-        osc2.frequency.value = baseFreq * 1.005;  // Detune for thickness
-
-        const osc3 = this.audioContext.createOscillator();
-        osc3.type = 'sawtooth';
-        osc3.frequency.value = baseFreq * 2;  // Bright octave
-
-        const gain1 = this.audioContext.createGain();
-        const gain2 = this.audioContext.createGain();
-        const gain3 = this.audioContext.createGain();
-        gain1.gain.value = 0.25;
-        gain2.gain.value = 0.2;
-        gain3.gain.value = 0.1;
-
-        osc1.connect(gain1);
-        osc2.connect(gain2);
-        osc3.connect(gain3);
-        gain1.connect(gainNode);
-        gain2.connect(gainNode);
-        gain3.connect(gainNode);
-
-        // Pulsing LFO on volume for that synthwave throb
-        const lfo = this.audioContext.createOscillator();
-        const lfoGain = this.audioContext.createGain();
-        lfo.type = 'sine';
-        lfo.frequency.value = 6;  // Faster pulse
-        lfoGain.gain.value = 0.15;  // Subtle volume modulation
-        lfo.connect(lfoGain);
-        lfoGain.connect(gainNode.gain);
-
-        // Also add pitch vibrato
-        const lfo2 = this.audioContext.createOscillator();
-        const lfoGain2 = this.audioContext.createGain();
-        lfo2.type = 'sine';
-        lfo2.frequency.value = 5;
-        lfoGain2.gain.value = 4;
-        lfo2.connect(lfoGain2);
-        lfoGain2.connect(osc1.frequency);
-        lfoGain2.connect(osc2.frequency);
-
-        oscillators.push(osc1, osc2, osc3, lfo, lfo2);
-    }
-
-    // Power chord hold - aggressive, distorted sustain
-    _createPowerChordHold(baseFreq, oscillators, gainNode) {
-        const fifth = baseFreq * 1.5;
-        const octave = baseFreq * 2;
-
-        // Root
-        const osc1 = this.audioContext.createOscillator();
-        osc1.type = 'sawtooth';
-        osc1.frequency.value = baseFreq;
-
-        // Fifth
-        const osc2 = this.audioContext.createOscillator();
-        osc2.type = 'sawtooth';
-        osc2.frequency.value = fifth;
-
-        // Octave
-        const osc3 = this.audioContext.createOscillator();
-        osc3.type = 'sawtooth';
-        osc3.frequency.value = octave;
-
-        // Detuned root for thickness
-        const osc4 = this.audioContext.createOscillator();
-        osc4.type = 'sawtooth';
-        osc4.frequency.value = baseFreq * 1.003;
-
-        const gain1 = this.audioContext.createGain();
-        const gain2 = this.audioContext.createGain();
-        const gain3 = this.audioContext.createGain();
-        const gain4 = this.audioContext.createGain();
-        gain1.gain.value = 0.3;
-        gain2.gain.value = 0.25;
-        gain3.gain.value = 0.15;
-        gain4.gain.value = 0.2;
-
-        // Create a waveshaper for distortion
-        const distortion = this.audioContext.createWaveShaper();
-        distortion.curve = this._makeDistortionCurve(20);
-        distortion.oversample = '2x';
-
-        osc1.connect(gain1);
-        osc2.connect(gain2);
-        osc3.connect(gain3);
-        osc4.connect(gain4);
-        gain1.connect(distortion);
-        gain2.connect(distortion);
-        gain3.connect(distortion);
-        gain4.connect(distortion);
-        distortion.connect(gainNode);
-
-        // Aggressive vibrato
-        const lfo = this.audioContext.createOscillator();
-        const lfoGain = this.audioContext.createGain();
-        lfo.type = 'sine';
-        lfo.frequency.value = 6;
-        lfoGain.gain.value = 5;
-        lfo.connect(lfoGain);
-        lfoGain.connect(osc1.frequency);
-        lfoGain.connect(osc4.frequency);
-
-        oscillators.push(osc1, osc2, osc3, osc4, lfo);
-    }
-
-    // Default guitar hold - classic sustained guitar tone
-    _createGuitarHold(baseFreq, oscillators, gainNode) {
-        // Main tone
-        const osc1 = this.audioContext.createOscillator();
-        osc1.type = 'sawtooth';
-        osc1.frequency.value = baseFreq;
-
-        // Slight detune for richness
-        const osc2 = this.audioContext.createOscillator();
-        osc2.type = 'sawtooth';
-        osc2.frequency.value = baseFreq * 1.002;
-
-        // Octave up for brightness
-        const osc3 = this.audioContext.createOscillator();
-        osc3.type = 'triangle';
-        osc3.frequency.value = baseFreq * 2;
-
-        const gain1 = this.audioContext.createGain();
-        const gain2 = this.audioContext.createGain();
-        const gain3 = this.audioContext.createGain();
-        gain1.gain.value = 0.4;
-        gain2.gain.value = 0.3;
-        gain3.gain.value = 0.15;
-
-        osc1.connect(gain1);
-        osc2.connect(gain2);
-        osc3.connect(gain3);
-        gain1.connect(gainNode);
-        gain2.connect(gainNode);
-        gain3.connect(gainNode);
-
-        // Subtle vibrato
-        const lfo = this.audioContext.createOscillator();
-        const lfoGain = this.audioContext.createGain();
-        lfo.type = 'sine';
-        lfo.frequency.value = 5;
-        lfoGain.gain.value = 3;
-        lfo.connect(lfoGain);
-        lfoGain.connect(osc1.frequency);
-        lfoGain.connect(osc2.frequency);
-
-        oscillators.push(osc1, osc2, osc3, lfo);
-    }
-
-    // Create distortion curve for power chord sustain
-    _makeDistortionCurve(amount) {
-        const samples = 44100;
-        const curve = new Float32Array(samples);
-        const deg = Math.PI / 180;
-        for (let i = 0; i < samples; i++) {
-            const x = (i * 2) / samples - 1;
-            curve[i] = ((3 + amount) * x * 20 * deg) / (Math.PI + amount * Math.abs(x));
-        }
-        return curve;
+        const sustain = { oscillators, gainNode, bend, vibratoDepth, filter, release: voice?.params.holdRelease ?? 0.05 };
+        this.holdSustains.set(lane, sustain);
+
+        // A whammy that is already down bends the new note straight away
+        if (this.whammy > 0) {
+            this._applyHoldBend(sustain, -this.whammy, HOLD_BEND_SMOOTHING);
+        }
+    }
+
+    // Bend an active sustain: amount -1 (dive) to 1 (bend up), 0 = at rest.
+    // Vibrato depth and the filter sweep follow the size of the bend.
+    setHoldBend(lane, amount, smoothing = HOLD_BEND_SMOOTHING) {
+        const sustain = this.holdSustains.get(lane);
+        if (!sustain) return false;
+
+        this._applyHoldBend(sustain, Math.max(-1, Math.min(1, amount || 0)), smoothing);
+        return true;
+    }
+
+    // Whammy bar position (0 released - 1 fully pressed). Dives every active sustain and any started while held.
+    setWhammy(amount, smoothing = HOLD_BEND_SMOOTHING) {
+        this.whammy = Math.max(0, Math.min(1, amount || 0));
+        for (const sustain of this.holdSustains.values()) {
+            this._applyHoldBend(sustain, -this.whammy, smoothing);
+        }
+    }
+
+    _applyHoldBend(sustain, amount, smoothing) {
+        const now = this.audioContext.currentTime;
+        const depth = Math.abs(amount);
+
+        sustain.bend.offset.setTargetAtTime(amount * HOLD_BEND_CENTS, now, smoothing);
+        sustain.vibratoDepth.gain.setTargetAtTime(depth * HOLD_VIBRATO_CENTS, now, smoothing);
+
+        // Exponential sweep so the filter moves evenly in pitch terms
+        const cutoff = HOLD_FILTER_OPEN_HZ * Math.pow(HOLD_FILTER_CLOSED_HZ / HOLD_FILTER_OPEN_HZ, depth);
+        sustain.filter.frequency.setTargetAtTime(cutoff, now, smoothing);
+        sustain.filter.Q.setTargetAtTime(0.7 + depth * 6, now, smoothing);
     }
 
     // Stop the sustained tone for a lane
@@ -887,18 +2462,19 @@ class AudioEngine {
         if (!sustain) return;
 
         const { oscillators, gainNode } = sustain;
-        
-        // Quick fade out to avoid clicks
+        const release = Math.max(sustain.release, 0.005);
+
+        // Fade out over the voice's release (quick by default) to avoid clicks
         const now = this.audioContext.currentTime;
         gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-        gainNode.gain.linearRampToValueAtTime(0, now + 0.05);
+        gainNode.gain.linearRampToValueAtTime(0, now + release);
 
         // Stop oscillators after fade out
         setTimeout(() => {
             oscillators.forEach(osc => {
                 try { osc.stop(); } catch (e) {}
             });
-        }, 60);
+        }, release * 1000 + 10);
 
         this.holdSustains.delete(lane);
     }
@@ -924,8 +2500,16 @@ export async function ensureAudioResumed() {
     await window.blazorHeroAudio.ensureResumed();
 }
 
-export async function loadSong(url) {
-    return await window.blazorHeroAudio.loadSong(url);
+export async function loadSong(url, options) {
+    return await window.blazorHeroAudio.loadSong(url, options || {});
+}
+
+export function cancelLoad() {
+    window.blazorHeroAudio.cancelLoad();
+}
+
+export function playWithoutAudio(durationMs) {
+    return window.blazorHeroAudio.playWithoutAudio(durationMs);
 }
 
 export async function loadSfx(name, url) {
@@ -984,10 +2568,190 @@ export function stopAllHoldSustains() {
     window.blazorHeroAudio.stopAllHoldSustains();
 }
 
-export function loadSongSounds(noteSoundsConfig) {
-    window.blazorHeroAudio.loadSongSounds(noteSoundsConfig);
+export async function loadSongSounds(noteSoundsConfig) {
+    await window.blazorHeroAudio.loadSongSounds(noteSoundsConfig);
 }
 
 export function clearSongSounds() {
     window.blazorHeroAudio.clearSongSounds();
 }
+
+export function setLatencyOffsets(audioOffsetMs, inputOffsetMs) {
+    window.blazorHeroAudio.setLatencyOffsets(audioOffsetMs, inputOffsetMs);
+}
+
+export function getLatencyInfo() {
+    return window.blazorHeroAudio.getLatencyInfo();
+}
+
+export async function setPlaybackRate(rate, preservePitch) {
+    return await window.blazorHeroAudio.setPlaybackRate(rate, !!preservePitch);
+}
+
+export function getPlaybackRate() {
+    return window.blazorHeroAudio.getPlaybackRate();
+}
+
+export function getClockDrift() {
+    return window.blazorHeroAudio.getClockDrift();
+}
+
+export function resetClockDrift() {
+    window.blazorHeroAudio.resetClockDrift();
+}
+
+export function setAudioCallbacks(reference) {
+    window.blazorHeroAudio.dotNetReference = reference;
+}
+
+export function setLoopRegion(startMs, endMs, countInBeats, bpm) {
+    return window.blazorHeroAudio.setLoopRegion(startMs, endMs, countInBeats || 0, bpm || 0);
+}
+
+export function clearLoopRegion() {
+    window.blazorHeroAudio.clearLoopRegion();
+}
+
+export function getLoopRegion() {
+    return window.blazorHeroAudio.getLoopRegion();
+}
+
+export async function playPreview(url, startMs, endMs) {
+    return await window.blazorHeroAudio.playPreview(url, startMs || 0, endMs || 0);
+}
+
+export function stopPreview() {
+    window.blazorHeroAudio.stopPreview();
+}
+
+export async function loadStems(stemUrls) {
+    return await window.blazorHeroAudio.loadStems(stemUrls);
+}
+
+export function setStemMuted(stem, muted, fadeMs) {
+    return window.blazorHeroAudio.setStemMuted(stem, muted, fadeMs || 0);
+}
+
+export function setStemVolume(stem, volume, fadeMs) {
+    return window.blazorHeroAudio.setStemVolume(stem, volume, fadeMs || 0);
+}
+
+export function getStems() {
+    return window.blazorHeroAudio.getStems();
+}
+
+export async function generateChart(options) {
+    return await window.blazorHeroAudio.generateChart(options || {});
+}
+
+export function setHoldBend(lane, amount) {
+    return window.blazorHeroAudio.setHoldBend(lane, amount);
+}
+
+export function setWhammy(amount) {
+    window.blazorHeroAudio.setWhammy(amount);
+}
+
+export function validateNoteSounds(noteSoundsConfig) {
+    return validateNoteSoundsConfig(noteSoundsConfig);
+}
+
+export function setBusGain(bus, gain, fadeMs) {
+    return window.blazorHeroAudio.setBusGain(bus, gain, fadeMs || 0);
+}
+
+export function setBusMuted(bus, muted) {
+    return window.blazorHeroAudio.setBusMuted(bus, muted);
+}
+
+export function setBusSolo(bus, solo) {
+    return window.blazorHeroAudio.setBusSolo(bus, solo);
+}
+
+export function setBusInsert(bus, insert, settings) {
+    return window.blazorHeroAudio.setBusInsert(bus, insert, settings);
+}
+
+export function getMixerState() {
+    return window.blazorHeroAudio.getMixerState();
+}
+
+export function saveMixerPreset(name) {
+    return window.blazorHeroAudio.mixer.savePreset(name);
+}
+
+export function loadMixerPreset(name) {
+    return window.blazorHeroAudio.mixer.loadPreset(name);
+}
+
+export function deleteMixerPreset(name) {
+    return window.blazorHeroAudio.mixer.deletePreset(name);
+}
+
+export function setStarPowerActive(active, durationMs) {
+    window.blazorHeroAudio.setStarPowerActive(active, durationMs || 0);
+}
+
+export function getSpectrum(bands) {
+    return window.blazorHeroAudio.getSpectrum(bands);
+}
+
+// [JSImport] entry point: fills a .NET Span<double> (IMemoryView) in place - no per-frame allocation
+export function getSpectrumInto(view) {
+    if (view.length === 0) return 0;
+    const values = window.blazorHeroAudio.getSpectrum(view.length);
+    view.set(values);
+    return values.length;
+}
+
+export function getRms() {
+    return window.blazorHeroAudio.getRms();
+}
+
+export function getBeatPulse() {
+    return window.blazorHeroAudio.getBeatPulse();
+}
+
+export function setTempoMap(syncTrack) {
+    window.blazorHeroAudio.setTempoMap(syncTrack);
+}
+
+export function msToBeats(ms) {
+    return window.blazorHeroAudio.tempoMap.msToBeats(ms);
+}
+
+export function beatsToMs(beats) {
+    return window.blazorHeroAudio.tempoMap.beatsToMs(beats);
+}
+
+export function msToMeasure(ms) {
+    return window.blazorHeroAudio.tempoMap.msToMeasure(ms);
+}
+
+export function measureToMs(measure, beat) {
+    return window.blazorHeroAudio.tempoMap.measureToMs(measure, beat || 0);
+}
+
+export function getTempoAt(ms) {
+    return window.blazorHeroAudio.tempoMap.getTempoAt(ms);
+}
+
+export function getBeatGrid(fromMs, toMs) {
+    return window.blazorHeroAudio.tempoMap.getBeats(fromMs, toMs);
+}
+
+export function setMetronome(settings) {
+    return window.blazorHeroAudio.setMetronome(settings || {});
+}
+
+export function getMetronome() {
+    return window.blazorHeroAudio.metronome.getSettings();
+}
+
+export function startMetronome(bpm, beatsPerMeasure) {
+    return window.blazorHeroAudio.startMetronome(bpm, beatsPerMeasure || 4);
+}
+
+export function stopMetronome() {
+    window.blazorHeroAudio.stopMetronome();
+}
@@ -0,0 +1,218 @@
+// Calibration - Audio/visual latency calibration wizard with C# interop
+//
+// Two phases, each a run of beats the player taps along to on any lane:
+//   visual - silent on-screen flashes; taps measure input (and display) latency
+//   audio  - metronome clicks through AudioEngine; taps measure output + input latency
+// The audio offset is what remains after removing the input latency and whatever
+// output latency the browser already reports.
+
+import { onLanePress } from './inputTiming.js';
+
+let dotNetReference = null;
+let session = null;
+let tapPad = null;
+
+const DEFAULT_OPTIONS = {
+    bpm: 100,
+    beats: 16,         // Beats per phase
+    warmupBeats: 4,    // Leading beats ignored while the player finds the rhythm
+    leadInMs: 1000     // Silence before the first beat of each phase
+};
+
+// Taps further than this from any beat are treated as stray presses
+const MAX_TAP_ERROR_FRACTION = 0.4;
+
+/**
+ * Start the calibration wizard. Progress is reported through OnCalibrationPhase,
+ * OnCalibrationBeat and OnCalibrationComplete.
+ * @param {object} reference - .NET object reference
+ * @param {{ bpm?: number, beats?: number, warmupBeats?: number, leadInMs?: number }} [options]
+ */
+export async function startCalibration(reference, options) {
+    cancelCalibration();
+
+    const audio = window.blazorHeroAudio;
+    if (!audio || !audio.audioContext) {
+        console.error('[Calibration] AudioEngine not initialized');
+        return false;
+    }
+
+    await audio.ensureResumed();
+
+    dotNetReference = reference;
+    session = {
+        options: { ...DEFAULT_OPTIONS, ...options },
+        phase: null,
+        beatTimes: [],      // Beat times on the performance.now() clock
+        nextBeat: 0,
+        taps: [],
+        results: {},
+        unsubscribe: onLanePress(recordTap),
+        frameId: null
+    };
+
+    startPhase('visual');
+    return true;
+}
+
+/**
+ * Abort a running calibration without applying anything.
+ */
+export function cancelCalibration() {
+    if (!session) return;
+
+    session.unsubscribe();
+    if (session.frameId !== null) {
+        cancelAnimationFrame(session.frameId);
+    }
+    // Silence audio-phase clicks that are still queued
+    if (session.phase === 'audio') {
+        window.blazorHeroAudio.metronome.stop();
+    }
+    session = null;
+    dotNetReference = null;
+}
+
+/**
+ * Save and apply calibrated offsets (e.g. the recommendation from OnCalibrationComplete).
+ */
+export function applyCalibration(audioOffsetMs, inputOffsetMs) {
+    window.blazorHeroAudio.setLatencyOffsets(audioOffsetMs, inputOffsetMs);
+}
+
+/**
+ * Count pointer presses on an element as taps, for players without keys or a controller.
+ * @param {HTMLElement} element
+ */
+export function registerTapPad(element) {
+    tapPad?.removeEventListener('pointerdown', onTapPadDown);
+    tapPad = element;
+    tapPad?.addEventListener('pointerdown', onTapPadDown);
+}
+
+function onTapPadDown(event) {
+    event.preventDefault();
+    recordTap(event.timeStamp);
+}
+
+function startPhase(phase) {
+    const { bpm, beats, leadInMs } = session.options;
+    const audio = window.blazorHeroAudio;
+    const beatMs = 60000 / bpm;
+
+    session.phase = phase;
+    session.taps = [];
+    session.nextBeat = 0;
+
+    if (phase === 'audio') {
+        // Schedule every click up front on the audio clock, then map them to the performance clock
+        const firstClick = audio.audioContext.currentTime + leadInMs / 1000;
+        session.beatTimes = [];
+        for (let i = 0; i < beats; i++) {
+            const when = firstClick + (i * beatMs) / 1000;
+            audio.metronome.click(when, i % 4 === 0, 1.0);
+            session.beatTimes.push(audio.contextTimeToPerformanceTime(when));
+        }
+    } else {
+        const firstBeat = performance.now() + leadInMs;
+        session.beatTimes = Array.from({ length: beats }, (_, i) => firstBeat + i * beatMs);
+    }
+
+    dotNetReference.invokeMethod('OnCalibrationPhase', phase, beats);
+    session.frameId = requestAnimationFrame(tick);
+}
+
+function tick(now) {
+    if (!session) return;
+
+    const { beatTimes } = session;
+    const beatMs = 60000 / session.options.bpm;
+
+    // Report each beat as it arrives - the UI flashes visual beats but only counts audio ones,
+    // so audio-phase taps follow the click rather than the screen
+    while (session.nextBeat < beatTimes.length && now >= beatTimes[session.nextBeat]) {
+        dotNetReference.invokeMethod('OnCalibrationBeat', session.phase, session.nextBeat);
+        session.nextBeat++;
+    }
+
+    // Leave time for a late tap on the final beat before finishing the phase
+    if (session.nextBeat >= beatTimes.length && now >= beatTimes[beatTimes.length - 1] + beatMs / 2) {
+        finishPhase();
+        return;
+    }
+
+    session.frameId = requestAnimationFrame(tick);
+}
+
+function recordTap(timestamp) {
+    if (session && session.phase) {
+        session.taps.push(timestamp);
+    }
+}
+
+function finishPhase() {
+    session.frameId = null;
+    session.results[session.phase] = measureOffset(session.taps, session.beatTimes, session.options);
+
+    if (session.phase === 'visual') {
+        startPhase('audio');
+        return;
+    }
+
+    const { visual, audio } = session.results;
+    const reportedLatency = window.blazorHeroAudio.getReportedOutputLatency();
+
+    const inputOffsetMs = visual.count > 0 ? visual.offsetMs : 0;
+    const audioOffsetMs = audio.count > 0 ? audio.offsetMs - inputOffsetMs - reportedLatency : 0;
+
+    const result = {
+        audioOffsetMs: round1(audioOffsetMs),
+        inputOffsetMs: round1(inputOffsetMs),
+        reportedOutputLatencyMs: round1(reportedLatency),
+        visualTapCount: visual.count,
+        audioTapCount: audio.count,
+        jitterMs: round1(Math.max(visual.jitterMs, audio.jitterMs))
+    };
+
+    console.log('[Calibration] Complete:', result);
+
+    const reference = dotNetReference;
+    cancelCalibration();
+    reference.invokeMethod('OnCalibrationComplete', result);
+}
+
+// Median tap error against the nearest beat, ignoring warm-up beats and stray taps
+function measureOffset(taps, beatTimes, options) {
+    const beatMs = 60000 / options.bpm;
+    const maxError = beatMs * MAX_TAP_ERROR_FRACTION;
+    const errors = [];
+
+    for (const tap of taps) {
+        let nearest = 0;
+        for (let i = 1; i < beatTimes.length; i++) {
+            if (Math.abs(tap - beatTimes[i]) < Math.abs(tap - beatTimes[nearest])) nearest = i;
+        }
+
+        const error = tap - beatTimes[nearest];
+        if (nearest >= options.warmupBeats && Math.abs(error) <= maxError) {
+            errors.push(error);
+        }
+    }
+
+    if (errors.length === 0) {
+        return { offsetMs: 0, jitterMs: 0, count: 0 };
+    }
+
+    errors.sort((a, b) => a - b);
+    const mid = Math.floor(errors.length / 2);
+    const median = errors.length % 2 ? errors[mid] : (errors[mid - 1] + errors[mid]) / 2;
+
+    const mean = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+    const variance = errors.reduce((sum, e) => sum + (e - mean) ** 2, 0) / errors.length;
+
+    return { offsetMs: median, jitterMs: Math.sqrt(variance), count: errors.length };
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,542 @@
+// Chart Generator - builds a playable chart from a decoded song
+//
+// Everything here is pure (no AudioContext), so it runs in the chart worker. The pipeline:
+//   1. Spectral flux onset envelope from a mono mixdown
+//   2. Tempo from the envelope's autocorrelation, refined by a least-squares fit of the onsets to the grid
+//   3. Onsets quantized to a 16th-note grid; the downbeat is the beat in the bar with the strongest onsets
+//   4. Per-difficulty thinning, lanes from spectral centroid, holds from sustained energy, star power phrases
+//
+// The result follows the chart schema (meta, syncTrack, difficulties) with a single tempo.
+
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+const LOG_COMPRESSION = 100;  // log(1 + C*|X|) keeps quiet onsets visible next to loud ones
+const NOVELTY_WINDOW_SEC = 0.5;  // Moving average subtracted from the flux, so only rises above the bed remain
+
+const ONSET_PEAK_WINDOW_SEC = 0.03;  // An onset is the largest novelty within this distance
+const ONSET_MEAN_WINDOW_SEC = 0.1;
+const ONSET_SENSITIVITY = 0.1;  // Novelty (0-1) above its local mean that counts as an onset
+const ONSET_MIN_INTERVAL_SEC = 0.05;
+const MIN_ONSETS = 8;
+
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+const TEMPO_PRIOR_BPM = 120;  // Autocorrelation is weighted towards this to settle half/double tempo
+const TEMPO_PRIOR_OCTAVES = 1;  // Width (std dev) of that weighting
+const TEMPO_DOUBLE_RATIO = 0.8;  // Prefer double tempo when its raw autocorrelation is this close
+const TEMPO_SMOOTHING_SEC = 0.02;  // Blurs the envelope so periods between whole frames still correlate
+const TEMPO_SEARCH_RANGE = 0.03;  // Fine search +/- this fraction around the autocorrelation tempo
+const TEMPO_SEARCH_STEP = 0.0002;
+const GRID_FIT_PASSES = 3;
+const GRID_FIT_TOLERANCE = 0.25;  // Onsets within this many grid steps of a line drive the fit
+const GRID_TOLERANCE = 0.4;  // Onsets further than this from every grid line are dropped
+
+const GRID_DIVISIONS = 4;  // Grid steps per beat (16th notes)
+const METRIC_WEIGHTS = [1, 0.6, 0.8, 0.6];  // Strength weighting by position in the beat
+
+const HOLD_MIN_BEATS = 1;
+const HOLD_LEVEL = 0.5;  // Energy, relative to the onset's, that keeps a hold going
+const CHORD_STRENGTH = 0.8;  // Expert downbeats in the top 20% become chords
+
+const STAR_POWER_EVERY_MEASURES = 16;
+const STAR_POWER_MEASURES = 2;
+const STAR_POWER_MIN_NOTES = 3;
+
+const PREVIEW_LENGTH_MS = 30000;
+const ANALYSIS_PROGRESS = 0.8;  // Share of the progress reports taken by the spectral pass
+
+// subdivision: grid positions per beat a note may land on; keep: share of the strongest onsets used
+export const DIFFICULTY_TIERS = {
+    veryeasy: { lanes: 2, subdivision: 1, minGapBeats: 2, keep: 0.4, chords: false },
+    easy: { lanes: 3, subdivision: 1, minGapBeats: 1, keep: 0.6, chords: false },
+    medium: { lanes: 4, subdivision: 2, minGapBeats: 0.5, keep: 0.75, chords: false },
+    hard: { lanes: 4, subdivision: 4, minGapBeats: 0.25, keep: 0.9, chords: false },
+    expert: { lanes: 5, subdivision: 4, minGapBeats: 0.25, keep: 1, chords: true }
+};
+
+/**
+ * Generate a chart from mono samples.
+ * @param {Float32Array} samples - Mono mixdown of the song
+ * @param {number} sampleRate
+ * @param {object} options - meta fields (title, artist, album, charter, audioFile) plus optional
+ *   bpm (skip tempo estimation), minBpm, maxBpm, beatsPerMeasure and sensitivity
+ * @param {(fraction: number) => void} onProgress
+ */
+export function generateChart(samples, sampleRate, options = {}, onProgress = () => {}) {
+    const analysis = analyseSpectrum(samples, sampleRate, onProgress);
+    const onsets = pickOnsets(analysis, options.sensitivity ?? ONSET_SENSITIVITY);
+    if (onsets.length < MIN_ONSETS) {
+        throw new Error(`Only ${onsets.length} onsets found - the song is too short or too quiet to chart`);
+    }
+
+    const bpm = options.bpm > 0
+        ? options.bpm
+        : refineTempo(onsets, estimateTempo(analysis.novelty, analysis.hopSec, options.minBpm ?? MIN_BPM, options.maxBpm ?? MAX_BPM));
+    const grid = fitBeatGrid(onsets, 60 / bpm, options.bpm > 0);
+    const beatsPerMeasure = options.beatsPerMeasure ?? 4;
+    const events = quantizeOnsets(onsets, grid, beatsPerMeasure);
+    onProgress(0.9);
+
+    const difficulties = {};
+    for (const [name, tier] of Object.entries(DIFFICULTY_TIERS)) {
+        difficulties[name] = buildTrack(events, tier, grid, analysis, beatsPerMeasure);
+    }
+
+    const fittedBpm = Math.round(60 / grid.beatSec * 1000) / 1000;
+    const offsetMs = Math.round(grid.startSec * 1000);
+    const preview = findPreview(analysis, grid, beatsPerMeasure, samples.length / sampleRate * 1000);
+    onProgress(1);
+
+    return {
+        meta: {
+            title: options.title ?? 'Untitled',
+            artist: options.artist ?? 'Unknown Artist',
+            album: options.album ?? '',
+            charter: options.charter ?? 'Auto-generated',
+            audioFile: options.audioFile ?? '',
+            coverImage: options.coverImage ?? null,
+            previewStart: preview.start,
+            previewEnd: preview.end,
+            bpm: fittedBpm,
+            offset: offsetMs
+        },
+        syncTrack: [
+            { time: offsetMs, bpm: fittedBpm, timeSignature: [beatsPerMeasure, 4] }
+        ],
+        difficulties
+    };
+}
+
+// STFT pass: per-frame spectral flux (novelty), RMS energy and the centroid of the flux
+function analyseSpectrum(samples, sampleRate, onProgress) {
+    const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+    const bins = FRAME_SIZE / 2;
+    const binHz = sampleRate / FRAME_SIZE;
+    const window = new Float64Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME_SIZE);
+    }
+
+    const re = new Float64Array(FRAME_SIZE);
+    const im = new Float64Array(FRAME_SIZE);
+    let previous = new Float64Array(bins);
+    let current = new Float64Array(bins);
+    const flux = new Float32Array(frameCount);
+    const energy = new Float32Array(frameCount);
+    const centroid = new Float32Array(frameCount);
+
+    for (let f = 0; f < frameCount; f++) {
+        const start = f * HOP_SIZE;
+        let sumSquares = 0;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            const sample = samples[start + i];
+            sumSquares += sample * sample;
+            re[i] = sample * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        // Half-wave rectified rise in log magnitude - only energy arriving counts
+        let rise = 0;
+        let weightedHz = 0;
+        for (let k = 1; k < bins; k++) {
+            const magnitude = Math.log1p(LOG_COMPRESSION * Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+            const diff = magnitude - previous[k];
+            if (diff > 0) {
+                rise += diff;
+                weightedHz += diff * k * binHz;
+            }
+            current[k] = magnitude;
+        }
+        flux[f] = f === 0 ? 0 : rise;
+        centroid[f] = rise > 0 ? weightedHz / rise : 0;
+        energy[f] = Math.sqrt(sumSquares / FRAME_SIZE);
+        [previous, current] = [current, previous];
+
+        if (f % 256 === 0) {
+            onProgress(ANALYSIS_PROGRESS * f / frameCount);
+        }
+    }
+
+    const hopSec = HOP_SIZE / sampleRate;
+    const bed = movingAverage(flux, Math.round(NOVELTY_WINDOW_SEC / hopSec / 2));
+    const novelty = new Float32Array(frameCount);
+    let peak = 0;
+    for (let f = 0; f < frameCount; f++) {
+        novelty[f] = Math.max(0, flux[f] - bed[f]);
+        peak = Math.max(peak, novelty[f]);
+    }
+    if (peak > 0) {
+        for (let f = 0; f < frameCount; f++) novelty[f] /= peak;
+    }
+    onProgress(ANALYSIS_PROGRESS);
+
+    // A rise peaks in the first frame that reaches the onset, near that frame's end (calibrated on click tracks)
+    const frameTime = (f) => (f * HOP_SIZE + FRAME_SIZE * 0.6) / sampleRate;
+
+    return { novelty, energy, centroid, hopSec, frameTime };
+}
+
+// Peak picking: local maxima standing out from the surrounding novelty
+function pickOnsets(analysis, sensitivity) {
+    const { novelty, centroid, hopSec, frameTime } = analysis;
+    const peakRadius = Math.max(1, Math.round(ONSET_PEAK_WINDOW_SEC / hopSec));
+    const mean = movingAverage(novelty, Math.max(1, Math.round(ONSET_MEAN_WINDOW_SEC / hopSec)));
+    const minFrames = Math.max(1, Math.round(ONSET_MIN_INTERVAL_SEC / hopSec));
+
+    const onsets = [];
+    let lastFrame = -Infinity;
+    for (let f = 1; f < novelty.length; f++) {
+        const value = novelty[f];
+        if (value < mean[f] + sensitivity || f - lastFrame < minFrames) continue;
+
+        let isPeak = true;
+        for (let j = Math.max(0, f - peakRadius); j <= Math.min(novelty.length - 1, f + peakRadius); j++) {
+            if (novelty[j] > value || (novelty[j] === value && j < f)) {
+                isPeak = false;
+                break;
+            }
+        }
+        if (!isPeak) continue;
+
+        onsets.push({ frame: f, time: frameTime(f), strength: value, centroid: centroid[f] });
+        lastFrame = f;
+    }
+    return onsets;
+}
+
+// Beat period (s) from the novelty autocorrelation, weighted by a log-normal tempo prior
+function estimateTempo(onsetEnvelope, hopSec, minBpm, maxBpm) {
+    const novelty = movingAverage(onsetEnvelope, Math.max(1, Math.round(TEMPO_SMOOTHING_SEC / hopSec)));
+    const minLag = Math.max(2, Math.floor(60 / maxBpm / hopSec));
+    const maxLag = Math.min(novelty.length - 1, Math.ceil(60 / minBpm / hopSec));
+    if (maxLag <= minLag) return TEMPO_PRIOR_BPM;
+
+    const raw = new Float64Array(maxLag + 2);
+    const scores = new Float64Array(maxLag + 2);
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = lag; i < novelty.length; i++) {
+            sum += novelty[i] * novelty[i - lag];
+        }
+        const octaves = Math.log2(60 / (lag * hopSec) / TEMPO_PRIOR_BPM) / TEMPO_PRIOR_OCTAVES;
+        raw[lag] = sum / Math.max(1, novelty.length - lag);
+        scores[lag] = raw[lag] * Math.exp(-0.5 * octaves * octaves);
+    }
+
+    let best = minLag;
+    for (let lag = minLag + 1; lag <= maxLag; lag++) {
+        if (scores[lag] > scores[best]) best = lag;
+    }
+
+    // Evenly spaced hits match every multiple of their period equally well, so the prior alone
+    // can settle on half tempo. Take the faster reading when it is nearly as periodic.
+    const half = Math.round(best / 2);
+    let faster = 0;
+    for (let lag = Math.max(minLag, half - 1); lag <= Math.min(maxLag, half + 1); lag++) {
+        if (!faster || raw[lag] > raw[faster]) faster = lag;
+    }
+    if (faster && raw[faster] >= raw[best] * TEMPO_DOUBLE_RATIO) {
+        best = faster;
+    }
+
+    // Parabolic interpolation for a fractional lag
+    const a = scores[best - 1], b = scores[best], c = scores[best + 1];
+    const curvature = a - 2 * b + c;
+    const lag = curvature < 0 ? best + 0.5 * (a - c) / curvature : best;
+    return 60 / (lag * hopSec);
+}
+
+// Frame-sized lags only get within a percent or so; over a whole song that drifts by beats.
+// Search nearby for the tempo at which the onsets line up best (longest circular resultant).
+function refineTempo(onsets, bpm) {
+    let best = bpm;
+    let bestScore = -1;
+    for (let ratio = 1 - TEMPO_SEARCH_RANGE; ratio <= 1 + TEMPO_SEARCH_RANGE; ratio += TEMPO_SEARCH_STEP) {
+        const beatSec = 60 / (bpm * ratio);
+        let sin = 0, cos = 0;
+        for (const onset of onsets) {
+            const angle = 2 * Math.PI * onset.time / beatSec;
+            sin += onset.strength * Math.sin(angle);
+            cos += onset.strength * Math.cos(angle);
+        }
+        const score = sin * sin + cos * cos;
+        if (score > bestScore) {
+            bestScore = score;
+            best = bpm * ratio;
+        }
+    }
+    return best;
+}
+
+// Beat phase from the circular mean of the onsets, then a least-squares fit of grid index -> time.
+// A caller-supplied tempo is trusted and only the phase is fitted.
+function fitBeatGrid(onsets, beatSec, fixedTempo) {
+    let sin = 0, cos = 0;
+    for (const onset of onsets) {
+        const angle = 2 * Math.PI * onset.time / beatSec;
+        sin += onset.strength * Math.sin(angle);
+        cos += onset.strength * Math.cos(angle);
+    }
+    let firstBeat = positiveModulo(Math.atan2(sin, cos) / (2 * Math.PI) * beatSec, beatSec);
+
+    for (let pass = 0; pass < GRID_FIT_PASSES; pass++) {
+        const step = beatSec / GRID_DIVISIONS;
+        let sw = 0, sk = 0, st = 0, skk = 0, skt = 0;
+        for (const onset of onsets) {
+            const k = Math.round((onset.time - firstBeat) / step);
+            if (Math.abs(onset.time - (firstBeat + k * step)) > step * GRID_FIT_TOLERANCE) continue;
+            const w = onset.strength;
+            sw += w; sk += w * k; st += w * onset.time; skk += w * k * k; skt += w * k * onset.time;
+        }
+        if (sw === 0) break;
+
+        if (fixedTempo) {
+            firstBeat = (st - step * sk) / sw;
+        } else {
+            const denominator = sw * skk - sk * sk;
+            if (denominator <= 0) break;
+            const slope = (sw * skt - sk * st) / denominator;
+            firstBeat = (st - slope * sk) / sw;
+            beatSec = slope * GRID_DIVISIONS;
+        }
+        firstBeat = positiveModulo(firstBeat, beatSec);
+    }
+
+    return { beatSec, stepSec: beatSec / GRID_DIVISIONS, firstBeat, startSec: firstBeat };
+}
+
+// Snap onsets to the grid (one event per grid line, the strongest) and pick the downbeat.
+// Sets grid.startSec to the first bar line; event indices count grid steps from it.
+function quantizeOnsets(onsets, grid, beatsPerMeasure) {
+    const byIndex = new Map();
+    for (const onset of onsets) {
+        const k = Math.round((onset.time - grid.firstBeat) / grid.stepSec);
+        if (Math.abs(onset.time - (grid.firstBeat + k * grid.stepSec)) > grid.stepSec * GRID_TOLERANCE) continue;
+        const existing = byIndex.get(k);
+        if (!existing || existing.strength < onset.strength) {
+            byIndex.set(k, onset);
+        }
+    }
+
+    // The bar starts on whichever beat carries the most onset strength
+    const beatScores = new Float64Array(beatsPerMeasure);
+    for (const [k, onset] of byIndex) {
+        if (positiveModulo(k, GRID_DIVISIONS) === 0) {
+            beatScores[positiveModulo(k / GRID_DIVISIONS, beatsPerMeasure)] += onset.strength;
+        }
+    }
+    let downbeat = 0;
+    for (let i = 1; i < beatsPerMeasure; i++) {
+        if (beatScores[i] > beatScores[downbeat]) downbeat = i;
+    }
+    grid.startSec = grid.firstBeat + downbeat * grid.beatSec;
+    const shift = downbeat * GRID_DIVISIONS;
+
+    const events = [...byIndex].map(([k, onset]) => ({
+        index: k - shift,
+        time: Math.round((grid.startSec + (k - shift) * grid.stepSec) * 1000),
+        frame: onset.frame,
+        strength: onset.strength * METRIC_WEIGHTS[positiveModulo(k, GRID_DIVISIONS)],
+        centroid: onset.centroid,
+        rank: 0
+    })).sort((a, b) => a.index - b.index);
+
+    // Centroid rank (0-1) picks the lane: brighter onsets sit further right
+    const byCentroid = [...events].sort((a, b) => a.centroid - b.centroid);
+    for (let i = 0; i < byCentroid.length;) {
+        let j = i;
+        while (j < byCentroid.length && byCentroid[j].centroid === byCentroid[i].centroid) j++;
+        const rank = (i + j) / 2 / byCentroid.length;
+        for (let n = i; n < j; n++) byCentroid[n].rank = rank;
+        i = j;
+    }
+
+    return events;
+}
+
+function buildTrack(events, tier, grid, analysis, beatsPerMeasure) {
+    const stride = GRID_DIVISIONS / tier.subdivision;
+    const allowed = events.filter(e => positiveModulo(e.index, stride) === 0);
+    const threshold = quantile(allowed.map(e => e.strength), 1 - tier.keep);
+
+    // Strongest first, each claiming its neighbourhood so weaker onsets nearby are dropped
+    const minGap = Math.max(1, Math.round(tier.minGapBeats * GRID_DIVISIONS));
+    const taken = new Set();
+    const chosen = [];
+    const candidates = allowed
+        .filter(e => e.strength >= threshold)
+        .sort((a, b) => b.strength - a.strength || a.index - b.index);
+    for (const event of candidates) {
+        let free = true;
+        for (let d = 1 - minGap; d < minGap; d++) {
+            if (taken.has(event.index + d)) {
+                free = false;
+                break;
+            }
+        }
+        if (!free) continue;
+        taken.add(event.index);
+        chosen.push(event);
+    }
+    chosen.sort((a, b) => a.index - b.index);
+
+    const stepMs = grid.stepSec * 1000;
+    const notes = [];
+    const nextEventIndex = new Map(events.map((e, i) => [e, events[i + 1]?.index ?? Infinity]));
+    for (let i = 0; i < chosen.length; i++) {
+        const event = chosen[i];
+        const lane = Math.min(tier.lanes - 1, Math.floor(event.rank * tier.lanes));
+        const note = { time: event.time, lane };
+
+        // Hold until the sound fades, the next onset arrives, or just before the next note
+        const nextIndex = Math.min(chosen[i + 1]?.index ?? Infinity, nextEventIndex.get(event));
+        const sustainSteps = Math.min(measureSustain(analysis, event.frame, grid.stepSec), nextIndex - event.index - 1);
+        if (sustainSteps >= HOLD_MIN_BEATS * GRID_DIVISIONS) {
+            note.duration = Math.round(sustainSteps * stepMs);
+        }
+        notes.push(note);
+    }
+
+    if (tier.chords) {
+        addChords(notes, chosen, tier, beatsPerMeasure);
+    }
+
+    const starPowerPhrases = markStarPower(notes, chosen, grid, beatsPerMeasure);
+    return { notes, starPowerPhrases };
+}
+
+// Grid steps the energy stays above HOLD_LEVEL of the onset's peak
+function measureSustain(analysis, frame, stepSec) {
+    const { energy, hopSec } = analysis;
+    let level = 0;
+    for (let f = frame; f < Math.min(energy.length, frame + 3); f++) {
+        level = Math.max(level, energy[f]);
+    }
+    if (level === 0) return 0;
+
+    let f = frame;
+    while (f < energy.length && energy[f] >= level * HOLD_LEVEL) f++;
+    return Math.floor((f - frame) * hopSec / stepSec);
+}
+
+// Strong downbeats get a second fret next to the first
+function addChords(notes, chosen, tier, beatsPerMeasure) {
+    const threshold = quantile(chosen.map(e => e.strength), CHORD_STRENGTH);
+    const measureSteps = beatsPerMeasure * GRID_DIVISIONS;
+    const chords = [];
+    for (let i = 0; i < chosen.length; i++) {
+        const event = chosen[i];
+        if (positiveModulo(event.index, measureSteps) !== 0 || event.strength < threshold) continue;
+        const note = notes[i];
+        const lane = note.lane < tier.lanes - 1 ? note.lane + 1 : note.lane - 1;
+        chords.push({ index: i, note: { ...note, lane } });
+    }
+    // Insert back to front so earlier indices stay valid
+    for (let c = chords.length - 1; c >= 0; c--) {
+        notes.splice(chords[c].index + 1, 0, chords[c].note);
+        chosen.splice(chords[c].index + 1, 0, chosen[chords[c].index]);
+    }
+}
+
+// A phrase of STAR_POWER_MEASURES bars halfway through every STAR_POWER_EVERY_MEASURES
+function markStarPower(notes, chosen, grid, beatsPerMeasure) {
+    const measureSteps = beatsPerMeasure * GRID_DIVISIONS;
+    const stepMs = grid.stepSec * 1000;
+    const phrases = [];
+    const lastIndex = chosen.length > 0 ? chosen[chosen.length - 1].index : 0;
+
+    for (let measure = STAR_POWER_EVERY_MEASURES / 2; measure * measureSteps <= lastIndex; measure += STAR_POWER_EVERY_MEASURES) {
+        const from = measure * measureSteps;
+        const to = from + STAR_POWER_MEASURES * measureSteps;
+        const inPhrase = [];
+        for (let i = 0; i < notes.length; i++) {
+            if (chosen[i].index >= from && chosen[i].index < to) inPhrase.push(notes[i]);
+        }
+        if (new Set(inPhrase.map(n => n.time)).size < STAR_POWER_MIN_NOTES) continue;
+
+        for (const note of inPhrase) note.isStarPower = true;
+        const last = inPhrase[inPhrase.length - 1];
+        phrases.push({
+            startTime: inPhrase[0].time,
+            endTime: Math.round(last.time + (last.duration ?? 0) + stepMs)
+        });
+    }
+    return phrases;
+}
+
+// The loudest PREVIEW_LENGTH_MS window, starting on a bar line
+function findPreview(analysis, grid, beatsPerMeasure, durationMs) {
+    const { energy, hopSec } = analysis;
+    const length = Math.min(PREVIEW_LENGTH_MS, durationMs);
+    const windowFrames = Math.max(1, Math.floor(length / 1000 / hopSec));
+    const measureSec = grid.beatSec * beatsPerMeasure;
+
+    let best = { start: 0, end: Math.round(length) };
+    let bestEnergy = -1;
+    for (let startSec = grid.startSec; startSec * 1000 + length <= durationMs; startSec += measureSec) {
+        const from = Math.floor(startSec / hopSec);
+        let sum = 0;
+        for (let f = from; f < Math.min(energy.length, from + windowFrames); f++) sum += energy[f];
+        if (sum > bestEnergy) {
+            bestEnergy = sum;
+            best = { start: Math.round(startSec * 1000), end: Math.round(startSec * 1000 + length) };
+        }
+    }
+    return best;
+}
+
+// Centred moving average with the given radius (in frames)
+function movingAverage(values, radius) {
+    const result = new Float32Array(values.length);
+    let sum = 0, from = 0, to = 0;
+    for (let i = 0; i < values.length; i++) {
+        while (to < Math.min(values.length, i + radius + 1)) sum += values[to++];
+        while (from < i - radius) sum -= values[from++];
+        result[i] = sum / (to - from);
+    }
+    return result;
+}
+
+function quantile(values, q) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * sorted.length)))];
+}
+
+function positiveModulo(value, modulus) {
+    return ((value % modulus) + modulus) % modulus;
+}
+
+// In-place radix-2 FFT (length must be a power of two)
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle), wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let uRe = 1, uIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k, b = a + size / 2;
+                const tRe = re[b] * uRe - im[b] * uIm;
+                const tIm = re[b] * uIm + im[b] * uRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = uRe * wRe - uIm * wIm;
+                uIm = uRe * wIm + uIm * wRe;
+                uRe = nextRe;
+            }
+        }
+    }
+}
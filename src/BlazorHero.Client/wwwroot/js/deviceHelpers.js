@@ -3,6 +3,16 @@
 let dotNetReference = null;
 let resizeTimeout = null;
 
+// Install prompt (beforeinstallprompt), held until promptInstall() uses it. index.html catches one
+// that fires before this module loads.
+let installPrompt = window.blazorHeroInstallPrompt ?? null;
+window.addEventListener('beforeinstallprompt', handleInstallPrompt);
+window.addEventListener('appinstalled', handleAppInstalled);
+
+// Display modes from the manifest, most immersive first - 'browser' is a normal tab
+const DISPLAY_MODES = ['fullscreen', 'standalone', 'minimal-ui'];
+const displayModeQueries = DISPLAY_MODES.map(mode => window.matchMedia(`(display-mode: ${mode})`));
+
 /**
  * Check if the device is a mobile device based on user agent and touch capability.
  */
@@ -44,11 +54,63 @@ export function getOrientation() {
 }
 
 /**
- * Initialize event listeners for viewport and orientation changes.
+ * How the app is displayed: 'fullscreen', 'standalone' or 'minimal-ui' when launched as an installed
+ * app, 'browser' in a normal tab.
+ */
+export function getDisplayMode() {
+    // iOS home screen apps don't match display-mode queries
+    if (navigator.standalone) return 'standalone';
+    const index = displayModeQueries.findIndex(query => query.matches);
+    return index >= 0 ? DISPLAY_MODES[index] : 'browser';
+}
+
+/**
+ * Check if running as an installed app rather than in a browser tab.
+ */
+export function isStandalone() {
+    return getDisplayMode() !== 'browser';
+}
+
+/**
+ * Check if the browser has offered to install the app (and it isn't running installed already).
+ */
+export function canInstall() {
+    return !!installPrompt && !isStandalone();
+}
+
+/**
+ * Show the browser's install prompt. Must be called from a user gesture.
+ * @returns {Promise<'accepted' | 'dismissed' | 'unavailable'>}
+ */
+export async function promptInstall() {
+    if (!canInstall()) return 'unavailable';
+
+    // A prompt can only be shown once - the browser offers a new one if the player dismisses it
+    const prompt = installPrompt;
+    installPrompt = null;
+    window.blazorHeroInstallPrompt = null;
+    try {
+        await prompt.prompt();
+        const choice = await prompt.userChoice;
+        return choice.outcome;
+    } catch (e) {
+        console.log('[DeviceHelpers] Install prompt failed:', e.message);
+        return 'unavailable';
+    } finally {
+        notifyInstallState();
+    }
+}
+
+/**
+ * Initialize event listeners for viewport, orientation, display mode and install state changes.
  */
 export function initEventListeners(reference) {
     dotNetReference = reference;
 
+    for (const query of displayModeQueries) {
+        query.addEventListener('change', notifyInstallState);
+    }
+
     // Debounced resize handler
     window.addEventListener('resize', handleResize);
 
@@ -65,6 +127,10 @@ export function initEventListeners(reference) {
  */
 export function disposeEventListeners() {
     window.removeEventListener('resize', handleResize);
+
+    for (const query of displayModeQueries) {
+        query.removeEventListener('change', notifyInstallState);
+    }
     
     if (screen.orientation) {
         screen.orientation.removeEventListener('change', handleOrientationChange);
@@ -99,15 +165,40 @@ function handleOrientationChange() {
     }
 }
 
+function handleInstallPrompt(event) {
+    event.preventDefault();  // Offer it from our own button instead of the browser's mini-infobar
+    installPrompt = event;
+    notifyInstallState();
+}
+
+function handleAppInstalled() {
+    installPrompt = null;
+    notifyInstallState();
+}
+
+function notifyInstallState() {
+    if (dotNetReference) {
+        dotNetReference.invokeMethodAsync('OnInstallStateChange', canInstall(), getDisplayMode());
+    }
+}
+
 /**
- * Attempt to lock screen orientation (requires fullscreen on most browsers).
+ * Attempt to lock screen orientation. An installed app can lock as it is; a browser tab can only lock
+ * while fullscreen, so with allowFullscreen it goes fullscreen first (which needs a user gesture).
  */
-export async function tryLockOrientation(orientation) {
-    try {
-        if (screen.orientation && screen.orientation.lock) {
-            await screen.orientation.lock(orientation);
-            return true;
+export async function tryLockOrientation(orientation, allowFullscreen = true) {
+    if (!screen.orientation || !screen.orientation.lock) return false;
+
+    if (!isStandalone() && !isFullscreen()) {
+        if (!allowFullscreen || !(await tryRequestFullscreen())) {
+            console.log('[DeviceHelpers] Orientation lock needs fullscreen in a browser tab');
+            return false;
         }
+    }
+
+    try {
+        await screen.orientation.lock(orientation);
+        return true;
     } catch (e) {
         console.log('[DeviceHelpers] Orientation lock not supported:', e.message);
     }
@@ -115,9 +206,11 @@ export async function tryLockOrientation(orientation) {
 }
 
 /**
- * Request fullscreen mode.
+ * Request fullscreen mode. An app installed with fullscreen display already is.
  */
 export async function tryRequestFullscreen() {
+    if (isFullscreen() || getDisplayMode() === 'fullscreen') return true;
+
     try {
         const elem = document.documentElement;
         if (elem.requestFullscreen) {
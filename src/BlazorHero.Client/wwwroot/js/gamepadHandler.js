@@ -0,0 +1,437 @@
+// Gamepad Handler - Gamepad API polling for gamepads and guitar controllers with C# interop
+
+import { stampInput } from './inputTiming.js';
+
+let dotNetReference = null;
+let isPolling = false;
+let animationFrameId = null;
+let laneInputActive = false;  // Set by .NET while a song is played - menu buttons only navigate otherwise
+
+// Source of gamepad snapshots - replaceable so a fake can stand in for navigator.getGamepads()
+let getGamepads = () => (navigator.getGamepads ? Array.from(navigator.getGamepads()) : []);
+
+// gamepadIndex -> { id, profileName, profile, buttons: bool[], activeLanes: Set, fretsHeld: bool[], whammy, tilted }
+const controllers = new Map();
+
+const PROFILE_STORAGE_KEY = 'blazorHero.gamepadProfiles';
+const BUTTON_THRESHOLD = 0.5;
+const WHAMMY_EPSILON = 0.02;
+
+// Mapping profiles. Button/axis numbers follow the "standard" Gamepad API layout.
+// requireStrum: frets only set held state; the strum bar sends the held frets as a chord.
+// menu: special actions for buttons that play the song, sent only while no song is played.
+const PROFILES = {
+    // Xbox / PlayStation style pad - shoulders and triggers play the lanes
+    standard: {
+        lanes: [4, 6, 7, 5, 2],       // LB, LT, RT, RB, X
+        strum: [],
+        requireStrum: false,
+        special: {
+            0: 'confirm',             // A
+            1: 'back',                // B
+            3: 'starpower',           // Y
+            9: 'escape',              // Start
+            12: 'up',
+            13: 'down',
+            14: 'left',
+            15: 'right'
+        },
+        menu: {},
+        whammyAxis: null,
+        tiltAxis: null,
+        tiltThreshold: 0.7
+    },
+    // Xbox 360 / Rock Band style guitar (reports as a standard gamepad)
+    guitar: {
+        lanes: [0, 1, 3, 2, 4],       // Green, Red, Yellow, Blue, Orange
+        strum: [12, 13],              // Strum up / down (D-pad)
+        requireStrum: true,
+        special: {
+            8: 'starpower',           // Back / Select
+            9: 'escape'               // Start
+        },
+        menu: {
+            0: 'confirm',             // Green
+            1: 'back',                // Red
+            12: 'up',                 // Strum up
+            13: 'down'                // Strum down
+        },
+        whammyAxis: 2,
+        whammyRest: -1,               // Whammy axis sits at -1 when released
+        tiltAxis: 3,
+        tiltThreshold: 0.7
+    }
+};
+
+// Controller id patterns used to pick a profile when none has been assigned
+const PROFILE_DETECTORS = [
+    { pattern: /guitar|harmonix|redoctane|rock ?band|guitar ?hero/i, profile: 'guitar' }
+];
+
+// Controller id -> profile name chosen by the player
+let profileAssignments = {};
+
+/**
+ * Initialize gamepad input handling.
+ */
+export function initGamepad(reference) {
+    dotNetReference = reference;
+    loadProfileAssignments();
+
+    window.addEventListener('gamepadconnected', handleGamepadConnected);
+    window.addEventListener('gamepaddisconnected', handleGamepadDisconnected);
+
+    // Pads that were connected before the page loaded only show up once a button is pressed,
+    // but any already visible ones can be picked up immediately
+    for (const gamepad of getGamepads()) {
+        if (gamepad) addController(gamepad);
+    }
+
+    console.log('[GamepadHandler] Initialized');
+}
+
+/**
+ * Dispose gamepad handling.
+ */
+export function disposeGamepad() {
+    window.removeEventListener('gamepadconnected', handleGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', handleGamepadDisconnected);
+
+    stopPolling();
+    controllers.clear();
+    dotNetReference = null;
+
+    console.log('[GamepadHandler] Disposed');
+}
+
+/**
+ * Tell the handler whether a song is being played. Everywhere else guitar frets press their lanes
+ * straight away (as a pad's do) and also navigate the menus with the strum bar, so a guitar
+ * controller works without a keyboard.
+ */
+export function setLaneInputActive(active) {
+    laneInputActive = !!active;
+}
+
+/**
+ * Replace the gamepad source (a function returning an array of Gamepad-like objects).
+ * Pass null to restore navigator.getGamepads().
+ */
+export function setGamepadSource(source) {
+    getGamepads = source || (() => (navigator.getGamepads ? Array.from(navigator.getGamepads()) : []));
+}
+
+function handleGamepadConnected(event) {
+    addController(event.gamepad);
+}
+
+function handleGamepadDisconnected(event) {
+    removeController(event.gamepad.index);
+}
+
+function addController(gamepad) {
+    if (controllers.has(gamepad.index)) return;
+
+    const profileName = resolveProfileName(gamepad.id);
+    controllers.set(gamepad.index, createControllerState(gamepad, profileName));
+
+    console.log(`[GamepadHandler] Connected ${gamepad.index}: ${gamepad.id} (profile: ${profileName})`);
+    dotNetReference?.invokeMethod('OnGamepadConnected', gamepad.index, gamepad.id, profileName);
+
+    startPolling();
+}
+
+function removeController(index) {
+    const controller = controllers.get(index);
+    if (!controller) return;
+
+    // Release anything still held so lanes don't get stuck down
+    const timestamp = performance.now();
+    for (const lane of controller.activeLanes) {
+        dotNetReference?.invokeMethod('OnLaneKeyUp', lane, stampInput(timestamp));
+    }
+
+    controllers.delete(index);
+
+    console.log(`[GamepadHandler] Disconnected ${index}: ${controller.id}`);
+    dotNetReference?.invokeMethod('OnGamepadDisconnected', index, controller.id);
+
+    if (controllers.size === 0) {
+        stopPolling();
+    }
+}
+
+function createControllerState(gamepad, profileName) {
+    return {
+        id: gamepad.id,
+        profileName,
+        profile: PROFILES[profileName],
+        buttons: [],
+        activeLanes: new Set(),
+        fretsHeld: [false, false, false, false, false],
+        whammy: 0,
+        tilted: false
+    };
+}
+
+function resolveProfileName(id) {
+    const assigned = profileAssignments[id];
+    if (assigned && PROFILES[assigned]) return assigned;
+
+    for (const detector of PROFILE_DETECTORS) {
+        if (detector.pattern.test(id)) return detector.profile;
+    }
+    return 'standard';
+}
+
+// ============================================
+// Polling
+// ============================================
+
+function startPolling() {
+    if (isPolling) return;
+    isPolling = true;
+    animationFrameId = requestAnimationFrame(pollLoop);
+}
+
+function stopPolling() {
+    isPolling = false;
+    if (animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+}
+
+function pollLoop() {
+    if (!isPolling) return;
+    pollGamepads();
+    animationFrameId = requestAnimationFrame(pollLoop);
+}
+
+/**
+ * Read every connected gamepad once and dispatch changes to .NET.
+ * Runs every animation frame while a controller is connected; can also be called directly.
+ */
+export function pollGamepads() {
+    if (!dotNetReference) return;
+
+    const timestamp = performance.now();
+    const seen = new Set();
+
+    for (const gamepad of getGamepads()) {
+        if (!gamepad || gamepad.connected === false) continue;
+        seen.add(gamepad.index);
+
+        // Some browsers never fire gamepadconnected for a pad that was already plugged in
+        if (!controllers.has(gamepad.index)) {
+            addController(gamepad);
+        }
+
+        // gamepad.timestamp is when this snapshot was sampled, which can be earlier than this frame
+        processGamepad(controllers.get(gamepad.index), gamepad, gamepad.timestamp || timestamp);
+    }
+
+    // Hot-unplug without a gamepaddisconnected event
+    for (const index of [...controllers.keys()]) {
+        if (!seen.has(index)) removeController(index);
+    }
+}
+
+function processGamepad(controller, gamepad, timestamp) {
+    const { profile } = controller;
+    const pressed = gamepad.buttons.map(b => isButtonPressed(b));
+    const wasPressed = index => controller.buttons[index] || false;
+
+    // Frets / lanes
+    profile.lanes.forEach((button, lane) => {
+        const down = pressed[button] || false;
+        const wasDown = wasPressed(button);
+        if (down === wasDown) return;
+
+        if (profile.requireStrum) {
+            controller.fretsHeld[lane] = down;
+        }
+        if (profile.requireStrum && laneInputActive) {
+            // Releasing a fret ends its note even in strum mode
+            if (!down) releaseLane(controller, lane, timestamp);
+        } else if (down) {
+            pressLane(controller, lane, timestamp);
+        } else {
+            releaseLane(controller, lane, timestamp);
+        }
+    });
+
+    // Strum bar - send the held frets as one chord, same as keyboard strum mode
+    if (profile.requireStrum && laneInputActive) {
+        const strummed = profile.strum.some(button => pressed[button] && !wasPressed(button));
+        if (strummed) {
+            strumChord(controller, timestamp);
+        }
+    }
+
+    // Special buttons fire on the press edge
+    const special = laneInputActive ? profile.special : { ...profile.menu, ...profile.special };
+    for (const [button, action] of Object.entries(special)) {
+        if (pressed[button] && !wasPressed(Number(button))) {
+            dotNetReference.invokeMethod('OnSpecialKey', action);
+        }
+    }
+
+    processAxes(controller, gamepad);
+
+    controller.buttons = pressed;
+}
+
+function processAxes(controller, gamepad) {
+    const { profile } = controller;
+
+    if (profile.whammyAxis !== null && gamepad.axes.length > profile.whammyAxis) {
+        const raw = gamepad.axes[profile.whammyAxis];
+        // Normalize to 0 (released) .. 1 (fully pressed)
+        const rest = profile.whammyRest ?? 0;
+        const whammy = Math.max(0, Math.min(1, (raw - rest) / (1 - rest)));
+
+        if (Math.abs(whammy - controller.whammy) >= WHAMMY_EPSILON || (whammy === 0 && controller.whammy !== 0)) {
+            controller.whammy = whammy;
+            // Bend sustains directly - a round trip through .NET would lag the bar
+            window.blazorHeroAudio?.setWhammy(whammy);
+            dotNetReference.invokeMethod('OnWhammy', whammy);
+        }
+    }
+
+    if (profile.tiltAxis !== null && gamepad.axes.length > profile.tiltAxis) {
+        const tilted = Math.abs(gamepad.axes[profile.tiltAxis]) >= profile.tiltThreshold;
+        // Tilting the neck up activates star power once per tilt
+        if (tilted && !controller.tilted) {
+            dotNetReference.invokeMethod('OnSpecialKey', 'starpower');
+        }
+        controller.tilted = tilted;
+    }
+}
+
+function isButtonPressed(button) {
+    if (typeof button === 'number') return button >= BUTTON_THRESHOLD;
+    return button.pressed || button.value >= BUTTON_THRESHOLD;
+}
+
+function pressLane(controller, lane, timestamp) {
+    if (controller.activeLanes.has(lane)) return;
+    controller.activeLanes.add(lane);
+    dotNetReference.invokeMethod('OnLaneKeyDown', lane, stampInput(timestamp, true));
+}
+
+function releaseLane(controller, lane, timestamp) {
+    if (!controller.activeLanes.has(lane)) return;
+    controller.activeLanes.delete(lane);
+    dotNetReference.invokeMethod('OnLaneKeyUp', lane, stampInput(timestamp));
+}
+
+function strumChord(controller, timestamp) {
+    let mask = 0;
+    controller.fretsHeld.forEach((held, lane) => {
+        if (held) mask |= 1 << lane;
+    });
+
+    for (const lane of [...controller.activeLanes]) {
+        if (!(mask & (1 << lane))) releaseLane(controller, lane, timestamp);
+    }
+    controller.fretsHeld.forEach((held, lane) => {
+        if (held) controller.activeLanes.add(lane);
+    });
+
+    dotNetReference.invokeMethod('OnChord', mask, stampInput(timestamp, true), 'strum');
+}
+
+// ============================================
+// Profiles
+// ============================================
+
+/**
+ * Get the names of the available mapping profiles.
+ */
+export function getGamepadProfiles() {
+    return Object.keys(PROFILES);
+}
+
+/**
+ * Get the connected controllers and the profile each one uses.
+ * @returns {{ index: number, id: string, profile: string }[]}
+ */
+export function getConnectedGamepads() {
+    return [...controllers.entries()].map(([index, controller]) => ({
+        index,
+        id: controller.id,
+        profile: controller.profileName
+    }));
+}
+
+/**
+ * Assign a mapping profile to a controller. The choice is remembered by controller id.
+ * @param {number} index - Gamepad index
+ * @param {string} profileName - One of getGamepadProfiles()
+ */
+export function setGamepadProfile(index, profileName) {
+    const controller = controllers.get(index);
+    if (!controller || !PROFILES[profileName]) return false;
+
+    // Release held lanes from the old mapping before switching
+    const timestamp = performance.now();
+    for (const lane of [...controller.activeLanes]) {
+        releaseLane(controller, lane, timestamp);
+    }
+
+    controllers.set(index, createControllerState({ index, id: controller.id }, profileName));
+    profileAssignments[controller.id] = profileName;
+    saveProfileAssignments();
+    return true;
+}
+
+/**
+ * Register (or replace) a mapping profile, e.g. for a controller with an unusual layout.
+ */
+export function registerGamepadProfile(name, profile) {
+    PROFILES[name] = {
+        lanes: [],
+        strum: [],
+        requireStrum: false,
+        special: {},
+        menu: {},
+        whammyAxis: null,
+        tiltAxis: null,
+        tiltThreshold: 0.7,
+        ...profile
+    };
+}
+
+function loadProfileAssignments() {
+    try {
+        const stored = localStorage.getItem(PROFILE_STORAGE_KEY);
+        profileAssignments = stored ? JSON.parse(stored) : {};
+    } catch (e) {
+        console.warn('[GamepadHandler] Failed to load profile assignments:', e);
+        profileAssignments = {};
+    }
+}
+
+function saveProfileAssignments() {
+    try {
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profileAssignments));
+    } catch (e) {
+        console.warn('[GamepadHandler] Failed to save profile assignments:', e);
+    }
+}
+
+/**
+ * Get current state of all lanes across connected controllers (for polling if needed).
+ */
+export function getGamepadLaneStates() {
+    const states = [false, false, false, false, false];
+
+    for (const controller of controllers.values()) {
+        for (const lane of controller.activeLanes) {
+            if (lane >= 0 && lane < 5) states[lane] = true;
+        }
+    }
+
+    return states;
+}
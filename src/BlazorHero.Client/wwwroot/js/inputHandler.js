@@ -1,18 +1,24 @@
 // Input Handler - Keyboard event handling with C# interop
 
+import { stampInput } from './inputTiming.js';
+
 let dotNetReference = null;
 const keyState = new Map();
 
-// Key mappings for lanes (5 lanes for Expert mode)
-const KEY_BINDINGS = {
-    'KeyD': 0, // Green
-    'KeyF': 1, // Red
-    'KeyJ': 2, // Yellow
-    'KeyK': 3, // Blue
-    'KeyL': 4  // Orange (Expert only)
-};
+const STORAGE_KEY = 'blazorHero.keyBindings';
+const MODE_STORAGE_KEY = 'blazorHero.inputMode';
+const LANE_COUNT = 5;
+
+// Default key mappings for lanes (5 lanes for Expert mode)
+const DEFAULT_LANE_KEYS = [
+    'KeyD', // Green
+    'KeyF', // Red
+    'KeyJ', // Yellow
+    'KeyK', // Blue
+    'KeyL'  // Orange (Expert only)
+];
 
-const SPECIAL_KEYS = {
+const DEFAULT_SPECIAL_KEYS = {
     'Escape': 'escape',
     'Enter': 'confirm',
     'Space': 'starpower',
@@ -21,11 +27,41 @@ const SPECIAL_KEYS = {
     'ArrowLeft': 'left',
     'ArrowRight': 'right',
     'KeyR': 'restart',
-    'Backspace': 'back'
+    'Backspace': 'back',
+    'ShiftLeft': 'whammy'  // Held - bends hold-note sustains
 };
 
+// A whammy key is all-or-nothing, so ease into the bend rather than snapping (setTargetAtTime constant, s)
+const KEY_WHAMMY_SMOOTHING = 0.08;
+
+// Strum bar keys - only used in strum mode while a song is played, where they take priority over
+// special keys. In menus they keep their special actions (Enter confirms, the arrows navigate).
+const DEFAULT_STRUM_KEYS = ['Enter', 'ShiftRight', 'ArrowUp', 'ArrowDown'];
+
+const DEFAULT_HOPO_WINDOW_MS = 120;
+
+// Active bindings - lane index -> key code, plus the reverse lookup used by the handlers
+let laneKeys = [...DEFAULT_LANE_KEYS];
+let specialKeys = { ...DEFAULT_SPECIAL_KEYS };
+let strumKeys = [...DEFAULT_STRUM_KEYS];
+let keyBindings = buildLaneLookup(laneKeys);
+
+// Interactive capture ("press a key for lane N") - lane index or special action name
+let captureTarget = null;
+
+// 'tap' fires a lane the moment its key goes down; 'strum' needs frets held plus a strum key
+let inputMode = 'tap';
+let hopoWindowMs = DEFAULT_HOPO_WINDOW_MS;
+let lastNoteTimestamp = -Infinity;  // Last strum or hammer-on/pull-off, for chaining HOPOs
+let laneInputActive = false;  // Set by .NET while a song is played - strum mode only applies then
+
+// Lanes that .NET currently considers pressed (sent OnLaneKeyDown or a chord, not yet released)
+const activeLanes = new Set();
+
 export function initInput(reference) {
     dotNetReference = reference;
+    loadKeyBindings();
+    loadInputMode();
 
     document.addEventListener('keydown', handleKeyDown);
     document.addEventListener('keyup', handleKeyUp);
@@ -35,7 +71,9 @@ export function disposeInput() {
     document.removeEventListener('keydown', handleKeyDown);
     document.removeEventListener('keyup', handleKeyUp);
     dotNetReference = null;
+    captureTarget = null;
     keyState.clear();
+    activeLanes.clear();
 }
 
 function handleKeyDown(event) {
@@ -45,18 +83,41 @@ function handleKeyDown(event) {
     }
     if (event.repeat) return; // Ignore key repeat
 
-    const lane = KEY_BINDINGS[event.code];
+    if (captureTarget !== null) {
+        event.preventDefault();
+        handleCapture(event.code);
+        return;
+    }
+
+    const lane = keyBindings[event.code];
     if (lane !== undefined) {
         event.preventDefault();
         if (!keyState.get(event.code)) {
             keyState.set(event.code, true);
-            const timestamp = performance.now();
-            dotNetReference.invokeMethod('OnLaneKeyDown', lane, timestamp);
+            const timestamp = event.timeStamp;
+            if (inputMode === 'strum' && laneInputActive) {
+                handleFretChange(lane, true, timestamp);
+            } else {
+                pressLane(lane, timestamp);
+            }
         }
         return;
     }
 
-    const special = SPECIAL_KEYS[event.code];
+    if (inputMode === 'strum' && laneInputActive && strumKeys.includes(event.code)) {
+        event.preventDefault();
+        sendChord('strum', event.timeStamp);
+        return;
+    }
+
+    const special = specialKeys[event.code];
+    if (special === 'whammy') {
+        event.preventDefault();
+        keyState.set(event.code, true);
+        setKeyWhammy(1);
+        return;
+    }
+
     if (special) {
         event.preventDefault();
         console.log('[InputHandler] Special key:', special);
@@ -67,24 +128,399 @@ function handleKeyDown(event) {
 function handleKeyUp(event) {
     if (!dotNetReference) return;
 
-    const lane = KEY_BINDINGS[event.code];
+    const lane = keyBindings[event.code];
     if (lane !== undefined) {
         keyState.set(event.code, false);
-        const timestamp = performance.now();
-        dotNetReference.invokeMethod('OnLaneKeyUp', lane, timestamp);
+        const timestamp = event.timeStamp;
+        if (inputMode === 'strum' && laneInputActive) {
+            handleFretChange(lane, false, timestamp);
+        } else {
+            releaseLane(lane, timestamp);
+        }
+        return;
+    }
+
+    if (specialKeys[event.code] === 'whammy') {
+        keyState.set(event.code, false);
+        setKeyWhammy(0);
     }
 }
 
+function setKeyWhammy(amount) {
+    window.blazorHeroAudio?.setWhammy(amount, KEY_WHAMMY_SMOOTHING);
+    dotNetReference.invokeMethod('OnWhammy', amount);
+}
+
+function pressLane(lane, timestamp) {
+    activeLanes.add(lane);
+    dotNetReference.invokeMethod('OnLaneKeyDown', lane, stampInput(timestamp, true));
+}
+
+function releaseLane(lane, timestamp) {
+    if (!activeLanes.delete(lane)) return;
+    dotNetReference.invokeMethod('OnLaneKeyUp', lane, stampInput(timestamp));
+}
+
 export function isKeyPressed(keyCode) {
     return keyState.get(keyCode) || false;
 }
 
 export function getLaneStates() {
-    return [
-        keyState.get('KeyD') || false,
-        keyState.get('KeyF') || false,
-        keyState.get('KeyJ') || false,
-        keyState.get('KeyK') || false,
-        keyState.get('KeyL') || false
-    ];
+    return laneKeys.map(code => keyState.get(code) || false);
+}
+
+// ============================================
+// Strum mode
+// ============================================
+
+/**
+ * Switch between 'tap' (lane keys fire immediately) and 'strum' (frets held plus a strum key).
+ */
+export function setInputMode(mode) {
+    if (mode !== 'tap' && mode !== 'strum') {
+        console.error('[InputHandler] Unknown input mode:', mode);
+        return false;
+    }
+
+    releaseAllLanes();
+    inputMode = mode;
+    lastNoteTimestamp = -Infinity;
+    saveInputMode();
+    console.log('[InputHandler] Input mode:', mode);
+    return true;
+}
+
+export function getInputMode() {
+    return inputMode;
+}
+
+/**
+ * Tell the handler whether a song is being played. Strum mode only applies while it is: strum keys
+ * keep the menu actions they share, and frets press straight away (for calibration taps, say).
+ */
+export function setLaneInputActive(active) {
+    laneInputActive = !!active;
+}
+
+/**
+ * Set the hammer-on/pull-off window. Fret changes within this many ms of the last
+ * strum (or HOPO) count as a new note without strumming. 0 disables HOPOs.
+ */
+export function setHopoWindow(windowMs) {
+    hopoWindowMs = Math.max(0, windowMs || 0);
+    saveInputMode();
+}
+
+export function getHopoWindow() {
+    return hopoWindowMs;
+}
+
+/**
+ * Bitmask of held frets - bit N set means lane N is held.
+ */
+export function getFretMask() {
+    let mask = 0;
+    laneKeys.forEach((code, lane) => {
+        if (keyState.get(code)) mask |= 1 << lane;
+    });
+    return mask;
+}
+
+function handleFretChange(lane, isDown, timestamp) {
+    if (!isDown) {
+        // Letting go of a fret always ends whatever it was holding
+        releaseLane(lane, timestamp);
+    }
+
+    const withinHopo = hopoWindowMs > 0 && timestamp - lastNoteTimestamp <= hopoWindowMs;
+    if (!withinHopo) return;
+
+    const mask = getFretMask();
+    if (mask === 0) return;
+
+    // Only the highest held fret sounds: hammering on below it or pulling off a lower fret changes nothing
+    const highest = 31 - Math.clz32(mask);
+    if (isDown && lane === highest) {
+        sendChord('hammer', timestamp);
+    } else if (!isDown && lane > highest) {
+        sendChord('pull', timestamp);
+    }
+}
+
+function sendChord(kind, timestamp) {
+    const mask = getFretMask();
+    lastNoteTimestamp = mask !== 0 ? timestamp : -Infinity;
+
+    // What .NET presses (InputService.OnChord): a strum hits every held fret, a hammer-on or
+    // pull-off only the highest. The new note replaces whatever the previous one was holding.
+    const sounding = kind === 'strum' || mask === 0 ? mask : 1 << (31 - Math.clz32(mask));
+    for (const lane of [...activeLanes]) {
+        if (!(sounding & (1 << lane))) releaseLane(lane, timestamp);
+    }
+    for (let lane = 0; lane < LANE_COUNT; lane++) {
+        if (sounding & (1 << lane)) activeLanes.add(lane);
+    }
+
+    dotNetReference.invokeMethod('OnChord', mask, stampInput(timestamp, true), kind);
+}
+
+// ============================================
+// Key binding configuration
+// ============================================
+
+/**
+ * Get the active key bindings.
+ * @returns {{ lanes: string[], special: Object<string, string>, strum: string[] }} Lane key codes
+ *          by lane index, special key codes mapped to their action names, and strum key codes
+ */
+export function getKeyBindings() {
+    return {
+        lanes: [...laneKeys],
+        special: { ...specialKeys },
+        strum: [...strumKeys]
+    };
+}
+
+/**
+ * Replace the active key bindings and persist them.
+ * Any part may be omitted to keep the current value; special actions left out keep their default keys.
+ * @param {{ lanes?: string[], special?: Object<string, string>, strum?: string[] }} bindings
+ * @returns {string[]} Conflict descriptions - empty when the bindings were applied
+ */
+export function setKeyBindings(bindings) {
+    const lanes = bindings?.lanes ? [...bindings.lanes] : [...laneKeys];
+    const next = {
+        lanes,
+        special: bindings?.special ? withDefaultSpecialKeys(bindings.special, lanes) : { ...specialKeys },
+        strum: bindings?.strum ? [...bindings.strum] : [...strumKeys]
+    };
+
+    const conflicts = findConflicts(next);
+    if (conflicts.length > 0) {
+        console.warn('[InputHandler] Key bindings rejected:', conflicts);
+        return conflicts;
+    }
+
+    applyKeyBindings(next);
+    saveKeyBindings();
+    return [];
+}
+
+/**
+ * Restore the default bindings (D/F/J/K/L, Space for star power).
+ */
+export function resetKeyBindings() {
+    applyKeyBindings({
+        lanes: [...DEFAULT_LANE_KEYS],
+        special: { ...DEFAULT_SPECIAL_KEYS },
+        strum: [...DEFAULT_STRUM_KEYS]
+    });
+
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        // Storage unavailable (private mode) - defaults still apply for this session
+    }
+}
+
+/**
+ * Start capturing the next key press for a lane or special action.
+ * The result is reported through OnKeyCaptured(target, code, conflict).
+ * Pressing Escape cancels the capture unless Escape is the key being bound.
+ * @param {number|string} target - Lane index (0-4) or special action name (e.g. 'starpower')
+ */
+export function startKeyCapture(target) {
+    if (typeof target === 'number' && (target < 0 || target >= LANE_COUNT)) {
+        console.error('[InputHandler] Invalid capture lane:', target);
+        return false;
+    }
+
+    // Release any held lanes so a rebind can't leave a stuck key behind
+    releaseAllLanes();
+    captureTarget = target;
+    console.log('[InputHandler] Capturing key for:', target);
+    return true;
+}
+
+/**
+ * Cancel an in-progress key capture.
+ */
+export function cancelKeyCapture() {
+    captureTarget = null;
+}
+
+export function isCapturingKey() {
+    return captureTarget !== null;
+}
+
+function handleCapture(code) {
+    const target = captureTarget;
+    captureTarget = null;
+
+    if (code === 'Escape' && specialKeys['Escape'] !== target) {
+        dotNetReference.invokeMethod('OnKeyCaptured', String(target), null, null);
+        return;
+    }
+
+    const next = getKeyBindings();
+
+    if (typeof target === 'number') {
+        next.lanes[target] = code;
+    } else {
+        // A key does one special action - taking it from another would silently unbind that one
+        const current = next.special[code];
+        if (current !== undefined && current !== target) {
+            dotNetReference.invokeMethod('OnKeyCaptured', String(target), code,
+                `${code} is bound to both ${current} and ${target}`);
+            return;
+        }
+
+        // Drop the action's previous key, then bind the new one
+        for (const [existing, action] of Object.entries(next.special)) {
+            if (action === target) delete next.special[existing];
+        }
+        next.special[code] = target;
+    }
+
+    const conflicts = findConflicts(next);
+    if (conflicts.length > 0) {
+        dotNetReference.invokeMethod('OnKeyCaptured', String(target), code, conflicts[0]);
+        return;
+    }
+
+    applyKeyBindings(next);
+    saveKeyBindings();
+    dotNetReference.invokeMethod('OnKeyCaptured', String(target), code, null);
+}
+
+function findConflicts({ lanes, special, strum }) {
+    const conflicts = [];
+
+    if (lanes.length !== LANE_COUNT) {
+        conflicts.push(`Expected ${LANE_COUNT} lane keys, got ${lanes.length}`);
+        return conflicts;
+    }
+
+    const seen = new Map();
+    lanes.forEach((code, lane) => {
+        if (!code) {
+            conflicts.push(`Lane ${lane} has no key`);
+        } else if (seen.has(code)) {
+            conflicts.push(`${code} is bound to both ${seen.get(code)} and lane ${lane}`);
+        } else {
+            seen.set(code, `lane ${lane}`);
+        }
+    });
+
+    for (const [code, action] of Object.entries(special)) {
+        if (seen.has(code)) {
+            conflicts.push(`${code} is bound to both ${seen.get(code)} and ${action}`);
+        }
+    }
+
+    // Strum keys may share a key with a special action (strum wins during play), but not with a lane
+    for (const code of strum) {
+        if (seen.has(code)) {
+            conflicts.push(`${code} is bound to both ${seen.get(code)} and strum`);
+        }
+    }
+
+    return conflicts;
+}
+
+// Special bindings with every action they leave out on its default key (when that key is free), so
+// bindings saved or sent without some actions can't leave the game without Escape or pause
+function withDefaultSpecialKeys(special, lanes) {
+    const merged = { ...special };
+    const bound = new Set(Object.values(merged));
+    for (const [code, action] of Object.entries(DEFAULT_SPECIAL_KEYS)) {
+        if (!bound.has(action) && merged[code] === undefined && !lanes.includes(code)) {
+            merged[code] = action;
+        }
+    }
+    return merged;
+}
+
+function applyKeyBindings({ lanes, special, strum }) {
+    releaseAllLanes();
+    laneKeys = lanes;
+    specialKeys = special;
+    strumKeys = strum;
+    keyBindings = buildLaneLookup(laneKeys);
+}
+
+function buildLaneLookup(lanes) {
+    const lookup = {};
+    lanes.forEach((code, lane) => {
+        lookup[code] = lane;
+    });
+    return lookup;
+}
+
+// Notify .NET about lanes that are still held before their keys are remapped
+function releaseAllLanes() {
+    if (dotNetReference) {
+        const timestamp = performance.now();
+        for (const lane of [...activeLanes]) {
+            releaseLane(lane, timestamp);
+        }
+    }
+    activeLanes.clear();
+    keyState.clear();
+}
+
+function loadKeyBindings() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (!stored) return;
+
+        const parsed = JSON.parse(stored);
+        const lanes = Array.isArray(parsed.lanes) ? parsed.lanes : [...DEFAULT_LANE_KEYS];
+        const special = parsed.special && typeof parsed.special === 'object' ? parsed.special : {};
+        const next = {
+            lanes,
+            special: withDefaultSpecialKeys(special, lanes),
+            strum: Array.isArray(parsed.strum) ? parsed.strum : [...DEFAULT_STRUM_KEYS]
+        };
+
+        const conflicts = findConflicts(next);
+        if (conflicts.length > 0) {
+            console.warn('[InputHandler] Stored key bindings invalid, using defaults:', conflicts);
+            return;
+        }
+
+        applyKeyBindings(next);
+        console.log('[InputHandler] Loaded key bindings:', laneKeys);
+    } catch (e) {
+        console.warn('[InputHandler] Failed to load key bindings:', e);
+    }
+}
+
+function saveKeyBindings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getKeyBindings()));
+    } catch (e) {
+        console.warn('[InputHandler] Failed to save key bindings:', e);
+    }
+}
+
+function loadInputMode() {
+    try {
+        const stored = localStorage.getItem(MODE_STORAGE_KEY);
+        if (!stored) return;
+
+        const parsed = JSON.parse(stored);
+        inputMode = parsed.mode === 'strum' ? 'strum' : 'tap';
+        hopoWindowMs = typeof parsed.hopoWindowMs === 'number' ? Math.max(0, parsed.hopoWindowMs) : DEFAULT_HOPO_WINDOW_MS;
+    } catch (e) {
+        console.warn('[InputHandler] Failed to load input mode:', e);
+    }
+}
+
+function saveInputMode() {
+    try {
+        localStorage.setItem(MODE_STORAGE_KEY, JSON.stringify({ mode: inputMode, hopoWindowMs }));
+    } catch (e) {
+        console.warn('[InputHandler] Failed to save input mode:', e);
+    }
 }
@@ -0,0 +1,40 @@
+// Input Timing - Shared timestamping for the keyboard, touch, gamepad and MIDI handlers
+//
+// Input events carry timestamps on the performance.now() clock, but the song position comes
+// from the AudioContext clock. Every lane event is converted to song-time milliseconds here,
+// so .NET can judge hits directly against note times.
+
+// Listeners for raw lane presses (used by the calibration wizard to record taps)
+const pressListeners = new Set();
+
+/**
+ * Timestamp a lane event for .NET: correct for the calibrated input latency, then map the
+ * result onto the song clock.
+ * @param {number} [eventTime] - Event timestamp on the performance.now() clock (event.timeStamp); defaults to now
+ * @param {boolean} [isPress] - True for lane presses, which are also reported to press listeners
+ * @returns {number} Song position in milliseconds at the moment of the physical input
+ */
+export function stampInput(eventTime, isPress = false) {
+    const raw = eventTime || performance.now();
+
+    if (isPress) {
+        for (const listener of pressListeners) {
+            listener(raw);
+        }
+    }
+
+    const audio = window.blazorHeroAudio;
+    if (!audio || !audio.audioContext) return raw;
+
+    return audio.performanceTimeToSongTime(raw - audio.inputOffsetMs);
+}
+
+/**
+ * Subscribe to raw (uncorrected) lane press times.
+ * @param {(timestamp: number) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onLanePress(listener) {
+    pressListeners.add(listener);
+    return () => pressListeners.delete(listener);
+}
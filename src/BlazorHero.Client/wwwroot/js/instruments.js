@@ -0,0 +1,534 @@
+// Instruments - registry of note-sound timbres used by AudioEngine
+//
+// Each instrument supplies both halves of a style, so adding a timbre is one registerInstrument() call:
+//   renderHit(sampleRate, freq, params, quality) -> Float32Array of mono samples for a one-shot hit
+//                                                   ('perfect' or 'good'); pure, so it can run in a worker
+//   buildHold(ctx, freq, output, params)         -> { tones, modulators } oscillators for a hold sustain,
+//                                                   already connected to output but not started
+// params holds the resolved envelope (attack, decay, sustain, release - seconds / level),
+// brightness and harmonics (relative partial amplitudes, index 0 = fundamental).
+// An instrument with songSustain: false ignores the song-wide sustain (only an adsr block sets it).
+//
+// noteSounds can also name audio samples, which replace the synthesized hits:
+//   lanes[n].samples: { perfect, good }            - the lane's own recordings, played as-is
+//   samples: [{ url, freq, judgement? }]           - a multisample set; each lane uses the zone
+//                                                    nearest its freq, repitched to match
+
+const instruments = new Map();
+
+const ENVELOPE_KEYS = ['attack', 'decay', 'sustain', 'release'];
+const JUDGEMENTS = ['perfect', 'good'];
+
+// Hold voices fade in/out over this long unless the chart sets an explicit ADSR
+const DEFAULT_HOLD_FADE = 0.05;
+
+/**
+ * Register (or replace) an instrument.
+ * @param {string} name - Style name used in chart noteSounds
+ * @param {{ defaults: object, renderHit: Function, buildHold: Function, songSustain?: boolean }} instrument
+ */
+export function registerInstrument(name, instrument) {
+    if (typeof instrument?.renderHit !== 'function' || typeof instrument?.buildHold !== 'function') {
+        throw new Error(`Instrument '${name}' needs renderHit and buildHold functions`);
+    }
+    instruments.set(name, { defaults: {}, songSustain: true, ...instrument });
+}
+
+export function getInstrument(name) {
+    return instruments.get(name) || null;
+}
+
+export function getInstrumentNames() {
+    return [...instruments.keys()];
+}
+
+/**
+ * Check a chart noteSounds config. Returns a list of problems (empty when valid).
+ */
+export function validateNoteSounds(config) {
+    const errors = [];
+    if (!config) return errors;
+
+    if (!Array.isArray(config.lanes)) {
+        errors.push('lanes must be an array');
+        return errors;
+    }
+
+    checkVoice(config, 'noteSounds', errors);
+
+    if (config.samples != null) {
+        if (!Array.isArray(config.samples)) {
+            errors.push('samples must be an array');
+        } else {
+            config.samples.forEach((zone, index) => {
+                const where = `samples[${index}]`;
+                if (!zone || typeof zone.url !== 'string' || zone.url === '') {
+                    errors.push(`${where}: url is required`);
+                } else if (!(zone.freq > 0)) {
+                    errors.push(`${where}: freq (the sample's pitch in Hz) must be a positive number`);
+                }
+                if (zone?.judgement != null && !JUDGEMENTS.includes(zone.judgement)) {
+                    errors.push(`${where}: judgement must be ${JUDGEMENTS.join(' or ')}`);
+                }
+            });
+        }
+    }
+
+    config.lanes.forEach((lane, index) => {
+        const where = `lanes[${index}]`;
+        if (!lane || !(lane.freq > 0)) {
+            errors.push(`${where}: freq must be a positive number`);
+        }
+        if (lane) {
+            checkVoice(lane, where, errors);
+            checkLaneSamples(lane.samples, where, errors);
+        }
+    });
+
+    return errors;
+}
+
+function checkVoice(voice, where, errors) {
+    if (voice.style != null && !instruments.has(voice.style)) {
+        errors.push(`${where}: unknown style '${voice.style}' (available: ${getInstrumentNames().join(', ')})`);
+    }
+
+    if (voice.brightness != null && !(voice.brightness >= 0)) {
+        errors.push(`${where}: brightness must be zero or more`);
+    }
+
+    if (voice.adsr != null) {
+        for (const [key, value] of Object.entries(voice.adsr)) {
+            if (value == null) continue;
+            if (!ENVELOPE_KEYS.includes(key)) {
+                errors.push(`${where}.adsr: unknown stage '${key}'`);
+            } else if (typeof value !== 'number' || value < 0 || (key === 'sustain' && value > 1)) {
+                errors.push(`${where}.adsr.${key}: ${key === 'sustain' ? 'must be between 0 and 1' : 'must be zero or more seconds'}`);
+            }
+        }
+    }
+
+    if (voice.harmonics != null) {
+        if (!Array.isArray(voice.harmonics) || voice.harmonics.length === 0
+            || voice.harmonics.some(h => typeof h !== 'number' || h < 0)) {
+            errors.push(`${where}.harmonics: must be a non-empty array of amplitudes >= 0`);
+        }
+    }
+}
+
+function checkLaneSamples(samples, where, errors) {
+    if (samples == null) return;
+    if (typeof samples !== 'object') {
+        errors.push(`${where}.samples: must be an object of judgement -> url`);
+        return;
+    }
+    for (const [judgement, url] of Object.entries(samples)) {
+        if (url == null) continue;
+        if (!JUDGEMENTS.includes(judgement)) {
+            errors.push(`${where}.samples: unknown judgement '${judgement}'`);
+        } else if (typeof url !== 'string' || url === '') {
+            errors.push(`${where}.samples.${judgement}: must be a url`);
+        }
+    }
+}
+
+/**
+ * Resolve the voice for one lane: instrument defaults, then song-wide settings, then the lane's own.
+ * The config must have passed validateNoteSounds().
+ * @returns {{ style: string, freq: number, params: object }}
+ */
+export function resolveLaneVoice(config, lane) {
+    const laneConfig = config.lanes[lane];
+    const style = laneConfig.style ?? config.style ?? 'guitar';
+    const instrument = instruments.get(style);
+    const explicit = { ...(config.adsr || {}), ...(laneConfig.adsr || {}) };
+
+    const params = { ...instrument.defaults };
+    // Song-wide attack/sustain predate the adsr block and still apply
+    if (config.attack != null) params.attack = config.attack;
+    if (config.sustain != null && instrument.songSustain) params.sustain = config.sustain;
+    if (config.brightness != null) params.brightness = config.brightness;
+    if (config.harmonics != null) params.harmonics = config.harmonics;
+
+    for (const key of ENVELOPE_KEYS) {
+        if (explicit[key] != null) params[key] = explicit[key];
+    }
+    if (laneConfig.brightness != null) params.brightness = laneConfig.brightness;
+    if (laneConfig.harmonics != null) params.harmonics = laneConfig.harmonics;
+    params.customHarmonics = (laneConfig.harmonics ?? config.harmonics) != null;
+
+    // Hold fades follow an explicit ADSR; otherwise keep them short and click-free
+    params.holdAttack = explicit.attack ?? DEFAULT_HOLD_FADE;
+    params.holdRelease = explicit.release ?? DEFAULT_HOLD_FADE;
+
+    return { style, freq: laneConfig.freq, params };
+}
+
+/**
+ * Pick the sample for one lane and judgement. A lane's own samples win (a missing 'good' reuses
+ * 'perfect'); otherwise the nearest-pitched zone of the song's multisample set is repitched to the lane.
+ * @returns {{ url: string, rate: number } | null} null when the lane should be synthesized
+ */
+export function resolveLaneSample(config, lane, judgement) {
+    const laneConfig = config.lanes[lane];
+    const own = laneConfig.samples?.[judgement] ?? laneConfig.samples?.perfect;
+    if (own) {
+        return { url: own, rate: 1 };
+    }
+
+    const zones = config.samples || [];
+    if (zones.length === 0) return null;
+
+    // Zones tagged for this judgement, then untagged ones, then whatever the set has
+    const exact = zones.filter(z => z.judgement === judgement);
+    const untagged = zones.filter(z => z.judgement == null);
+    const candidates = exact.length > 0 ? exact : (untagged.length > 0 ? untagged : zones);
+
+    // Nearest in pitch (log distance), so repitching stays as small as possible
+    let best = candidates[0];
+    for (const zone of candidates) {
+        if (Math.abs(Math.log(zone.freq / laneConfig.freq)) < Math.abs(Math.log(best.freq / laneConfig.freq))) {
+            best = zone;
+        }
+    }
+    return { url: best.url, rate: laneConfig.freq / best.freq };
+}
+
+// Sum of harmonic partials at time t (partials from index `from`, scaled by brightness above the fundamental)
+function partials(freq, t, harmonics, brightness, from = 0) {
+    let sample = 0;
+    for (let h = from; h < harmonics.length; h++) {
+        const amplitude = h === 0 ? harmonics[h] : harmonics[h] * brightness;
+        if (amplitude !== 0) {
+            sample += Math.sin(2 * Math.PI * freq * (h + 1) * t) * amplitude;
+        }
+    }
+    return sample;
+}
+
+function makeSamples(sampleRate, duration) {
+    return new Float32Array(Math.floor(sampleRate * duration));
+}
+
+// Connect an oscillator to the output through its own gain
+function mix(ctx, osc, level, output) {
+    const gain = ctx.createGain();
+    gain.gain.value = level;
+    osc.connect(gain);
+    gain.connect(output);
+}
+
+function oscillator(ctx, type, freq) {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.value = freq;
+    return osc;
+}
+
+// Sine LFO routed through a depth gain into each target param
+function lfo(ctx, rate, depth, targets) {
+    const osc = oscillator(ctx, 'sine', rate);
+    const gain = ctx.createGain();
+    gain.gain.value = depth;
+    osc.connect(gain);
+    targets.forEach(target => gain.connect(target));
+    return osc;
+}
+
+// Create distortion curve for power chord sustain
+export function makeDistortionCurve(amount) {
+    const samples = 44100;
+    const curve = new Float32Array(samples);
+    const deg = Math.PI / 180;
+    for (let i = 0; i < samples; i++) {
+        const x = (i * 2) / samples - 1;
+        curve[i] = ((3 + amount) * x * 20 * deg) / (Math.PI + amount * Math.abs(x));
+    }
+    return curve;
+}
+
+// ============================================
+// Built-in instruments
+// ============================================
+
+// Create a guitar strum sound with Karplus-Strong-like synthesis
+export function renderGuitarStrum(sampleRate, params) {
+    const { baseFreq, harmonics, duration, attack, decay, brightness, sustain = 0.6, release = 0.125 } = params;
+    const data = makeSamples(sampleRate, duration);
+
+    // Generate the sound with harmonics for a richer guitar tone
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sampleRate;
+        let sample = 0;
+
+        // Add harmonics to create guitar-like timbre
+        for (let h = 0; h < harmonics.length; h++) {
+            const freq = baseFreq * (h + 1);
+            const amplitude = harmonics[h] * brightness;
+            // Add slight detuning for more realistic sound
+            const detune = 1 + (Math.random() - 0.5) * 0.002;
+            sample += amplitude * Math.sin(2 * Math.PI * freq * detune * t);
+        }
+
+        // Apply ADSR envelope (fast attack, quick decay, sustain, release)
+        let envelope;
+        if (t < attack) {
+            // Attack phase
+            envelope = t / attack;
+        } else if (t < attack + decay) {
+            // Decay phase
+            const decayProgress = (t - attack) / decay;
+            envelope = 1 - decayProgress * (1 - sustain);
+        } else {
+            // Release phase - exponential decay like a plucked string
+            const releaseTime = t - attack - decay;
+            envelope = sustain * Math.exp(-releaseTime / release);
+        }
+
+        // Add slight noise burst at attack for pick sound
+        if (t < 0.01) {
+            sample += (Math.random() - 0.5) * 0.3 * (1 - t / 0.01);
+        }
+
+        data[i] = sample * envelope * 0.4; // Scale down to prevent clipping
+    }
+
+    return data;
+}
+
+const GUITAR_GOOD_HARMONICS = [1, 0.35, 0.2, 0.1];
+
+registerInstrument('guitar', {
+    defaults: { brightness: 1.0, attack: 0.01, decay: 0.06, sustain: 0.6, release: 0.125, harmonics: [1, 0.5, 0.35, 0.25, 0.15, 0.1] },
+
+    renderHit(sampleRate, freq, p, quality) {
+        const perfect = quality === 'perfect';
+        return renderGuitarStrum(sampleRate, {
+            baseFreq: freq,
+            // A muted "good" hit loses the upper partials
+            harmonics: perfect ? p.harmonics : (p.customHarmonics ? p.harmonics.slice(0, 4) : GUITAR_GOOD_HARMONICS),
+            duration: perfect ? 0.3 : 0.25,
+            attack: perfect ? p.attack : p.attack * 1.5,
+            decay: perfect ? p.decay : p.decay * 4 / 3,
+            sustain: p.sustain,
+            release: p.release,
+            brightness: perfect ? p.brightness * 1.3 : p.brightness
+        });
+    },
+
+    // Default guitar hold - classic sustained guitar tone
+    buildHold(ctx, freq, output) {
+        // Main tone, slight detune for richness, octave up for brightness
+        const osc1 = oscillator(ctx, 'sawtooth', freq);
+        const osc2 = oscillator(ctx, 'sawtooth', freq * 1.002);
+        const osc3 = oscillator(ctx, 'triangle', freq * 2);
+        mix(ctx, osc1, 0.4, output);
+        mix(ctx, osc2, 0.3, output);
+        mix(ctx, osc3, 0.15, output);
+
+        // Subtle vibrato
+        const vibrato = lfo(ctx, 5, 3, [osc1.frequency, osc2.frequency]);
+
+        return { tones: [osc1, osc2, osc3], modulators: [vibrato] };
+    }
+});
+
+// Soft synth - warm, gentle tones for tutorial
+registerInstrument('soft_synth', {
+    defaults: { brightness: 1.0, attack: 0.01, decay: 0.1, sustain: 0.6, release: 0.15, harmonics: [1, 0.3, 0.1] },
+
+    renderHit(sampleRate, freq, p, quality) {
+        const perfect = quality === 'perfect';
+        const brightness = p.brightness * (perfect ? 1.2 : 0.9);
+        const attack = perfect ? p.attack : p.attack * 1.5;
+        const sustain = perfect ? p.sustain : p.sustain * 0.8;
+        const duration = perfect ? 0.35 : 0.3;
+        const { decay, release, harmonics } = p;
+
+        const data = makeSamples(sampleRate, duration);
+
+        for (let i = 0; i < data.length; i++) {
+            const t = i / sampleRate;
+
+            // Pure sine with gentle harmonics
+            let sample = partials(freq, t, harmonics, brightness);
+
+            // Soft triangle wave blend for warmth
+            const tri = (2 * Math.abs(2 * ((freq * t) % 1) - 1) - 1);
+            sample += tri * 0.2;
+
+            // Smooth ADSR envelope
+            let envelope;
+            if (t < attack) {
+                envelope = t / attack;
+            } else if (t < attack + decay) {
+                envelope = 1 - ((t - attack) / decay) * (1 - sustain);
+            } else if (t < duration - release) {
+                envelope = sustain;
+            } else {
+                envelope = sustain * Math.max(0, 1 - (t - (duration - release)) / release);
+            }
+
+            data[i] = sample * envelope * 0.35;
+        }
+
+        return data;
+    },
+
+    // Soft synth hold - warm, gentle pad-like sustain
+    buildHold(ctx, freq, output) {
+        // Pure sine waves for warmth, octave, slight detune
+        const osc1 = oscillator(ctx, 'sine', freq);
+        const osc2 = oscillator(ctx, 'sine', freq * 2);
+        const osc3 = oscillator(ctx, 'triangle', freq * 1.001);
+        mix(ctx, osc1, 0.5, output);
+        mix(ctx, osc2, 0.15, output);
+        mix(ctx, osc3, 0.25, output);
+
+        // Gentle vibrato - slow and very subtle
+        const vibrato = lfo(ctx, 4, 2, [osc1.frequency]);
+
+        return { tones: [osc1, osc2, osc3], modulators: [vibrato] };
+    }
+});
+
+// Synthwave - bright, punchy with detune
+registerInstrument('synthwave', {
+    defaults: { brightness: 1.0, attack: 0.01, decay: 0.05, sustain: 0.7, release: 1 / 6, harmonics: [0, 0.2, 0, 0.1] },
+    // Synthwave hits have always held at 0.7 whatever the song-wide sustain says
+    songSustain: false,
+
+    renderHit(sampleRate, freq, p, quality) {
+        const perfect = quality === 'perfect';
+        const brightness = p.brightness * (perfect ? 1.2 : 0.9);
+        const attack = perfect ? p.attack : p.attack * 1.5;
+        const { decay, sustain, release, harmonics } = p;
+
+        const data = makeSamples(sampleRate, perfect ? 0.3 : 0.25);
+
+        for (let i = 0; i < data.length; i++) {
+            const t = i / sampleRate;
+            let sample = 0;
+
+            // Square-ish wave with detune for that synthwave character
+            const sq1 = Math.sign(Math.sin(2 * Math.PI * freq * t));
+            const sq2 = Math.sign(Math.sin(2 * Math.PI * freq * 1.005 * t));
+            sample += sq1 * 0.4;
+            sample += sq2 * 0.25;
+
+            // Add bright harmonics
+            sample += partials(freq, t, harmonics, brightness);
+
+            // Punchy envelope
+            let envelope;
+            if (t < attack) {
+                envelope = t / attack;
+            } else if (t < attack + decay) {
+                envelope = 1 - ((t - attack) / decay) * (1 - sustain);
+            } else {
+                const releaseTime = t - attack - decay;
+                envelope = sustain * Math.exp(-releaseTime / release);
+            }
+
+            data[i] = sample * envelope * 0.3;
+        }
+
+        return data;
+    },
+
+    // Synthwave hold - bright, pulsing synth sustain
+    buildHold(ctx, freq, output) {
+        // Square waves for that classic synth sound, detuned for thickness, plus a bright octave
+        const osc1 = oscillator(ctx, 'square', freq);
+        const osc2 = oscillator(ctx, 'square', freq * 1.005);
+        const osc3 = oscillator(ctx, 'sawtooth', freq * 2);
+        mix(ctx, osc1, 0.25, output);
+        mix(ctx, osc2, 0.2, output);
+        mix(ctx, osc3, 0.1, output);
+
+        // Pulsing LFO on volume for that synthwave throb, plus pitch vibrato
+        const throb = lfo(ctx, 6, 0.15, [output.gain]);
+        const vibrato = lfo(ctx, 5, 4, [osc1.frequency, osc2.frequency]);
+
+        return { tones: [osc1, osc2, osc3], modulators: [throb, vibrato] };
+    }
+});
+
+// Power chord - aggressive with fifth and distortion
+registerInstrument('power_chord', {
+    defaults: { brightness: 1.0, attack: 0.01, decay: 0.03, sustain: 0.6, release: 0.2, harmonics: [0, 0.075, 0.05, 0.0375, 0.03] },
+
+    renderHit(sampleRate, freq, p, quality) {
+        const perfect = quality === 'perfect';
+        const brightness = perfect ? p.brightness * 1.2 : p.brightness;
+        const attack = perfect ? p.attack : p.attack * 1.5;
+        const sustain = perfect ? p.sustain : p.sustain * 0.8;
+        const { decay, release, harmonics } = p;
+
+        const data = makeSamples(sampleRate, perfect ? 0.35 : 0.3);
+
+        const fifth = freq * 1.5;  // Perfect fifth
+        const octave = freq * 2;
+
+        for (let i = 0; i < data.length; i++) {
+            const t = i / sampleRate;
+            let sample = 0;
+
+            // Root, fifth, and octave
+            sample += Math.sin(2 * Math.PI * freq * t) * 0.5;
+            sample += Math.sin(2 * Math.PI * fifth * t) * 0.4;
+            sample += Math.sin(2 * Math.PI * octave * t) * 0.25;
+
+            // Add harmonics for grit
+            sample += partials(freq, t, harmonics, brightness, 1);
+
+            // Soft clipping for mild distortion
+            sample = Math.tanh(sample * 1.5);
+
+            // Aggressive envelope - full level through the decay stage, then a two-speed fade
+            let envelope;
+            if (t < attack) {
+                envelope = t / attack;
+            } else if (t < attack + decay) {
+                envelope = 1;
+            } else {
+                const releaseTime = t - attack - decay;
+                envelope = Math.exp(-releaseTime / release) * sustain + (1 - sustain) * Math.exp(-releaseTime * 3 / release);
+            }
+
+            // Pick attack noise
+            if (t < 0.008) {
+                sample += (Math.random() - 0.5) * 0.4 * (1 - t / 0.008);
+            }
+
+            data[i] = sample * envelope * 0.4;
+        }
+
+        return data;
+    },
+
+    // Power chord hold - aggressive, distorted sustain
+    buildHold(ctx, freq, output) {
+        // Root, fifth, octave and a detuned root for thickness
+        const osc1 = oscillator(ctx, 'sawtooth', freq);
+        const osc2 = oscillator(ctx, 'sawtooth', freq * 1.5);
+        const osc3 = oscillator(ctx, 'sawtooth', freq * 2);
+        const osc4 = oscillator(ctx, 'sawtooth', freq * 1.003);
+
+        // Create a waveshaper for distortion
+        const distortion = ctx.createWaveShaper();
+        distortion.curve = makeDistortionCurve(20);
+        distortion.oversample = '2x';
+        distortion.connect(output);
+
+        mix(ctx, osc1, 0.3, distortion);
+        mix(ctx, osc2, 0.25, distortion);
+        mix(ctx, osc3, 0.15, distortion);
+        mix(ctx, osc4, 0.2, distortion);
+
+        // Aggressive vibrato
+        const vibrato = lfo(ctx, 6, 5, [osc1.frequency, osc4.frequency]);
+
+        return { tones: [osc1, osc2, osc3, osc4], modulators: [vibrato] };
+    }
+});
@@ -0,0 +1,165 @@
+// Metronome - look-ahead click scheduler on the audio clock
+//
+// A timer wakes every TIMER_INTERVAL_MS and schedules every click due within the next LOOKAHEAD_SEC
+// on audioContext.currentTime, so clicks stay sample-accurate however late the timer fires.
+// Where the beats come from is pluggable: AudioEngine feeds the song's tempo map while playing, and
+// fixedTempo() gives a free-running click for calibration or practice without a song.
+// Settings (enabled, volume, count-in) persist to localStorage.
+
+const TIMER_INTERVAL_MS = 25;
+const LOOKAHEAD_SEC = 0.1;
+const STORAGE_KEY = 'blazorHero.metronome';
+const MAX_COUNT_IN_BEATS = 16;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,  // Click along with the song while it plays
+    volume: 0.8,
+    countInBeats: 0  // Clicks before playSong starts the song
+};
+
+export class Metronome {
+    /**
+     * @param {{ audioContext: AudioContext, scheduleClick: Function }} engine - AudioEngine
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.settings = { ...DEFAULT_SETTINGS };
+        this._beatSource = null;  // (fromTime, toTime) => [{ when, accent }], context times
+        this._timer = null;
+        this._scheduledUntil = 0;
+        this._clicks = [];  // Scheduled click sources, so stop() can silence them
+
+        this._load();
+    }
+
+    get isRunning() {
+        return this._timer !== null;
+    }
+
+    /**
+     * Start clicking beats from a source. Replaces any running source.
+     * @param {(fromTime: number, toTime: number) => { when: number, accent: boolean }[]} beatSource -
+     *   beats with fromTime < when <= toTime (audio context seconds)
+     */
+    start(beatSource) {
+        this.stop();
+        this._beatSource = beatSource;
+        this._scheduledUntil = this.engine.audioContext.currentTime;
+        this._tick();
+        this._timer = setInterval(() => this._tick(), TIMER_INTERVAL_MS);
+    }
+
+    // Stop the scheduler and silence any clicks (count-in included) that have not played yet
+    stop() {
+        if (this._timer !== null) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this._beatSource = null;
+
+        for (const source of this._clicks) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {
+                // Ignore if already stopped
+            }
+        }
+        this._clicks = [];
+    }
+
+    // One click (at the metronome volume unless given), tracked so stop() can cancel it
+    click(when, accent = false, volume = this.settings.volume) {
+        const source = this.engine.scheduleClick(when, accent, volume);
+        if (!source) return null;
+
+        this._clicks.push(source);
+        source.onended = () => {
+            const index = this._clicks.indexOf(source);
+            if (index >= 0) this._clicks.splice(index, 1);
+        };
+        return source;
+    }
+
+    /**
+     * Schedule count-in clicks so the beat after the last one lands on endTime.
+     * The first click of each bar is accented.
+     */
+    countIn(endTime, beats, beatSec, beatsPerMeasure = 4) {
+        for (let i = 0; i < beats; i++) {
+            this.click(endTime - (beats - i) * beatSec, i % beatsPerMeasure === 0);
+        }
+    }
+
+    /**
+     * Change some settings (unset keys are left alone). Returns the full settings.
+     */
+    update(settings) {
+        const next = { ...this.settings };
+        if (typeof settings?.enabled === 'boolean') {
+            next.enabled = settings.enabled;
+        }
+        if (Number.isFinite(settings?.volume)) {
+            next.volume = Math.max(0, Math.min(1, settings.volume));
+        }
+        if (Number.isFinite(settings?.countInBeats)) {
+            next.countInBeats = Math.max(0, Math.min(MAX_COUNT_IN_BEATS, Math.floor(settings.countInBeats)));
+        }
+
+        this.settings = next;
+        this._save();
+        return this.getSettings();
+    }
+
+    getSettings() {
+        return { ...this.settings, running: this.isRunning };
+    }
+
+    _tick() {
+        if (!this._beatSource) return;
+
+        const until = this.engine.audioContext.currentTime + LOOKAHEAD_SEC;
+        if (until <= this._scheduledUntil) return;
+
+        for (const beat of this._beatSource(this._scheduledUntil, until)) {
+            this.click(beat.when, beat.accent);
+        }
+        this._scheduledUntil = until;
+    }
+
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved) {
+                this.update(saved);
+            }
+        } catch (e) {
+            console.warn('[Metronome] Failed to load settings:', e);
+        }
+    }
+
+    _save() {
+        try {
+            const { enabled, volume, countInBeats } = this.settings;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ enabled, volume, countInBeats }));
+        } catch (e) {
+            console.warn('[Metronome] Failed to save settings:', e);
+        }
+    }
+}
+
+/**
+ * A beat source for a steady tempo starting at startTime (context seconds), accenting each bar.
+ */
+export function fixedTempo(startTime, bpm, beatsPerMeasure = 4) {
+    const beatSec = 60 / bpm;
+    return (fromTime, toTime) => {
+        const beats = [];
+        for (let i = Math.max(0, Math.floor((fromTime - startTime) / beatSec) + 1); ; i++) {
+            const when = startTime + i * beatSec;
+            if (when > toTime) break;
+            beats.push({ when, accent: i % beatsPerMeasure === 0 });
+        }
+        return beats;
+    };
+}
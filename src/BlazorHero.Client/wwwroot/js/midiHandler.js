@@ -0,0 +1,291 @@
+// MIDI Handler - Web MIDI input from drum pads and keyboards with C# interop
+
+import { stampInput } from './inputTiming.js';
+
+let dotNetReference = null;
+let midiAccess = null;
+
+// Optional MIDIAccess provider - lets a mocked MIDIAccess stand in for navigator.requestMIDIAccess()
+let accessProvider = null;
+
+const STORAGE_KEY = 'blazorHero.midiMapping';
+const LANE_COUNT = 5;
+const MAX_NOTE = 127;
+
+// MIDI status nibbles
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+
+// Default note -> lane mapping: General MIDI drum kit plus a C major run for keyboards
+const DEFAULT_NOTE_MAP = {
+    36: 0, // Kick
+    38: 1, // Snare
+    42: 2, // Closed hi-hat
+    45: 3, // Low tom
+    49: 4, // Crash
+    60: 0, // C4
+    62: 1, // D4
+    64: 2, // E4
+    65: 3, // F4
+    67: 4  // G4
+};
+
+const DEFAULT_VELOCITY_THRESHOLD = 10;
+
+let noteMap = { ...DEFAULT_NOTE_MAP };
+let velocityThreshold = DEFAULT_VELOCITY_THRESHOLD;
+
+// Lane waiting for a note in learn mode, or null
+let learnLane = null;
+
+// note -> lane for notes currently held, so note-off releases the lane the note-on pressed
+// even if the mapping changed in between
+const heldNotes = new Map();
+
+/**
+ * Initialize MIDI input. Resolves false when Web MIDI is unavailable or access is denied.
+ */
+export async function initMidi(reference) {
+    dotNetReference = reference;
+    loadMapping();
+
+    const requestAccess = accessProvider
+        || (navigator.requestMIDIAccess ? () => navigator.requestMIDIAccess({ sysex: false }) : null);
+
+    if (!requestAccess) {
+        console.log('[MidiHandler] Web MIDI not supported');
+        return false;
+    }
+
+    try {
+        midiAccess = await requestAccess();
+    } catch (e) {
+        console.warn('[MidiHandler] MIDI access denied:', e);
+        return false;
+    }
+
+    midiAccess.onstatechange = handleStateChange;
+    attachInputs();
+
+    console.log('[MidiHandler] Initialized');
+    return true;
+}
+
+/**
+ * Dispose MIDI handling.
+ */
+export function disposeMidi() {
+    if (midiAccess) {
+        for (const input of midiAccess.inputs.values()) {
+            input.onmidimessage = null;
+        }
+        midiAccess.onstatechange = null;
+        midiAccess = null;
+    }
+
+    releaseAllNotes();
+    learnLane = null;
+    dotNetReference = null;
+
+    console.log('[MidiHandler] Disposed');
+}
+
+/**
+ * Replace the MIDIAccess provider (a function returning a Promise of a MIDIAccess-like object).
+ * Pass null to restore navigator.requestMIDIAccess().
+ */
+export function setMidiAccessProvider(provider) {
+    accessProvider = provider || null;
+}
+
+function attachInputs() {
+    for (const input of midiAccess.inputs.values()) {
+        input.onmidimessage = handleMidiMessage;
+    }
+}
+
+function handleStateChange(event) {
+    // New devices need a message handler; disconnected ones simply stop sending
+    attachInputs();
+
+    if (event?.port?.type === 'input' && event.port.state === 'disconnected') {
+        releaseAllNotes();
+    }
+
+    dotNetReference?.invokeMethod('OnMidiDevicesChanged', getMidiInputs());
+}
+
+function handleMidiMessage(event) {
+    if (!dotNetReference) return;
+
+    const [status, note, velocity] = event.data;
+    const command = status & 0xf0;
+    const timestamp = event.timeStamp || performance.now();
+
+    // Note-on with velocity 0 is a note-off (running status)
+    if (command === NOTE_ON && velocity > 0) {
+        handleNoteOn(note, velocity, timestamp);
+    } else if (command === NOTE_OFF || command === NOTE_ON) {
+        handleNoteOff(note, timestamp);
+    }
+}
+
+function handleNoteOn(note, velocity, timestamp) {
+    // Ghost notes and pad crosstalk fall under the threshold
+    if (velocity < velocityThreshold) return;
+
+    if (learnLane !== null) {
+        assignNote(note, learnLane);
+        return;
+    }
+
+    const lane = noteMap[note];
+    if (lane === undefined || heldNotes.has(note)) return;
+
+    heldNotes.set(note, lane);
+    dotNetReference.invokeMethod('OnLaneKeyDown', lane, stampInput(timestamp, true));
+}
+
+function handleNoteOff(note, timestamp) {
+    const lane = heldNotes.get(note);
+    if (lane === undefined) return;
+
+    heldNotes.delete(note);
+    dotNetReference.invokeMethod('OnLaneKeyUp', lane, stampInput(timestamp));
+}
+
+function releaseAllNotes() {
+    if (dotNetReference) {
+        const timestamp = performance.now();
+        for (const lane of heldNotes.values()) {
+            dotNetReference.invokeMethod('OnLaneKeyUp', lane, stampInput(timestamp));
+        }
+    }
+    heldNotes.clear();
+}
+
+// ============================================
+// Learn mode and mapping
+// ============================================
+
+/**
+ * Assign the next note played (above the velocity threshold) to a lane.
+ * The result is reported through OnMidiLearned(lane, note).
+ * @param {number} lane - Lane index (0-4)
+ */
+export function startMidiLearn(lane) {
+    if (lane < 0 || lane >= LANE_COUNT) {
+        console.error('[MidiHandler] Invalid learn lane:', lane);
+        return false;
+    }
+
+    releaseAllNotes();
+    learnLane = lane;
+    console.log('[MidiHandler] Learning note for lane', lane);
+    return true;
+}
+
+export function cancelMidiLearn() {
+    learnLane = null;
+}
+
+function assignNote(note, lane) {
+    learnLane = null;
+    noteMap[note] = lane;
+    saveMapping();
+
+    console.log(`[MidiHandler] Note ${note} -> lane ${lane}`);
+    dotNetReference.invokeMethod('OnMidiLearned', lane, note);
+}
+
+/**
+ * Get the note -> lane mapping.
+ * @returns {Object<string, number>}
+ */
+export function getMidiMapping() {
+    return { ...noteMap };
+}
+
+/**
+ * Replace the note -> lane mapping. Several notes may share a lane (e.g. two crash cymbals).
+ * Entries that aren't a note number (0-127) mapped to a lane index are ignored.
+ * @param {Object<string, number>} mapping
+ */
+export function setMidiMapping(mapping) {
+    releaseAllNotes();
+    noteMap = validMapping(mapping);
+    saveMapping();
+}
+
+export function resetMidiMapping() {
+    releaseAllNotes();
+    noteMap = { ...DEFAULT_NOTE_MAP };
+    velocityThreshold = DEFAULT_VELOCITY_THRESHOLD;
+
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        // Storage unavailable - defaults still apply for this session
+    }
+}
+
+/**
+ * Set the minimum note-on velocity (1-127) that counts as a hit.
+ */
+export function setVelocityThreshold(threshold) {
+    if (!Number.isFinite(threshold)) return;
+    velocityThreshold = Math.max(1, Math.min(127, Math.round(threshold)));
+    saveMapping();
+}
+
+export function getVelocityThreshold() {
+    return velocityThreshold;
+}
+
+/**
+ * Get the names of the connected MIDI inputs.
+ */
+export function getMidiInputs() {
+    if (!midiAccess) return [];
+    return [...midiAccess.inputs.values()]
+        .filter(input => input.state !== 'disconnected')
+        .map(input => input.name || input.id);
+}
+
+function loadMapping() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (!stored) return;
+
+        const parsed = JSON.parse(stored);
+        if (parsed.notes && typeof parsed.notes === 'object') {
+            noteMap = validMapping(parsed.notes);
+        }
+        if (Number.isFinite(parsed.velocityThreshold)) {
+            velocityThreshold = parsed.velocityThreshold;
+        }
+    } catch (e) {
+        console.warn('[MidiHandler] Failed to load MIDI mapping:', e);
+    }
+}
+
+function validMapping(mapping) {
+    const valid = {};
+    for (const [note, lane] of Object.entries(mapping || {})) {
+        const noteNumber = /^\d+$/.test(note) ? Number(note) : NaN;
+        if (!(noteNumber <= MAX_NOTE) || !Number.isInteger(lane) || lane < 0 || lane >= LANE_COUNT) {
+            console.warn(`[MidiHandler] Ignoring invalid mapping ${note} -> ${lane}`);
+            continue;
+        }
+        valid[noteNumber] = lane;
+    }
+    return valid;
+}
+
+function saveMapping() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ notes: noteMap, velocityThreshold }));
+    } catch (e) {
+        console.warn('[MidiHandler] Failed to save MIDI mapping:', e);
+    }
+}
@@ -0,0 +1,442 @@
+// Mixer - master/music/sfx/holds buses with gain, mute, solo and an optional insert chain
+//
+// Signal flow per bus:  input -> [eq] -> [compressor] -> [reverb] -> [limiter] -> fader -> mute/solo -> master
+// The master bus has the same chain and feeds the destination. Inserts are off until enabled.
+// State (and named presets) persist in localStorage; the mixer can be configured before the
+// audio context exists and builds its nodes on attach().
+
+const MIXER_STORAGE_KEY = 'blazorHero.mixer';
+const MIXER_PRESETS_STORAGE_KEY = 'blazorHero.mixerPresets';
+
+export const BUS_NAMES = ['master', 'music', 'sfx', 'holds'];
+const CHANNEL_BUSES = ['music', 'sfx', 'holds'];  // The buses that can be soloed
+
+const MAX_BUS_GAIN = 2;
+const MUTE_SMOOTHING = 0.01;  // setTargetAtTime time constant (s)
+
+const EQ_LOW_HZ = 250;
+const EQ_MID_HZ = 1000;
+const EQ_HIGH_HZ = 4000;
+const EQ_MAX_DB = 18;
+
+const REVERB_MAX_DECAY = 6;  // Seconds
+
+const DEFAULT_INSERTS = {
+    eq: { enabled: false, low: 0, mid: 0, high: 0 },  // dB
+    compressor: { enabled: false, threshold: -24, knee: 30, ratio: 4, attack: 0.003, release: 0.25 },
+    reverb: { enabled: false, mix: 0.2, decay: 1.8 },  // mix = wet level 0-1, decay = seconds to -60 dB
+    limiter: { enabled: false, ceiling: -1 }  // dB
+};
+
+// Built-in presets (read-only) - user presets with the same name take priority
+const BUILT_IN_PRESETS = {
+    flat: {},
+    night: {
+        master: { inserts: { compressor: { enabled: true, threshold: -30, ratio: 6 }, limiter: { enabled: true, ceiling: -3 } } },
+        sfx: { gain: 0.8 }
+    },
+    arena: {
+        music: { inserts: { reverb: { enabled: true, mix: 0.25, decay: 2.8 } } },
+        sfx: { inserts: { reverb: { enabled: true, mix: 0.15, decay: 2.8 } } },
+        master: { inserts: { limiter: { enabled: true, ceiling: -1 } } }
+    }
+};
+
+function defaultBusState() {
+    return {
+        gain: 1,
+        muted: false,
+        solo: false,
+        inserts: structuredClone(DEFAULT_INSERTS)
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Copy known settings onto an insert's current ones (unknown keys, nulls and non-numbers are ignored)
+function mergeInsert(current, settings) {
+    for (const [key, value] of Object.entries(settings || {})) {
+        if (!(key in current) || value == null) continue;
+
+        if (typeof current[key] === 'boolean') {
+            current[key] = !!value;
+        } else {
+            const number = toNumber(value);
+            if (number !== null) current[key] = number;
+        }
+    }
+}
+
+// A finite number, or a string holding one - null for anything else ('', true and [] included,
+// which Number() would otherwise read as 0 or 1)
+function toNumber(value) {
+    const isNumeric = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+    const number = isNumeric ? Number(value) : NaN;
+    return Number.isFinite(number) ? number : null;
+}
+
+export class Mixer {
+    constructor() {
+        this.ctx = null;
+        this.buses = new Map();  // name -> { state, input, fader, mute, inserts: AudioNode[] }
+        this._impulses = new Map();  // decay -> AudioBuffer
+
+        for (const name of BUS_NAMES) {
+            this.buses.set(name, { state: defaultBusState(), input: null, fader: null, mute: null, inserts: [] });
+        }
+        this._applyState(this._loadStoredState());
+    }
+
+    // Build the bus graph on the audio context; master feeds destination
+    attach(ctx, destination) {
+        this.ctx = ctx;
+
+        for (const [name, bus] of this.buses) {
+            bus.input = ctx.createGain();
+            bus.fader = ctx.createGain();
+            bus.mute = ctx.createGain();
+            bus.fader.connect(bus.mute);
+            bus.mute.connect(name === 'master' ? destination : this.buses.get('master').input);
+        }
+
+        for (const name of BUS_NAMES) {
+            this._rebuildInserts(name);
+        }
+        this._updateLevels(0);
+    }
+
+    /** Input node of a bus - sources connect here. */
+    input(name) {
+        return this.buses.get(name)?.input || null;
+    }
+
+    setBusGain(name, gain, fadeMs = 0) {
+        const bus = this.buses.get(name);
+        if (!bus) return false;
+
+        bus.state.gain = clamp(gain || 0, 0, MAX_BUS_GAIN);
+        this._updateLevels(fadeMs / 1000);
+        this._save();
+        return true;
+    }
+
+    setBusMuted(name, muted) {
+        const bus = this.buses.get(name);
+        if (!bus) return false;
+
+        bus.state.muted = !!muted;
+        this._updateLevels(0);
+        this._save();
+        return true;
+    }
+
+    // Solo is for the channel buses; soloing any of them silences the others
+    setBusSolo(name, solo) {
+        if (!CHANNEL_BUSES.includes(name)) return false;
+
+        this.buses.get(name).state.solo = !!solo;
+        this._updateLevels(0);
+        this._save();
+        return true;
+    }
+
+    /**
+     * Update one insert on a bus. Settings are merged into the current ones; unspecified values are kept.
+     * @param {string} name - Bus name
+     * @param {'eq'|'compressor'|'reverb'|'limiter'} insert
+     * @param {object} settings - e.g. { enabled: true, mix: 0.3 }
+     */
+    setInsert(name, insert, settings) {
+        const bus = this.buses.get(name);
+        if (!bus || !(insert in DEFAULT_INSERTS)) return false;
+
+        mergeInsert(bus.state.inserts[insert], settings);
+        this._normalizeInsert(insert, bus.state.inserts[insert]);
+
+        this._rebuildInserts(name);
+        this._save();
+        return true;
+    }
+
+    getState() {
+        const anySolo = this._anySolo();
+        const buses = {};
+        for (const [name, bus] of this.buses) {
+            buses[name] = {
+                ...structuredClone(bus.state),
+                audible: this._busLevel(name, anySolo) > 0
+            };
+        }
+        return { buses, anySolo, presets: this.getPresetNames() };
+    }
+
+    // ============================================
+    // Presets
+    // ============================================
+
+    getPresetNames() {
+        return [...new Set([...Object.keys(BUILT_IN_PRESETS), ...Object.keys(this._loadPresets())])];
+    }
+
+    savePreset(name) {
+        if (!name) return false;
+
+        const presets = this._loadPresets();
+        presets[name] = this._snapshot();
+        try {
+            localStorage.setItem(MIXER_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+            return true;
+        } catch (e) {
+            console.warn('[Mixer] Failed to save preset:', e);
+            return false;
+        }
+    }
+
+    loadPreset(name) {
+        const preset = this._loadPresets()[name] ?? BUILT_IN_PRESETS[name];
+        if (!preset) return false;
+
+        // Presets are complete mixes - anything they don't mention goes back to default
+        for (const bus of this.buses.values()) {
+            bus.state = defaultBusState();
+        }
+        this._applyState(preset);
+
+        if (this.ctx) {
+            for (const busName of BUS_NAMES) {
+                this._rebuildInserts(busName);
+            }
+            this._updateLevels(0.05);
+        }
+        this._save();
+        return true;
+    }
+
+    deletePreset(name) {
+        const presets = this._loadPresets();
+        if (!(name in presets)) return false;
+
+        delete presets[name];
+        try {
+            localStorage.setItem(MIXER_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+        } catch (e) {
+            console.warn('[Mixer] Failed to delete preset:', e);
+        }
+        return true;
+    }
+
+    // ============================================
+    // Internals
+    // ============================================
+
+    _anySolo() {
+        return CHANNEL_BUSES.some(name => this.buses.get(name).state.solo);
+    }
+
+    _busLevel(name, anySolo) {
+        const { state } = this.buses.get(name);
+        if (state.muted) return 0;
+        if (anySolo && name !== 'master' && !state.solo) return 0;
+        return state.gain;
+    }
+
+    _updateLevels(fadeSec) {
+        if (!this.ctx) return;
+
+        const now = this.ctx.currentTime;
+        const anySolo = this._anySolo();
+
+        for (const [name, bus] of this.buses) {
+            const gain = bus.state.gain;
+            const open = this._busLevel(name, anySolo) > 0 ? 1 : 0;
+
+            bus.fader.gain.cancelScheduledValues(now);
+            if (fadeSec > 0) {
+                bus.fader.gain.setValueAtTime(bus.fader.gain.value, now);
+                bus.fader.gain.linearRampToValueAtTime(gain, now + fadeSec);
+            } else {
+                bus.fader.gain.setValueAtTime(gain, now);
+            }
+            bus.mute.gain.setTargetAtTime(open, now, MUTE_SMOOTHING);
+        }
+    }
+
+    // Rewire input -> inserts -> fader for one bus
+    _rebuildInserts(name) {
+        if (!this.ctx) return;
+
+        const bus = this.buses.get(name);
+        const { eq, compressor, reverb, limiter } = bus.state.inserts;
+        const ctx = this.ctx;
+
+        bus.input.disconnect();
+        bus.inserts.forEach(node => node.disconnect());
+        bus.inserts = [];
+
+        let tail = bus.input;
+        const chain = (node) => {
+            tail.connect(node);
+            bus.inserts.push(node);
+            tail = node;
+        };
+
+        if (eq.enabled) {
+            chain(this._createFilter('lowshelf', EQ_LOW_HZ, eq.low));
+            chain(this._createFilter('peaking', EQ_MID_HZ, eq.mid));
+            chain(this._createFilter('highshelf', EQ_HIGH_HZ, eq.high));
+        }
+
+        if (compressor.enabled) {
+            const node = ctx.createDynamicsCompressor();
+            node.threshold.value = compressor.threshold;
+            node.knee.value = compressor.knee;
+            node.ratio.value = compressor.ratio;
+            node.attack.value = compressor.attack;
+            node.release.value = compressor.release;
+            chain(node);
+        }
+
+        if (reverb.enabled) {
+            // Parallel dry/wet into a summing gain
+            const sum = ctx.createGain();
+            const dry = ctx.createGain();
+            const wet = ctx.createGain();
+            const convolver = ctx.createConvolver();
+            convolver.buffer = this._getImpulse(reverb.decay);
+            dry.gain.value = 1 - reverb.mix;
+            wet.gain.value = reverb.mix;
+
+            tail.connect(dry);
+            tail.connect(convolver);
+            convolver.connect(wet);
+            dry.connect(sum);
+            wet.connect(sum);
+            bus.inserts.push(dry, convolver, wet, sum);
+            tail = sum;
+        }
+
+        if (limiter.enabled) {
+            const node = ctx.createDynamicsCompressor();
+            node.threshold.value = limiter.ceiling;
+            node.knee.value = 0;
+            node.ratio.value = 20;
+            node.attack.value = 0.001;
+            node.release.value = 0.05;
+            chain(node);
+        }
+
+        tail.connect(bus.fader);
+    }
+
+    _createFilter(type, frequency, gainDb) {
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.gain.value = gainDb;
+        if (type === 'peaking') filter.Q.value = 0.9;
+        return filter;
+    }
+
+    // Stereo noise with an exponential tail reaching -60 dB at `decay` seconds
+    _getImpulse(decay) {
+        const key = Math.round(decay * 10) / 10;
+        let impulse = this._impulses.get(key);
+        if (impulse) return impulse;
+
+        const sampleRate = this.ctx.sampleRate;
+        const length = Math.max(1, Math.floor(sampleRate * key));
+        impulse = this.ctx.createBuffer(2, length, sampleRate);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                const t = i / sampleRate;
+                data[i] = (Math.random() * 2 - 1) * Math.exp(-6.9 * t / key);
+            }
+        }
+
+        this._impulses.set(key, impulse);
+        return impulse;
+    }
+
+    _normalizeInsert(insert, settings) {
+        switch (insert) {
+            case 'eq':
+                settings.low = clamp(settings.low, -EQ_MAX_DB, EQ_MAX_DB);
+                settings.mid = clamp(settings.mid, -EQ_MAX_DB, EQ_MAX_DB);
+                settings.high = clamp(settings.high, -EQ_MAX_DB, EQ_MAX_DB);
+                break;
+            case 'compressor':
+                settings.threshold = clamp(settings.threshold, -100, 0);
+                settings.knee = clamp(settings.knee, 0, 40);
+                settings.ratio = clamp(settings.ratio, 1, 20);
+                settings.attack = clamp(settings.attack, 0, 1);
+                settings.release = clamp(settings.release, 0, 1);
+                break;
+            case 'reverb':
+                settings.mix = clamp(settings.mix, 0, 1);
+                settings.decay = clamp(settings.decay, 0.1, REVERB_MAX_DECAY);
+                break;
+            case 'limiter':
+                settings.ceiling = clamp(settings.ceiling, -24, 0);
+                break;
+        }
+    }
+
+    // Merge a (possibly partial) state into the buses, ignoring anything unknown
+    _applyState(state) {
+        for (const [name, saved] of Object.entries(state || {})) {
+            const bus = this.buses.get(name);
+            if (!bus || !saved) continue;
+
+            if (saved.gain != null) bus.state.gain = clamp(Number(saved.gain) || 0, 0, MAX_BUS_GAIN);
+            if (saved.muted != null) bus.state.muted = !!saved.muted;
+            if (saved.solo != null && CHANNEL_BUSES.includes(name)) bus.state.solo = !!saved.solo;
+
+            for (const [insert, settings] of Object.entries(saved.inserts || {})) {
+                const current = bus.state.inserts[insert];
+                if (!current) continue;
+                mergeInsert(current, settings);
+                this._normalizeInsert(insert, current);
+            }
+        }
+    }
+
+    _snapshot() {
+        const state = {};
+        for (const [name, bus] of this.buses) {
+            state[name] = structuredClone(bus.state);
+        }
+        return state;
+    }
+
+    _loadStoredState() {
+        try {
+            const stored = localStorage.getItem(MIXER_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch (e) {
+            console.warn('[Mixer] Failed to load mixer state:', e);
+            return null;
+        }
+    }
+
+    _loadPresets() {
+        try {
+            const stored = localStorage.getItem(MIXER_PRESETS_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('[Mixer] Failed to load presets:', e);
+            return {};
+        }
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(MIXER_STORAGE_KEY, JSON.stringify(this._snapshot()));
+        } catch (e) {
+            console.warn('[Mixer] Failed to save mixer state:', e);
+        }
+    }
+}
@@ -0,0 +1,270 @@
+// Offline Store - songs downloaded for offline play, kept in the Cache API
+//
+// The published service worker precaches the bundled songs with the app shell; this covers songs the
+// player downloads on request (and builds where the worker doesn't cache, like development). A download
+// is the chart plus every audio file it plays, and AudioEngine checks matchOfflineAudio() before going
+// to the network. What is stored, how big it is and when each song was last played is kept in
+// localStorage, so the least recently played songs can be evicted when storage runs short.
+
+const CACHE_PREFIX = 'blazor-hero-songs-';  // The service worker leaves caches with this prefix alone
+const CACHE_VERSION = 1;  // Bump when what a download stores changes - older caches are dropped
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const STORAGE_KEY = 'blazorHero.offlineSongs';
+const STORAGE_BUDGET = 0.8;  // Share of the storage quota downloads may fill before evicting older songs
+const CHARTS_PATH = 'charts/';
+const PROGRESS_INTERVAL_MS = 100;
+
+let cachePromise = null;
+let songs = loadIndex();  // chartFile -> { urls, bytes, downloadedAt, lastPlayedAt }
+
+/**
+ * Download a song's chart and audio for offline play, replacing any earlier download of it.
+ * Least recently played songs are evicted if it wouldn't fit otherwise.
+ * @param {string} chartFile - chart file name, as in charts/index.json
+ * @param {(fraction: number) => void} [onProgress] - download progress (0-1)
+ * @returns {Promise<{ chartFile: string, bytes: number, downloadedAt: number, lastPlayedAt: number }>}
+ */
+export async function downloadSong(chartFile, onProgress) {
+    const cache = await openCache();
+    const chartUrl = resolveUrl(CHARTS_PATH + chartFile);
+
+    // Revalidate rather than trust the HTTP cache - the download should be the current version
+    const chartResponse = await fetch(chartUrl, { cache: 'no-cache' });
+    if (!chartResponse.ok) {
+        throw new Error(`Chart ${chartFile} not found (HTTP ${chartResponse.status})`);
+    }
+    const chartData = await chartResponse.arrayBuffer();
+    const urls = songAudioUrls(JSON.parse(new TextDecoder().decode(chartData)));
+    if (urls.length === 0) {
+        throw new Error(`Chart ${chartFile} has no audio to download`);
+    }
+
+    const files = await fetchAll(urls, onProgress);
+    const bytes = chartData.byteLength + files.reduce((sum, file) => sum + file.data.byteLength, 0);
+
+    await requestPersistentStorage();
+    await ensureSpace(bytes - (songs[chartFile]?.bytes ?? 0), chartFile);
+
+    await cache.put(chartUrl, new Response(chartData, { headers: chartResponse.headers }));
+    for (const file of files) {
+        await cache.put(file.url, new Response(file.data, { headers: file.headers }));
+    }
+
+    const now = Date.now();
+    songs[chartFile] = { urls: [chartUrl, ...urls], bytes, downloadedAt: now, lastPlayedAt: now };
+    saveIndex();
+    console.log(`[OfflineStore] Downloaded ${chartFile} (${(bytes / 1048576).toFixed(1)} MB)`);
+    return describe(chartFile);
+}
+
+/**
+ * downloadSong() for .NET - progress goes to reference.OnDownloadProgress(chartFile, fraction).
+ */
+export function downloadSongFor(reference, chartFile) {
+    return downloadSong(chartFile, fraction => reference?.invokeMethod('OnDownloadProgress', chartFile, fraction));
+}
+
+/**
+ * Remove a downloaded song. Files another downloaded song also uses are kept.
+ */
+export async function removeSong(chartFile) {
+    const song = songs[chartFile];
+    if (!song) return false;
+
+    delete songs[chartFile];
+    saveIndex();
+
+    const cache = await openCache();
+    const stillUsed = new Set(Object.values(songs).flatMap(other => other.urls));
+    for (const url of song.urls) {
+        if (!stillUsed.has(url)) {
+            await cache.delete(url);
+        }
+    }
+    return true;
+}
+
+export function isSongOffline(chartFile) {
+    return !!songs[chartFile];
+}
+
+/**
+ * Downloaded songs, most recently played first.
+ */
+export function getOfflineSongs() {
+    return Object.keys(songs)
+        .map(describe)
+        .sort((a, b) => b.lastPlayedAt - a.lastPlayedAt);
+}
+
+/**
+ * Storage use for the whole origin (app shell included) and for downloaded songs, in bytes.
+ * usage and quota are 0 where the browser doesn't report them.
+ */
+export async function getStorageInfo() {
+    const estimate = await estimateStorage();
+    return {
+        usage: estimate?.usage ?? 0,
+        quota: estimate?.quota ?? 0,
+        songBytes: Object.values(songs).reduce((sum, song) => sum + song.bytes, 0),
+        songCount: Object.keys(songs).length,
+        persisted: (await navigator.storage?.persisted?.()) ?? false
+    };
+}
+
+/**
+ * A downloaded copy of an audio file, or null if it hasn't been downloaded. Counts as playing the
+ * song that owns it, for eviction. Never throws.
+ */
+export async function matchOfflineAudio(url) {
+    try {
+        const href = resolveUrl(url);
+        const owner = Object.keys(songs).find(chartFile => songs[chartFile].urls.includes(href));
+        if (!owner) return null;
+
+        const response = await (await openCache()).match(href);
+        if (!response) {
+            // Evicted by the browser behind our back - forget the download
+            delete songs[owner];
+            saveIndex();
+            return null;
+        }
+
+        songs[owner].lastPlayedAt = Date.now();
+        saveIndex();
+        return response;
+    } catch (e) {
+        console.warn('[OfflineStore] Cache lookup failed:', e);
+        return null;
+    }
+}
+
+// Every audio file a chart plays - the single mix and any stems
+function songAudioUrls(chart) {
+    const meta = chart?.meta ?? {};
+    const urls = [meta.audioFile, ...Object.values(meta.stems ?? {})].filter(Boolean);
+    return [...new Set(urls.map(resolveUrl))];
+}
+
+async function fetchAll(urls, onProgress) {
+    const totals = new Array(urls.length).fill(0);
+    const loaded = new Array(urls.length).fill(0);
+    let lastReport = 0;
+    const report = () => {
+        const total = totals.reduce((a, b) => a + b, 0);
+        const now = performance.now();
+        if (total > 0 && now - lastReport >= PROGRESS_INTERVAL_MS) {
+            lastReport = now;
+            onProgress?.(Math.min(1, loaded.reduce((a, b) => a + b, 0) / total));
+        }
+    };
+
+    return Promise.all(urls.map(async (url, i) => {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Audio ${url} not found (HTTP ${response.status})`);
+        }
+
+        totals[i] = Number(response.headers.get('Content-Length')) || 0;
+        const chunks = [];
+        const reader = response.body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded[i] += value.byteLength;
+            totals[i] = Math.max(totals[i], loaded[i]);
+            report();
+        }
+
+        const data = await new Blob(chunks).arrayBuffer();
+        return { url, data, headers: response.headers };
+    })).then(files => {
+        onProgress?.(1);
+        return files;
+    });
+}
+
+// Make room for bytes more, evicting least recently played songs (never keep) past the budget
+async function ensureSpace(bytes, keep) {
+    const estimate = await estimateStorage();
+    if (!estimate?.quota || bytes <= 0) return;
+
+    const budget = estimate.quota * STORAGE_BUDGET;
+    let usage = estimate.usage ?? 0;
+    const candidates = Object.keys(songs)
+        .filter(chartFile => chartFile !== keep)
+        .sort((a, b) => songs[a].lastPlayedAt - songs[b].lastPlayedAt);
+
+    while (usage + bytes > budget && candidates.length > 0) {
+        const chartFile = candidates.shift();
+        usage -= songs[chartFile].bytes;
+        console.log(`[OfflineStore] Evicting ${chartFile} to make room`);
+        await removeSong(chartFile);
+    }
+
+    if (usage + bytes > budget) {
+        throw new Error(`Not enough storage: ${(bytes / 1048576).toFixed(1)} MB needed`);
+    }
+}
+
+// Ask the browser not to clear downloads under storage pressure (granted silently or not at all)
+async function requestPersistentStorage() {
+    try {
+        if (navigator.storage?.persist && !(await navigator.storage.persisted())) {
+            await navigator.storage.persist();
+        }
+    } catch (e) {
+        console.warn('[OfflineStore] Persistent storage request failed:', e);
+    }
+}
+
+async function estimateStorage() {
+    try {
+        return await navigator.storage?.estimate?.() ?? null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function openCache() {
+    cachePromise ??= (async () => {
+        // Drop downloads stored by older versions
+        for (const name of await caches.keys()) {
+            if (name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME) {
+                await caches.delete(name);
+            }
+        }
+        return caches.open(CACHE_NAME);
+    })();
+    return cachePromise;
+}
+
+function describe(chartFile) {
+    const { bytes, downloadedAt, lastPlayedAt } = songs[chartFile];
+    return { chartFile, bytes, downloadedAt, lastPlayedAt };
+}
+
+function resolveUrl(url) {
+    return new URL(url, document.baseURI).href;
+}
+
+function loadIndex() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (saved?.version === CACHE_VERSION && saved.songs) {
+            return saved.songs;
+        }
+    } catch (e) {
+        console.warn('[OfflineStore] Failed to load offline songs:', e);
+    }
+    return {};
+}
+
+function saveIndex() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: CACHE_VERSION, songs }));
+    } catch (e) {
+        console.warn('[OfflineStore] Failed to save offline songs:', e);
+    }
+}
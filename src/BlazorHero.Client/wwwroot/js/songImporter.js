@@ -0,0 +1,509 @@
+// Song Importer - songs from local files, kept in IndexedDB and listed alongside the bundled ones
+//
+// An import is an audio file plus an optional chart JSON, or a zipped song folder holding them (and any
+// stems, cover art or note samples the chart names). Charts are validated against what the game reads;
+// audio is decoded by AudioEngine to make sure it plays, and charted by it when no chart came along.
+// Each song is stored whole - chart and file Blobs - under the chart file 'import:<id>'. Read back, the
+// chart's file names point at object URLs of the stored Blobs, so the game loads them like any other url.
+
+import { DIFFICULTY_TIERS } from './chartGenerator.js';
+import { validateNoteSounds } from './instruments.js';
+import { isZip, readZip } from './zipReader.js';
+
+const DB_NAME = 'blazorHero';
+const DB_VERSION = 1;
+const STORE_NAME = 'importedSongs';
+const IMPORT_PREFIX = 'import:';
+const DRAG_CLASS = 'drag-over';  // On the drop zone while files are dragged over it
+
+const AUDIO_EXTENSIONS = ['mp3', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'wav', 'flac', 'webm'];
+const MAX_NOTE_ERRORS = 3;  // Per track - a broken chart would otherwise list every note
+
+let dbPromise = null;
+let target = null;  // { dropElement, fileInput, listeners } while attached
+let importing = false;
+const objectUrls = new Map();  // song id -> Map(file name -> object URL), so a song's urls stay stable
+
+/**
+ * Import a song from files: audio plus an optional chart, or a zip of a song folder.
+ * @param {File[]} files
+ * @param {(stage: string) => void} onProgress - 'reading', 'decoding', 'generating', 'saving'
+ * @returns {Promise<{ ok, chartFile, title, chartGenerated, errors: string[], warnings: string[] }>}
+ */
+export async function importSong(files, onProgress = () => {}) {
+    try {
+        return await importFiles([...files], onProgress);
+    } catch (e) {
+        console.warn('[SongImporter] Import failed:', e);
+        return importFailure([e?.message || String(e)]);
+    }
+}
+
+/**
+ * Imported songs, oldest first, with their file names swapped for object URLs.
+ * @returns {Promise<{ chartFile: string, chart: object }[]>}
+ */
+export async function getImportedSongs() {
+    const records = await runTransaction('readonly', store => store.getAll());
+    return records
+        .sort((a, b) => a.importedAt - b.importedAt)
+        .map(record => ({ chartFile: IMPORT_PREFIX + record.id, chart: withObjectUrls(record) }));
+}
+
+export async function getImportedChart(chartFile) {
+    const id = songId(chartFile);
+    if (id === null) return null;
+
+    const record = await runTransaction('readonly', store => store.get(id));
+    return record ? withObjectUrls(record) : null;
+}
+
+export async function deleteImportedSong(chartFile) {
+    const id = songId(chartFile);
+    if (id === null) return false;
+
+    await runTransaction('readwrite', store => store.delete(id));
+    for (const url of objectUrls.get(id)?.values() ?? []) {
+        URL.revokeObjectURL(url);
+    }
+    objectUrls.delete(id);
+    return true;
+}
+
+/**
+ * Check a chart against what the game reads. Returns a list of problems (empty when valid).
+ * File names are not checked here - importSong matches them to the imported files.
+ */
+export function validateChart(chart) {
+    if (!isObject(chart)) return ['The chart must be a JSON object'];
+    const errors = [];
+
+    const meta = chart.meta ?? {};
+    if (!isObject(meta)) {
+        errors.push('meta: must be an object');
+    } else {
+        for (const key of ['title', 'artist', 'album', 'charter', 'audioFile', 'coverImage']) {
+            if (meta[key] != null && typeof meta[key] !== 'string') {
+                errors.push(`meta.${key}: must be a string`);
+            }
+        }
+        for (const key of ['bpm', 'offset', 'previewStart', 'previewEnd']) {
+            if (meta[key] != null && !Number.isFinite(meta[key])) {
+                errors.push(`meta.${key}: must be a number`);
+            }
+        }
+        if (meta.stems != null && (!isObject(meta.stems)
+            || Object.values(meta.stems).some(file => typeof file !== 'string' || file === ''))) {
+            errors.push('meta.stems: must be an object of stem name -> file');
+        }
+    }
+
+    if (chart.syncTrack != null) {
+        if (Array.isArray(chart.syncTrack)) {
+            chart.syncTrack.forEach((event, i) => errors.push(...validateSyncEvent(event, `syncTrack[${i}]`)));
+        } else {
+            errors.push('syncTrack: must be an array');
+        }
+    }
+
+    if (isObject(chart.difficulties)) {
+        for (const [name, track] of Object.entries(chart.difficulties)) {
+            const tier = DIFFICULTY_TIERS[name];
+            if (tier) {
+                errors.push(...validateTrack(track, `difficulties.${name}`, tier.lanes));
+            } else {
+                errors.push(`difficulties.${name}: unknown difficulty (expected ${Object.keys(DIFFICULTY_TIERS).join(', ')})`);
+            }
+        }
+        if (!Object.keys(DIFFICULTY_TIERS).some(name => chart.difficulties[name]?.notes?.length > 0)) {
+            errors.push('difficulties: no difficulty has any notes');
+        }
+    } else {
+        errors.push('difficulties: must be an object of difficulty -> { notes }');
+    }
+
+    errors.push(...validateNoteSounds(chart.noteSounds).map(error => `noteSounds: ${error}`));
+    return errors;
+}
+
+/**
+ * Take files dropped on dropElement or picked in fileInput (an <input type="file">) and import them,
+ * reporting to .NET: OnImportStarted(), OnImportProgress(stage), OnImportCompleted(result).
+ */
+export function attachImportTarget(reference, dropElement, fileInput) {
+    detachImportTarget();
+
+    const start = (files) => {
+        if (files.length > 0) importForReference(reference, files);
+    };
+    const listeners = {
+        dragover: (event) => {
+            if (!carriesFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            dropElement.classList.add(DRAG_CLASS);
+        },
+        dragleave: (event) => {
+            if (!dropElement.contains(event.relatedTarget)) {
+                dropElement.classList.remove(DRAG_CLASS);
+            }
+        },
+        drop: (event) => {
+            if (!carriesFiles(event)) return;
+            event.preventDefault();
+            dropElement.classList.remove(DRAG_CLASS);
+            start([...event.dataTransfer.files]);
+        },
+        change: () => {
+            const files = [...fileInput.files];
+            fileInput.value = '';  // So picking the same files again still fires change
+            start(files);
+        }
+    };
+
+    for (const type of ['dragover', 'dragleave', 'drop']) {
+        dropElement.addEventListener(type, listeners[type]);
+    }
+    fileInput?.addEventListener('change', listeners.change);
+    target = { dropElement, fileInput, listeners };
+}
+
+export function detachImportTarget() {
+    if (!target) return;
+
+    const { dropElement, fileInput, listeners } = target;
+    for (const type of ['dragover', 'dragleave', 'drop']) {
+        dropElement.removeEventListener(type, listeners[type]);
+    }
+    dropElement.classList.remove(DRAG_CLASS);
+    fileInput?.removeEventListener('change', listeners.change);
+    target = null;
+}
+
+async function importForReference(reference, files) {
+    if (importing) return;  // One at a time - the drop zone says so while busy
+
+    importing = true;
+    try {
+        await reference.invokeMethodAsync('OnImportStarted');
+        const result = await importSong(files, stage => reference.invokeMethodAsync('OnImportProgress', stage));
+        await reference.invokeMethodAsync('OnImportCompleted', result);
+    } catch (e) {
+        console.warn('[SongImporter] Could not report import:', e);
+    } finally {
+        importing = false;
+    }
+}
+
+async function importFiles(picked, onProgress) {
+    const audio = window.blazorHeroAudio;
+    if (!audio?.audioContext) {
+        return importFailure(['Audio is not ready yet - try again in a moment']);
+    }
+
+    onProgress('reading');
+    const files = [];
+    for (const file of picked) {
+        try {
+            files.push(...await unpack(file));
+        } catch (e) {
+            return importFailure([`${file.name}: ${e.message}`]);
+        }
+    }
+
+    const duplicates = duplicateNames(files);
+    if (duplicates.length > 0) return importFailure(duplicates);
+
+    const chartFiles = files.filter(file => extension(file.name) === 'json');
+    const audioFiles = files.filter(file => AUDIO_EXTENSIONS.includes(extension(file.name)));
+    if (chartFiles.length > 1) {
+        return importFailure([`Several charts (${chartFiles.map(file => file.name).join(', ')}) - import one song at a time`]);
+    }
+    if (audioFiles.length === 0) {
+        return importFailure(['No audio file - import an .mp3, .ogg, .m4a, .wav or .flac file, with or without a chart']);
+    }
+
+    // The chart, checked and pointed at the imported files
+    const byName = new Map(files.map(file => [file.name.toLowerCase(), file]));
+    let chart = null;
+    if (chartFiles.length === 1) {
+        try {
+            chart = JSON.parse(await chartFiles[0].blob.text());
+        } catch (e) {
+            return importFailure([`${chartFiles[0].name} is not valid JSON: ${e.message}`]);
+        }
+
+        const errors = validateChart(chart);
+        if (errors.length === 0) {
+            errors.push(...linkChartFiles(chart, byName, audioFiles));
+        }
+        if (errors.length > 0) return importFailure(errors);
+    } else if (audioFiles.length > 1) {
+        return importFailure([`${audioFiles.length} audio files and no chart - add a chart naming meta.audioFile `
+            + 'or meta.stems, or import the songs one at a time']);
+    }
+
+    // Decode the song's audio - a file that won't decode here won't play either
+    onProgress('decoding');
+    const songFiles = chart ? songAudioNames(chart).map(name => byName.get(name.toLowerCase())) : audioFiles;
+    let buffer = null;
+    for (const file of songFiles) {
+        try {
+            buffer = await audio.decodeAudioFile(await file.blob.arrayBuffer(), file.name);
+        } catch (e) {
+            return importFailure([e.message]);
+        }
+    }
+
+    let chartGenerated = false;
+    if (!chart) {
+        onProgress('generating');
+        const file = audioFiles[0];
+        try {
+            chart = await audio.generateChart({ title: titleFromFileName(file.name), audioFile: file.name }, [buffer]);
+        } catch (e) {
+            return importFailure([`Could not generate a chart for ${file.name}: ${e.message}`]);
+        }
+        chartGenerated = true;
+    }
+    chart.meta ??= {};
+    chart.meta.title ||= titleFromFileName(songFiles[0].name);
+
+    const stored = {};
+    for (const ref of chartFileRefs(chart)) {
+        stored[ref.name] = byName.get(ref.name.toLowerCase()).blob;
+    }
+    const warnings = files
+        .filter(file => file !== chartFiles[0] && !(file.name in stored))
+        .map(file => `${file.name} isn't used by the chart, so it was left out`);
+
+    onProgress('saving');
+    const id = newSongId();
+    try {
+        await runTransaction('readwrite', store => store.put({ id, chart, files: stored, importedAt: Date.now() }));
+    } catch (e) {
+        return importFailure([e?.name === 'QuotaExceededError'
+            ? 'Not enough storage space for this song'
+            : `Could not save the song: ${e?.message || e}`]);
+    }
+
+    return {
+        ok: true,
+        chartFile: IMPORT_PREFIX + id,
+        title: chart.meta.title,
+        chartGenerated,
+        errors: [],
+        warnings
+    };
+}
+
+// A picked file as the files it holds: a zip's contents, or just itself. Names lose their folders;
+// path keeps where the file was, for messages.
+async function unpack(file) {
+    if (extension(file.name) !== 'zip' && !await isZip(file)) {
+        return [{ name: file.name, path: file.name, blob: file }];
+    }
+
+    const entries = await readZip(file);
+    return entries.map(entry => ({ name: baseName(entry.name), path: entry.name, blob: entry.blob }));
+}
+
+// Files are matched to the chart by name alone, so two with the same name can't be told apart.
+// Returns a problem for each name that more than one file has.
+function duplicateNames(files) {
+    const byName = new Map();
+    for (const file of files) {
+        const key = file.name.toLowerCase();
+        byName.set(key, [...byName.get(key) ?? [], file]);
+    }
+    return [...byName.values()]
+        .filter(same => same.length > 1)
+        .map(same => `${same.length} files are named ${same[0].name} (${same.map(file => file.path).join(', ')}) `
+            + '- rename all but one so the chart can tell them apart');
+}
+
+// Point the chart's files at imported ones by name, whatever folder the chart expected them in.
+// Returns a problem for each file it names that wasn't imported.
+function linkChartFiles(chart, byName, audioFiles) {
+    chart.meta ??= {};
+    if (!chart.meta.audioFile && !(Object.keys(chart.meta.stems ?? {}).length > 0)) {
+        if (audioFiles.length > 1) {
+            return ['meta.audioFile: several audio files were imported - name the one the song plays'];
+        }
+        chart.meta.audioFile = audioFiles[0].name;
+    }
+
+    const errors = [];
+    for (const ref of chartFileRefs(chart)) {
+        const file = byName.get(baseName(ref.name).toLowerCase());
+        if (file) {
+            ref.set(file.name);
+        } else {
+            errors.push(`${ref.where}: ${ref.name} was not imported with the chart`);
+        }
+    }
+    return errors;
+}
+
+// Every file a chart names, as { where, name, set(value) }
+function chartFileRefs(chart) {
+    const refs = [];
+    const add = (owner, key, where) => {
+        const name = owner?.[key];
+        if (typeof name === 'string' && name !== '') {
+            refs.push({ where, name, set: (value) => { owner[key] = value; } });
+        }
+    };
+
+    const meta = chart.meta ?? {};
+    add(meta, 'audioFile', 'meta.audioFile');
+    for (const stem of Object.keys(meta.stems ?? {})) {
+        add(meta.stems, stem, `meta.stems.${stem}`);
+    }
+    add(meta, 'coverImage', 'meta.coverImage');
+
+    const noteSounds = chart.noteSounds ?? {};
+    (Array.isArray(noteSounds.samples) ? noteSounds.samples : [])
+        .forEach((zone, i) => add(zone, 'url', `noteSounds.samples[${i}].url`));
+    (Array.isArray(noteSounds.lanes) ? noteSounds.lanes : []).forEach((lane, i) => {
+        for (const judgement of Object.keys(lane?.samples ?? {})) {
+            add(lane.samples, judgement, `noteSounds.lanes[${i}].samples.${judgement}`);
+        }
+    });
+    return refs;
+}
+
+// The files the song itself plays: its stems, or else its audio file (as the game loads them)
+function songAudioNames(chart) {
+    const stems = Object.values(chart.meta.stems ?? {});
+    return stems.length > 0 ? stems : [chart.meta.audioFile];
+}
+
+function withObjectUrls(record) {
+    const chart = structuredClone(record.chart);
+    let urls = objectUrls.get(record.id);
+    if (!urls) {
+        urls = new Map();
+        objectUrls.set(record.id, urls);
+    }
+
+    for (const ref of chartFileRefs(chart)) {
+        const blob = record.files[ref.name];
+        if (!blob) continue;
+
+        if (!urls.has(ref.name)) {
+            urls.set(ref.name, URL.createObjectURL(blob));
+        }
+        ref.set(urls.get(ref.name));
+    }
+    return chart;
+}
+
+function validateSyncEvent(event, where) {
+    if (!isObject(event)) return [`${where}: must be an object`];
+
+    const errors = [];
+    if (!(Number.isFinite(event.time) && event.time >= 0)) {
+        errors.push(`${where}.time: must be a time (ms) of 0 or more`);
+    }
+    if (!(Number.isFinite(event.bpm) && event.bpm > 0)) {
+        errors.push(`${where}.bpm: must be above 0`);
+    }
+    if (event.timeSignature != null && !(Array.isArray(event.timeSignature) && event.timeSignature.length === 2
+        && event.timeSignature.every(value => Number.isInteger(value) && value > 0))) {
+        errors.push(`${where}.timeSignature: must be [beats per measure, beat unit]`);
+    }
+    return errors;
+}
+
+function validateTrack(track, where, lanes) {
+    if (!isObject(track) || !Array.isArray(track.notes)) return [`${where}.notes: must be an array`];
+
+    const badNotes = [];
+    track.notes.forEach((note, i) => {
+        const problem = noteProblem(note, lanes);
+        if (problem) badNotes.push(`${where}.notes[${i}]: ${problem}`);
+    });
+
+    const errors = badNotes.slice(0, MAX_NOTE_ERRORS);
+    if (badNotes.length > MAX_NOTE_ERRORS) {
+        errors.push(`${where}.notes: ...and ${badNotes.length - MAX_NOTE_ERRORS} more bad notes`);
+    }
+
+    if (track.starPowerPhrases != null) {
+        if (!Array.isArray(track.starPowerPhrases)) {
+            errors.push(`${where}.starPowerPhrases: must be an array`);
+        } else {
+            track.starPowerPhrases.forEach((phrase, i) => {
+                if (!(Number.isFinite(phrase?.startTime) && Number.isFinite(phrase?.endTime) && phrase.endTime > phrase.startTime)) {
+                    errors.push(`${where}.starPowerPhrases[${i}]: needs a startTime before its endTime`);
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+function noteProblem(note, lanes) {
+    if (!isObject(note)) return 'must be an object';
+    if (!(Number.isFinite(note.time) && note.time >= 0)) return 'time must be a time (ms) of 0 or more';
+    if (!Number.isInteger(note.lane) || note.lane < 0 || note.lane >= lanes) return `lane must be 0-${lanes - 1}`;
+    if (note.duration != null && !(Number.isFinite(note.duration) && note.duration >= 0)) return 'duration must be 0 or more';
+    if (note.isStarPower != null && typeof note.isStarPower !== 'boolean') return 'isStarPower must be true or false';
+    return null;
+}
+
+function importFailure(errors) {
+    return { ok: false, chartFile: null, title: null, chartGenerated: false, errors, warnings: [] };
+}
+
+function openDatabase() {
+    dbPromise ??= new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });  // Let the next call try again
+    return dbPromise;
+}
+
+// Run one request in a transaction, resolving to its result once the transaction has committed
+async function runTransaction(mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = action(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'));
+    });
+}
+
+function songId(chartFile) {
+    return chartFile?.startsWith(IMPORT_PREFIX) ? chartFile.slice(IMPORT_PREFIX.length) : null;
+}
+
+function newSongId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function carriesFiles(event) {
+    return [...(event.dataTransfer?.types ?? [])].includes('Files');
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function baseName(path) {
+    return path.split(/[\\/]/).pop();
+}
+
+function extension(name) {
+    return /\.([a-z0-9]+)$/i.exec(name)?.[1].toLowerCase() ?? '';
+}
+
+function titleFromFileName(name) {
+    return baseName(name).replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim() || 'Untitled';
+}
@@ -0,0 +1,212 @@
+// Sound Synth - renders procedural sound effects as raw mono samples
+//
+// Everything here is pure (no AudioContext), so the same code runs in the synthesis worker
+// and, as a fallback, on the main thread. A job describes one sound:
+//   { kind: 'hit', style, freq, params, quality }  - an instrument's note hit (see instruments.js)
+//   { kind: 'strum', params }                      - a guitar strum with explicit settings
+//   { kind: 'miss' } | { kind: 'thump' } | { kind: 'starpower' } | { kind: 'sparkle' }
+//   { kind: 'click', freq, level }                 - metronome blip
+
+import { getInstrument, renderGuitarStrum } from './instruments.js';
+
+/**
+ * Render a sound job at the given sample rate.
+ * @returns {Float32Array}
+ */
+export function renderSound(job, sampleRate) {
+    switch (job.kind) {
+        case 'hit': {
+            const instrument = getInstrument(job.style);
+            if (!instrument) throw new Error(`Unknown instrument '${job.style}'`);
+            return instrument.renderHit(sampleRate, job.freq, job.params, job.quality);
+        }
+        case 'strum':
+            return renderGuitarStrum(sampleRate, job.params);
+        case 'miss':
+            return renderMiss(sampleRate);
+        case 'thump':
+            return renderThump(sampleRate);
+        case 'starpower':
+            return renderStarPower(sampleRate);
+        case 'sparkle':
+            return renderSparkle(sampleRate);
+        case 'click':
+            return renderClick(sampleRate, job.freq, job.level);
+        default:
+            throw new Error(`Unknown sound kind '${job.kind}'`);
+    }
+}
+
+/**
+ * Cache key for a job: FNV-1a hash of its canonical JSON plus the sample rate.
+ */
+export function hashSoundJob(job, sampleRate) {
+    const text = `${sampleRate}:${canonicalJson(job)}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0') + text.length.toString(16);
+}
+
+// JSON with sorted object keys, so equal configs hash equally whatever order they were built in
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Create a miss/buzz sound (muted string or fret buzz)
+function renderMiss(sampleRate) {
+    const data = new Float32Array(Math.floor(sampleRate * 0.25));
+
+    // Use mid-range frequencies for better audibility on all speakers
+    const buzzFreq = 150;
+    const buzzFreq2 = 165; // Slightly detuned for dissonance
+    const buzzFreq3 = 220; // Higher harmonic for presence
+
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sampleRate;
+
+        // Dissonant frequencies with higher harmonics for audibility
+        let sample = Math.sin(2 * Math.PI * buzzFreq * t) * 0.35;
+        sample += Math.sin(2 * Math.PI * buzzFreq2 * t) * 0.3;
+        sample += Math.sin(2 * Math.PI * buzzFreq3 * t) * 0.2;
+
+        // Add filtered noise for buzz/scratch character
+        const noise = (Math.random() - 0.5) * 0.5;
+        sample += noise;
+
+        // Quick decay envelope with initial punch
+        let envelope;
+        if (t < 0.01) {
+            envelope = t / 0.01; // Quick attack
+        } else {
+            envelope = Math.exp(-(t - 0.01) * 12);
+        }
+
+        data[i] = sample * envelope * 0.6;
+    }
+
+    return data;
+}
+
+// Create a muted thump sound for pressing keys with no note
+function renderThump(sampleRate) {
+    const data = new Float32Array(Math.floor(sampleRate * 0.08));
+
+    // Low thud frequency
+    const thumpFreq = 60;
+
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sampleRate;
+
+        // Low frequency thump
+        let sample = Math.sin(2 * Math.PI * thumpFreq * t) * 0.5;
+
+        // Add a bit of click at the start
+        if (t < 0.005) {
+            sample += (Math.random() - 0.5) * 0.3;
+        }
+
+        // Very fast decay - just a quick thud
+        const envelope = Math.exp(-t * 50);
+
+        data[i] = sample * envelope * 0.7;
+    }
+
+    return data;
+}
+
+// Create star power activation sound - epic rising power chord
+function renderStarPower(sampleRate) {
+    const data = new Float32Array(Math.floor(sampleRate * 0.6));
+
+    // Power chord frequencies (E5 power chord with octave)
+    const baseFreq = 329.63;  // E4
+    const fifth = 493.88;     // B4
+    const octave = 659.25;    // E5
+
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sampleRate;
+
+        // Rising pitch effect
+        const pitchRise = 1 + t * 0.15;
+
+        // Power chord with harmonics
+        let sample = Math.sin(2 * Math.PI * baseFreq * pitchRise * t) * 0.4;
+        sample += Math.sin(2 * Math.PI * fifth * pitchRise * t) * 0.3;
+        sample += Math.sin(2 * Math.PI * octave * pitchRise * t) * 0.25;
+
+        // Add some shimmer/brightness
+        sample += Math.sin(2 * Math.PI * baseFreq * 2 * pitchRise * t) * 0.15;
+        sample += Math.sin(2 * Math.PI * octave * 2 * pitchRise * t) * 0.1;
+
+        // Envelope: quick attack, sustain, then fade
+        let envelope;
+        if (t < 0.02) {
+            envelope = t / 0.02;  // Quick attack
+        } else if (t < 0.3) {
+            envelope = 1.0;  // Sustain
+        } else {
+            envelope = 1.0 - ((t - 0.3) / 0.3);  // Fade out
+        }
+
+        data[i] = sample * envelope * 0.5;
+    }
+
+    return data;
+}
+
+// Create a sparkle - bright bell-like shimmer layered on hits during star power
+function renderSparkle(sampleRate) {
+    const data = new Float32Array(Math.floor(sampleRate * 0.35));
+
+    // High E-major partials, each decaying faster than the last, for a glassy chime
+    const partials = [
+        { freq: 2637.02, amp: 0.35, decay: 9 },   // E7
+        { freq: 3951.07, amp: 0.25, decay: 12 },  // B7
+        { freq: 5274.04, amp: 0.15, decay: 16 },  // E8
+        { freq: 6644.88, amp: 0.1, decay: 22 }    // G#8
+    ];
+
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sampleRate;
+        let sample = 0;
+
+        for (const p of partials) {
+            sample += Math.sin(2 * Math.PI * p.freq * t) * p.amp * Math.exp(-t * p.decay);
+        }
+
+        // Fast tremolo for shimmer
+        const shimmer = 0.75 + 0.25 * Math.sin(2 * Math.PI * 28 * t);
+
+        // Very short attack to avoid a click
+        const attack = Math.min(1, t / 0.002);
+
+        data[i] = sample * shimmer * attack * 0.5;
+    }
+
+    return data;
+}
+
+// Create a short metronome click - a sine blip with a very fast decay
+function renderClick(sampleRate, freq, level) {
+    const data = new Float32Array(Math.floor(sampleRate * 0.05));
+
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sampleRate;
+        const envelope = Math.exp(-t * 80);
+        data[i] = Math.sin(2 * Math.PI * freq * t) * envelope * level;
+    }
+
+    return data;
+}
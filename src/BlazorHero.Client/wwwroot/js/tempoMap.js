@@ -0,0 +1,129 @@
+// Tempo Map - converts between song time and musical position using a chart's syncTrack
+//
+// syncTrack: [{ time (ms), bpm, timeSignature: [beatsPerMeasure, beatUnit] }]. Beats are counted in
+// the tempo's beats from the first event, across tempo changes. A time signature change starts a new
+// measure at its event; a tempo change alone carries on counting the current measure.
+// Positions before the first event extrapolate its tempo backwards (negative beats and measures).
+
+const DEFAULT_BPM = 120;
+const DEFAULT_SIGNATURE = [4, 4];
+const EPSILON = 1e-6;  // Rounding slack so a beat computed from its own time lands on itself
+
+export class TempoMap {
+    constructor(syncTrack) {
+        const events = (syncTrack || [])
+            .filter(event => event && event.bpm > 0 && Number.isFinite(event.time))
+            .sort((a, b) => a.time - b.time);
+        if (events.length === 0) {
+            events.push({ time: 0, bpm: DEFAULT_BPM });
+        }
+
+        // One segment per event, with the beat and measure counts reached at its start
+        this.segments = [];
+        for (const event of events) {
+            const [beatsPerMeasure, beatUnit] = validSignature(event.timeSignature)
+                ?? (this.segments.length > 0 ? this._last().signature : DEFAULT_SIGNATURE);
+            const segment = {
+                time: event.time,
+                bpm: event.bpm,
+                msPerBeat: 60000 / event.bpm,
+                signature: [beatsPerMeasure, beatUnit],
+                beatsPerMeasure,
+                beat: 0,
+                measure: 0
+            };
+
+            const previous = this.segments.length > 0 ? this._last() : null;
+            if (previous) {
+                const beats = (event.time - previous.time) / previous.msPerBeat;
+                segment.beat = previous.beat + beats;
+                segment.measure = previous.measure + beats / previous.beatsPerMeasure;
+                if (beatsPerMeasure !== previous.beatsPerMeasure || beatUnit !== previous.signature[1]) {
+                    segment.measure = Math.ceil(segment.measure - EPSILON);
+                }
+            }
+            this.segments.push(segment);
+        }
+    }
+
+    /** Beats since the first sync event (fractional) at a song time. */
+    msToBeats(ms) {
+        const segment = this._segmentBy('time', ms);
+        return segment.beat + (ms - segment.time) / segment.msPerBeat;
+    }
+
+    beatsToMs(beats) {
+        const segment = this._segmentBy('beat', beats);
+        return segment.time + (beats - segment.beat) * segment.msPerBeat;
+    }
+
+    /** Measure index and beat within it (fractional) at a song time. */
+    msToMeasure(ms) {
+        const segment = this._segmentBy('time', ms);
+        const position = segment.measure + (ms - segment.time) / segment.msPerBeat / segment.beatsPerMeasure;
+        const measure = Math.floor(position + EPSILON);
+        return {
+            measure,
+            beat: Math.max(0, (position - measure) * segment.beatsPerMeasure),
+            beatsPerMeasure: segment.beatsPerMeasure
+        };
+    }
+
+    measureToMs(measure, beat = 0) {
+        const segment = this._segmentBy('measure', measure);
+        const beats = (measure - segment.measure) * segment.beatsPerMeasure + beat;
+        return segment.time + beats * segment.msPerBeat;
+    }
+
+    getTempoAt(ms) {
+        const segment = this._segmentBy('time', ms);
+        return { bpm: segment.bpm, beatsPerMeasure: segment.beatsPerMeasure, beatUnit: segment.signature[1] };
+    }
+
+    /**
+     * Every whole beat from fromMs up to toMs, both included.
+     * @returns {{ time: number, beat: number, measure: number, beatInMeasure: number, isDownbeat: boolean }[]}
+     */
+    getBeats(fromMs, toMs) {
+        const beats = [];
+        for (let beat = Math.floor(this.msToBeats(fromMs) - EPSILON) + 1; ; beat++) {
+            const time = this.beatsToMs(beat);
+            if (time > toMs + EPSILON) break;
+
+            const position = this.msToMeasure(time);
+            const beatInMeasure = Math.round(position.beat);
+            beats.push({
+                time,
+                beat,
+                measure: position.measure,
+                beatInMeasure,
+                isDownbeat: beatInMeasure === 0
+            });
+        }
+        return beats;
+    }
+
+    _last() {
+        return this.segments[this.segments.length - 1];
+    }
+
+    // Last segment starting at or before value (by time, beat or measure); the first one before that
+    _segmentBy(key, value) {
+        let low = 0;
+        let high = this.segments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.segments[mid][key] <= value + EPSILON) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return this.segments[low];
+    }
+}
+
+function validSignature(signature) {
+    if (!Array.isArray(signature) || !(signature[0] >= 1)) return null;
+    return [Math.floor(signature[0]), signature[1] >= 1 ? Math.floor(signature[1]) : 4];
+}
@@ -1,7 +1,14 @@
 // Touch Handler - Multi-touch input handling for mobile gameplay
 
+import { stampInput } from './inputTiming.js';
+
 let dotNetReference = null;
-const activeTouches = new Map(); // touchId -> { lane, element }
+const activeTouches = new Map(); // touchId -> { lane, element, startY, bend }
+
+// Vertical swipe on a held lane bends its sustain: a full range up bends up, down dives
+const SWIPE_BEND_RANGE_PX = 80;
+const SWIPE_DEAD_ZONE = 0.08;
+const SWIPE_BEND_EPSILON = 0.02;
 
 // Touch control elements will be registered here
 let touchControlsContainer = null;
@@ -35,6 +42,7 @@ export function disposeTouch() {
 
     if (touchControlsContainer) {
         touchControlsContainer.removeEventListener('touchstart', handleTouchStart);
+        touchControlsContainer.removeEventListener('touchmove', handleTouchMove);
         touchControlsContainer.removeEventListener('touchend', handleTouchEnd);
         touchControlsContainer.removeEventListener('touchcancel', handleTouchEnd);
     }
@@ -122,6 +130,7 @@ export function registerTouchControls(containerId) {
 
     // Add touch listeners to the container
     touchControlsContainer.addEventListener('touchstart', handleTouchStart, { passive: false });
+    touchControlsContainer.addEventListener('touchmove', handleTouchMove, { passive: false });
     touchControlsContainer.addEventListener('touchend', handleTouchEnd, { passive: false });
     touchControlsContainer.addEventListener('touchcancel', handleTouchEnd, { passive: false });
 
@@ -134,6 +143,7 @@ export function registerTouchControls(containerId) {
 export function unregisterTouchControls() {
     if (touchControlsContainer) {
         touchControlsContainer.removeEventListener('touchstart', handleTouchStart);
+        touchControlsContainer.removeEventListener('touchmove', handleTouchMove);
         touchControlsContainer.removeEventListener('touchend', handleTouchEnd);
         touchControlsContainer.removeEventListener('touchcancel', handleTouchEnd);
     }
@@ -163,7 +173,7 @@ function handleTouchStart(event) {
     if (!dotNetReference) return;
 
     const touches = event.changedTouches;
-    const timestamp = performance.now();
+    const timestamp = event.timeStamp;
 
     for (let i = 0; i < touches.length; i++) {
         const touch = touches[i];
@@ -195,7 +205,7 @@ function handleTouchStart(event) {
         const lane = getLaneFromX(touch.clientX);
         if (lane >= 0 && lane < 5) {
             // Store this touch
-            activeTouches.set(touch.identifier, { lane, element: null });
+            activeTouches.set(touch.identifier, { lane, element: null, startY: touch.clientY, bend: 0 });
 
             // Add visual feedback to lane zone if it exists
             const laneZone = touchControlsContainer?.querySelector(`.lane-zone[data-lane="${lane}"]`);
@@ -204,13 +214,40 @@ function handleTouchStart(event) {
             }
 
             // Notify .NET
-            dotNetReference.invokeMethod('OnTouchLaneDown', lane, timestamp);
+            dotNetReference.invokeMethod('OnTouchLaneDown', lane, stampInput(timestamp, true));
 
             event.preventDefault();
         }
     }
 }
 
+/**
+ * Handle touch move events - vertical swipes on held lanes bend the hold sustain.
+ */
+function handleTouchMove(event) {
+    if (!dotNetReference) return;
+
+    const touches = event.changedTouches;
+
+    for (let i = 0; i < touches.length; i++) {
+        const touch = touches[i];
+        const touchInfo = activeTouches.get(touch.identifier);
+        if (!touchInfo || touchInfo.lane === undefined) continue;
+
+        // Up is negative clientY, so up bends up and down dives
+        let bend = Math.max(-1, Math.min(1, (touchInfo.startY - touch.clientY) / SWIPE_BEND_RANGE_PX));
+        if (Math.abs(bend) < SWIPE_DEAD_ZONE) bend = 0;
+
+        if (Math.abs(bend - touchInfo.bend) >= SWIPE_BEND_EPSILON || (bend === 0 && touchInfo.bend !== 0)) {
+            touchInfo.bend = bend;
+            window.blazorHeroAudio?.setHoldBend(touchInfo.lane, bend);
+            dotNetReference.invokeMethod('OnWhammy', Math.abs(bend));
+        }
+
+        event.preventDefault();
+    }
+}
+
 /**
  * Handle touch end/cancel events.
  */
@@ -218,7 +255,7 @@ function handleTouchEnd(event) {
     if (!dotNetReference) return;
 
     const touches = event.changedTouches;
-    const timestamp = performance.now();
+    const timestamp = event.timeStamp;
 
     for (let i = 0; i < touches.length; i++) {
         const touch = touches[i];
@@ -232,7 +269,10 @@ function handleTouchEnd(event) {
 
             // If it was a lane touch, notify .NET and remove lane zone feedback
             if (touchInfo.lane !== undefined) {
-                dotNetReference.invokeMethod('OnTouchLaneUp', touchInfo.lane, timestamp);
+                dotNetReference.invokeMethod('OnTouchLaneUp', touchInfo.lane, stampInput(timestamp));
+                if (touchInfo.bend !== 0) {
+                    dotNetReference.invokeMethod('OnWhammy', 0);
+                }
 
                 // Remove visual feedback from lane zone
                 const laneZone = touchControlsContainer?.querySelector(`.lane-zone[data-lane="${touchInfo.lane}"]`);
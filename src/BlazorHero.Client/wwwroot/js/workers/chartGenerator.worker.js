@@ -0,0 +1,17 @@
+// Chart generation worker - analyses a song off the main thread (module worker)
+//
+// Request:  { id, samples: Float32Array (transferred), sampleRate, options }
+// Progress: { id, progress }  (0-1, several per request)
+// Response: { id, chart } or { id, error }
+
+import { generateChart } from '../chartGenerator.js';
+
+self.onmessage = (event) => {
+    const { id, samples, sampleRate, options } = event.data;
+    try {
+        const chart = generateChart(samples, sampleRate, options, progress => self.postMessage({ id, progress }));
+        self.postMessage({ id, chart });
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};
@@ -0,0 +1,16 @@
+// Sound synthesis worker - renders procedural SFX off the main thread (module worker)
+//
+// Request:  { id, job, sampleRate }
+// Response: { id, data: Float32Array } (transferred) or { id, error }
+
+import { renderSound } from '../soundSynth.js';
+
+self.onmessage = (event) => {
+    const { id, job, sampleRate } = event.data;
+    try {
+        const data = renderSound(job, sampleRate);
+        self.postMessage({ id, data }, [data.buffer]);
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};
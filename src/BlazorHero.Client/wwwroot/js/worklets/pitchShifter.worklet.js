@@ -0,0 +1,78 @@
+// Pitch Shifter - AudioWorklet granular pitch shifter used for pitch-preserving slow-down
+//
+// The song source plays at the practice rate, which shifts its pitch by that rate. This
+// processor shifts it back by 1/rate: two read taps sweep across a delay line at the
+// pitch ratio, each faded with a Hann window and half a window apart so the two gains
+// always sum to one and the wrap-around of either tap is silent.
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+    }
+
+    constructor(options) {
+        super();
+        const windowSize = options?.processorOptions?.windowSize || 2048;
+
+        this.windowSize = windowSize;
+        this.bufferSize = windowSize * 4;
+        this.buffers = [];      // One delay line per channel
+        this.writeIndex = 0;
+        this.phase = 0;         // Position of tap A within the window, 0..1
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input || input.length === 0) return true;
+
+        const pitchRatio = parameters.pitchRatio[0];
+        const phaseStep = (1 - pitchRatio) / this.windowSize;
+        const frames = output[0].length;
+
+        while (this.buffers.length < input.length) {
+            this.buffers.push(new Float32Array(this.bufferSize));
+        }
+
+        let phase = this.phase;
+        let writeIndex = this.writeIndex;
+
+        for (let i = 0; i < frames; i++) {
+            const phaseA = phase;
+            const phaseB = (phase + 0.5) % 1;
+            const gainA = Math.sin(Math.PI * phaseA) ** 2;
+            const gainB = Math.sin(Math.PI * phaseB) ** 2;
+
+            for (let ch = 0; ch < output.length; ch++) {
+                const source = input[Math.min(ch, input.length - 1)];
+                const buffer = this.buffers[Math.min(ch, this.buffers.length - 1)];
+                buffer[writeIndex] = source[i];
+
+                output[ch][i] = this._read(buffer, writeIndex, phaseA) * gainA
+                    + this._read(buffer, writeIndex, phaseB) * gainB;
+            }
+
+            writeIndex = (writeIndex + 1) % this.bufferSize;
+            phase = (phase + phaseStep) % 1;
+            if (phase < 0) phase += 1;
+        }
+
+        this.phase = phase;
+        this.writeIndex = writeIndex;
+        return true;
+    }
+
+    // Linear-interpolated read, delayed by phase * windowSize samples (plus one so it never reads ahead)
+    _read(buffer, writeIndex, phase) {
+        const delay = phase * this.windowSize + 1;
+        let position = writeIndex - delay;
+        if (position < 0) position += this.bufferSize;
+
+        const index = Math.floor(position);
+        const frac = position - index;
+        const next = (index + 1) % this.bufferSize;
+        return buffer[index] * (1 - frac) + buffer[next] * frac;
+    }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
@@ -0,0 +1,103 @@
+// Zip Reader - extracts the files from a .zip (a song folder zipped up for import)
+//
+// Reads the central directory at the end of the archive, then each entry's data from its local header.
+// Stored and deflated entries are supported, deflate through DecompressionStream; zip64 and encrypted
+// archives are not. Entries are sliced from the original Blob, so nothing is read twice.
+
+const END_SIGNATURE = 0x06054b50;
+const DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const END_SIZE = 22;
+const DIRECTORY_ENTRY_SIZE = 46;
+const LOCAL_HEADER_SIZE = 30;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Read every file in a zip. Folders and macOS resource forks (__MACOSX/) are skipped.
+ * @param {Blob} zip
+ * @returns {Promise<{ name: string, blob: Blob }[]>} name is the path inside the archive
+ */
+export async function readZip(zip) {
+    const directory = await readDirectory(zip);
+    const files = [];
+    for (const entry of directory) {
+        if (entry.name.endsWith('/') || entry.name.startsWith('__MACOSX/')) continue;
+        files.push({ name: entry.name, blob: await readEntry(zip, entry) });
+    }
+    return files;
+}
+
+/**
+ * Whether a file looks like a zip (by its first four bytes, not its name).
+ */
+export async function isZip(file) {
+    if (file.size < END_SIZE) return false;
+    const header = new DataView(await file.slice(0, 4).arrayBuffer());
+    const signature = header.getUint32(0, true);
+    return signature === LOCAL_SIGNATURE || signature === END_SIGNATURE;
+}
+
+async function readDirectory(zip) {
+    // The end record is the last thing in the file, followed only by an optional comment
+    const tailSize = Math.min(zip.size, END_SIZE + MAX_COMMENT_LENGTH);
+    const tail = new DataView(await zip.slice(zip.size - tailSize).arrayBuffer());
+    let end = -1;
+    for (let i = tailSize - END_SIZE; i >= 0; i--) {
+        if (tail.getUint32(i, true) === END_SIGNATURE) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a zip file');
+
+    const entryCount = tail.getUint16(end + 10, true);
+    const directorySize = tail.getUint32(end + 12, true);
+    const directoryOffset = tail.getUint32(end + 16, true);
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+        throw new Error('Zip64 archives are not supported');
+    }
+
+    const view = new DataView(await zip.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let offset = 0, i = 0; i < entryCount; i++) {
+        if (offset + DIRECTORY_ENTRY_SIZE > view.byteLength || view.getUint32(offset, true) !== DIRECTORY_SIGNATURE) {
+            throw new Error('The zip directory is damaged');
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        entries.push({
+            name: decoder.decode(new Uint8Array(view.buffer, offset + DIRECTORY_ENTRY_SIZE, nameLength)),
+            encrypted: (view.getUint16(offset + 8, true) & 1) !== 0,
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true)
+        });
+        offset += DIRECTORY_ENTRY_SIZE + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return entries;
+}
+
+async function readEntry(zip, entry) {
+    if (entry.encrypted) throw new Error(`${entry.name} is encrypted`);
+
+    const header = new DataView(await zip.slice(entry.localOffset, entry.localOffset + LOCAL_HEADER_SIZE).arrayBuffer());
+    if (header.byteLength < LOCAL_HEADER_SIZE || header.getUint32(0, true) !== LOCAL_SIGNATURE) {
+        throw new Error(`${entry.name} is damaged`);
+    }
+
+    // The local name and extra field can differ in length from the directory's copy
+    const start = entry.localOffset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = zip.slice(start, start + entry.compressedSize);
+    switch (entry.method) {
+        case METHOD_STORED:
+            return data;
+        case METHOD_DEFLATE:
+            return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        default:
+            throw new Error(`${entry.name} uses an unsupported compression method (${entry.method})`);
+    }
+}
@@ -0,0 +1,5 @@
+// In development, always fetch from the network and do not enable offline support.
+// This is because caching would make development more difficult (changes would not
+// be reflected on the first load after each change).
+// Songs downloaded for offline play (js/offlineStore.js) are still read straight from their cache.
+self.addEventListener('fetch', () => { });
@@ -0,0 +1,122 @@
+// Caution! Be sure you understand the caveats before publishing an application with
+// offline support. See https://aka.ms/blazor-offline-considerations
+
+self.importScripts('./service-worker-assets.js');
+self.addEventListener('install', event => event.waitUntil(onInstall(event)));
+self.addEventListener('activate', event => event.waitUntil(onActivate(event)));
+self.addEventListener('fetch', event => event.respondWith(onFetch(event)));
+
+// The app shell cache is named for the build's asset hash, so every publish replaces it whole
+const cacheNamePrefix = 'offline-cache-';
+const cacheName = `${cacheNamePrefix}${self.assetsManifest.version}`;
+const songCachePrefix = 'blazor-hero-songs-';  // Player downloads (js/offlineStore.js) - kept across versions
+const bundledSongCacheName = 'blazor-hero-bundled-songs';  // Audio for charts/index.json - kept across versions
+const offlineAssetsInclude = [ /\.dll$/, /\.pdb$/, /\.wasm/, /\.html/, /\.js$/, /\.json$/, /\.css$/, /\.woff$/, /\.png$/, /\.jpe?g$/, /\.gif$/, /\.ico$/, /\.blat$/, /\.dat$/, /\.webmanifest$/ ];
+const offlineAssetsExclude = [ /^service-worker\.js$/ ];
+
+// Replace with your base path if you are hosting on a subfolder. Ensure there is a trailing '/'.
+const base = "/";
+const baseUrl = new URL(base, self.origin);
+const manifestUrlList = self.assetsManifest.assets.map(asset => new URL(asset.url, baseUrl).href);
+
+async function onInstall(event) {
+    console.info('Service worker: Install');
+
+    // Fetch and cache all matching items from the assets manifest
+    const assetsRequests = self.assetsManifest.assets
+        .filter(asset => offlineAssetsInclude.some(pattern => pattern.test(asset.url)))
+        .filter(asset => !offlineAssetsExclude.some(pattern => pattern.test(asset.url)))
+        .map(asset => new Request(asset.url, { integrity: asset.hash, cache: 'no-cache' }));
+    const cache = await caches.open(cacheName);
+    await cache.addAll(assetsRequests);
+    await precacheSongs(cache);
+}
+
+// The audio every chart in charts/index.json plays. It goes in its own cache rather than the
+// versioned one, so a publish only downloads songs it hasn't stored already.
+async function precacheSongs(cache) {
+    const songCache = await caches.open(bundledSongCacheName);
+    for (const url of await bundledSongUrls(cache)) {
+        try {
+            if (!(await songCache.match(url))) {
+                await songCache.add(new Request(url, { cache: 'no-cache' }));
+            }
+        } catch (e) {
+            // One missing song shouldn't stop the app working offline
+            console.warn(`Service worker: Could not precache ${url}`, e);
+        }
+    }
+}
+
+// Absolute urls of the audio the bundled charts use. The charts themselves came with the assets;
+// audio isn't in the asset patterns, so only songs a chart uses get stored.
+async function bundledSongUrls(cache) {
+    const urls = new Set();
+    const index = await readJson(cache, 'charts/index.json').catch(() => null);
+    for (const entry of index?.songs ?? []) {
+        try {
+            const chart = await readJson(cache, `charts/${entry.chartFile}`);
+            const meta = chart?.meta ?? {};
+            for (const url of [meta.audioFile, ...Object.values(meta.stems ?? {})].filter(Boolean)) {
+                urls.add(new URL(url, baseUrl).href);
+            }
+        } catch (e) {
+            console.warn(`Service worker: Could not read ${entry.chartFile}`, e);
+        }
+    }
+    return urls;
+}
+
+async function readJson(cache, url) {
+    const response = await cache.match(url) ?? await fetch(url, { cache: 'no-cache' });
+    return response.ok ? response.json() : null;
+}
+
+async function onActivate(event) {
+    console.info('Service worker: Activate');
+
+    // Delete unused caches
+    const cacheKeys = await caches.keys();
+    await Promise.all(cacheKeys
+        .filter(key => key.startsWith(cacheNamePrefix) && key !== cacheName)
+        .map(key => caches.delete(key)));
+
+    // Drop audio for songs this version no longer bundles (keeping it all if the index can't be read)
+    const songUrls = await bundledSongUrls(await caches.open(cacheName));
+    if (songUrls.size === 0) return;
+    const songCache = await caches.open(bundledSongCacheName);
+    for (const request of await songCache.keys()) {
+        if (!songUrls.has(request.url)) {
+            await songCache.delete(request);
+        }
+    }
+}
+
+async function onFetch(event) {
+    let cachedResponse = null;
+    // Range requests (media element streaming) go to the network - a whole cached file isn't a range
+    if (event.request.method === 'GET' && !event.request.headers.has('range')) {
+        // For all navigation requests, try to serve index.html from cache,
+        // unless that request is for an offline resource.
+        // If you need some URLs to be server-rendered, edit the following check to exclude those URLs
+        const shouldServeIndexHtml = event.request.mode === 'navigate'
+            && !manifestUrlList.some(url => url === event.request.url);
+
+        const request = shouldServeIndexHtml ? 'index.html' : event.request;
+        const cache = await caches.open(cacheName);
+        cachedResponse = await cache.match(request) ?? await matchDownloadedSong(request);
+    }
+
+    return cachedResponse || fetch(event.request);
+}
+
+// Bundled song audio, and charts and audio the player downloaded for offline play
+async function matchDownloadedSong(request) {
+    for (const key of await caches.keys()) {
+        if (key === bundledSongCacheName || key.startsWith(songCachePrefix)) {
+            const response = await (await caches.open(key)).match(request);
+            if (response) return response;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,157 @@
+import { test, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals, FakeAudioContext } from './fakes.js';
+
+const window = installBrowserGlobals();
+window.AudioContext = FakeAudioContext;
+await import('../../src/BlazorHero.Client/wwwroot/js/audioEngine.js');
+const audio = window.blazorHeroAudio;
+
+// At the default 120 BPM a four-beat count-in takes 2 s
+const COUNT_IN_SEC = 2;
+
+before(async () => {
+    await audio.initialize();
+});
+
+beforeEach(async () => {
+    audio.audioContext.currentTime = 0;
+    audio.metronome.update({ countInBeats: 4 });
+    audio.playWithoutAudio(60000);
+    await audio.playSong(0);
+});
+
+afterEach(() => {
+    audio.stopSong();
+});
+
+function advanceTo(seconds) {
+    audio.audioContext.currentTime = seconds;
+}
+
+test('pausing during the opening count-in resumes with a fresh count-in', async () => {
+    advanceTo(1);
+    audio.pauseSong();
+    assert.equal(audio.isPlaying, false);
+    assert.equal(audio.getCurrentTime(), 0);
+
+    advanceTo(10);
+    await audio.resumeSong();
+    assert.equal(audio.isPlaying, true);
+    assert.equal(audio._countInEnd, 10 + COUNT_IN_SEC);
+    assert.equal(audio.getCurrentTime(), -COUNT_IN_SEC * 1000);
+});
+
+test('pausing mid-song resumes counting in to the same spot', async () => {
+    advanceTo(COUNT_IN_SEC + 3);
+    audio.pauseSong();
+    assert.equal(audio.getCurrentTime(), 3000);
+
+    advanceTo(20);
+    await audio.resumeSong();
+    advanceTo(20 + COUNT_IN_SEC);
+    assert.equal(audio.getCurrentTime(), 3000);
+});
+
+test('a stopped song is not resumed', async () => {
+    advanceTo(1);
+    audio.pauseSong();
+    audio.stopSong();
+
+    await audio.resumeSong();
+    assert.equal(audio.isPlaying, false);
+    assert.equal(audio.getCurrentTime(), 0);
+});
+
+// A streaming media element that plays only when the test says so
+function fakeStream() {
+    const element = {
+        currentTime: 0,
+        paused: true,
+        playbackRate: 1,
+        play() {
+            this.paused = false;
+            return Promise.resolve();
+        },
+        pause() {
+            this.paused = true;
+        },
+        removeAttribute() {},
+        load() {}
+    };
+    const node = { connect() {}, disconnect() {} };
+    return { audio: element, source: node, gain: node, startTimer: null, closed: false };
+}
+
+test('song time follows a streaming element that starts late', async () => {
+    const stream = fakeStream();
+    audio._stream = stream;
+    await audio.playSong(0, false);
+
+    advanceTo(2);
+    stream.audio.currentTime = 1.7;            // The element got going 300 ms late
+    stream.audio.ontimeupdate();
+    assert.equal(Math.round(audio.getCurrentTime()), 1700);
+
+    advanceTo(3);
+    assert.equal(Math.round(audio.getCurrentTime()), 2700);
+
+    stream.audio.currentTime = 2.71;           // Within tolerance - no jitter
+    stream.audio.ontimeupdate();
+    assert.equal(Math.round(audio.getCurrentTime()), 2700);
+    audio._closeStream(stream);
+});
+
+function seconds(length) {
+    const context = audio.audioContext;
+    return context.createBuffer(1, length * context.sampleRate, context.sampleRate);
+}
+
+test('a loop that runs past a shorter stem schedules its passes rather than looping natively', async () => {
+    audio._setStems({ backing: seconds(10), guitar: seconds(8) });
+    audio.setLoopRegion(2000, 6000);
+    await audio.playSong(2000, false);
+    assert.equal(audio._loopPasses.length, 0);
+    assert.equal(audio.songSources.length, 2);
+
+    audio._setStems({ backing: seconds(10), guitar: seconds(4) });
+    await audio.playSong(2000, false);
+    assert.equal(audio.songSources.length, 0);
+    assert.equal(audio._loopSources.length, 2);
+
+    advanceTo(3.9);                            // The next pass is queued just before B
+    audio._loopTick();
+    advanceTo(5);
+    assert.equal(Math.round(audio.getCurrentTime()), 3000);
+    assert.equal(audio._loopSources.length, 4);
+});
+
+test('a stream that never gets ready falls back to decoding the whole song', async () => {
+    const elements = [];
+    globalThis.Audio = class {
+        constructor() {
+            elements.push(this);
+        }
+        canPlayType() {
+            return '';
+        }
+        pause() {}
+        removeAttribute() {}
+        load() {}
+    };
+    globalThis.fetch = async () => new Response(null, { status: 404 });
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+        const loading = audio.loadSong('audio/song.ogg', { streamPlayback: true });
+        mock.timers.tick(3000);                // Neither canplay nor error ever fires
+
+        const result = await loading;
+        assert.ok(elements.some(element => element.src === 'audio/song.ogg'));
+        assert.equal(audio._stream, null);
+        assert.equal(result.ok, false);        // The full decode ran (and found nothing to load)
+    } finally {
+        mock.timers.reset();
+        delete globalThis.Audio;
+        delete globalThis.fetch;
+    }
+});
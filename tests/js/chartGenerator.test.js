@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateChart } from '../../src/BlazorHero.Client/wwwroot/js/chartGenerator.js';
+
+const SAMPLE_RATE = 22050;
+
+// A metronome: short 1 kHz blips on every beat from offsetMs, the first of each bar accented
+function clickTrack(bpm, offsetMs, seconds = 20) {
+    const samples = new Float32Array(SAMPLE_RATE * seconds);
+    const clicks = [];
+    for (let i = 0, time = offsetMs; time < seconds * 1000 - 200; i++, time = offsetMs + i * 60000 / bpm) {
+        clicks.push(time);
+        const start = Math.round(time / 1000 * SAMPLE_RATE);
+        const level = i % 4 === 0 ? 0.9 : 0.5;
+        for (let n = 0; n < SAMPLE_RATE * 0.03; n++) {
+            samples[start + n] += level * Math.sin(2 * Math.PI * 1000 * n / SAMPLE_RATE) * Math.exp(-n / (SAMPLE_RATE * 0.008));
+        }
+    }
+    return { samples, clicks };
+}
+
+for (const [bpm, offsetMs] of [[120, 500], [97, 730], [150, 1210]]) {
+    test(`a ${bpm} BPM click track charts at ${bpm} BPM with a note on every click`, () => {
+        const { samples, clicks } = clickTrack(bpm, offsetMs);
+        const progress = [];
+        const chart = generateChart(samples, SAMPLE_RATE, { title: 'Clicks' }, p => progress.push(p));
+
+        assert.ok(Math.abs(chart.meta.bpm - bpm) < 0.05, `bpm ${chart.meta.bpm}`);
+        assert.ok(Math.abs(chart.meta.offset - offsetMs) <= 10, `offset ${chart.meta.offset}`);
+        assert.deepEqual(chart.syncTrack, [{ time: chart.meta.offset, bpm: chart.meta.bpm, timeSignature: [4, 4] }]);
+
+        const notes = chart.difficulties.expert.notes;
+        const times = [...new Set(notes.map(note => note.time))];
+        assert.equal(times.length, clicks.length);
+        times.forEach((time, i) => assert.ok(Math.abs(time - clicks[i]) <= 10, `note ${i} at ${time}, click at ${clicks[i]}`));
+
+        // Easier tiers thin the clicks out but never move them off the beat
+        for (const note of chart.difficulties.easy.notes) {
+            assert.ok(clicks.some(click => Math.abs(note.time - click) <= 10), `easy note at ${note.time}`);
+        }
+
+        assert.equal(progress.at(-1), 1);
+    });
+}
+
+test('silence is too quiet to chart', () => {
+    assert.throws(() => generateChart(new Float32Array(SAMPLE_RATE * 5), SAMPLE_RATE), /too short or too quiet/);
+});
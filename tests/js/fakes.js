@@ -0,0 +1,117 @@
+// Browser stand-ins for testing the wwwroot/js modules under Node
+
+/**
+ * A .NET object reference that records every call made through it.
+ */
+export function fakeDotNetReference() {
+    const calls = [];
+    return {
+        calls,
+        invokeMethod(method, ...args) {
+            calls.push([method, ...args]);
+        },
+        async invokeMethodAsync(method, ...args) {
+            calls.push([method, ...args]);
+        },
+        // Arguments of each call to one method, in order
+        callsTo(method) {
+            return calls.filter(call => call[0] === method).map(call => call.slice(1));
+        },
+        clear() {
+            calls.length = 0;
+        }
+    };
+}
+
+// An event target with dispatch(type, event) to fire its listeners
+function eventTarget() {
+    const listeners = new Map();
+    return {
+        addEventListener(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, new Set());
+            listeners.get(type).add(listener);
+        },
+        removeEventListener(type, listener) {
+            listeners.get(type)?.delete(listener);
+        },
+        dispatch(type, event) {
+            for (const listener of listeners.get(type) ?? []) {
+                listener(event);
+            }
+        }
+    };
+}
+
+/**
+ * Install window and document (each with dispatch(type, event) for their events), localStorage
+ * and animation frames that never fire - tests drive polling loops by hand.
+ */
+export function installBrowserGlobals() {
+    const storage = new Map();
+
+    globalThis.window = eventTarget();
+    globalThis.document = eventTarget();
+    globalThis.localStorage = {
+        getItem: key => storage.get(key) ?? null,
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: key => storage.delete(key),
+        clear: () => storage.clear()
+    };
+    globalThis.requestAnimationFrame = () => 0;
+    globalThis.cancelAnimationFrame = () => {};
+
+    return globalThis.window;
+}
+
+// Stands in for any AudioNode, AudioParam or AudioBuffer: every property and call gives back another
+// stand-in, and it reads as 0 where a number is needed
+function anything() {
+    const properties = new Map();
+    const stub = new Proxy(function () {}, {
+        get(target, property) {
+            if (property === Symbol.toPrimitive) return () => 0;
+            if (property === 'then') return undefined;  // Not a promise
+            if (!properties.has(property)) properties.set(property, anything());
+            return properties.get(property);
+        },
+        set(target, property, value) {
+            properties.set(property, value);
+            return true;
+        },
+        apply: () => anything()
+    });
+    return stub;
+}
+
+/**
+ * An AudioContext whose nodes accept any call. Time stands still until the test sets currentTime.
+ */
+export class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.sampleRate = 48000;
+        this.state = 'running';
+        this.baseLatency = 0;
+        this.outputLatency = 0;
+        this.destination = anything();
+        return new Proxy(this, {
+            get: (target, property) => property in target ? target[property] : () => anything()
+        });
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return {
+            numberOfChannels: channels,
+            length,
+            sampleRate,
+            duration: length / sampleRate,
+            getChannelData: channel => data[channel],
+            copyToChannel: (samples, channel) => data[channel].set(samples)
+        };
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+}
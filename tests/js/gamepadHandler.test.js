@@ -0,0 +1,181 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDotNetReference, installBrowserGlobals } from './fakes.js';
+
+const window = installBrowserGlobals();
+const {
+    initGamepad, disposeGamepad, setGamepadSource, pollGamepads, setGamepadProfile, getConnectedGamepads,
+    setLaneInputActive
+} = await import('../../src/BlazorHero.Client/wwwroot/js/gamepadHandler.js');
+
+let pads;
+let dotNet;
+
+function fakePad(index, id = 'Xbox Wireless Controller') {
+    return {
+        index,
+        id,
+        connected: true,
+        timestamp: 0,
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+        axes: [0, 0, 0, 0]
+    };
+}
+
+// Change a pad's state and poll once, as the next animation frame would
+function poll(pad, timestamp, change) {
+    change?.(pad);
+    pad.timestamp = timestamp;
+    pollGamepads();
+}
+
+function press(pad, button, value = 1) {
+    pad.buttons[button] = { pressed: value >= 0.5, value };
+}
+
+function release(pad, button) {
+    pad.buttons[button] = { pressed: false, value: 0 };
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    pads = [];
+    setGamepadSource(() => pads);
+    dotNet = fakeDotNetReference();
+    initGamepad(dotNet);
+});
+
+afterEach(() => {
+    disposeGamepad();
+    setLaneInputActive(false);
+});
+
+test('standard pad buttons press and release lanes', () => {
+    const pad = fakePad(0);
+    pads.push(pad);
+
+    poll(pad, 100, p => press(p, 4));          // LB -> lane 0
+    poll(pad, 110, p => press(p, 5));          // RB -> lane 3
+    poll(pad, 120, p => release(p, 4));
+
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), [[0, 100], [3, 110]]);
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyUp'), [[0, 120]]);
+});
+
+test('an analog trigger past the threshold counts as pressed', () => {
+    const pad = fakePad(0);
+    pads.push(pad);
+
+    poll(pad, 100, p => { p.buttons[6] = { pressed: false, value: 0.3 }; });
+    poll(pad, 110, p => { p.buttons[6] = { pressed: false, value: 0.8 }; });  // LT -> lane 1
+
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), [[1, 110]]);
+});
+
+test('special buttons fire once per press', () => {
+    const pad = fakePad(0);
+    pads.push(pad);
+
+    poll(pad, 100, p => press(p, 0));
+    poll(pad, 110);                             // Still held
+    poll(pad, 120, p => release(p, 0));
+    poll(pad, 130, p => press(p, 9));
+
+    assert.deepEqual(dotNet.callsTo('OnSpecialKey'), [['confirm'], ['escape']]);
+});
+
+test('a guitar strums the held frets as a chord', () => {
+    const pad = fakePad(0, 'Guitar Hero Controller');
+    pads.push(pad);
+    setLaneInputActive(true);
+
+    poll(pad, 100, p => { press(p, 0); press(p, 3); });  // Green and yellow held
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), []);
+
+    poll(pad, 110, p => press(p, 13));         // Strum down
+    poll(pad, 120);                            // Holding the strum bar doesn't strum again
+    assert.deepEqual(dotNet.callsTo('OnChord'), [[0b101, 110, 'strum']]);
+
+    poll(pad, 130, p => release(p, 3));        // Letting go of a fret ends its note
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyUp'), [[2, 130]]);
+});
+
+test('outside a song a guitar navigates the menus and its frets press straight away', () => {
+    const pad = fakePad(0, 'Guitar Hero Controller');
+    pads.push(pad);
+
+    poll(pad, 100, p => press(p, 13));         // Strum down
+    poll(pad, 110, p => { release(p, 13); press(p, 12); });
+    poll(pad, 120, p => press(p, 0));          // Green
+    poll(pad, 130, p => { release(p, 0); press(p, 1); });
+    assert.deepEqual(dotNet.callsTo('OnSpecialKey'), [['down'], ['up'], ['confirm'], ['back']]);
+    assert.deepEqual(dotNet.callsTo('OnChord'), []);
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), [[0, 120], [1, 130]]);
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyUp'), [[0, 130]]);
+
+    dotNet.clear();
+    setLaneInputActive(true);
+    poll(pad, 140, p => { release(p, 1); release(p, 12); });
+    poll(pad, 150, p => press(p, 0));
+    poll(pad, 160, p => press(p, 13));
+    assert.deepEqual(dotNet.callsTo('OnSpecialKey'), []);
+    assert.deepEqual(dotNet.callsTo('OnChord'), [[0b1, 160, 'strum']]);
+});
+
+test('guitar whammy and tilt axes', () => {
+    const pad = fakePad(0, 'Guitar Hero Controller');
+    pad.axes[2] = -1;                          // Whammy at rest
+    pads.push(pad);
+
+    poll(pad, 100);
+    poll(pad, 110, p => { p.axes[2] = 0; });
+    poll(pad, 120, p => { p.axes[2] = -1; });
+    assert.deepEqual(dotNet.callsTo('OnWhammy'), [[0.5], [0]]);
+
+    poll(pad, 130, p => { p.axes[3] = 0.9; });
+    poll(pad, 140);                            // Still tilted
+    poll(pad, 150, p => { p.axes[3] = 0; });
+    poll(pad, 160, p => { p.axes[3] = -0.9; });
+    assert.deepEqual(dotNet.callsTo('OnSpecialKey'), [['starpower'], ['starpower']]);
+});
+
+test('connect and disconnect events, releasing held lanes', () => {
+    const pad = fakePad(1);
+    pads.push(pad);
+    window.dispatch('gamepadconnected', { gamepad: pad });
+    assert.deepEqual(dotNet.callsTo('OnGamepadConnected'), [[1, 'Xbox Wireless Controller', 'standard']]);
+    assert.deepEqual(getConnectedGamepads(), [{ index: 1, id: 'Xbox Wireless Controller', profile: 'standard' }]);
+
+    poll(pad, 100, p => press(p, 7));          // RT -> lane 2
+    pads.length = 0;
+    window.dispatch('gamepaddisconnected', { gamepad: pad });
+
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyUp').map(([lane]) => lane), [2]);
+    assert.deepEqual(dotNet.callsTo('OnGamepadDisconnected'), [[1, 'Xbox Wireless Controller']]);
+    assert.deepEqual(getConnectedGamepads(), []);
+});
+
+test('pads are picked up and dropped by polling when events are missing', () => {
+    const pad = fakePad(0, 'Harmonix Guitar');
+    pads.push(pad);
+    poll(pad, 100);
+    assert.deepEqual(dotNet.callsTo('OnGamepadConnected'), [[0, 'Harmonix Guitar', 'guitar']]);
+
+    pads.length = 0;
+    pollGamepads();
+    assert.deepEqual(dotNet.callsTo('OnGamepadDisconnected'), [[0, 'Harmonix Guitar']]);
+});
+
+test('a chosen profile is remembered for the controller id', () => {
+    const pad = fakePad(0);
+    pads.push(pad);
+    poll(pad, 100);
+
+    assert.equal(setGamepadProfile(0, 'guitar'), true);
+    assert.equal(setGamepadProfile(0, 'no-such-profile'), false);
+
+    disposeGamepad();
+    dotNet = fakeDotNetReference();
+    initGamepad(dotNet);
+    assert.deepEqual(dotNet.callsTo('OnGamepadConnected'), [[0, 'Xbox Wireless Controller', 'guitar']]);
+});
@@ -0,0 +1,49 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDotNetReference, installBrowserGlobals } from './fakes.js';
+
+installBrowserGlobals();
+const {
+    initInput, disposeInput, setInputMode, setLaneInputActive, setHopoWindow
+} = await import('../../src/BlazorHero.Client/wwwroot/js/inputHandler.js');
+
+let dotNet;
+
+function key(type, code, timeStamp) {
+    document.dispatch(type, { code, timeStamp, repeat: false, preventDefault() {} });
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    dotNet = fakeDotNetReference();
+    initInput(dotNet);
+    setInputMode('strum');
+    setHopoWindow(0);
+});
+
+afterEach(() => {
+    disposeInput();
+    setLaneInputActive(false);
+});
+
+test('in strum mode frets only set held state while a song is played', () => {
+    setLaneInputActive(true);
+    key('keydown', 'KeyD', 100);               // Green
+    key('keydown', 'KeyJ', 110);               // Yellow
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), []);
+
+    key('keydown', 'Enter', 120);              // Strums rather than confirming
+    assert.deepEqual(dotNet.callsTo('OnChord'), [[0b101, 120, 'strum']]);
+    assert.deepEqual(dotNet.callsTo('OnSpecialKey'), []);
+});
+
+test('outside a song strum-mode frets press straight away and strum keys navigate', () => {
+    key('keydown', 'KeyF', 100);               // Red
+    key('keyup', 'KeyF', 150);
+    key('keydown', 'Enter', 200);
+
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), [[1, 100]]);
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyUp'), [[1, 150]]);
+    assert.deepEqual(dotNet.callsTo('OnChord'), []);
+    assert.deepEqual(dotNet.callsTo('OnSpecialKey'), [['confirm']]);
+});
@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDotNetReference, installBrowserGlobals } from './fakes.js';
+
+installBrowserGlobals();
+const {
+    initMidi, disposeMidi, setMidiAccessProvider, startMidiLearn, getMidiMapping, setMidiMapping,
+    resetMidiMapping, setVelocityThreshold, getVelocityThreshold, getMidiInputs
+} = await import('../../src/BlazorHero.Client/wwwroot/js/midiHandler.js');
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+
+let access;
+let dotNet;
+
+function fakeInput(id, name) {
+    return { id, name, type: 'input', state: 'connected', onmidimessage: null };
+}
+
+function fakeMidiAccess(...inputs) {
+    return {
+        inputs: new Map(inputs.map(input => [input.id, input])),
+        onstatechange: null
+    };
+}
+
+function send(input, timeStamp, ...data) {
+    input.onmidimessage({ data, timeStamp });
+}
+
+beforeEach(async () => {
+    localStorage.clear();
+    resetMidiMapping();
+    access = fakeMidiAccess(fakeInput('pads', 'Drum Pads'));
+    setMidiAccessProvider(async () => access);
+    dotNet = fakeDotNetReference();
+    assert.equal(await initMidi(dotNet), true);
+});
+
+afterEach(() => {
+    disposeMidi();
+});
+
+test('note-on and note-off press and release the mapped lane', () => {
+    const pads = access.inputs.get('pads');
+    send(pads, 100, NOTE_ON, 38, 90);          // Snare -> lane 1
+    send(pads, 150, NOTE_OFF, 38, 0);
+    send(pads, 200, NOTE_ON | 9, 36, 64);      // Kick on channel 10
+    send(pads, 250, NOTE_ON | 9, 36, 0);       // Velocity 0 note-on is a note-off
+
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), [[1, 100], [0, 200]]);
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyUp'), [[1, 150], [0, 250]]);
+});
+
+test('notes under the velocity threshold and unmapped notes are ignored', () => {
+    const pads = access.inputs.get('pads');
+    setVelocityThreshold(40);
+
+    send(pads, 100, NOTE_ON, 38, 39);
+    send(pads, 110, NOTE_ON, 100, 127);
+    send(pads, 120, NOTE_OFF, 38, 0);          // Never pressed, so nothing to release
+
+    assert.deepEqual(dotNet.calls, []);
+    assert.equal(getVelocityThreshold(), 40);
+});
+
+test('learn mode assigns the next note to the lane', () => {
+    const pads = access.inputs.get('pads');
+    assert.equal(startMidiLearn(4), true);
+
+    send(pads, 100, NOTE_ON, 51, 100);         // Ride
+    assert.deepEqual(dotNet.callsTo('OnMidiLearned'), [[4, 51]]);
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), []);
+
+    send(pads, 200, NOTE_ON, 51, 100);
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyDown'), [[4, 200]]);
+    assert.equal(getMidiMapping()[51], 4);
+});
+
+test('invalid mapping entries are dropped', () => {
+    setMidiMapping({ 36: 0, 128: 1, '-1': 2, abc: 3, 40: 5, 41: 1.5, 42: NaN, 43: 2 });
+    assert.deepEqual(getMidiMapping(), { 36: 0, 43: 2 });
+
+    setVelocityThreshold(NaN);
+    assert.equal(getVelocityThreshold(), 10);
+});
+
+test('a saved mapping is validated when loaded', async () => {
+    disposeMidi();
+    localStorage.setItem('blazorHero.midiMapping', JSON.stringify({ notes: { 60: 3, 200: 1, 61: 'x' }, velocityThreshold: 20 }));
+
+    assert.equal(await initMidi(dotNet), true);
+    assert.deepEqual(getMidiMapping(), { 60: 3 });
+    assert.equal(getVelocityThreshold(), 20);
+});
+
+test('hot-plugged inputs get a handler, and unplugging releases held notes', () => {
+    const keys = fakeInput('keys', 'Keyboard');
+    access.inputs.set('keys', keys);
+    access.onstatechange({ port: keys });
+    assert.deepEqual(dotNet.callsTo('OnMidiDevicesChanged'), [[['Drum Pads', 'Keyboard']]]);
+
+    send(keys, 100, NOTE_ON, 64, 100);         // E4 -> lane 2
+    keys.state = 'disconnected';
+    access.onstatechange({ port: keys });
+
+    assert.deepEqual(dotNet.callsTo('OnLaneKeyUp').map(([lane]) => lane), [2]);
+    assert.deepEqual(getMidiInputs(), ['Drum Pads']);
+});
+
+test('denied MIDI access resolves false', async () => {
+    disposeMidi();
+    setMidiAccessProvider(() => Promise.reject(new Error('SecurityError')));
+    assert.equal(await initMidi(dotNet), false);
+});
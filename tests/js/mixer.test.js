@@ -0,0 +1,44 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from './fakes.js';
+
+installBrowserGlobals();
+const { Mixer } = await import('../../src/BlazorHero.Client/wwwroot/js/mixer.js');
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+test('insert settings are merged and clamped', () => {
+    const mixer = new Mixer();
+    assert.equal(mixer.setInsert('music', 'reverb', { enabled: true, mix: 3, decay: '2.5' }), true);
+    assert.equal(mixer.setInsert('music', 'chorus', { enabled: true }), false);
+
+    const reverb = mixer.getState().buses.music.inserts.reverb;
+    assert.deepEqual(reverb, { enabled: true, mix: 1, decay: 2.5 });
+});
+
+test('non-numeric insert values are ignored rather than stored as NaN', () => {
+    const mixer = new Mixer();
+    mixer.setInsert('master', 'compressor', { threshold: 'loud', ratio: NaN, knee: Infinity, attack: {}, release: 0.5 });
+
+    const compressor = mixer.getState().buses.master.inserts.compressor;
+    assert.deepEqual(compressor, { enabled: false, threshold: -24, knee: 30, ratio: 4, attack: 0.003, release: 0.5 });
+});
+
+test('blank strings, booleans and arrays are not read as numbers', () => {
+    const mixer = new Mixer();
+    mixer.setInsert('master', 'compressor', { threshold: '', knee: ' ', ratio: true, attack: [], release: ' 0.5 ' });
+
+    const compressor = mixer.getState().buses.master.inserts.compressor;
+    assert.deepEqual(compressor, { enabled: false, threshold: -24, knee: 30, ratio: 4, attack: 0.003, release: 0.5 });
+});
+
+test('a stored mix with bad values loads with the defaults in their place', () => {
+    localStorage.setItem('blazorHero.mixer', JSON.stringify({
+        sfx: { inserts: { eq: { enabled: true, low: 'bass', high: 6 } } }
+    }));
+
+    const { sfx } = new Mixer().getState().buses;
+    assert.deepEqual(sfx.inserts.eq, { enabled: true, low: 0, mid: 0, high: 6 });
+});
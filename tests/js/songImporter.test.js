@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserGlobals } from './fakes.js';
+
+const window = installBrowserGlobals();
+window.blazorHeroAudio = { audioContext: {} };
+const { importSong } = await import('../../src/BlazorHero.Client/wwwroot/js/songImporter.js');
+
+// A zip holding each { name: text } entry uncompressed (CRCs are left 0 - the reader doesn't check them)
+function storedZip(entries) {
+    const encoder = new TextEncoder();
+    const locals = [];
+    const directory = [];
+    let offset = 0;
+    for (const [name, text] of Object.entries(entries)) {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(text);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        locals.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        directory.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, directory.length / 2, true);
+    end.setUint16(10, directory.length / 2, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    return new File([...locals, ...directory, end], 'song.zip');
+}
+
+test('files with the same name in different folders are an import error', async () => {
+    const zip = storedZip({
+        'song/chart.json': '{}',
+        'song/a/guitar.ogg': 'first',
+        'song/b/Guitar.ogg': 'second'
+    });
+
+    const result = await importSong([zip]);
+    assert.equal(result.ok, false);
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0], /2 files are named guitar\.ogg \(song\/a\/guitar\.ogg, song\/b\/Guitar\.ogg\)/);
+});
+
+test('the same file picked twice is an import error', async () => {
+    const audio = new File(['audio'], 'song.mp3');
+
+    const result = await importSong([audio, audio]);
+    assert.equal(result.ok, false);
+    assert.match(result.errors[0], /2 files are named song\.mp3/);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TempoMap } from '../../src/BlazorHero.Client/wwwroot/js/tempoMap.js';
+
+test('getBeats includes beats exactly at both ends of the range', () => {
+    const map = new TempoMap([{ time: 0, bpm: 120, timeSignature: [4, 4] }]);
+
+    const beats = map.getBeats(0, 2000);
+    assert.deepEqual(beats.map(beat => beat.time), [0, 500, 1000, 1500, 2000]);
+    assert.deepEqual(beats[0], { time: 0, beat: 0, measure: 0, beatInMeasure: 0, isDownbeat: true });
+    assert.equal(beats[4].isDownbeat, true);
+
+    assert.deepEqual(map.getBeats(500, 500).map(beat => beat.time), [500]);
+    assert.deepEqual(map.getBeats(501, 999), []);
+});
+
+test('beats follow tempo and time signature changes', () => {
+    const map = new TempoMap([
+        { time: 1000, bpm: 60, timeSignature: [4, 4] },
+        { time: 5000, bpm: 120, timeSignature: [3, 4] }
+    ]);
+
+    const beats = map.getBeats(1000, 6500);
+    assert.deepEqual(beats.map(beat => beat.time), [1000, 2000, 3000, 4000, 5000, 5500, 6000, 6500]);
+    assert.deepEqual(beats.filter(beat => beat.isDownbeat).map(beat => beat.time), [1000, 5000, 6500]);
+
+    assert.equal(map.msToBeats(5500), 5);
+    assert.equal(map.beatsToMs(5), 5500);
+    const position = map.msToMeasure(6000);
+    assert.equal(position.measure, 1);
+    assert.ok(Math.abs(position.beat - 2) < 1e-9);
+    assert.equal(position.beatsPerMeasure, 3);
+});